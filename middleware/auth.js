@@ -74,6 +74,29 @@ export const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Calendar feed middleware: accepts a user's calendar token (?token=...) or a normal session
+export const calendarFeedAuth = async (req, res, next) => {
+  const { token } = req.query;
+  if (!token) return authMiddleware(req, res, next);
+
+  try {
+    const user = await User.findOne({ calendar_token: String(token), isDeleted: false }).select("-password");
+    if (!user) {
+      return res.status(401).json({ message: "Invalid calendar token" });
+    }
+    if (user.status === "suspended") {
+      return res.status(403).json({ message: "User account is suspended" });
+    }
+
+    req.user = user;
+    req.userId = user._id;
+    req.userType = user.user_type;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: "Invalid calendar token" });
+  }
+};
+
 // Role-based middleware
 export const requireRole = (roles) => {
   return async (req, res, next) => {
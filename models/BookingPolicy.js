@@ -0,0 +1,246 @@
+import mongoose from "mongoose";
+import Reservation from "./Reservation.js";
+import { MAX_RESERVATION_MINUTES } from "./SystemDefaults.js";
+import { combineTZDateAndTime, getStartEndOfDay, getTZWeekday } from "../utils/timezone.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reservation statuses that count towards a user's booked minutes
+const BOOKED_STATUSES = ["pending", "approved", "active", "completed"];
+
+const bookingPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    user_type: {
+      type: String,
+      enum: ["all", "student", "faculty"],
+      default: "all",
+    },
+    reservation_type: {
+      type: String,
+      enum: ["all", "laboratory", "computer"],
+      default: "all",
+    },
+    laboratory_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Laboratory",
+      default: null, // null applies the policy to every laboratory
+    },
+    max_active_reservations: {
+      type: Number, // Pending, approved or active reservations a user may hold at once
+      default: null,
+      min: [1, "max_active_reservations must be at least 1"],
+    },
+    max_minutes_per_day: {
+      type: Number,
+      default: null,
+      min: [1, "max_minutes_per_day must be at least 1"],
+    },
+    max_minutes_per_week: {
+      type: Number,
+      default: null,
+      min: [1, "max_minutes_per_week must be at least 1"],
+    },
+    min_duration_minutes: {
+      type: Number,
+      default: null,
+      min: [1, "min_duration_minutes must be at least 1"],
+    },
+    max_duration_minutes: {
+      type: Number,
+      default: null,
+      max: [MAX_RESERVATION_MINUTES, `max_duration_minutes cannot exceed ${MAX_RESERVATION_MINUTES}`],
+    },
+    min_lead_minutes: {
+      type: Number, // How long before the start time a reservation must be made
+      default: null,
+      min: [0, "min_lead_minutes cannot be negative"],
+    },
+    max_advance_days: {
+      type: Number, // How far ahead a reservation can be made
+      default: null,
+      min: [0, "max_advance_days cannot be negative"],
+    },
+    auto_approve: {
+      type: Boolean, // null leaves approval to the default behaviour
+      default: null,
+    },
+    priority: {
+      type: Number, // Higher priority policies decide auto-approval first
+      default: 0,
+    },
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+bookingPolicySchema.index({ is_active: 1, isDeleted: 1 });
+bookingPolicySchema.index({ laboratory_id: 1 });
+
+// Virtual for id field (MongoDB uses _id by default)
+bookingPolicySchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+const sumDuration = async (filter) => {
+  const [result] = await Reservation.aggregate([
+    { $match: filter },
+    { $group: { _id: null, total: { $sum: "$duration" } } },
+  ]);
+  return result?.total || 0;
+};
+
+// Policies that apply to a user type, reservation type and laboratory
+bookingPolicySchema.statics.findApplicable = function ({ userType, reservationType, laboratoryId }) {
+  return this.find({
+    is_active: true,
+    isDeleted: false,
+    user_type: { $in: ["all", userType] },
+    reservation_type: { $in: ["all", reservationType] },
+    laboratory_id: laboratoryId ? { $in: [null, laboratoryId] } : null,
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+// Evaluate every applicable policy against a requested booking.
+// pendingBookings ([{ reservationDate, duration }]) are bookings accepted earlier in the same request
+// but not saved yet, such as earlier occurrences of a series; they count towards the user's totals.
+// Returns { allowed, violation, autoApprove, autoApprovePolicy }; violation names the policy and rule that failed.
+// autoApprove is null when no applicable policy decides approval.
+bookingPolicySchema.statics.evaluate = async function ({
+  user,
+  reservationType,
+  laboratoryId = null,
+  reservationDate,
+  startTime,
+  duration,
+  excludeReservationId = null,
+  pendingBookings = [],
+  walkIn = false,
+  now = new Date(),
+}) {
+  const policies = await this.findApplicable({
+    userType: user?.user_type || "student",
+    reservationType,
+    laboratoryId,
+  });
+
+  const startAt = combineTZDateAndTime(reservationDate, startTime);
+  const userFilter = user?._id ? { user_id: user._id, isDeleted: false } : null;
+  if (userFilter && mongoose.isValidObjectId(excludeReservationId)) {
+    // Cast explicitly since the filter is also used in aggregations
+    userFilter._id = { $ne: new mongoose.Types.ObjectId(String(excludeReservationId)) };
+  }
+
+  // Minutes of the pending bookings that fall on days in [from, to]
+  const pendingMinutes = (from, to) => pendingBookings
+    .filter(booking => {
+      const { startOfDay } = getStartEndOfDay(booking.reservationDate);
+      return startOfDay >= from && startOfDay <= to;
+    })
+    .reduce((total, booking) => total + booking.duration, 0);
+
+  // Usage totals are loaded lazily and shared between policies
+  let activeCount, dayMinutes, weekMinutes;
+
+  for (const policy of policies) {
+    const fail = (rule, limit, message) => ({
+      allowed: false,
+      violation: { policy_id: policy._id, policy_name: policy.name, rule, limit, message },
+      autoApprove: null,
+      autoApprovePolicy: null,
+    });
+
+    if (policy.min_duration_minutes && duration < policy.min_duration_minutes) {
+      return fail("min_duration_minutes", policy.min_duration_minutes, `Reservations must be at least ${policy.min_duration_minutes} minutes long`);
+    }
+    if (policy.max_duration_minutes && duration > policy.max_duration_minutes) {
+      return fail("max_duration_minutes", policy.max_duration_minutes, `Reservations cannot be longer than ${policy.max_duration_minutes} minutes`);
+    }
+
+    // Walk-ins start immediately, so lead time does not apply to them
+    if (!walkIn && policy.min_lead_minutes !== null && startAt.getTime() - now.getTime() < policy.min_lead_minutes * 60 * 1000) {
+      return fail("min_lead_minutes", policy.min_lead_minutes, `Reservations must be made at least ${policy.min_lead_minutes} minutes in advance`);
+    }
+    if (policy.max_advance_days !== null && startAt.getTime() - now.getTime() > policy.max_advance_days * DAY_MS) {
+      return fail("max_advance_days", policy.max_advance_days, `Reservations cannot be made more than ${policy.max_advance_days} days in advance`);
+    }
+
+    if (!userFilter) continue;
+
+    if (policy.max_active_reservations) {
+      if (activeCount === undefined) {
+        activeCount = await Reservation.countDocuments({ ...userFilter, status: { $in: ["pending", "approved", "active"] } })
+          + pendingBookings.length;
+      }
+      if (activeCount >= policy.max_active_reservations) {
+        return fail("max_active_reservations", policy.max_active_reservations, `You can only hold ${policy.max_active_reservations} active reservation(s) at a time`);
+      }
+    }
+
+    if (policy.max_minutes_per_day) {
+      if (dayMinutes === undefined) {
+        const { startOfDay, endOfDay } = getStartEndOfDay(reservationDate);
+        dayMinutes = await sumDuration({ ...userFilter, status: { $in: BOOKED_STATUSES }, reservation_date: { $gte: startOfDay, $lte: endOfDay } })
+          + pendingMinutes(startOfDay, endOfDay);
+      }
+      if (dayMinutes + duration > policy.max_minutes_per_day) {
+        return fail("max_minutes_per_day", policy.max_minutes_per_day, `Reservations are limited to ${policy.max_minutes_per_day} minutes per day`);
+      }
+    }
+
+    if (policy.max_minutes_per_week) {
+      if (weekMinutes === undefined) {
+        // Weeks run Sunday to Saturday in the app timezone
+        const { startOfDay } = getStartEndOfDay(reservationDate);
+        const startOfWeek = new Date(startOfDay.getTime() - getTZWeekday(reservationDate) * DAY_MS);
+        const endOfWeek = new Date(startOfWeek.getTime() + 7 * DAY_MS - 1);
+        weekMinutes = await sumDuration({ ...userFilter, status: { $in: BOOKED_STATUSES }, reservation_date: { $gte: startOfWeek, $lte: endOfWeek } })
+          + pendingMinutes(startOfWeek, endOfWeek);
+      }
+      if (weekMinutes + duration > policy.max_minutes_per_week) {
+        return fail("max_minutes_per_week", policy.max_minutes_per_week, `Reservations are limited to ${policy.max_minutes_per_week} minutes per week`);
+      }
+    }
+  }
+
+  const autoApprovePolicy = policies.find(policy => policy.auto_approve !== null) || null;
+  return {
+    allowed: true,
+    violation: null,
+    autoApprove: autoApprovePolicy ? autoApprovePolicy.auto_approve : null,
+    autoApprovePolicy,
+  };
+};
+
+// Ensure virtual fields are serialized
+bookingPolicySchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model("BookingPolicy", bookingPolicySchema);
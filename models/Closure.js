@@ -0,0 +1,181 @@
+import mongoose from "mongoose";
+import Computer from "./Computer.js";
+import Reservation from "./Reservation.js";
+import { getStartEndOfDay, getTZDateString, splitByTZDay } from "../utils/timezone.js";
+
+const FULL_DAY = { start: 0, end: 24 * 60 };
+
+const closureSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    closure_type: {
+      type: String,
+      enum: ["holiday", "closure", "maintenance"],
+      default: "closure",
+    },
+    laboratory_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Laboratory",
+      default: null, // null closes every laboratory
+    },
+    start_date: {
+      type: Date,
+      required: true,
+    },
+    end_date: {
+      type: Date,
+      required: true, // Inclusive; equal to start_date for single-day closures
+    },
+    start_time: {
+      type: String,
+      default: null, // null together with end_time closes the whole day
+      validate: {
+        validator: (v) => !v || /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v),
+        message: 'Start time must be in military time format (HH:MM, e.g., 14:30)'
+      }
+    },
+    end_time: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (v) => !v || /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v),
+        message: 'End time must be in military time format (HH:MM, e.g., 16:45)'
+      }
+    },
+    recurring_yearly: {
+      type: Boolean, // Repeats on the same calendar dates every year
+      default: false,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+closureSchema.index({ start_date: 1, end_date: 1 });
+closureSchema.index({ laboratory_id: 1 });
+closureSchema.index({ recurring_yearly: 1 });
+
+// Virtual for id field (MongoDB uses _id by default)
+closureSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+const timeToMinutes = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes of the day covered by the closure
+closureSchema.methods.getWindow = function () {
+  if (!this.start_time || !this.end_time) return { ...FULL_DAY };
+  return { start: timeToMinutes(this.start_time), end: timeToMinutes(this.end_time) };
+};
+
+// Whether the closure's daily window overlaps a time range (minutes since midnight)
+closureSchema.methods.overlaps = function (startMinutes, endMinutes) {
+  const window = this.getWindow();
+  return startMinutes < window.end && window.start < endMinutes;
+};
+
+// Whether the closure covers the given day (time ranges are ignored)
+closureSchema.methods.coversDay = function (date) {
+  const day = getTZDateString(date);
+  const start = getTZDateString(this.start_date);
+  const end = getTZDateString(this.end_date);
+  if (!this.recurring_yearly) return start <= day && day <= end;
+
+  // Compare month-day only; ranges such as Dec 24 - Jan 2 wrap around the new year
+  const monthDay = day.slice(5);
+  const startMonthDay = start.slice(5);
+  const endMonthDay = end.slice(5);
+  if (startMonthDay <= endMonthDay) return startMonthDay <= monthDay && monthDay <= endMonthDay;
+  return monthDay >= startMonthDay || monthDay <= endMonthDay;
+};
+
+// Closures in effect on a day for a laboratory (global closures always apply)
+closureSchema.statics.findForDay = async function (date, laboratoryId = null) {
+  const { startOfDay, endOfDay } = getStartEndOfDay(new Date(date));
+  const closures = await this.find({
+    isDeleted: false,
+    laboratory_id: laboratoryId ? { $in: [null, laboratoryId] } : null,
+    $or: [
+      { recurring_yearly: true },
+      { start_date: { $lte: endOfDay }, end_date: { $gte: startOfDay } },
+    ],
+  }).sort({ start_date: 1 });
+  return closures.filter(closure => closure.coversDay(date));
+};
+
+// Closures overlapping a time window (minutes since midnight) on a day
+closureSchema.statics.findOverlapping = async function (date, startMinutes, endMinutes, laboratoryId = null) {
+  const closures = await this.findForDay(date, laboratoryId);
+  return closures.filter(closure => closure.overlaps(startMinutes, endMinutes));
+};
+
+// Approved reservations falling inside the closure. Recurring closures are
+// checked against their next occurrence only.
+closureSchema.methods.findAffectedReservations = async function (now = new Date()) {
+  let rangeStart = getStartEndOfDay(this.start_date).startOfDay;
+  let rangeEnd = getStartEndOfDay(this.end_date).endOfDay;
+  if (this.recurring_yearly) {
+    const span = rangeEnd.getTime() - rangeStart.getTime();
+    while (rangeEnd < now) {
+      rangeStart = new Date(rangeStart);
+      rangeStart.setFullYear(rangeStart.getFullYear() + 1);
+      rangeEnd = new Date(rangeStart.getTime() + span);
+    }
+  }
+
+  const filter = {
+    status: "approved",
+    isDeleted: false,
+    $and: [Reservation.overlapCondition(rangeStart, new Date(rangeEnd.getTime() + 1))],
+  };
+  if (this.laboratory_id) {
+    const computers = await Computer.find({ laboratory_id: this.laboratory_id }).select("_id");
+    filter.$and.push({
+      $or: [
+        { laboratory_id: this.laboratory_id },
+        { computer_id: { $in: computers.map(computer => computer._id) } },
+      ],
+    });
+  }
+
+  // Overnight reservations are affected when any of their days overlaps the closure
+  const reservations = await Reservation.find(filter).populate('user_id', 'firstname lastname email');
+  return reservations.filter(reservation => {
+    const { startAt, endAt } = reservation.getWindow();
+    return splitByTZDay(startAt, endAt).some(segment =>
+      this.coversDay(segment.date) && this.overlaps(segment.startMinutes, segment.endMinutes)
+    );
+  });
+};
+
+// Ensure virtual fields are serialized
+closureSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model("Closure", closureSchema);
@@ -1,4 +1,20 @@
 import mongoose from "mongoose";
+import { mergeSpecs } from "../utils/computerSpecs.js";
+
+// Hardware and software of a computer. Lists default to undefined so an override can tell
+// "not overridden" apart from an empty list.
+const specSchema = new mongoose.Schema(
+  {
+    cpu: { type: String, trim: true, default: null },
+    ram_gb: { type: Number, min: 0, default: null },
+    storage_gb: { type: Number, min: 0, default: null },
+    gpu: { type: String, trim: true, default: null },
+    os: { type: String, trim: true, default: null },
+    software: { type: [String], default: undefined },
+    peripherals: { type: [String], default: undefined },
+  },
+  { _id: false }
+);
 
 const computerSchema = new mongoose.Schema(
   {
@@ -27,6 +43,61 @@ const computerSchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
+    client_registered_at: {
+      type: Date,
+      default: null,
+    },
+    client_token_rotated_at: {
+      type: Date,
+      default: null,
+    },
+    enrollment_code_id: {
+      type: mongoose.Schema.Types.ObjectId, // Code the current client registered with
+      ref: "EnrollmentCode",
+      default: null,
+    },
+    // Specs reported by the client agent, admin overrides, and the effective specs used for search
+    reported_specs: {
+      type: specSchema,
+      default: () => ({}),
+    },
+    specs_reported_at: {
+      type: Date,
+      default: null,
+    },
+    spec_overrides: {
+      type: specSchema,
+      default: () => ({}),
+    },
+    specs: {
+      type: specSchema,
+      default: () => ({}),
+    },
+    // Place on the laboratory's seat map: row/column on grid layouts, x/y on free layouts
+    position: {
+      row: { type: Number, default: null },
+      column: { type: Number, default: null },
+      x: { type: Number, default: null },
+      y: { type: Number, default: null },
+    },
+    // Reported by the desktop client's heartbeats; offline once it has been silent too long
+    presence: {
+      status: {
+        type: String,
+        enum: ["unknown", "online", "offline"],
+        default: "unknown",
+      },
+      last_seen_at: { type: Date, default: null },
+      agent_version: { type: String, trim: true, default: null },
+      logged_in_user: { type: String, trim: true, default: null },
+      ip_address: { type: String, default: null },
+    },
+    // Bumped inside booking transactions so two transactions booking the same computer
+    // write the same document and one of them fails with a write conflict
+    booking_version: {
+      type: Number,
+      default: 0,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
@@ -41,6 +112,20 @@ computerSchema.index({ laboratory_id: 1, pc_number: 1 }, { unique: true });
 // Index for better query performance
 computerSchema.index({ laboratory_id: 1 });
 computerSchema.index({ status: 1 });
+computerSchema.index({ clientToken: 1 });
+computerSchema.index({ "specs.software": 1 });
+computerSchema.index({ "presence.status": 1, "presence.last_seen_at": 1 });
+
+// Store specs sent by the client agent and recompute the effective specs
+computerSchema.methods.applyReportedSpecs = function (reported, reportedAt = new Date()) {
+  this.reported_specs = reported;
+  this.specs_reported_at = reportedAt;
+  this.refreshSpecs();
+};
+
+computerSchema.methods.refreshSpecs = function () {
+  this.specs = mergeSpecs(this.reported_specs, this.spec_overrides);
+};
 
 // Virtual for id field (MongoDB uses _id by default)
 computerSchema.virtual('id').get(function() {
@@ -53,6 +138,8 @@ computerSchema.set('toJSON', {
   transform: function(doc, ret) {
     delete ret._id;
     delete ret.__v;
+    delete ret.clientToken; // Only handed to the client itself on registration or rotation
+    delete ret.booking_version;
     return ret;
   }
 });
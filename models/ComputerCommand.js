@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import Log from "./Log.js";
+
+export const COMPUTER_COMMANDS = ["lock", "unlock", "logout", "message"];
+
+// Commands not picked up by the client within this time expire
+const DEFAULT_COMMAND_TTL_MINUTES = 60;
+const MAX_COMMANDS_PER_FETCH = 20;
+
+// Command queued for a lab computer's desktop client. The client fetches pending commands
+// with its clientToken and acknowledges each one with the result.
+const computerCommandSchema = new mongoose.Schema(
+  {
+    computer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Computer",
+      required: true,
+    },
+    command: {
+      type: String,
+      enum: COMPUTER_COMMANDS,
+      required: true,
+    },
+    message: {
+      type: String, // Text shown by "message" commands, or alongside a lock
+      trim: true,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "succeeded", "failed", "expired", "cancelled"],
+      default: "pending",
+    },
+    issued_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null, // null for commands issued by the system
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+    delivered_at: {
+      type: Date,
+      default: null,
+    },
+    acknowledged_at: {
+      type: Date,
+      default: null,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed, // Whatever the client reports back
+      default: null,
+    },
+    error_message: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+computerCommandSchema.index({ computer_id: 1, status: 1, createdAt: 1 });
+
+// Virtual for id field (MongoDB uses _id by default)
+computerCommandSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+computerCommandSchema.statics.enqueue = function (computerId, command, { message = null, issuedBy = null, reason = null, ttlMinutes = DEFAULT_COMMAND_TTL_MINUTES } = {}) {
+  return this.create({
+    computer_id: computerId,
+    command,
+    message,
+    issued_by: issuedBy,
+    reason,
+    expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+};
+
+// Queue a system lock unless one is already waiting for the computer. System locks only
+// lock the screen; unlike admin locks they do not take the computer out of availability.
+computerCommandSchema.statics.autoLock = async function (computerId, reason) {
+  if (!computerId) return null;
+  const waiting = await this.findOne({ computer_id: computerId, command: "lock", status: "pending", expires_at: { $gt: new Date() } });
+  if (waiting) return waiting;
+
+  const command = await this.enqueue(computerId, "lock", { reason });
+  await Log.createLog(null, "Automatic computer lock", "computer", "CREATE", {
+    resource_id: computerId,
+    details: { command_id: command._id, command: "lock", reason },
+  });
+  return command;
+};
+
+// Hand the pending commands of a computer to its client, oldest first. Each command is
+// claimed on its own so two overlapping fetches never receive the same command.
+computerCommandSchema.statics.deliverPending = async function (computerId, now = new Date()) {
+  await this.updateMany(
+    { computer_id: computerId, status: "pending", expires_at: { $lte: now } },
+    { $set: { status: "expired" } }
+  );
+
+  const delivered = [];
+  while (delivered.length < MAX_COMMANDS_PER_FETCH) {
+    const command = await this.findOneAndUpdate(
+      { computer_id: computerId, status: "pending" },
+      { $set: { status: "delivered", delivered_at: now } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!command) break;
+    delivered.push(command);
+  }
+  return delivered;
+};
+
+// Ensure virtual fields are serialized
+computerCommandSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model("ComputerCommand", computerCommandSchema);
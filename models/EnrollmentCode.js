@@ -0,0 +1,151 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { customAlphabet } from "nanoid";
+
+// Codes skip look-alike characters (0/O, 1/I) since they are typed in at the lab PC
+const generateCode = customAlphabet("ABCDEFGHJKLMNPQRSTUVWXYZ23456789", 8);
+
+export const hashEnrollmentCode = (code) => crypto
+  .createHash("sha256")
+  .update(String(code).trim().toUpperCase().replace(/^ENR-/, "").replace(/-/g, ""))
+  .digest("hex");
+
+const redemptionSchema = new mongoose.Schema(
+  {
+    computer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Computer",
+      required: true,
+    },
+    ip_address: {
+      type: String,
+      default: null,
+    },
+    redeemed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Admin-issued code that lets the desktop client register a computer in one laboratory.
+// Only the hash of the code is stored; the code itself is shown once when it is issued.
+const enrollmentCodeSchema = new mongoose.Schema(
+  {
+    code_hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    code_hint: {
+      type: String, // Last characters of the code, to tell codes apart in listings
+      required: true,
+    },
+    laboratory_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Laboratory",
+      required: true,
+    },
+    pc_number: {
+      type: String, // Register (or re-enroll) this computer; otherwise the next free number is used
+      trim: true,
+      default: null,
+    },
+    max_uses: {
+      type: Number,
+      default: 1,
+      min: [1, "max_uses must be at least 1"],
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    redemptions: {
+      type: [redemptionSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+enrollmentCodeSchema.index({ laboratory_id: 1, createdAt: -1 });
+
+// Virtual for id field (MongoDB uses _id by default)
+enrollmentCodeSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+enrollmentCodeSchema.virtual('status').get(function() {
+  if (this.revoked_at) return "revoked";
+  if (this.uses >= this.max_uses) return "used";
+  if (this.expires_at <= new Date()) return "expired";
+  return "active";
+});
+
+// Generate a new code; returns the document and the plain code to hand to the admin
+enrollmentCodeSchema.statics.issue = async function ({ laboratoryId, pcNumber = null, maxUses = 1, expiresAt, createdBy }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const raw = generateCode();
+    try {
+      const enrollmentCode = await this.create({
+        code_hash: hashEnrollmentCode(raw),
+        code_hint: raw.slice(-4),
+        laboratory_id: laboratoryId,
+        pc_number: pcNumber,
+        max_uses: maxUses,
+        expires_at: expiresAt,
+        created_by: createdBy,
+      });
+      return { enrollmentCode, code: `ENR-${raw.slice(0, 4)}-${raw.slice(4)}` };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error("Could not generate a unique enrollment code");
+};
+
+// Take one use of a valid code, or return null when it is unknown, revoked, expired or used up
+enrollmentCodeSchema.statics.consume = function (code, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      code_hash: hashEnrollmentCode(code),
+      revoked_at: null,
+      expires_at: { $gt: now },
+      $expr: { $lt: ["$uses", "$max_uses"] },
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+// Give back a use taken by consume() when registration failed afterwards
+enrollmentCodeSchema.methods.release = function () {
+  return this.constructor.updateOne({ _id: this._id, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+};
+
+// Ensure virtual fields are serialized
+enrollmentCodeSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.code_hash;
+    return ret;
+  }
+});
+
+export default mongoose.model("EnrollmentCode", enrollmentCodeSchema);
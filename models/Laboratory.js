@@ -1,4 +1,42 @@
 import mongoose from "mongoose";
+import { weekdayHoursSchema } from "./SystemDefaults.js";
+import { LAYOUT_MODES } from "../utils/labLayout.js";
+
+// Floor plan the seat map is drawn on; computers store their own place on it (Computer.position)
+const layoutSchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+      enum: LAYOUT_MODES,
+      required: true,
+    },
+    rows: { type: Number, default: null }, // grid layouts
+    columns: { type: Number, default: null },
+    width: { type: Number, default: null }, // free layouts
+    height: { type: Number, default: null },
+    aisles: {
+      type: [{ orientation: { type: String, enum: ["row", "column"] }, index: Number, _id: false }],
+      default: [],
+    },
+    instructor_station: {
+      row: { type: Number, default: null },
+      column: { type: Number, default: null },
+      x: { type: Number, default: null },
+      y: { type: Number, default: null },
+      label: { type: String, trim: true, default: null },
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    updated_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
 
 const laboratorySchema = new mongoose.Schema(
   {
@@ -18,6 +56,23 @@ const laboratorySchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
+    operation_hours: {
+      type: String, // Overrides the system operation hours ("HH:MM - HH:MM" or "24 hours")
+      default: null,
+      trim: true,
+    },
+    weekday_hours: {
+      type: [weekdayHoursSchema], // Overrides the system hours on the listed weekdays
+      default: [],
+    },
+    layout: {
+      type: layoutSchema,
+      default: null,
+    },
+    offline_alert_sent_at: {
+      type: Date, // Set while admins have been alerted about offline computers in this laboratory
+      default: null,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
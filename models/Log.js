@@ -5,7 +5,7 @@ const logSchema = new mongoose.Schema(
     admin_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
-      required: true,
+      default: null, // null for actions taken by the system, e.g. automatic computer locks
     },
     action: {
       type: String,
@@ -0,0 +1,205 @@
+import mongoose from "mongoose";
+import { customAlphabet } from "nanoid";
+
+export const TICKET_CATEGORIES = ["hardware", "software", "network", "peripheral", "facility", "other"];
+export const TICKET_PRIORITIES = ["low", "medium", "high", "critical"];
+export const TICKET_STATUSES = ["open", "in_progress", "resolved", "cancelled"];
+
+// Tickets that still keep their computer or laboratory out of service
+export const ACTIVE_TICKET_STATUSES = ["open", "in_progress"];
+
+const TICKET_TRANSITIONS = {
+  open: ["in_progress", "resolved", "cancelled"],
+  in_progress: ["open", "resolved", "cancelled"],
+  resolved: ["open"], // reopened when the issue comes back
+  cancelled: [],
+};
+
+const generateTicketNumber = customAlphabet("ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789", 8);
+
+const ticketUpdateSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: TICKET_STATUSES,
+      default: null, // null for updates that did not change the status
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    by_type: {
+      type: String,
+      enum: ["admin", "user", "system"],
+      default: "system",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Issue reported against a computer or a whole laboratory
+const maintenanceTicketSchema = new mongoose.Schema(
+  {
+    ticket_number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    target_type: {
+      type: String,
+      enum: ["computer", "laboratory"],
+      required: true,
+    },
+    computer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Computer",
+      default: null,
+    },
+    laboratory_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Laboratory",
+      required: true, // Also set for computer tickets, for per-laboratory stats
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    category: {
+      type: String,
+      enum: TICKET_CATEGORIES,
+      default: "other",
+    },
+    priority: {
+      type: String,
+      enum: TICKET_PRIORITIES,
+      default: "medium",
+    },
+    status: {
+      type: String,
+      enum: TICKET_STATUSES,
+      default: "open",
+    },
+    // While an open ticket has this set, its computer or laboratory is kept in maintenance
+    out_of_service: {
+      type: Boolean,
+      default: false,
+    },
+    expected_resolution_at: {
+      type: Date,
+      default: null,
+    },
+    reported_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "reporter_model",
+      required: true,
+    },
+    reporter_model: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    assigned_to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    assigned_at: {
+      type: Date,
+      default: null,
+    },
+    resolution: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    resolved_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    resolved_at: {
+      type: Date,
+      default: null,
+    },
+    updates: {
+      type: [ticketUpdateSchema],
+      default: [],
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+maintenanceTicketSchema.index({ laboratory_id: 1, createdAt: -1 });
+maintenanceTicketSchema.index({ computer_id: 1, status: 1 });
+maintenanceTicketSchema.index({ status: 1, priority: 1 });
+maintenanceTicketSchema.index({ assigned_to: 1, status: 1 });
+
+// Virtual for id field (MongoDB uses _id by default)
+maintenanceTicketSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+maintenanceTicketSchema.statics.generateTicketNumber = async function () {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const ticketNumber = `MT-${generateTicketNumber()}`;
+    if (!(await this.exists({ ticket_number: ticketNumber }))) return ticketNumber;
+  }
+  throw new Error("Could not generate a unique ticket number");
+};
+
+maintenanceTicketSchema.methods.canTransitionTo = function (status) {
+  return (TICKET_TRANSITIONS[this.status] || []).includes(status);
+};
+
+maintenanceTicketSchema.methods.getAllowedTransitions = function () {
+  return [...(TICKET_TRANSITIONS[this.status] || [])];
+};
+
+// Move the ticket to a new status and record who did it. Callers check canTransitionTo first.
+maintenanceTicketSchema.methods.transitionTo = function (status, { by = null, byType = "system", note = null } = {}) {
+  this.status = status;
+  if (status === "resolved") {
+    this.resolved_at = new Date();
+    this.resolved_by = byType === "admin" ? by : null;
+    if (note) this.resolution = note;
+  } else if (status === "open") {
+    this.resolved_at = null;
+    this.resolved_by = null;
+  }
+  this.updates.push({ status, note, by, by_type: byType });
+};
+
+maintenanceTicketSchema.methods.isActive = function () {
+  return ACTIVE_TICKET_STATUSES.includes(this.status);
+};
+
+// Ensure virtual fields are serialized
+maintenanceTicketSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model("MaintenanceTicket", maintenanceTicketSchema);
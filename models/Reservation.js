@@ -1,4 +1,90 @@
 import mongoose from "mongoose";
+import Computer from "./Computer.js";
+import SystemDefaults, { MAX_RESERVATION_MINUTES } from "./SystemDefaults.js";
+import User from "./User.js";
+import { canTransition, getAllowedTransitions, InvalidTransitionError, RESERVATION_STATUSES } from "../utils/reservationStateMachine.js";
+import { combineTZDateAndTime, getStartEndOfDay, getTZCurrentTimeString, getTZMinutesSinceMidnight } from "../utils/timezone.js";
+
+const DAY_MINUTES = 24 * 60;
+
+// Previous slot of a reservation, recorded each time it is rescheduled
+const rescheduleEntrySchema = new mongoose.Schema(
+  {
+    reservation_date: {
+      type: Date,
+      required: true,
+    },
+    start_time: {
+      type: String,
+      required: true,
+    },
+    end_time: {
+      type: String,
+      required: true,
+    },
+    computer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Computer",
+      default: null,
+    },
+    status: {
+      type: String, // Status the reservation had before the move
+      required: true,
+    },
+    rescheduled_by: {
+      type: mongoose.Schema.Types.ObjectId, // User or Admin who moved the reservation
+      required: true,
+    },
+    rescheduled_by_type: {
+      type: String,
+      enum: ["admin", "user"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    rescheduled_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One status change of a reservation, including its creation (from is null)
+const statusEntrySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId, // User or Admin, null for automatic changes
+      default: null,
+    },
+    changed_by_type: {
+      type: String,
+      enum: ["admin", "user", "system"],
+      default: "system",
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    changed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const reservationSchema = new mongoose.Schema(
   {
@@ -59,6 +145,17 @@ const reservationSchema = new mongoose.Schema(
         message: 'End time must be in military time format (HH:MM, e.g., 16:45)'
       }
     },
+    // Absolute start and end of the reservation, kept in sync with reservation_date,
+    // start_time, end_time and duration. Overnight and multi-day reservations end
+    // on a later day than reservation_date.
+    start_at: {
+      type: Date,
+      default: null,
+    },
+    end_at: {
+      type: Date,
+      default: null,
+    },
     purpose: {
       type: String,
       required: true,
@@ -73,11 +170,11 @@ const reservationSchema = new mongoose.Schema(
       type: Number, // Duration in minutes
       required: true,
       min: [1, "Duration must be at least 1 minute"],
-      max: [540, "Duration cannot exceed 9 hours (540 minutes)"]
+      max: [MAX_RESERVATION_MINUTES, `Duration cannot exceed ${MAX_RESERVATION_MINUTES} minutes`]
     },
     status: {
       type: String,
-      enum: ["pending", "approved", "active", "completed", "cancelled"],
+      enum: RESERVATION_STATUSES,
       default: "pending",
     },
     approved_by: {
@@ -93,6 +190,40 @@ const reservationSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    series_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReservationSeries",
+      default: null,
+    },
+    series_index: {
+      type: Number, // Position of this occurrence within its series (0-based)
+      default: null,
+    },
+    group_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReservationGroup",
+      default: null,
+    },
+    // Set when an admin has to look at the reservation, e.g. because its computer went out of service
+    attention: {
+      reason: { type: String, default: null },
+      maintenance_ticket_id: { type: mongoose.Schema.Types.ObjectId, ref: "MaintenanceTicket", default: null },
+      flagged_at: { type: Date, default: null },
+    },
+    // Start and end of the window each reminder was last sent for, so a rescheduled
+    // reservation is reminded again
+    reminders: {
+      start_sent_for: { type: Date, default: null },
+      end_sent_for: { type: Date, default: null },
+    },
+    reschedule_history: {
+      type: [rescheduleEntrySchema],
+      default: [],
+    },
+    status_history: {
+      type: [statusEntrySchema],
+      default: [],
+    },
     isDeleted: {
       type: Boolean,
       default: false,
@@ -116,6 +247,10 @@ reservationSchema.index({ reservation_date: 1, laboratory_id: 1 });
 reservationSchema.index({ start_time: 1, end_time: 1 });
 reservationSchema.index({ user_id: 1, status: 1 });
 reservationSchema.index({ approved_by: 1 });
+reservationSchema.index({ series_id: 1, series_index: 1 });
+reservationSchema.index({ group_id: 1 });
+reservationSchema.index({ "attention.flagged_at": 1 });
+reservationSchema.index({ start_at: 1, end_at: 1 });
 
 // Virtual for id field (MongoDB uses _id by default)
 reservationSchema.virtual('id').get(function() {
@@ -135,14 +270,6 @@ const minutesToTime = (minutes) => {
   return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
 };
 
-// Helper function to combine date and military time into a full DateTime
-const combineDateAndTime = (date, timeString) => {
-  const [hours, minutes] = timeString.split(':').map(Number);
-  const combinedDate = new Date(date);
-  combinedDate.setHours(hours, minutes, 0, 0);
-  return combinedDate;
-};
-
 // Virtual for calculated end time (for backward compatibility)
 // reservationSchema.virtual('calculated_end_time').get(function() {
 //   if (this.end_time && this.reservation_date) {
@@ -186,42 +313,57 @@ reservationSchema.pre('save', async function(next) {
   if (this.isDeleted) return next();
 
   try {
-    // Validate that reservation is not in the past (only for new reservations)
-    if (this.isNew && this.start_time && this.reservation_date) {
-      const startDateTime = combineDateAndTime(this.reservation_date, this.start_time);
-      const now = new Date();
-      
-      if (startDateTime < now) {
-        const error = new Error('Cannot create reservation in the past');
-        error.name = 'ValidationError';
-        return next(error);
-      }
-    }
+    const windowChanged = this.isModified('start_at') || this.isModified('end_at');
+    const fieldsChanged = ['reservation_date', 'start_time', 'end_time', 'duration'].some(field => this.isModified(field));
 
-    // Validate that end_time is after start_time
-    if (this.start_time && this.end_time) {
-      const startMinutes = timeToMinutes(this.start_time);
-      const endMinutes = timeToMinutes(this.end_time);
-      
-      // For same-day reservations, end time must be after start time
-      if (endMinutes <= startMinutes) {
-        const error = new Error('End time must be after start time on the same day');
+    if (this.start_at && this.end_at && windowChanged && !fieldsChanged) {
+      // Absolute window set directly: derive the local fields from it
+      if (this.end_at <= this.start_at) {
+        const error = new Error('End time must be after start time');
         error.name = 'ValidationError';
         return next(error);
       }
-
-      // Calculate and validate duration consistency
-      const calculatedDuration = endMinutes - startMinutes;
-      if (this.duration && Math.abs(this.duration - calculatedDuration) > 1) {
-        const error = new Error('Duration must match the difference between start_time and end_time');
+      this.reservation_date = getStartEndOfDay(this.start_at).startOfDay;
+      this.start_time = getTZCurrentTimeString(this.start_at);
+      this.end_time = getTZCurrentTimeString(this.end_at);
+      this.duration = Math.round((this.end_at.getTime() - this.start_at.getTime()) / 60000);
+    } else if (this.reservation_date && this.start_time && (fieldsChanged || !this.start_at || !this.end_at)) {
+      // Local fields set: derive the absolute window. An end_time at or before
+      // start_time ends on the following day; longer windows need a duration.
+      const startAt = combineTZDateAndTime(this.reservation_date, this.start_time);
+      let duration = this.duration;
+      if (!duration && this.end_time) {
+        duration = (timeToMinutes(this.end_time) - timeToMinutes(this.start_time) + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES;
+      }
+      if (!duration) {
+        const error = new Error('Either end_time or duration is required');
         error.name = 'ValidationError';
         return next(error);
       }
+      const endAt = new Date(startAt.getTime() + duration * 60 * 1000);
 
-      // Auto-set duration if not provided
-      if (!this.duration) {
-        this.duration = calculatedDuration;
+      // Validate that end_time matches the end of the window (a minute of rounding is allowed)
+      if (this.end_time) {
+        const drift = Math.abs(getTZMinutesSinceMidnight(endAt) - timeToMinutes(this.end_time));
+        if (Math.min(drift, DAY_MINUTES - drift) > 1) {
+          const error = new Error('Duration must match the difference between start_time and end_time');
+          error.name = 'ValidationError';
+          return next(error);
+        }
+      } else {
+        this.end_time = getTZCurrentTimeString(endAt);
       }
+
+      this.duration = duration;
+      this.start_at = startAt;
+      this.end_at = endAt;
+    }
+
+    // Validate that reservation is not in the past (only for new reservations)
+    if (this.isNew && this.start_at && this.start_at < new Date(Date.now() - 60 * 1000)) {
+      const error = new Error('Cannot create reservation in the past');
+      error.name = 'ValidationError';
+      return next(error);
     }
 
     next();
@@ -230,6 +372,177 @@ reservationSchema.pre('save', async function(next) {
   }
 });
 
+// Remember the stored status so direct assignments can be checked on save
+reservationSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Enforce the state machine on every save and record status changes that were
+// not made through transitionTo
+reservationSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (this.status_history.length === 0) {
+      this.status_history.push({
+        from: null,
+        to: this.status,
+        changed_by: this.approved_by || this.user_id,
+        changed_by_type: this.approved_by ? "admin" : "user",
+      });
+    }
+  } else if (this.isModified('status') && !this.$locals.statusRecorded) {
+    const from = this.$locals.savedStatus;
+    if (from && from !== this.status) {
+      if (!canTransition(from, this.status)) return next(new InvalidTransitionError(from, this.status));
+      this.status_history.push({ from, to: this.status });
+    }
+  }
+  next();
+});
+
+reservationSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+  this.$locals.statusRecorded = false;
+});
+
+// Statuses this reservation can move to next
+reservationSchema.methods.getAllowedTransitions = function () {
+  return getAllowedTransitions(this.status);
+};
+
+reservationSchema.methods.canTransitionTo = function (status) {
+  return canTransition(this.status, status);
+};
+
+// Move the reservation to a new status and record who changed it and why.
+// Throws InvalidTransitionError for transitions the state machine does not allow.
+reservationSchema.methods.transitionTo = function (status, { changedBy = null, changedByType = "system", reason = null } = {}) {
+  const from = this.status;
+  if (!canTransition(from, status)) throw new InvalidTransitionError(from, status);
+
+  this.status = status;
+  this.status_history.push({
+    from,
+    to: status,
+    changed_by: changedBy,
+    changed_by_type: changedBy ? changedByType : "system",
+    reason: reason?.trim() || null,
+  });
+  this.$locals.statusRecorded = true;
+  return this;
+};
+
+// Absolute start and end of the reservation. Reservations saved before start_at and
+// end_at existed are derived from their local date, start time and duration.
+reservationSchema.methods.getWindow = function () {
+  if (this.start_at && this.end_at) {
+    return { startAt: new Date(this.start_at), endAt: new Date(this.end_at) };
+  }
+  const startAt = combineTZDateAndTime(this.reservation_date, this.start_time);
+  const duration = this.duration
+    || (timeToMinutes(this.end_time) - timeToMinutes(this.start_time) + DAY_MINUTES) % DAY_MINUTES;
+  return { startAt, endAt: new Date(startAt.getTime() + duration * 60 * 1000) };
+};
+
+// Whether the reservation overlaps the window [startAt, endAt)
+reservationSchema.methods.overlapsWindow = function (startAt, endAt) {
+  const window = this.getWindow();
+  return window.startAt < endAt && startAt < window.endAt;
+};
+
+// Minutes of a day (since midnight, up to 1440) covered by the reservation, or null
+reservationSchema.methods.getDayRange = function (date) {
+  const { startOfDay, endOfDay } = getStartEndOfDay(new Date(date));
+  const dayEnd = new Date(endOfDay.getTime() + 1);
+  const { startAt, endAt } = this.getWindow();
+  if (endAt <= startOfDay || startAt >= dayEnd) return null;
+  return {
+    start: Math.max(0, Math.round((startAt.getTime() - startOfDay.getTime()) / 60000)),
+    end: Math.min(DAY_MINUTES, Math.round((endAt.getTime() - startOfDay.getTime()) / 60000)),
+  };
+};
+
+// Query condition for reservations that may overlap [startAt, endAt). Legacy
+// reservations without start_at are matched by day; narrow results with overlapsWindow.
+reservationSchema.statics.overlapCondition = function (startAt, endAt) {
+  return {
+    $or: [
+      { start_at: { $lt: endAt }, end_at: { $gt: startAt } },
+      {
+        start_at: null,
+        reservation_date: {
+          $gte: getStartEndOfDay(new Date(startAt)).startOfDay,
+          $lte: getStartEndOfDay(new Date(endAt.getTime() - 1)).endOfDay,
+        },
+      },
+    ],
+  };
+};
+
+// Mark an approved reservation as a no-show. Frees the reserved computer, counts the no-show
+// on the user and, when a threshold is configured in SystemDefaults, blocks the user from
+// booking for a number of days. Applying a block resets the user's no-show count, so each
+// block takes another threshold of no-shows rather than every later no-show extending the last block.
+// Returns the block applied ({ user_id, id_number, blocked_until }) or null.
+reservationSchema.methods.markNoShow = async function ({ changedBy = null, changedByType = "system", reason = null, now = new Date(), defaults } = {}) {
+  const settings = defaults === undefined ? await SystemDefaults.getCurrent() : defaults;
+  const threshold = settings?.no_show_threshold ?? null;
+  const blockDays = settings?.no_show_block_days ?? 7;
+
+  this.transitionTo("no_show", { changedBy, changedByType, reason });
+  await this.save();
+
+  if (this.computer_id) {
+    await Computer.updateOne(
+      { _id: this.computer_id, status: "reserved" },
+      { $set: { status: "available" } }
+    );
+  }
+
+  const user = await User.findByIdAndUpdate(
+    this.user_id,
+    { $inc: { no_show_count: 1 } },
+    { new: true }
+  );
+  if (!user || !threshold || user.no_show_count < threshold) return null;
+
+  user.booking_blocked_until = new Date(new Date(now).getTime() + blockDays * 24 * 60 * 60 * 1000);
+  user.no_show_count = 0;
+  await user.save();
+  return { user_id: user._id, id_number: user.id_number, blocked_until: user.booking_blocked_until };
+};
+
+// Mark approved computer reservations that were never started within the grace period as no-shows
+reservationSchema.statics.markNoShows = async function (date = new Date()) {
+  const now = new Date(date);
+  const defaults = await SystemDefaults.getCurrent();
+  const graceMinutes = defaults?.no_show_grace_minutes ?? 15;
+
+  const candidates = await this.find({
+    reservation_type: "computer",
+    status: "approved",
+    isDeleted: false,
+    $or: [{ start_at: { $lte: now } }, { start_at: null, reservation_date: { $lte: getStartEndOfDay(now).endOfDay } }],
+  });
+
+  const marked = [];
+  const blockedUsers = [];
+  for (const reservation of candidates) {
+    if (!reservation.start_time) continue;
+    const { startAt } = reservation.getWindow();
+    if (startAt.getTime() + graceMinutes * 60 * 1000 > now.getTime()) continue;
+
+    const block = await reservation.markNoShow({
+      reason: `Not started within ${graceMinutes} minutes of the start time`,
+      now,
+      defaults,
+    });
+    marked.push(reservation);
+    if (block) blockedUsers.push(block);
+  }
+
+  return { marked, blockedUsers, graceMinutes };
+};
+
 // Ensure virtual fields are serialized
 reservationSchema.set('toJSON', {
   virtuals: true,
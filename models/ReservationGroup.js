@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// Several computers in one laboratory booked together for the same window.
+// Each seat is a computer Reservation with group_id set.
+const reservationGroupSchema = new mongoose.Schema(
+  {
+    reservation_number: {
+      type: String,
+      required: true,
+      unique: true, // Shared by the group; seats use <number>-<seat>
+    },
+    organizer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    laboratory_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Laboratory",
+      required: true,
+    },
+    reservation_date: {
+      type: Date,
+      required: true,
+    },
+    start_time: {
+      type: String,
+      required: true,
+    },
+    end_time: {
+      type: String,
+      required: true,
+    },
+    duration: {
+      type: Number, // Duration in minutes
+      required: true,
+    },
+    size: {
+      type: Number, // Number of computers in the group
+      required: true,
+      min: 2,
+    },
+    purpose: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "cancelled"],
+      default: "pending",
+    },
+    approved_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+reservationGroupSchema.index({ organizer_id: 1 });
+reservationGroupSchema.index({ laboratory_id: 1, reservation_date: 1 });
+reservationGroupSchema.index({ status: 1 });
+
+// Virtual for id field (MongoDB uses _id by default)
+reservationGroupSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+// Ensure virtual fields are serialized
+reservationGroupSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model("ReservationGroup", reservationGroupSchema);
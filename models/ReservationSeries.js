@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+const reservationSeriesSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reservation_type: {
+      type: String,
+      enum: ["laboratory", "computer"],
+      required: true,
+    },
+    computer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Computer",
+      default: null,
+    },
+    laboratory_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Laboratory",
+      default: null,
+    },
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "custom"],
+      required: true,
+    },
+    interval: {
+      type: Number, // Every N days (daily) or N weeks (weekly/custom)
+      default: 1,
+      min: 1,
+    },
+    weekdays: {
+      type: [Number], // 0 = Sunday ... 6 = Saturday (used by custom frequency)
+      default: [],
+    },
+    start_date: {
+      type: Date,
+      required: true,
+    },
+    end_date: {
+      type: Date,
+      default: null,
+    },
+    occurrences: {
+      type: Number,
+      default: null,
+    },
+    start_time: {
+      type: String,
+      required: true,
+    },
+    end_time: {
+      type: String,
+      required: true,
+    },
+    purpose: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    semester: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+reservationSeriesSchema.index({ user_id: 1 });
+reservationSeriesSchema.index({ status: 1 });
+
+// Virtual for id field (MongoDB uses _id by default)
+reservationSeriesSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+// Ensure virtual fields are serialized
+reservationSeriesSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model("ReservationSeries", reservationSeriesSchema);
@@ -1,5 +1,52 @@
 import mongoose from "mongoose";
 
+// Reservations default to 9 hours; max_reservation_minutes can raise this up to a week
+export const DEFAULT_MAX_RESERVATION_MINUTES = 540;
+export const MAX_RESERVATION_MINUTES = 7 * 24 * 60;
+// Reminders are sent at most a day ahead
+export const MAX_REMINDER_MINUTES = 24 * 60;
+
+const isMilitaryTime = (value) => !value || /^([01]?\d|2[0-3]):[0-5]\d$/.test(value);
+
+// Opening hours for a single weekday; also used for per-laboratory overrides
+export const weekdayHoursSchema = new mongoose.Schema(
+  {
+    weekday: {
+      type: Number, // 0 = Sunday ... 6 = Saturday
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    open: {
+      type: String,
+      default: null,
+      validate: { validator: isMilitaryTime, message: "open must be in format 'HH:MM'" },
+    },
+    close: {
+      type: String,
+      default: null,
+      validate: { validator: isMilitaryTime, message: "close must be in format 'HH:MM'" },
+    },
+    closed: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+});
+
 const systemDefaultsSchema = new mongoose.Schema(
   {
     default_allotted_time: {
@@ -27,6 +74,62 @@ const systemDefaultsSchema = new mongoose.Schema(
         message: "operation_hours must be in format 'HH:MM - HH:MM' or '24 hours'"
       }
     },
+    weekday_hours: {
+      type: [weekdayHoursSchema], // Overrides operation_hours on the listed weekdays
+      default: [],
+    },
+    holidays: {
+      type: [holidaySchema], // Days every laboratory is closed
+      default: [],
+    },
+    no_show_grace_minutes: {
+      type: Number,
+      default: 15,
+      min: [0, "no_show_grace_minutes cannot be negative"]
+    },
+    no_show_threshold: {
+      type: Number, // Block booking after this many no-shows (null disables blocking)
+      default: null,
+      min: [1, "no_show_threshold must be at least 1"]
+    },
+    no_show_block_days: {
+      type: Number,
+      default: 7,
+      min: [1, "no_show_block_days must be at least 1"]
+    },
+    session_overtime_grace_minutes: {
+      type: Number, // Minutes past the reservation end before an open session is auto-ended
+      default: 15,
+      min: [0, "session_overtime_grace_minutes cannot be negative"]
+    },
+    reminder_lead_minutes: {
+      type: Number, // Minutes before an approved reservation starts to remind its user (null disables)
+      default: 30,
+      min: [1, "reminder_lead_minutes must be at least 1"],
+      max: [MAX_REMINDER_MINUTES, `reminder_lead_minutes cannot exceed ${MAX_REMINDER_MINUTES}`]
+    },
+    session_end_reminder_minutes: {
+      type: Number, // Minutes before an active reservation ends to remind its user (null disables)
+      default: 10,
+      min: [1, "session_end_reminder_minutes must be at least 1"],
+      max: [MAX_REMINDER_MINUTES, `session_end_reminder_minutes cannot exceed ${MAX_REMINDER_MINUTES}`]
+    },
+    client_offline_minutes: {
+      type: Number, // Minutes without a client heartbeat before a computer is marked offline
+      default: 3,
+      min: [1, "client_offline_minutes must be at least 1"]
+    },
+    offline_alert_threshold: {
+      type: Number, // Email admins once this many computers in one laboratory are offline (null disables)
+      default: 5,
+      min: [1, "offline_alert_threshold must be at least 1"]
+    },
+    max_reservation_minutes: {
+      type: Number, // Longest reservation allowed; raise it to allow overnight or multi-day bookings
+      default: DEFAULT_MAX_RESERVATION_MINUTES,
+      min: [1, "max_reservation_minutes must be at least 1"],
+      max: [MAX_RESERVATION_MINUTES, `max_reservation_minutes cannot exceed ${MAX_RESERVATION_MINUTES}`]
+    },
   },
   { timestamps: true }
 );
@@ -45,5 +148,11 @@ systemDefaultsSchema.statics.getCurrent = async function () {
   return defaults;
 };
 
+// Longest reservation currently allowed, in minutes
+systemDefaultsSchema.statics.getMaxReservationMinutes = async function () {
+  const defaults = await this.getCurrent();
+  return defaults?.max_reservation_minutes ?? DEFAULT_MAX_RESERVATION_MINUTES;
+};
+
 export default mongoose.model("SystemDefaults", systemDefaultsSchema);
 
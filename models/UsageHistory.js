@@ -1,5 +1,10 @@
 import mongoose from "mongoose";
-import { getTZCurrentTimeString } from "../utils/timezone.js";
+import Computer from "./Computer.js";
+import ComputerCommand from "./ComputerCommand.js";
+import Reservation from "./Reservation.js";
+import SystemDefaults from "./SystemDefaults.js";
+import User from "./User.js";
+import { combineTZDateAndTime, getTZCurrentTimeString } from "../utils/timezone.js";
 
 const usageHistorySchema = new mongoose.Schema(
   {
@@ -42,6 +47,11 @@ const usageHistorySchema = new mongoose.Schema(
             return false;
           }
           
+          // Sessions with instants may run past midnight
+          if (this.started_at && this.ended_at) {
+            return this.ended_at > this.started_at;
+          }
+
           // If time_out is provided, it should be after time_in
           if (this.time_in && value) {
             const timeInMinutes = this.time_in.split(':').reduce((acc, time) => (60 * acc) + +time);
@@ -54,6 +64,14 @@ const usageHistorySchema = new mongoose.Schema(
         message: "Time out must be in 24-hour format (HH:MM) and after time in"
       }
     },
+    started_at: {
+      type: Date, // Absolute session start; time_in is its wall-clock time
+      default: null,
+    },
+    ended_at: {
+      type: Date, // Absolute session end; time_out is its wall-clock time
+      default: null,
+    },
     duration: {
       type: Number, // in minutes
       default: 0,
@@ -101,8 +119,23 @@ usageHistorySchema.virtual('id').get(function() {
   return this._id.toHexString();
 });
 
+const timeToMinutes = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Latest instant at a wall-clock time (HH:MM) that is not after the reference,
+// so a time out of 00:30 shortly after midnight still follows a 23:00 time in
+const latestTimeAtOrBefore = (timeString, reference) => {
+  const at = combineTZDateAndTime(reference, timeString);
+  return at > reference ? new Date(at.getTime() - 24 * 60 * 60 * 1000) : at;
+};
+
 // Virtual for calculated duration (in case time_out is updated)
 usageHistorySchema.virtual('calculated_duration').get(function() {
+  if (this.started_at && this.ended_at) {
+    return Math.round((this.ended_at - this.started_at) / 60000);
+  }
   if (this.time_in && this.time_out) {
     // Convert time strings to minutes
     const timeInMinutes = this.time_in.split(':').reduce((acc, time) => (60 * acc) + +time);
@@ -112,9 +145,23 @@ usageHistorySchema.virtual('calculated_duration').get(function() {
   return 0;
 });
 
+// Sessions created before started_at existed get it from their date and time in
+usageHistorySchema.pre('validate', function(next) {
+  if (!this.started_at && this.time_in && this.date) {
+    this.started_at = combineTZDateAndTime(this.date, this.time_in);
+  }
+  next();
+});
+
 // Pre-save middleware to calculate duration
 usageHistorySchema.pre('save', function(next) {
-  if (this.time_in && this.time_out) {
+  if (this.started_at && this.ended_at) {
+    this.duration = Math.round((this.ended_at - this.started_at) / 60000);
+
+    if (this.status === 'active' && this.time_out) {
+      this.status = 'completed';
+    }
+  } else if (this.time_in && this.time_out) {
     // Convert time strings to minutes and calculate duration
     const timeInMinutes = this.time_in.split(':').reduce((acc, time) => (60 * acc) + +time);
     const timeOutMinutes = this.time_out.split(':').reduce((acc, time) => (60 * acc) + +time);
@@ -127,11 +174,12 @@ usageHistorySchema.pre('save', function(next) {
   } else if (this.status === 'completed' && !this.time_out) {
     const now = new Date();
     this.time_out = getTZCurrentTimeString(now);
+    this.ended_at = now;
     
     // Calculate duration
-    const timeInMinutes = this.time_in.split(':').reduce((acc, time) => (60 * acc) + +time);
-    const timeOutMinutes = this.time_out.split(':').reduce((acc, time) => (60 * acc) + +time);
-    this.duration = timeOutMinutes - timeInMinutes;
+    this.duration = this.started_at
+      ? Math.round((now - this.started_at) / 60000)
+      : timeToMinutes(this.time_out) - timeToMinutes(this.time_in);
   }
   
   next();
@@ -141,26 +189,29 @@ usageHistorySchema.pre('save', function(next) {
 usageHistorySchema.statics.createFromReservation = async function(reservation, admin_id, time_in = null) {
   try {
     // Format time_in as HH:MM string
+    const now = new Date();
     let formattedTimeIn;
+    let startedAt = now;
     if (time_in) {
       // If time_in is already in HH:MM format, use it directly
       if (/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time_in)) {
         formattedTimeIn = time_in;
+        startedAt = latestTimeAtOrBefore(time_in, now);
       } else {
         // If it's a Date object or string, convert it
-        const timeDate = new Date(time_in);
-        formattedTimeIn = getTZCurrentTimeString(timeDate);
+        startedAt = new Date(time_in);
+        formattedTimeIn = getTZCurrentTimeString(startedAt);
       }
     } else {
-      const now = new Date();
       formattedTimeIn = getTZCurrentTimeString(now);
     }
 
     const usageHistory = new this({
       reservation_id: reservation._id,
       user_id: reservation.user_id,
-      date: new Date(),
+      date: now,
       time_in: formattedTimeIn,
+      started_at: startedAt,
       purpose: reservation.purpose,
       approved_by: admin_id,
       status: 'active'
@@ -172,6 +223,153 @@ usageHistorySchema.statics.createFromReservation = async function(reservation, a
   }
 };
 
+// Parse a remaining time string (HH:MM:SS) into minutes
+const parseTimeToMinutes = (timeString) => {
+  if (!timeString) return 0;
+  const [hours, minutes, seconds] = timeString.split(':').map(Number);
+  return (hours * 60) + minutes + Math.round(seconds / 60);
+};
+
+// Convert minutes back to HH:MM:SS format
+const minutesToTimeString = (totalMinutes) => {
+  const hours = Math.floor(Math.abs(totalMinutes) / 60);
+  const minutes = Math.floor(Math.abs(totalMinutes) % 60);
+  const seconds = Math.round((Math.abs(totalMinutes) % 1) * 60);
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// When the user's remaining time runs out during an open session, or null if it has not
+// (users without remaining_time, such as faculty, have no limit)
+const remainingTimeExhaustedAt = async (usageHistory, now) => {
+  const user = await User.findById(usageHistory.user_id).select("remaining_time");
+  if (!user || !user.remaining_time) return null;
+
+  // At least one minute so the session still ends after it started
+  const remainingMinutes = Math.max(1, parseTimeToMinutes(user.remaining_time));
+  const startedAt = usageHistory.started_at || combineTZDateAndTime(usageHistory.date, usageHistory.time_in);
+  const exhaustedAt = new Date(startedAt.getTime() + remainingMinutes * 60 * 1000);
+  return exhaustedAt <= now ? exhaustedAt : null;
+};
+
+// Close a session: set time out and status, deduct the used minutes from the user's
+// remaining time, complete the related reservation and return the computer to available
+usageHistorySchema.statics.closeSession = async function(usageHistory, { time_out = null, ended_at = null, status = "completed", notes = null } = {}) {
+  const now = new Date();
+  usageHistory.ended_at = ended_at || (time_out ? latestTimeAtOrBefore(time_out, now) : now);
+  usageHistory.time_out = time_out || getTZCurrentTimeString(usageHistory.ended_at);
+  usageHistory.status = status;
+  if (notes) usageHistory.notes = notes;
+
+  await usageHistory.save();
+
+  // Subtract duration from user's remaining time
+  const user = await User.findById(usageHistory.user_id);
+  if (user && user.remaining_time && usageHistory.duration > 0) {
+    const currentRemainingMinutes = parseTimeToMinutes(user.remaining_time);
+    const newRemainingMinutes = Math.max(0, currentRemainingMinutes - usageHistory.duration);
+
+    await User.findByIdAndUpdate(usageHistory.user_id, {
+      remaining_time: minutesToTimeString(newRemainingMinutes)
+    });
+
+    // Log if user exceeded their remaining time
+    if (currentRemainingMinutes < usageHistory.duration) {
+      console.log(`User ${user.id_number} exceeded remaining time by ${usageHistory.duration - currentRemainingMinutes} minutes`);
+    }
+  }
+
+  // Update related reservation to completed
+  const reservation = await Reservation.findById(usageHistory.reservation_id);
+  if (reservation && reservation.canTransitionTo("completed")) {
+    reservation.transitionTo("completed", { reason: `Usage session ${status}` });
+    reservation.completed_at = new Date();
+    await reservation.save();
+  }
+
+  if (reservation && reservation.computer_id) {
+    await Computer.updateOne(
+      { _id: reservation.computer_id, status: { $in: ["occupied", "reserved"] } },
+      { $set: { status: "available" } }
+    );
+    // Lock the screen so the next person cannot continue on this session
+    await ComputerCommand.autoLock(reservation.computer_id, `Usage session ${status}`);
+  }
+
+  return usageHistory;
+};
+
+// Compare active sessions with their reservation end time: sessions past the end are
+// flagged as overtime, and sessions still open after the grace period are auto-ended
+// as interrupted (charged up to the reserved end time). Sessions within their reservation
+// are ended once the user's remaining time is used up.
+usageHistorySchema.statics.sweepActiveSessions = async function(date = new Date()) {
+  const now = new Date(date);
+  const defaults = await SystemDefaults.getCurrent();
+  const graceMinutes = defaults?.session_overtime_grace_minutes ?? 15;
+
+  const sessions = await this.find({
+    status: { $in: ["active", "overtime"] },
+    isDeleted: false
+  }).populate('reservation_id', 'reservation_date start_time end_time duration start_at end_at computer_id status');
+
+  const overtime = [];
+  const interrupted = [];
+  const exhausted = [];
+  for (const session of sessions) {
+    const reservation = session.reservation_id;
+    if (!reservation || !reservation.start_time) continue;
+
+    const { endAt } = reservation.getWindow();
+    if (now <= endAt) {
+      try {
+        // Students whose remaining time runs out mid-session are ended at that moment
+        const exhaustedAt = await remainingTimeExhaustedAt(session, now);
+        if (exhaustedAt) {
+          session.reservation_id = reservation._id;
+          await this.closeSession(session, {
+            time_out: getTZCurrentTimeString(exhaustedAt),
+            ended_at: exhaustedAt,
+            status: "interrupted",
+            notes: `${session.notes ? `${session.notes} ` : ''}[Auto-ended: remaining time used up]`
+          });
+          exhausted.push(session);
+        }
+      } catch (error) {
+        console.error(`Failed to end usage session ${session._id} on remaining time:`, error);
+      }
+      continue;
+    }
+
+    try {
+      if (now.getTime() <= endAt.getTime() + graceMinutes * 60 * 1000) {
+        if (session.status === "active") {
+          session.status = "overtime";
+          await session.save();
+          overtime.push(session);
+        }
+        continue;
+      }
+
+      // Charged up to the reserved end, or one minute for sessions started after it
+      const startedAt = session.started_at || combineTZDateAndTime(session.date, session.time_in);
+      const endedAt = endAt > startedAt ? endAt : new Date(startedAt.getTime() + 60 * 1000);
+
+      session.reservation_id = reservation._id;
+      await this.closeSession(session, {
+        time_out: getTZCurrentTimeString(endedAt),
+        ended_at: endedAt,
+        status: "interrupted",
+        notes: `${session.notes ? `${session.notes} ` : ''}[Auto-ended: session exceeded reservation end time]`
+      });
+      interrupted.push(session);
+    } catch (error) {
+      console.error(`Failed to sweep usage session ${session._id}:`, error);
+    }
+  }
+
+  return { overtime, interrupted, exhausted, graceMinutes };
+};
+
 // Ensure virtual fields are serialized
 usageHistorySchema.set('toJSON', {
   virtuals: true,
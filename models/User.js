@@ -29,11 +29,26 @@ const userSchema = new mongoose.Schema(
     },
 
     remaining_time: { type: String, default: null }, // in minutes or hours
+
+    // No-show tracking and temporary booking block
+    no_show_count: { type: Number, default: 0 },
+    booking_blocked_until: { type: Date, default: null },
+
+    // Reservation reminder opt-outs, per reminder and per channel
+    reminder_preferences: {
+      before_start: { type: Boolean, default: true },
+      before_end: { type: Boolean, default: true },
+      email: { type: Boolean, default: true },
+      webhook: { type: Boolean, default: true },
+    },
     
     // Reservation tracking fields
     // approved_reservations_count: { type: Number, default: 0 },
     // rejected_reservations_count: { type: Number, default: 0 },
     
+    // Secret for calendar feed subscriptions, since calendar apps cannot send the session cookie
+    calendar_token: { type: String, select: false, index: { unique: true, sparse: true } },
+
     isDeleted: { type: Boolean, default: false },
     // Password reset token and expiry for forgot-password flow
     resetPasswordToken: { type: String, default: null },
@@ -0,0 +1,250 @@
+import mongoose from "mongoose";
+import sendMail from "../utils/mailer.js";
+import { checkReservationConflicts, hasConflicts } from "../utils/reservations.js";
+import { APP_TIMEZONE, combineTZDateAndTime, getStartEndOfDay, getTZDateString } from "../utils/timezone.js";
+
+// Minutes a waitlisted user has to claim an offered slot
+const CLAIM_WINDOW_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || 30;
+
+const waitlistSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reservation_type: {
+      type: String,
+      enum: ["laboratory", "computer"],
+      required: true,
+    },
+    computer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Computer",
+      default: null,
+    },
+    laboratory_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Laboratory",
+      default: null,
+    },
+    reservation_date: {
+      type: Date,
+      required: true,
+    },
+    start_time: {
+      type: String,
+      required: true,
+    },
+    end_time: {
+      type: String,
+      required: true,
+    },
+    duration: {
+      type: Number, // Duration in minutes
+      required: true,
+    },
+    purpose: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "claimed", "expired", "cancelled"],
+      default: "waiting",
+    },
+    offered_at: {
+      type: Date,
+      default: null,
+    },
+    claim_deadline: {
+      type: Date,
+      default: null,
+    },
+    reservation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Reservation",
+      default: null, // Reservation created when the offer is claimed
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+waitlistSchema.index({ user_id: 1, status: 1 });
+waitlistSchema.index({ status: 1, claim_deadline: 1 });
+waitlistSchema.index({ reservation_date: 1, computer_id: 1, status: 1 });
+waitlistSchema.index({ reservation_date: 1, laboratory_id: 1, status: 1 });
+
+// Virtual for id field (MongoDB uses _id by default)
+waitlistSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+const DAY_MINUTES = 24 * 60;
+
+const timeToMinutes = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Absolute window of a waitlist entry or freed slot; windows may run past midnight
+const getWindow = (slot) => {
+  if (slot.start_at && slot.end_at) return { startAt: new Date(slot.start_at), endAt: new Date(slot.end_at) };
+  const startAt = combineTZDateAndTime(slot.reservation_date, slot.start_time);
+  const duration = slot.duration
+    || (timeToMinutes(slot.end_time) - timeToMinutes(slot.start_time) + DAY_MINUTES) % DAY_MINUTES;
+  return { startAt, endAt: new Date(startAt.getTime() + duration * 60 * 1000) };
+};
+
+const overlaps = (a, b) => {
+  const first = getWindow(a);
+  const second = getWindow(b);
+  return first.startAt < second.endAt && second.startAt < first.endAt;
+};
+
+const resourceQuery = (slot) => {
+  const query = {
+    reservation_type: slot.reservation_type,
+    isDeleted: false,
+  };
+  if (slot.reservation_type === "computer") query.computer_id = slot.computer_id;
+  if (slot.reservation_type === "laboratory") query.laboratory_id = slot.laboratory_id;
+  return query;
+};
+
+// Build the query matching waitlist entries for the same resource and day as a slot
+const slotQuery = (slot) => {
+  const { startOfDay, endOfDay } = getStartEndOfDay(new Date(slot.reservation_date));
+  return { ...resourceQuery(slot), reservation_date: { $gte: startOfDay, $lte: endOfDay } };
+};
+
+// Build the query matching waitlist entries that may overlap a slot, including
+// overnight entries that started the day before
+const windowQuery = (slot) => {
+  const { startAt, endAt } = getWindow(slot);
+  return {
+    ...resourceQuery(slot),
+    reservation_date: {
+      $gte: getStartEndOfDay(new Date(startAt.getTime() - DAY_MINUTES * 60 * 1000)).startOfDay,
+      $lte: getStartEndOfDay(new Date(endAt.getTime() - 1)).endOfDay,
+    },
+  };
+};
+
+// Absolute start and end of the waited-for window
+waitlistSchema.methods.getWindow = function () {
+  return getWindow(this);
+};
+
+// Position of a waiting entry among the entries queued for the same resource and day
+waitlistSchema.methods.getPosition = async function () {
+  if (this.status !== "waiting") return null;
+  const ahead = await this.constructor.countDocuments({
+    ...slotQuery(this),
+    status: "waiting",
+    createdAt: { $lt: this.createdAt },
+  });
+  return ahead + 1;
+};
+
+// Offer a freed slot to the next eligible waitlisted users (FIFO).
+// Several entries can be offered when their windows do not overlap each other.
+waitlistSchema.statics.offerFreedSlot = async function (slot) {
+  if (!slot || !slot.start_time || !slot.end_time || !slot.reservation_date) return [];
+
+  const now = new Date();
+  const baseQuery = windowQuery(slot);
+
+  const candidates = await this.find({ ...baseQuery, status: "waiting" })
+    .populate('user_id', 'firstname lastname email status isDeleted')
+    .sort({ createdAt: 1 });
+
+  // Slots already held by pending offers cannot be offered twice
+  const held = await this.find({ ...baseQuery, status: "offered" });
+
+  const offered = [];
+  for (const entry of candidates) {
+    if (!overlaps(entry, slot)) continue;
+
+    const user = entry.user_id;
+    if (!user || user.isDeleted || user.status === "suspended") continue;
+
+    // Skip windows that have already started
+    if (getWindow(entry).startAt <= now) continue;
+
+    if ([...held, ...offered].some(other => overlaps(entry, other))) continue;
+
+    const conflictResult = await checkReservationConflicts(
+      entry.reservation_date,
+      entry.start_time,
+      entry.duration,
+      entry.reservation_type,
+      null,
+      entry.laboratory_id,
+      entry.computer_id
+    );
+    if (hasConflicts(conflictResult)) continue;
+
+    entry.status = "offered";
+    entry.offered_at = now;
+    entry.claim_deadline = new Date(now.getTime() + CLAIM_WINDOW_MINUTES * 60 * 1000);
+    await entry.save();
+    offered.push(entry);
+
+    try {
+      const subject = "NextLib - A reserved slot is now available";
+      const html = `<p>Dear ${user.firstname} ${user.lastname},</p>
+          <p>A ${entry.reservation_type} slot you were waiting for is now available.</p>
+          <ul>
+            <li><b>Date:</b> ${getTZDateString(entry.reservation_date)}</li>
+            <li><b>Start Time:</b> ${entry.start_time}</li>
+            <li><b>End Time:</b> ${entry.end_time}</li>
+            <li><b>Purpose:</b> ${entry.purpose}</li>
+          </ul>
+          <p>Please claim it before <b>${entry.claim_deadline.toLocaleString("en-US", { timeZone: APP_TIMEZONE })}</b>, otherwise it will be offered to the next person in line.</p>
+        `;
+      await sendMail(user.email, subject, html);
+    } catch (mailError) {
+      console.error("Failed to send waitlist offer email:", mailError);
+    }
+  }
+
+  return offered;
+};
+
+// Expire offers whose claim deadline has passed and pass their slots on
+waitlistSchema.statics.expireStaleOffers = async function (date = new Date()) {
+  const stale = await this.find({
+    status: "offered",
+    claim_deadline: { $lt: date },
+    isDeleted: false,
+  });
+
+  let reoffered = 0;
+  for (const entry of stale) {
+    entry.status = "expired";
+    await entry.save();
+    const next = await this.offerFreedSlot(entry);
+    reoffered += next.length;
+  }
+
+  return { expired: stale.length, reoffered };
+};
+
+// Ensure virtual fields are serialized
+waitlistSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model("Waitlist", waitlistSchema);
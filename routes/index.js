@@ -12,6 +12,10 @@ import attendanceLogsV1 from "./v1/attendance-logs/routes.js";
 import courseV1 from "./v1/course/routes.js";
 import systemDefaultsV1 from "./v1/system-defaults/routes.js";
 import subjectSchedulerV1 from "./v1/subject-scheduler/routes.js";
+import waitlistV1 from "./v1/waitlist/routes.js";
+import bookingPolicyV1 from "./v1/booking-policy/routes.js";
+import closureV1 from "./v1/closure/routes.js";
+import maintenanceV1 from "./v1/maintenance/routes.js";
 
 const router = Router();
 
@@ -29,5 +33,9 @@ router.use("/v1/system-defaults", systemDefaultsV1);
 router.use("/v1/attendance-logs", attendanceLogsV1);
 router.use("/v1/courses", courseV1);
 router.use("/v1/subject-scheduler", subjectSchedulerV1);
+router.use("/v1/waitlist", waitlistV1);
+router.use("/v1/booking-policies", bookingPolicyV1);
+router.use("/v1/closures", closureV1);
+router.use("/v1/maintenance", maintenanceV1);
 
 export default router;
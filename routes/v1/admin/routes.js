@@ -191,7 +191,7 @@ router.get("/dashboard", adminAuthMiddleware, async (req, res) => {
 
     // Get number of active users (users currently using computers based on usage history)
     const activeUsers = await UsageHistory.countDocuments({
-      status: "active",
+      status: { $in: ["active", "overtime"] },
       isDeleted: false
     });
 
@@ -0,0 +1,264 @@
+import { Router } from "express";
+import BookingPolicy from "../../../models/BookingPolicy.js";
+import Laboratory from "../../../models/Laboratory.js";
+import { MAX_RESERVATION_MINUTES } from "../../../models/SystemDefaults.js";
+import { adminAuthMiddleware } from "../../../middleware/auth.js";
+
+const router = Router();
+
+// Numeric limits mapped to their minimum allowed value (null disables a limit)
+const LIMIT_FIELDS = {
+  max_active_reservations: 1,
+  max_minutes_per_day: 1,
+  max_minutes_per_week: 1,
+  min_duration_minutes: 1,
+  max_duration_minutes: 1,
+  min_lead_minutes: 0,
+  max_advance_days: 0,
+};
+
+// Validate a policy payload and return the fields to apply, or an error message
+const buildPolicyUpdate = async (body) => {
+  const update = {};
+
+  if (body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) return { error: "Policy name cannot be empty" };
+    update.name = String(body.name).trim();
+  }
+  if (body.description !== undefined) update.description = body.description?.trim() || null;
+
+  if (body.user_type !== undefined) {
+    if (!["all", "student", "faculty"].includes(body.user_type)) {
+      return { error: "user_type must be one of: all, student, faculty" };
+    }
+    update.user_type = body.user_type;
+  }
+
+  if (body.reservation_type !== undefined) {
+    if (!["all", "laboratory", "computer"].includes(body.reservation_type)) {
+      return { error: "reservation_type must be one of: all, laboratory, computer" };
+    }
+    update.reservation_type = body.reservation_type;
+  }
+
+  if (body.laboratory_id !== undefined) {
+    if (body.laboratory_id) {
+      const laboratory = await Laboratory.findOne({ _id: body.laboratory_id, isDeleted: false });
+      if (!laboratory) return { error: "Laboratory not found or has been deleted" };
+    }
+    update.laboratory_id = body.laboratory_id || null;
+  }
+
+  for (const [field, min] of Object.entries(LIMIT_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null) {
+      update[field] = null;
+      continue;
+    }
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < min) {
+      return { error: `${field} must be an integer of at least ${min}` };
+    }
+    update[field] = value;
+  }
+
+  if (update.max_duration_minutes > MAX_RESERVATION_MINUTES) {
+    return { error: `max_duration_minutes cannot exceed ${MAX_RESERVATION_MINUTES}` };
+  }
+
+  if (body.auto_approve !== undefined) {
+    if (body.auto_approve !== null && typeof body.auto_approve !== "boolean") {
+      return { error: "auto_approve must be true, false or null" };
+    }
+    update.auto_approve = body.auto_approve;
+  }
+
+  if (body.priority !== undefined) {
+    const priority = Number(body.priority);
+    if (!Number.isInteger(priority)) return { error: "priority must be an integer" };
+    update.priority = priority;
+  }
+
+  if (body.is_active !== undefined) update.is_active = Boolean(body.is_active);
+
+  return { update };
+};
+
+// ==========================
+// 📋 BOOKING POLICY ROUTES
+// ==========================
+
+// Get all booking policies (Admin only)
+router.get("/", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { is_active, user_type, reservation_type, laboratory_id } = req.query;
+
+    // Build filter
+    const filter = { isDeleted: false };
+    if (is_active !== undefined) filter.is_active = is_active === "true";
+    if (user_type) filter.user_type = user_type;
+    if (reservation_type) filter.reservation_type = reservation_type;
+    if (laboratory_id) filter.laboratory_id = laboratory_id;
+
+    const policies = await BookingPolicy.find(filter)
+      .populate('laboratory_id', 'name status')
+      .populate('created_by', 'firstname lastname username')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.status(200).json({
+      status: 200,
+      message: "Booking policies retrieved successfully",
+      data: {
+        policies
+      },
+    });
+  } catch (error) {
+    console.error("Get booking policies error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve booking policies",
+      error: error.message,
+    });
+  }
+});
+
+// Get booking policy by ID (Admin only)
+router.get("/:id", adminAuthMiddleware, async (req, res) => {
+  try {
+    const policy = await BookingPolicy.findOne({ _id: req.params.id, isDeleted: false })
+      .populate('laboratory_id', 'name status')
+      .populate('created_by', 'firstname lastname username');
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 404,
+        message: "Booking policy not found",
+      });
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Booking policy retrieved successfully",
+      data: policy,
+    });
+  } catch (error) {
+    console.error("Get booking policy error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve booking policy",
+      error: error.message,
+    });
+  }
+});
+
+// Create new booking policy (Admin only)
+router.post("/", adminAuthMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (!body.name) {
+      return res.status(400).json({
+        status: 400,
+        message: "Policy name is required",
+      });
+    }
+
+    const { update, error } = await buildPolicyUpdate(body);
+    if (error) {
+      return res.status(400).json({
+        status: 400,
+        message: error,
+      });
+    }
+
+    const policy = new BookingPolicy({
+      ...update,
+      created_by: req.user._id,
+    });
+
+    await policy.save();
+
+    res.status(201).json({
+      status: 201,
+      message: "Booking policy created successfully",
+      data: policy,
+    });
+  } catch (error) {
+    console.error("Create booking policy error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to create booking policy",
+      error: error.message,
+    });
+  }
+});
+
+// Update booking policy (Admin only)
+router.put("/:id", adminAuthMiddleware, async (req, res) => {
+  try {
+    const policy = await BookingPolicy.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 404,
+        message: "Booking policy not found",
+      });
+    }
+
+    const { update, error } = await buildPolicyUpdate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        status: 400,
+        message: error,
+      });
+    }
+
+    policy.set(update);
+    await policy.save();
+
+    res.status(200).json({
+      status: 200,
+      message: "Booking policy updated successfully",
+      data: policy,
+    });
+  } catch (error) {
+    console.error("Update booking policy error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update booking policy",
+      error: error.message,
+    });
+  }
+});
+
+// Delete booking policy (Admin only)
+router.delete("/:id", adminAuthMiddleware, async (req, res) => {
+  try {
+    const policy = await BookingPolicy.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 404,
+        message: "Booking policy not found",
+      });
+    }
+
+    // Soft delete
+    policy.isDeleted = true;
+    await policy.save();
+
+    res.status(200).json({
+      status: 200,
+      message: "Booking policy deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete booking policy error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to delete booking policy",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
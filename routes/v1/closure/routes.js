@@ -0,0 +1,346 @@
+import { Router } from "express";
+import Closure from "../../../models/Closure.js";
+import Computer from "../../../models/Computer.js";
+import Laboratory from "../../../models/Laboratory.js";
+import { adminAuthMiddleware, authMiddleware } from "../../../middleware/auth.js";
+import sendMail from "../../../utils/mailer.js";
+import { getStartEndOfDay, getTZDateString } from "../../../utils/timezone.js";
+
+const router = Router();
+
+const isValidMilitaryTime = (timeString) => {
+  if (typeof timeString !== 'string') return false;
+  return /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(timeString);
+};
+
+const timeToMinutes = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Validate a closure payload merged over the current values; returns an error message or null
+const validateClosure = async (closure) => {
+  if (!closure.title || !String(closure.title).trim()) return "Closure title is required";
+  if (closure.closure_type && !["holiday", "closure", "maintenance"].includes(closure.closure_type)) {
+    return "closure_type must be one of: holiday, closure, maintenance";
+  }
+
+  const startDate = new Date(closure.start_date);
+  const endDate = new Date(closure.end_date);
+  if (!closure.start_date || isNaN(startDate.getTime())) return "A valid start_date is required";
+  if (isNaN(endDate.getTime())) return "end_date must be a valid date";
+  if (getTZDateString(endDate) < getTZDateString(startDate)) return "end_date cannot be before start_date";
+  if (closure.recurring_yearly && endDate.getTime() - startDate.getTime() >= 365 * 24 * 60 * 60 * 1000) {
+    return "Recurring closures must span less than a year";
+  }
+
+  const hasStart = closure.start_time !== null && closure.start_time !== undefined && closure.start_time !== "";
+  const hasEnd = closure.end_time !== null && closure.end_time !== undefined && closure.end_time !== "";
+  if (hasStart !== hasEnd) return "Provide both start_time and end_time, or neither for a full-day closure";
+  if (hasStart) {
+    if (!isValidMilitaryTime(closure.start_time) || !isValidMilitaryTime(closure.end_time)) {
+      return "start_time and end_time must be in military time format (HH:MM)";
+    }
+    if (timeToMinutes(closure.end_time) <= timeToMinutes(closure.start_time)) {
+      return "end_time must be after start_time";
+    }
+  }
+
+  if (closure.laboratory_id) {
+    const laboratory = await Laboratory.findOne({ _id: closure.laboratory_id, isDeleted: false });
+    if (!laboratory) return "Laboratory not found or has been deleted";
+  }
+  return null;
+};
+
+// Cancel approved reservations inside a closure and notify their owners
+const cancelReservationsForClosure = async (closure, adminId) => {
+  const affected = await closure.findAffectedReservations();
+  const cancelled = [];
+
+  for (const reservation of affected) {
+    reservation.transitionTo("cancelled", { changedBy: adminId, changedByType: "admin", reason: `Closure: ${closure.title}` });
+    reservation.notes = `${reservation.notes || ''} [Cancelled: ${closure.title}]`.trim();
+    await reservation.save();
+    cancelled.push(reservation);
+
+    if (reservation.computer_id) {
+      await Computer.updateOne(
+        { _id: reservation.computer_id, status: "reserved" },
+        { $set: { status: "available" } }
+      );
+    }
+
+    const user = reservation.user_id;
+    if (!user?.email) continue;
+    try {
+      const subject = `${reservation.reservation_type === 'laboratory' ? 'Laboratory' : 'Computer'} Reservation Cancelled`;
+      const html = `<p>Dear ${user.firstname || ''} ${user.lastname || ''},</p>
+          <p>Your reservation <b>${reservation.reservation_number}</b> has been <b>cancelled</b> because the laboratory will be closed.</p>
+          <ul>
+            <li><b>Closure:</b> ${closure.title}</li>
+            <li><b>Date:</b> ${getTZDateString(reservation.reservation_date)}</li>
+            <li><b>Start Time:</b> ${reservation.start_time}</li>
+            <li><b>End Time:</b> ${reservation.end_time}</li>
+            ${closure.notes ? `<li><b>Notes:</b> ${closure.notes}</li>` : ''}
+          </ul>
+          <p>Please book another slot. If you have any questions, please contact the admin.</p>
+        `;
+      await sendMail(user.email, subject, html);
+    } catch (mailError) {
+      console.error("Failed to send closure cancellation email:", mailError);
+    }
+  }
+
+  return cancelled;
+};
+
+const summarizeReservations = (reservations) => reservations.map(reservation => ({
+  id: reservation.id,
+  reservation_number: reservation.reservation_number,
+  reservation_type: reservation.reservation_type,
+  reservation_date: reservation.reservation_date,
+  start_time: reservation.start_time,
+  end_time: reservation.end_time,
+  user: reservation.user_id ? `${reservation.user_id.firstname} ${reservation.user_id.lastname}` : null,
+}));
+
+// ==========================
+// 🚫 CLOSURE ROUTES
+// ==========================
+
+// Get closures, optionally within a date range or for a laboratory
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const { laboratory_id, from, to, closure_type } = req.query;
+
+    // Build filter
+    const filter = { isDeleted: false };
+    if (laboratory_id) filter.laboratory_id = { $in: [null, laboratory_id] };
+    if (closure_type) filter.closure_type = closure_type;
+    if (from || to) {
+      const range = {};
+      if (to) range.start_date = { $lte: getStartEndOfDay(to).endOfDay };
+      if (from) range.end_date = { $gte: getStartEndOfDay(from).startOfDay };
+      filter.$or = [{ recurring_yearly: true }, range];
+    }
+
+    const closures = await Closure.find(filter)
+      .populate('laboratory_id', 'name')
+      .sort({ start_date: 1 });
+
+    res.status(200).json({
+      status: 200,
+      message: "Closures retrieved successfully",
+      data: {
+        closures
+      },
+    });
+  } catch (error) {
+    console.error("Get closures error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve closures",
+      error: error.message,
+    });
+  }
+});
+
+// Get closure by ID
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const closure = await Closure.findOne({ _id: req.params.id, isDeleted: false })
+      .populate('laboratory_id', 'name')
+      .populate('created_by', 'firstname lastname username');
+
+    if (!closure) {
+      return res.status(404).json({
+        status: 404,
+        message: "Closure not found",
+      });
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Closure retrieved successfully",
+      data: closure,
+    });
+  } catch (error) {
+    console.error("Get closure error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve closure",
+      error: error.message,
+    });
+  }
+});
+
+// Create new closure (Admin only)
+// Approved reservations inside the closure are returned, and cancelled when cancel_reservations is true
+router.post("/", adminAuthMiddleware, async (req, res) => {
+  try {
+    const {
+      title,
+      closure_type,
+      laboratory_id,
+      start_date,
+      end_date,
+      start_time,
+      end_time,
+      recurring_yearly,
+      notes,
+      cancel_reservations,
+    } = req.body || {};
+
+    const payload = {
+      title,
+      closure_type: closure_type || "closure",
+      laboratory_id: laboratory_id || null,
+      start_date,
+      end_date: end_date || start_date,
+      start_time: start_time || null,
+      end_time: end_time || null,
+      recurring_yearly: Boolean(recurring_yearly),
+      notes: notes?.trim() || null,
+    };
+
+    const validationError = await validateClosure(payload);
+    if (validationError) {
+      return res.status(400).json({
+        status: 400,
+        message: validationError,
+      });
+    }
+
+    const closure = new Closure({
+      ...payload,
+      title: String(title).trim(),
+      start_date: new Date(payload.start_date),
+      end_date: new Date(payload.end_date),
+      created_by: req.user._id,
+    });
+
+    await closure.save();
+
+    const affected = cancel_reservations
+      ? await cancelReservationsForClosure(closure, req.user._id)
+      : await closure.findAffectedReservations();
+
+    res.status(201).json({
+      status: 201,
+      message: cancel_reservations && affected.length > 0
+        ? `Closure created and ${affected.length} reservation(s) cancelled`
+        : "Closure created successfully",
+      data: {
+        closure,
+        affected_reservations: summarizeReservations(affected),
+        cancelled_count: cancel_reservations ? affected.length : 0,
+      },
+    });
+  } catch (error) {
+    console.error("Create closure error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to create closure",
+      error: error.message,
+    });
+  }
+});
+
+// Update closure (Admin only)
+router.put("/:id", adminAuthMiddleware, async (req, res) => {
+  try {
+    const closure = await Closure.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!closure) {
+      return res.status(404).json({
+        status: 404,
+        message: "Closure not found",
+      });
+    }
+
+    const body = req.body || {};
+    const payload = {
+      title: body.title !== undefined ? body.title : closure.title,
+      closure_type: body.closure_type !== undefined ? body.closure_type : closure.closure_type,
+      laboratory_id: body.laboratory_id !== undefined ? (body.laboratory_id || null) : closure.laboratory_id,
+      start_date: body.start_date !== undefined ? body.start_date : closure.start_date,
+      end_date: body.end_date !== undefined ? body.end_date : closure.end_date,
+      start_time: body.start_time !== undefined ? (body.start_time || null) : closure.start_time,
+      end_time: body.end_time !== undefined ? (body.end_time || null) : closure.end_time,
+      recurring_yearly: body.recurring_yearly !== undefined ? Boolean(body.recurring_yearly) : closure.recurring_yearly,
+      notes: body.notes !== undefined ? (body.notes?.trim() || null) : closure.notes,
+    };
+
+    const validationError = await validateClosure(payload);
+    if (validationError) {
+      return res.status(400).json({
+        status: 400,
+        message: validationError,
+      });
+    }
+
+    closure.set({
+      ...payload,
+      title: String(payload.title).trim(),
+      start_date: new Date(payload.start_date),
+      end_date: new Date(payload.end_date),
+    });
+    await closure.save();
+
+    const affected = body.cancel_reservations
+      ? await cancelReservationsForClosure(closure, req.user._id)
+      : await closure.findAffectedReservations();
+
+    res.status(200).json({
+      status: 200,
+      message: body.cancel_reservations && affected.length > 0
+        ? `Closure updated and ${affected.length} reservation(s) cancelled`
+        : "Closure updated successfully",
+      data: {
+        closure,
+        affected_reservations: summarizeReservations(affected),
+        cancelled_count: body.cancel_reservations ? affected.length : 0,
+      },
+    });
+  } catch (error) {
+    console.error("Update closure error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update closure",
+      error: error.message,
+    });
+  }
+});
+
+// Delete closure (Admin only)
+router.delete("/:id", adminAuthMiddleware, async (req, res) => {
+  try {
+    const closure = await Closure.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!closure) {
+      return res.status(404).json({
+        status: 404,
+        message: "Closure not found",
+      });
+    }
+
+    // Soft delete
+    closure.isDeleted = true;
+    await closure.save();
+
+    res.status(200).json({
+      status: 200,
+      message: "Closure deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete closure error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to delete closure",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,14 +1,43 @@
 import { Router } from "express";
 import crypto from "crypto";
 import Computer from "../../../models/Computer.js";
+import Closure from "../../../models/Closure.js";
 import Laboratory from "../../../models/Laboratory.js";
 import Reservation from "../../../models/Reservation.js";
 import SubjectScheduler from "../../../models/SubjectScheduler.js";
 import { adminAuthMiddleware, authMiddleware } from "../../../middleware/auth.js";
 import { getStartEndOfDay, getTZMinutesSinceMidnight, getTZDateString, getTZParts } from "../../../utils/timezone.js";
+import { formatOperatingHours, getOperatingHours } from "../../../utils/operationHours.js";
+import { formatClosureConflicts } from "../../../utils/reservations.js";
+import { isLiveStatusAvailable, subscribeToLaboratory } from "../../../utils/liveStatus.js";
+import { getClientOfflineMinutes } from "../../../utils/clientPresence.js";
+import EnrollmentCode from "../../../models/EnrollmentCode.js";
+import Log from "../../../models/Log.js";
+import ComputerCommand, { COMPUTER_COMMANDS } from "../../../models/ComputerCommand.js";
+import { buildSpecFilter, normalizeSpecs, SPEC_FIELDS } from "../../../utils/computerSpecs.js";
+import MaintenanceTicket, { ACTIVE_TICKET_STATUSES } from "../../../models/MaintenanceTicket.js";
+import { clearReservationFlags, handleAffectedReservations } from "../../../utils/maintenance.js";
+import { formatLayout, formatPosition } from "../../../utils/labLayout.js";
 
 const router = Router();
 
+// Longest an enrollment code can stay valid
+const MAX_ENROLLMENT_CODE_HOURS = 7 * 24;
+
+const generateClientToken = () => crypto.randomBytes(32).toString("hex");
+
+// Longest a command may wait for the client to pick it up
+const MAX_COMMAND_TTL_MINUTES = 24 * 60;
+
+// Computer of a client request, or null when the token is missing or unknown
+const findClientComputer = (clientToken) => {
+  if (!clientToken || typeof clientToken !== "string") return null;
+  return Computer.findOne({ clientToken: clientToken.trim(), isDeleted: false });
+};
+
+// Interval of keep-alive comments on live status streams
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
 // ==========================
 // 💻 COMPUTER ROUTES
 // ==========================
@@ -16,12 +45,19 @@ const router = Router();
 // Get all computers (no pagination)
 router.get("/", authMiddleware, async (req, res) => {
   try {
-    const { laboratory_id, status } = req.query;
+    const { laboratory_id, status, presence } = req.query;
+
+    // Spec search, e.g. ?software=MATLAB&min_ram_gb=16
+    const { filter: specFilter, error: specError } = buildSpecFilter(req.query);
+    if (specError) {
+      return res.status(400).json({ status: 400, message: specError });
+    }
 
     // Build filter
-    const filter = { isDeleted: false };
+    const filter = { isDeleted: false, ...specFilter };
     if (laboratory_id) filter.laboratory_id = laboratory_id;
     if (status) filter.status = status;
+    if (presence) filter["presence.status"] = presence;
 
     // Return all matching computers sorted by laboratory and pc_number
     const computers = await Computer.find(filter)
@@ -64,8 +100,13 @@ router.get("/laboratory/:laboratory_id", authMiddleware, async (req, res) => {
       });
     }
 
+    const { filter: specFilter, error: specError } = buildSpecFilter(req.query);
+    if (specError) {
+      return res.status(400).json({ status: 400, message: specError });
+    }
+
     // Build filter
-    const filter = { laboratory_id, isDeleted: false };
+    const filter = { laboratory_id, isDeleted: false, ...specFilter };
     if (status) filter.status = status;
 
     // Return all matching computers for the laboratory
@@ -95,6 +136,80 @@ router.get("/laboratory/:laboratory_id", authMiddleware, async (req, res) => {
   }
 });
 
+// List registered client PCs with their presence (Admin only)
+router.get("/clients", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { laboratory_id, presence } = req.query;
+
+    const filter = { isDeleted: false, clientToken: { $ne: null } };
+    if (laboratory_id) filter.laboratory_id = laboratory_id;
+    if (presence) filter["presence.status"] = presence;
+
+    const clients = await Computer.find(filter)
+      .select("pc_number status laboratory_id presence client_registered_at client_token_rotated_at enrollment_code_id")
+      .populate('laboratory_id', 'name status')
+      .populate('enrollment_code_id', 'code_hint created_by createdAt')
+      .sort({ laboratory_id: 1, pc_number: 1 });
+
+    res.status(200).json({
+      status: 200,
+      message: "Registered clients retrieved successfully",
+      data: {
+        clients,
+        total: clients.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get registered clients error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve registered clients",
+      error: error.message,
+    });
+  }
+});
+
+// List enrollment codes (Admin only)
+router.get("/enrollment-codes", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { laboratory_id, status } = req.query;
+    const now = new Date();
+
+    const filter = {};
+    if (laboratory_id) filter.laboratory_id = laboratory_id;
+    if (status === "active") {
+      Object.assign(filter, { revoked_at: null, expires_at: { $gt: now }, $expr: { $lt: ["$uses", "$max_uses"] } });
+    } else if (status === "revoked") {
+      filter.revoked_at = { $ne: null };
+    } else if (status === "expired") {
+      Object.assign(filter, { revoked_at: null, expires_at: { $lte: now } });
+    } else if (status === "used") {
+      Object.assign(filter, { revoked_at: null, $expr: { $gte: ["$uses", "$max_uses"] } });
+    }
+
+    const codes = await EnrollmentCode.find(filter)
+      .populate('laboratory_id', 'name')
+      .populate('created_by', 'firstname lastname username')
+      .populate('redemptions.computer_id', 'pc_number')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 200,
+      message: "Enrollment codes retrieved successfully",
+      data: {
+        codes,
+      },
+    });
+  } catch (error) {
+    console.error("Get enrollment codes error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve enrollment codes",
+      error: error.message,
+    });
+  }
+});
+
 // Get computer by ID
 router.get("/:id", authMiddleware, async (req, res) => {
   try {
@@ -245,101 +360,684 @@ router.put("/:id", adminAuthMiddleware, async (req, res) => {
       }
     }
 
-    // Update fields
-    if (laboratory_id) computer.laboratory_id = laboratory_id;
-    if (pc_number) computer.pc_number = pc_number.trim();
-    if (status) computer.status = status;
-    if (notes !== undefined) computer.notes = notes?.trim() || null;
+    // Update fields
+    if (laboratory_id && laboratory_id !== computer.laboratory_id.toString()) {
+      computer.laboratory_id = laboratory_id;
+      // Its seat belongs to the old laboratory's layout; place it again on the new one
+      computer.position = { row: null, column: null, x: null, y: null };
+    }
+    if (pc_number) computer.pc_number = pc_number.trim();
+    if (status) computer.status = status;
+    if (notes !== undefined) computer.notes = notes?.trim() || null;
+
+    await computer.save();
+
+    // Populate laboratory data for response
+    await computer.populate('laboratory_id', 'name status');
+
+    res.status(200).json({
+      status: 200,
+      message: "Computer updated successfully",
+      data: computer,
+    });
+  } catch (error) {
+    console.error("Update computer error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update computer",
+      error: error.message,
+    });
+  }
+});
+
+// Delete computer (Admin only)
+router.delete("/:id", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await Computer.findByIdAndDelete(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        status: 404,
+        message: "Computer not found",
+      });
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Computer deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete computer error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to delete computer",
+      error: error.message,
+    });
+  }
+});
+
+// Update computer status (Admin only)
+// Taking a computer out of service opens a maintenance ticket (unless one is already open), moves its
+// approved upcoming reservations to equivalent free computers and flags the rest; making it
+// available again resolves its out-of-service tickets.
+router.patch("/:id/status", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body || {};
+
+    if (!status || !["available", "occupied", "maintenance", "out_of_order", "reserved", "locked"].includes(status)) {
+      return res.status(400).json({
+        status: 400,
+        message: "Valid status is required (available, occupied, maintenance, out_of_order, reserved, locked)",
+      });
+    }
+
+    const computer = await Computer.findOne({ 
+      _id: id, 
+      isDeleted: false 
+    });
+
+    if (!computer) {
+      return res.status(404).json({
+        status: 404,
+        message: "Computer not found",
+      });
+    }
+
+    const previousStatus = computer.status;
+    computer.status = status;
+    await computer.save();
+
+    const outOfServiceFilter = {
+      target_type: "computer",
+      computer_id: computer._id,
+      out_of_service: true,
+      status: { $in: ACTIVE_TICKET_STATUSES },
+      isDeleted: false,
+    };
+    let maintenance = null;
+    if (["maintenance", "out_of_order"].includes(status)) {
+      let ticket = await MaintenanceTicket.findOne(outOfServiceFilter);
+      const created = !ticket;
+      if (!ticket) {
+        ticket = await MaintenanceTicket.create({
+          ticket_number: await MaintenanceTicket.generateTicketNumber(),
+          target_type: "computer",
+          computer_id: computer._id,
+          laboratory_id: computer.laboratory_id,
+          title: reason?.trim() || `Marked ${status.replace("_", " ")}`,
+          out_of_service: true,
+          priority: status === "out_of_order" ? "high" : "medium",
+          reported_by: req.user._id,
+          reporter_model: "Admin",
+          updates: [{ status: "open", note: `Computer status changed from ${previousStatus} to ${status}`, by: req.user._id, by_type: "admin" }],
+        });
+      }
+      const { reassigned, flagged } = await handleAffectedReservations(ticket, { changedBy: req.user._id });
+      maintenance = {
+        ticket_id: ticket._id,
+        ticket_number: ticket.ticket_number,
+        ticket_created: created,
+        reassigned_reservations: reassigned.map(({ reservation, to }) => ({
+          reservation_number: reservation.reservation_number,
+          computer_id: to._id,
+          pc_number: to.pc_number,
+        })),
+        flagged_reservations: flagged.map(reservation => reservation.reservation_number),
+      };
+    } else if (status === "available") {
+      const tickets = await MaintenanceTicket.find(outOfServiceFilter);
+      for (const ticket of tickets) {
+        ticket.transitionTo("resolved", { by: req.user._id, byType: "admin", note: reason?.trim() || "Computer returned to service" });
+        await ticket.save();
+        await clearReservationFlags(ticket);
+      }
+      if (tickets.length > 0) maintenance = { resolved_tickets: tickets.map(ticket => ticket.ticket_number) };
+    }
+
+    await Log.createLog(req.user._id, "Update computer status", "computer", "UPDATE", {
+      resource_id: computer._id,
+      details: { pc_number: computer.pc_number, from: previousStatus, to: status, reason: reason?.trim() || null, maintenance },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
+
+    // Populate laboratory data for response
+    await computer.populate('laboratory_id', 'name status');
+
+    res.status(200).json({
+      status: 200,
+      message: "Computer status updated successfully",
+      data: computer,
+      maintenance,
+    });
+  } catch (error) {
+    console.error("Update computer status error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update computer status",
+      error: error.message,
+    });
+  }
+});
+
+// Issue an enrollment code for registering client PCs in a laboratory (Admin only).
+// The code is only returned here; afterwards it can only be revoked.
+router.post("/enrollment-codes", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { laboratory_id, pc_number, max_uses = 1, expires_in_hours = 24 } = req.body || {};
+
+    const maxUses = Number(max_uses);
+    const expiresInHours = Number(expires_in_hours);
+    if (!Number.isInteger(maxUses) || maxUses < 1) {
+      return res.status(400).json({
+        status: 400,
+        message: "max_uses must be an integer of at least 1",
+      });
+    }
+    if (!(expiresInHours > 0) || expiresInHours > MAX_ENROLLMENT_CODE_HOURS) {
+      return res.status(400).json({
+        status: 400,
+        message: `expires_in_hours must be between 0 and ${MAX_ENROLLMENT_CODE_HOURS}`,
+      });
+    }
+    if (pc_number && maxUses !== 1) {
+      return res.status(400).json({
+        status: 400,
+        message: "A code bound to a pc_number can only be used once",
+      });
+    }
+
+    const laboratory = await Laboratory.findOne({ _id: laboratory_id, isDeleted: false });
+    if (!laboratory) {
+      return res.status(404).json({
+        status: 404,
+        message: "Laboratory not found",
+      });
+    }
+
+    const { enrollmentCode, code } = await EnrollmentCode.issue({
+      laboratoryId: laboratory._id,
+      pcNumber: pc_number ? String(pc_number).trim() : null,
+      maxUses,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+      createdBy: req.user._id,
+    });
+
+    await Log.createLog(req.user._id, "Issue enrollment code", "computer", "CREATE", {
+      resource_id: enrollmentCode._id,
+      details: {
+        laboratory: laboratory.name,
+        pc_number: enrollmentCode.pc_number,
+        max_uses: enrollmentCode.max_uses,
+        expires_at: enrollmentCode.expires_at,
+      },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
+
+    res.status(201).json({
+      status: 201,
+      message: "Enrollment code issued successfully",
+      data: {
+        code,
+        enrollment_code: enrollmentCode,
+      },
+    });
+  } catch (error) {
+    console.error("Issue enrollment code error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to issue enrollment code",
+      error: error.message,
+    });
+  }
+});
+
+// Revoke an enrollment code so it can no longer register clients (Admin only)
+router.delete("/enrollment-codes/:code_id", adminAuthMiddleware, async (req, res) => {
+  try {
+    const enrollmentCode = await EnrollmentCode.findOneAndUpdate(
+      { _id: req.params.code_id, revoked_at: null },
+      { $set: { revoked_at: new Date() } },
+      { new: true }
+    );
+
+    if (!enrollmentCode) {
+      return res.status(404).json({
+        status: 404,
+        message: "Enrollment code not found or already revoked",
+      });
+    }
+
+    await Log.createLog(req.user._id, "Revoke enrollment code", "computer", "DELETE", {
+      resource_id: enrollmentCode._id,
+      details: { code_hint: enrollmentCode.code_hint, uses: enrollmentCode.uses },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
+
+    res.status(200).json({
+      status: 200,
+      message: "Enrollment code revoked successfully",
+      data: enrollmentCode,
+    });
+  } catch (error) {
+    console.error("Revoke enrollment code error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to revoke enrollment code",
+      error: error.message,
+    });
+  }
+});
+
+// Override specs reported by the client (Admin only). Send null for a field to drop its
+// override and fall back to the reported value.
+router.patch("/:id/specs", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { specs: overrides, error } = normalizeSpecs(req.body?.overrides ?? req.body, { allowNull: true });
+    if (error) {
+      return res.status(400).json({ status: 400, message: error });
+    }
+    if (Object.keys(overrides).length === 0) {
+      return res.status(400).json({
+        status: 400,
+        message: `At least one of ${SPEC_FIELDS.join(", ")} is required`,
+      });
+    }
+
+    const computer = await Computer.findOne({ _id: req.params.id, isDeleted: false });
+    if (!computer) {
+      return res.status(404).json({
+        status: 404,
+        message: "Computer not found",
+      });
+    }
+
+    for (const [field, value] of Object.entries(overrides)) {
+      computer.spec_overrides[field] = value === null ? undefined : value;
+    }
+    computer.refreshSpecs();
+    await computer.save();
+
+    await Log.createLog(req.user._id, "Update computer specs", "computer", "UPDATE", {
+      resource_id: computer._id,
+      details: { pc_number: computer.pc_number, overrides },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
+
+    res.status(200).json({
+      status: 200,
+      message: "Computer specs updated successfully",
+      data: {
+        id: computer.id,
+        pc_number: computer.pc_number,
+        specs: computer.specs,
+        reported_specs: computer.reported_specs,
+        specs_reported_at: computer.specs_reported_at,
+        spec_overrides: computer.spec_overrides,
+      },
+    });
+  } catch (error) {
+    console.error("Update computer specs error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update computer specs",
+      error: error.message,
+    });
+  }
+});
+
+// The client command routes are registered before /:id/commands, which would otherwise
+// match "client" as a computer id and require an admin session.
+// Pending commands for the client, oldest first; they are marked delivered once returned
+router.post("/client/commands", async (req, res) => {
+  try {
+    const computer = await findClientComputer(req.body?.clientToken);
+    if (!computer) {
+      return res.status(404).json({
+        status: 404,
+        message: "Client token not found",
+      });
+    }
+
+    const commands = await ComputerCommand.deliverPending(computer._id);
+
+    res.status(200).json({
+      status: 200,
+      message: "Commands retrieved successfully",
+      data: {
+        commands: commands.map(command => ({
+          id: command.id,
+          command: command.command,
+          message: command.message,
+          reason: command.reason,
+          issued_at: command.createdAt,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Fetch client commands error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve commands",
+      error: error.message,
+    });
+  }
+});
+
+// Report the outcome of a delivered command. Admin locks that succeed mark the computer
+// locked, and a successful unlock makes a locked computer available again.
+router.post("/client/commands/:command_id/ack", async (req, res) => {
+  try {
+    const { clientToken, success, result, error_message } = req.body || {};
+
+    const computer = await findClientComputer(clientToken);
+    if (!computer) {
+      return res.status(404).json({
+        status: 404,
+        message: "Client token not found",
+      });
+    }
+    if (typeof success !== "boolean") {
+      return res.status(400).json({
+        status: 400,
+        message: "success must be true or false",
+      });
+    }
+
+    const command = await ComputerCommand.findOneAndUpdate(
+      { _id: req.params.command_id, computer_id: computer._id, status: "delivered" },
+      {
+        $set: {
+          status: success ? "succeeded" : "failed",
+          acknowledged_at: new Date(),
+          result: result ?? null,
+          error_message: success ? null : (error_message ? String(error_message) : "Command failed on the client"),
+        },
+      },
+      { new: true }
+    );
+
+    if (!command) {
+      return res.status(404).json({
+        status: 404,
+        message: "Delivered command not found",
+      });
+    }
+
+    if (success && command.command === "lock" && command.issued_by) {
+      await Computer.updateOne(
+        { _id: computer._id, status: { $in: ["available", "occupied", "reserved"] } },
+        { $set: { status: "locked" } }
+      );
+    } else if (success && command.command === "unlock") {
+      await Computer.updateOne({ _id: computer._id, status: "locked" }, { $set: { status: "available" } });
+    }
+
+    await Log.createLog(command.issued_by, "Computer command acknowledged", "computer", "UPDATE", {
+      resource_id: computer._id,
+      details: { command_id: command._id, pc_number: computer.pc_number, command: command.command, result: command.result },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+      status: success ? "success" : "failed",
+      error_message: command.error_message,
+    });
+
+    res.status(200).json({
+      status: 200,
+      message: "Command acknowledged",
+      data: {
+        id: command.id,
+        command: command.command,
+        status: command.status,
+      },
+    });
+  } catch (error) {
+    console.error("Acknowledge client command error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to acknowledge command",
+      error: error.message,
+    });
+  }
+});
+
+// Queue a command for a computer's client: lock, unlock, logout or message (Admin only)
+router.post("/:id/commands", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { command, message, reason, ttl_minutes = 60 } = req.body || {};
+
+    if (!COMPUTER_COMMANDS.includes(command)) {
+      return res.status(400).json({
+        status: 400,
+        message: `command must be one of ${COMPUTER_COMMANDS.join(", ")}`,
+      });
+    }
+    if (command === "message" && !message?.trim()) {
+      return res.status(400).json({
+        status: 400,
+        message: "message is required for message commands",
+      });
+    }
+    const ttlMinutes = Number(ttl_minutes);
+    if (!Number.isInteger(ttlMinutes) || ttlMinutes < 1 || ttlMinutes > MAX_COMMAND_TTL_MINUTES) {
+      return res.status(400).json({
+        status: 400,
+        message: `ttl_minutes must be an integer between 1 and ${MAX_COMMAND_TTL_MINUTES}`,
+      });
+    }
+
+    const computer = await Computer.findOne({ _id: req.params.id, isDeleted: false });
+    if (!computer) {
+      return res.status(404).json({
+        status: 404,
+        message: "Computer not found",
+      });
+    }
+    if (!computer.clientToken) {
+      return res.status(400).json({
+        status: 400,
+        message: "Computer has no registered client to receive commands",
+      });
+    }
+
+    const queued = await ComputerCommand.enqueue(computer._id, command, {
+      message: message?.trim() || null,
+      issuedBy: req.user._id,
+      reason: reason?.trim() || null,
+      ttlMinutes,
+    });
+
+    await Log.createLog(req.user._id, "Issue computer command", "computer", "CREATE", {
+      resource_id: computer._id,
+      details: { command_id: queued._id, pc_number: computer.pc_number, command, message: queued.message, reason: queued.reason },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
+
+    res.status(201).json({
+      status: 201,
+      message: `${command} command queued for ${computer.pc_number}`,
+      data: queued,
+    });
+  } catch (error) {
+    console.error("Issue computer command error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to queue computer command",
+      error: error.message,
+    });
+  }
+});
+
+// Commands sent to a computer, newest first (Admin only)
+router.get("/:id/commands", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
 
-    await computer.save();
+    const filter = { computer_id: req.params.id };
+    if (status) filter.status = status;
 
-    // Populate laboratory data for response
-    await computer.populate('laboratory_id', 'name status');
+    const [commands, total] = await Promise.all([
+      ComputerCommand.find(filter)
+        .populate('issued_by', 'firstname lastname username')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ComputerCommand.countDocuments(filter),
+    ]);
 
     res.status(200).json({
       status: 200,
-      message: "Computer updated successfully",
-      data: computer,
+      message: "Computer commands retrieved successfully",
+      data: {
+        commands,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum,
+        },
+      },
     });
   } catch (error) {
-    console.error("Update computer error:", error);
+    console.error("Get computer commands error:", error);
     res.status(500).json({
       status: 500,
-      message: "Failed to update computer",
+      message: "Failed to retrieve computer commands",
       error: error.message,
     });
   }
 });
 
-// Delete computer (Admin only)
-router.delete("/:id", adminAuthMiddleware, async (req, res) => {
+// Cancel a command the client has not picked up yet (Admin only)
+router.delete("/:id/commands/:command_id", adminAuthMiddleware, async (req, res) => {
   try {
-    const { id } = req.params;
+    const command = await ComputerCommand.findOneAndUpdate(
+      { _id: req.params.command_id, computer_id: req.params.id, status: "pending" },
+      { $set: { status: "cancelled" } },
+      { new: true }
+    );
 
-    const deleted = await Computer.findByIdAndDelete(id);
-
-    if (!deleted) {
+    if (!command) {
       return res.status(404).json({
         status: 404,
-        message: "Computer not found",
+        message: "Pending command not found",
       });
     }
 
+    await Log.createLog(req.user._id, "Cancel computer command", "computer", "CANCEL", {
+      resource_id: command.computer_id,
+      details: { command_id: command._id, command: command.command },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
+
     res.status(200).json({
       status: 200,
-      message: "Computer deleted successfully",
+      message: "Command cancelled successfully",
+      data: command,
     });
   } catch (error) {
-    console.error("Delete computer error:", error);
+    console.error("Cancel computer command error:", error);
     res.status(500).json({
       status: 500,
-      message: "Failed to delete computer",
+      message: "Failed to cancel computer command",
       error: error.message,
     });
   }
 });
 
-// Update computer status (Admin only)
-router.patch("/:id/status", adminAuthMiddleware, async (req, res) => {
+// Issue a new client token for a computer; the old one stops working (Admin only)
+router.post("/:id/client-token/rotate", adminAuthMiddleware, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    const computer = await Computer.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: false },
+      { $set: { clientToken: generateClientToken(), client_token_rotated_at: new Date() } },
+      { new: true }
+    );
 
-    if (!status || !["available", "occupied", "maintenance", "out_of_order", "reserved", "locked"].includes(status)) {
-      return res.status(400).json({
-        status: 400,
-        message: "Valid status is required (available, occupied, maintenance, out_of_order, reserved, locked)",
+    if (!computer) {
+      return res.status(404).json({
+        status: 404,
+        message: "Computer not found",
       });
     }
 
-    const computer = await Computer.findOne({ 
-      _id: id, 
-      isDeleted: false 
+    await Log.createLog(req.user._id, "Rotate client token", "computer", "UPDATE", {
+      resource_id: computer._id,
+      details: { pc_number: computer.pc_number },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
+
+    res.status(200).json({
+      status: 200,
+      message: "Client token rotated successfully",
+      data: {
+        id: computer.id,
+        pc_number: computer.pc_number,
+        clientToken: computer.clientToken,
+      },
+    });
+  } catch (error) {
+    console.error("Rotate client token error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to rotate client token",
+      error: error.message,
     });
+  }
+});
+
+// Revoke a computer's client token; the client must enroll again (Admin only)
+router.delete("/:id/client-token", adminAuthMiddleware, async (req, res) => {
+  try {
+    const computer = await Computer.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: false, clientToken: { $ne: null } },
+      {
+        $set: {
+          clientToken: null,
+          client_registered_at: null,
+          client_token_rotated_at: null,
+          enrollment_code_id: null,
+          "presence.status": "unknown",
+        },
+      },
+      { new: true }
+    );
 
     if (!computer) {
       return res.status(404).json({
         status: 404,
-        message: "Computer not found",
+        message: "Computer not found or has no registered client",
       });
     }
 
-    computer.status = status;
-    await computer.save();
-
-    // Populate laboratory data for response
-    await computer.populate('laboratory_id', 'name status');
+    await Log.createLog(req.user._id, "Revoke client token", "computer", "DELETE", {
+      resource_id: computer._id,
+      details: { pc_number: computer.pc_number },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
 
     res.status(200).json({
       status: 200,
-      message: "Computer status updated successfully",
+      message: "Client token revoked successfully",
       data: computer,
     });
   } catch (error) {
-    console.error("Update computer status error:", error);
+    console.error("Revoke client token error:", error);
     res.status(500).json({
       status: 500,
-      message: "Failed to update computer status",
+      message: "Failed to revoke client token",
       error: error.message,
     });
   }
@@ -391,6 +1089,21 @@ router.get("/statistics/laboratory/:laboratory_id", authMiddleware, async (req,
       formattedStats[stat._id] = stat.count;
     });
 
+    // Client presence from heartbeats
+    const presenceStatistics = await Computer.aggregate([
+      { $match: { laboratory_id: laboratory._id, isDeleted: false } },
+      {
+        $group: {
+          _id: "$presence.status",
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    const presence = { online: 0, offline: 0, unknown: 0 };
+    presenceStatistics.forEach(stat => {
+      presence[stat._id || "unknown"] += stat.count;
+    });
+
     res.status(200).json({
       status: 200,
       message: "Computer statistics retrieved successfully",
@@ -401,6 +1114,7 @@ router.get("/statistics/laboratory/:laboratory_id", authMiddleware, async (req,
           status: laboratory.status,
         },
         statistics: formattedStats,
+        presence,
       },
     });
   } catch (error) {
@@ -447,10 +1161,7 @@ router.get("/availability/:computer_id", authMiddleware, async (req, res) => {
       isDeleted: false,
       reservation_type: "computer",
       computer_id: computer_id,
-      reservation_date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
+      ...Reservation.overlapCondition(startOfDay, new Date(endOfDay.getTime() + 1)),
       status: { $in: ['pending', 'approved', 'active'] } // Include pending, approved and active reservations
     }).populate('user_id', 'firstname lastname email id_number');
 
@@ -459,10 +1170,7 @@ router.get("/availability/:computer_id", authMiddleware, async (req, res) => {
       isDeleted: false,
       reservation_type: "laboratory",
       laboratory_id: computer.laboratory_id,
-      reservation_date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
+      ...Reservation.overlapCondition(startOfDay, new Date(endOfDay.getTime() + 1)),
       status: { $in: ['pending', 'approved', 'active'] } // Include pending, approved and active reservations
     }).populate('user_id', 'firstname lastname email id_number');
 
@@ -507,10 +1215,12 @@ router.get("/availability/:computer_id", authMiddleware, async (req, res) => {
       return [timeToMinutes(start), timeToMinutes(end)];
     };
     
-    // Generate basic time slots for the day (8:00 AM to 5:00 PM)
+    // Generate basic time slots within the opening hours (8:00 AM to 7:00 PM when none are configured)
+    const operatingHours = await getOperatingHours(targetDate, computer.laboratory_id?._id);
+    const closures = await Closure.findForDay(targetDate, computer.laboratory_id?._id);
     const timeSlots = [];
-    const startMinutes = 8 * 60; // 8:00 AM
-    const endMinutes = 19 * 60;  // 5:00 PM
+    const startMinutes = operatingHours.configured ? (operatingHours.open ?? 0) : 8 * 60;
+    const endMinutes = operatingHours.configured ? (operatingHours.close ?? 0) : 19 * 60;
     
     for (let currentMinutes = startMinutes; currentMinutes < endMinutes; currentMinutes += durationMinutes) {
       const slotEndMinutes = currentMinutes + durationMinutes;
@@ -528,19 +1238,9 @@ router.get("/availability/:computer_id", authMiddleware, async (req, res) => {
 
       // Check for conflicts with existing reservations (both computer and laboratory)
       const hasReservationConflict = allReservations.some(reservation => {
-        let reservationStartMinutes, reservationEndMinutes;
-        if (reservation.start_time && typeof reservation.start_time === 'string') {
-          reservationStartMinutes = timeToMinutes(reservation.start_time);
-          reservationEndMinutes = timeToMinutes(reservation.end_time);
-        } else if (reservation.reservation_date && reservation.duration) {
-          const { hour, minute } = getTZParts(new Date(reservation.reservation_date));
-          reservationStartMinutes = hour * 60 + minute;
-          reservationEndMinutes = reservationStartMinutes + reservation.duration;
-        } else {
-          return false; // Skip if we can't determine the time
-        }
-        // Check for overlap: (start1 < end2) && (start2 < end1)
-        return (currentMinutes < reservationEndMinutes) && (reservationStartMinutes < slotEndMinutes);
+        // Overnight reservations only cover part of this day
+        const range = reservation.getDayRange(targetDate);
+        return Boolean(range) && (currentMinutes < range.end) && (range.start < slotEndMinutes);
       });
 
       // Check for conflicts with subject scheduler
@@ -550,23 +1250,14 @@ router.get("/availability/:computer_id", authMiddleware, async (req, res) => {
         return (currentMinutes < schedEnd) && (schedStart < slotEndMinutes);
       });
 
+      const slotClosures = closures.filter(closure => closure.overlaps(currentMinutes, slotEndMinutes));
       const hasConflict = hasReservationConflict || hasSubjectConflict;
-      const isAvailable = !isPast && !hasConflict;
+      const isAvailable = !isPast && !hasConflict && slotClosures.length === 0;
 
       // Get conflicting reservations for this slot (both computer and laboratory)
       const conflictingReservations = allReservations.filter(reservation => {
-        let reservationStartMinutes, reservationEndMinutes;
-        if (reservation.start_time && typeof reservation.start_time === 'string') {
-          reservationStartMinutes = timeToMinutes(reservation.start_time);
-          reservationEndMinutes = timeToMinutes(reservation.end_time);
-        } else if (reservation.reservation_date && reservation.duration) {
-          const { hour, minute } = getTZParts(new Date(reservation.reservation_date));
-          reservationStartMinutes = hour * 60 + minute;
-          reservationEndMinutes = reservationStartMinutes + reservation.duration;
-        } else {
-          return false;
-        }
-        return (currentMinutes < reservationEndMinutes) && (reservationStartMinutes < slotEndMinutes);
+        const range = reservation.getDayRange(targetDate);
+        return Boolean(range) && (currentMinutes < range.end) && (range.start < slotEndMinutes);
       });
 
       // Add subject scheduler conflicts as pseudo-reservations
@@ -594,6 +1285,7 @@ router.get("/availability/:computer_id", authMiddleware, async (req, res) => {
         end_time: slotEndTime,
         is_available: isAvailable,
         is_past: isPast,
+        is_closed: slotClosures.length > 0,
         has_conflict: hasConflict,
         duration_minutes: durationMinutes,
         conflicting_reservations: [
@@ -642,6 +1334,8 @@ router.get("/availability/:computer_id", authMiddleware, async (req, res) => {
           }
         },
         date: tzDateString,
+        operating_hours: formatOperatingHours(operatingHours),
+        closures: formatClosureConflicts(closures),
         duration_minutes: parseInt(duration),
         time_slots: timeSlots,
         total_slots: timeSlots.length,
@@ -693,19 +1387,35 @@ router.get("/laboratory/:laboratory_id/availability", authMiddleware, async (req
       });
     }
 
-    const { startOfDay, endOfDay, tzDateString } = getStartEndOfDay(date);
+    if (time_slot && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time_slot)) {
+      return res.status(400).json({
+        status: 400,
+        message: "time_slot must be in military time format (HH:MM)",
+      });
+    }
+
+    // Only count computers with the requested specs, e.g. ?software=MATLAB
+    const { filter: specFilter, error: specError } = buildSpecFilter(req.query);
+    if (specError) {
+      return res.status(400).json({ status: 400, message: specError });
+    }
+
+    const { startOfDay, endOfDay, targetDate, tzDateString } = getStartEndOfDay(date);
 
     // Get all computers in the laboratory
     const computers = await Computer.find({
       laboratory_id: laboratory_id,
       isDeleted: false,
-      status: { $in: ['available', 'occupied'] } // Exclude maintenance and out_of_order
+      status: { $in: ['available', 'occupied'] }, // Exclude maintenance and out_of_order
+      ...specFilter
     }).sort({ pc_number: 1 });
 
     if (computers.length === 0) {
       return res.status(404).json({
         status: 404,
-        message: "No computers found in this laboratory",
+        message: Object.keys(specFilter).length > 0
+          ? "No computers in this laboratory match the requested specs"
+          : "No computers found in this laboratory",
       });
     }
 
@@ -715,10 +1425,7 @@ router.get("/laboratory/:laboratory_id/availability", authMiddleware, async (req
       isDeleted: false,
       reservation_type: "computer",
       computer_id: { $in: computerIds },
-      reservation_date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
+      ...Reservation.overlapCondition(startOfDay, new Date(endOfDay.getTime() + 1)),
       status: { $in: ['pending', 'approved', 'active'] } // Include pending, approved and active reservations
     }).populate('user_id', 'firstname lastname email id_number');
 
@@ -727,10 +1434,7 @@ router.get("/laboratory/:laboratory_id/availability", authMiddleware, async (req
       isDeleted: false,
       reservation_type: "laboratory",
       laboratory_id: laboratory_id,
-      reservation_date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
+      ...Reservation.overlapCondition(startOfDay, new Date(endOfDay.getTime() + 1)),
       status: { $in: ['pending', 'approved', 'active'] } // Include pending, approved and active reservations
     }).populate('user_id', 'firstname lastname email id_number');
 
@@ -747,16 +1451,12 @@ router.get("/laboratory/:laboratory_id/availability", authMiddleware, async (req
       return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
     };
 
-    // Helper function to convert military time to minutes since midnight
-    const timeToMinutes = (timeString) => {
-      const [hours, minutes] = timeString.split(':').map(Number);
-      return hours * 60 + minutes;
-    };
-    
-    // Generate basic time slots from 8:00 AM to 5:00 PM
+    // Generate basic time slots within the opening hours (8:00 AM to 5:00 PM when none are configured)
+    const operatingHours = await getOperatingHours(targetDate, laboratory._id);
+    const closures = await Closure.findForDay(targetDate, laboratory._id);
     const timeSlots = [];
-    const startMinutes = 8 * 60; // 8:00 AM
-    const endMinutes = 17 * 60;  // 5:00 PM
+    const startMinutes = operatingHours.configured ? (operatingHours.open ?? 0) : 8 * 60;
+    const endMinutes = operatingHours.configured ? (operatingHours.close ?? 0) : 17 * 60;
 
     for (let currentMinutes = startMinutes; currentMinutes < endMinutes; currentMinutes += durationMinutes) {
       const slotEndMinutes = currentMinutes + durationMinutes;
@@ -771,27 +1471,16 @@ router.get("/laboratory/:laboratory_id/availability", authMiddleware, async (req
 
       // Check for conflicts with existing reservations (both computer and laboratory)
       const hasConflict = allReservations.some(reservation => {
-        let reservationStartMinutes, reservationEndMinutes;
-        
-        if (reservation.start_time && typeof reservation.start_time === 'string') {
-          // New format with military time
-          reservationStartMinutes = timeToMinutes(reservation.start_time);
-          reservationEndMinutes = timeToMinutes(reservation.end_time);
-        } else if (reservation.reservation_date && reservation.duration) {
-          const { hour, minute } = getTZParts(new Date(reservation.reservation_date));
-          reservationStartMinutes = hour * 60 + minute;
-          reservationEndMinutes = reservationStartMinutes + reservation.duration;
-        } else {
-          return false; // Skip if we can't determine the time
-        }
-        
-        // Check for overlap: (start1 < end2) && (start2 < end1)
-        return (currentMinutes < reservationEndMinutes) && (reservationStartMinutes < slotEndMinutes);
+        // Overnight reservations only cover part of this day
+        const range = reservation.getDayRange(targetDate);
+        return Boolean(range) && (currentMinutes < range.end) && (range.start < slotEndMinutes);
       });
 
-      // Calculate available computers considering conflicts
+      const isClosed = closures.some(closure => closure.overlaps(currentMinutes, slotEndMinutes));
+
+      // Calculate available computers considering conflicts and closures
       const availableComputers = computers.filter(computer => 
-        computer.status === 'available' && !isPast && !hasConflict
+        computer.status === 'available' && !isPast && !hasConflict && !isClosed
       );
 
       timeSlots.push({
@@ -802,16 +1491,72 @@ router.get("/laboratory/:laboratory_id/availability", authMiddleware, async (req
         available_computers_count: availableComputers.length,
         total_computers: computers.length,
         is_past: isPast,
+        is_closed: isClosed,
         has_conflict: hasConflict,
         duration_minutes: durationMinutes
       });
     }
 
+    // Per-computer availability at the requested time_slot
+    let slotAvailability = null;
+    if (time_slot) {
+      const [slotHours, slotMinutes] = time_slot.split(':').map(Number);
+      const slotStart = slotHours * 60 + slotMinutes;
+      const slotEnd = slotStart + durationMinutes;
+      const overlapsSlot = (reservation) => {
+        const range = reservation.getDayRange(targetDate);
+        return Boolean(range) && slotStart < range.end && range.start < slotEnd;
+      };
+
+      const isPast = tzDateString === getTZDateString() && slotStart < getTZMinutesSinceMidnight();
+      const isClosed = closures.some(closure => closure.overlaps(slotStart, slotEnd));
+      const outsideHours = slotStart < startMinutes || slotEnd > endMinutes;
+      const laboratoryBooked = laboratoryReservations.some(overlapsSlot);
+      const blocked = isPast || isClosed || outsideHours || laboratoryBooked;
+
+      const slotComputers = computers.map(computer => ({
+        id: computer.id,
+        pc_number: computer.pc_number,
+        position: formatPosition(computer),
+        specs: computer.specs,
+        is_available: !blocked && computer.status === 'available' && !computerReservations.some(reservation =>
+          reservation.computer_id?.toString() === computer._id.toString() && overlapsSlot(reservation)
+        ),
+      }));
+
+      slotAvailability = {
+        start_time: minutesToTime(slotStart),
+        end_time: minutesToTime(Math.min(slotEnd, 24 * 60)),
+        is_past: isPast,
+        is_closed: isClosed,
+        outside_operating_hours: outsideHours,
+        laboratory_reserved: laboratoryBooked,
+        available_computers_count: slotComputers.filter(computer => computer.is_available).length,
+        computers: slotComputers,
+      };
+    }
+
+    // Computers left out above (maintenance, out of order, ...), so the seat map can show them as taken
+    const unavailableSeats = (await Computer.find({
+      laboratory_id: laboratory_id,
+      isDeleted: false,
+      status: { $nin: ['available', 'occupied'] },
+    }).select('pc_number status position').sort({ pc_number: 1 }))
+      .filter(computer => formatPosition(computer))
+      .map(computer => ({
+        id: computer.id,
+        pc_number: computer.pc_number,
+        status: computer.status,
+        position: formatPosition(computer),
+      }));
+
     // Simplified computer list
     const computersSimple = computers.map(computer => ({
       id: computer.id,
       pc_number: computer.pc_number,
       status: computer.status,
+      position: formatPosition(computer),
+      specs: computer.specs,
       is_available: computer.status === 'available'
     }));
 
@@ -824,9 +1569,15 @@ router.get("/laboratory/:laboratory_id/availability", authMiddleware, async (req
           name: laboratory.name,
           status: laboratory.status
         },
+        // Seat map to place computers on, with the seats that cannot be booked at all
+        layout: formatLayout(laboratory),
+        unavailable_seats: unavailableSeats,
         date: tzDateString,
+        operating_hours: formatOperatingHours(operatingHours),
+        closures: formatClosureConflicts(closures),
         duration_minutes: durationMinutes,
         time_slots: timeSlots,
+        slot_availability: slotAvailability,
         computers: computersSimple,
         total_reservations_today: allReservations.length,
         reservation_summary: {
@@ -851,47 +1602,201 @@ router.get("/laboratory/:laboratory_id/availability", authMiddleware, async (req
   }
 });
 
-// Register Client
-router.post("/register-client", async (req, res) => {
+// Live computer status, usage sessions and reservation changes of a laboratory (server-sent events).
+// Starts with a snapshot of every computer, then streams updates as they happen.
+router.get("/laboratory/:laboratory_id/stream", authMiddleware, async (req, res) => {
   try {
-    // Get first active laboratory
-    const laboratory = await Laboratory.findOne({ isDeleted: false }).sort({ createdAt: 1 });
+    const { laboratory_id } = req.params;
+
+    const laboratory = await Laboratory.findOne({ _id: laboratory_id, isDeleted: false }).select("name");
     if (!laboratory) {
-      return res.status(404).json({ status: 404, message: "No laboratory found" });
+      return res.status(404).json({
+        status: 404,
+        message: "Laboratory not found",
+      });
     }
 
-    // Check if there is already a client PC for this machine (optional: match clientToken if passed)
-    // For simplicity, we'll allow one PC per lab incrementally
-    const existingComputers = await Computer.find({ laboratory_id: laboratory._id, isDeleted: false }).select("pc_number clientToken");
-    
-    // Generate next PC number
-    let maxNum = 0;
-    for (const c of existingComputers) {
-      const m = (c.pc_number || "").match(/\d+/g);
-      const n = m && m.length ? parseInt(m[m.length - 1], 10) : NaN;
-      if (!isNaN(n) && n > maxNum) maxNum = n;
+    // A non-200 response stops EventSource clients from reconnecting over and over
+    if (!isLiveStatusAvailable()) {
+      return res.status(503).json({
+        status: 503,
+        message: "Live updates are not available on this server",
+      });
     }
-    const nextNumber = maxNum + 1;
-    const pc_number = `PC-${String(nextNumber).padStart(2, "0")}`;
 
-    // Generate token
-    const clientToken = crypto.randomBytes(32).toString("hex");
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-    // Create new computer record
-    const computer = new Computer({
+    let heartbeat = null;
+    let unsubscribe = null;
+    const close = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+    };
+    const endUnavailable = () => {
+      // Clients reconnect on their own once the stream ends and then get the 503 above
+      send("unavailable", { message: "Live updates are not available on this server" });
+      close();
+      res.end();
+    };
+
+    // Subscribe before reading the snapshot so no change in between is lost. Events that arrive
+    // in the meantime are held back and sent right after the snapshot.
+    let pending = [];
+    let unavailable = false;
+    unsubscribe = subscribeToLaboratory(
+      laboratory._id,
+      (event) => {
+        if (pending) pending.push(event);
+        else send(event.type, event);
+      },
+      () => {
+        if (pending) unavailable = true;
+        else endUnavailable();
+      },
+      { includePrivate: req.userType === "admin" }
+    );
+    req.on("close", close);
+
+    let computers;
+    try {
+      computers = await Computer.find({ laboratory_id, isDeleted: false })
+        .select("pc_number status presence")
+        .sort({ pc_number: 1 });
+    } catch (error) {
+      close();
+      throw error;
+    }
+    // The client went away while the snapshot was read
+    if (!unsubscribe) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Stop proxies such as nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    send("snapshot", {
       laboratory_id: laboratory._id,
-      pc_number,
-      status: "available",
-      notes: `Client Computer No. ${nextNumber}`,
-      clientToken
+      laboratory_name: laboratory.name,
+      computers: computers.map(computer => ({
+        computer_id: computer._id,
+        pc_number: computer.pc_number,
+        status: computer.status,
+        presence: computer.presence?.status || "unknown",
+        last_seen_at: computer.presence?.last_seen_at || null,
+      })),
+      at: new Date(),
+    });
+    for (const event of pending) send(event.type, event);
+    pending = null;
+    if (unavailable) return endUnavailable();
+
+    // Comment lines keep idle connections from being closed by proxies
+    heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+  } catch (error) {
+    console.error("Computer status stream error:", error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      status: 500,
+      message: "Failed to open computer status stream",
+      error: error.message,
     });
+  }
+});
+
+// Register a client PC with an admin-issued enrollment code. The code decides the laboratory and,
+// optionally, the pc_number; an existing computer with that pc_number is re-enrolled with a new token.
+router.post("/register-client", async (req, res) => {
+  let enrollmentCode = null;
+  let registered = false;
+  try {
+    const { enrollment_code, specs } = req.body || {};
+    if (!enrollment_code || typeof enrollment_code !== "string") {
+      return res.status(400).json({
+        status: 400,
+        message: "Enrollment code is required",
+      });
+    }
+
+    // Specs the client agent detected on this machine (optional)
+    let reportedSpecs = null;
+    if (specs !== undefined) {
+      const normalized = normalizeSpecs(specs);
+      if (normalized.error) {
+        return res.status(400).json({ status: 400, message: normalized.error });
+      }
+      reportedSpecs = normalized.specs;
+    }
+
+    enrollmentCode = await EnrollmentCode.consume(enrollment_code);
+    if (!enrollmentCode) {
+      return res.status(403).json({
+        status: 403,
+        message: "Enrollment code is invalid, expired or already used",
+      });
+    }
+
+    const laboratory = await Laboratory.findOne({ _id: enrollmentCode.laboratory_id, isDeleted: false });
+    if (!laboratory) {
+      await enrollmentCode.release();
+      return res.status(404).json({ status: 404, message: "Laboratory of this enrollment code no longer exists" });
+    }
+
+    const now = new Date();
+    const clientToken = generateClientToken();
+    let computer = enrollmentCode.pc_number
+      ? await Computer.findOne({ laboratory_id: laboratory._id, pc_number: enrollmentCode.pc_number, isDeleted: false })
+      : null;
+    const reEnrolled = Boolean(computer);
+
+    if (computer) {
+      computer.clientToken = clientToken;
+    } else {
+      let pc_number = enrollmentCode.pc_number;
+      let notes = null;
+      if (!pc_number) {
+        // Generate next PC number
+        const existingComputers = await Computer.find({ laboratory_id: laboratory._id, isDeleted: false }).select("pc_number");
+        let maxNum = 0;
+        for (const c of existingComputers) {
+          const m = (c.pc_number || "").match(/\d+/g);
+          const n = m && m.length ? parseInt(m[m.length - 1], 10) : NaN;
+          if (!isNaN(n) && n > maxNum) maxNum = n;
+        }
+        const nextNumber = maxNum + 1;
+        pc_number = `PC-${String(nextNumber).padStart(2, "0")}`;
+        notes = `Client Computer No. ${nextNumber}`;
+      }
+
+      computer = new Computer({
+        laboratory_id: laboratory._id,
+        pc_number,
+        status: "available",
+        notes,
+        clientToken
+      });
+    }
+    computer.client_registered_at = now;
+    computer.client_token_rotated_at = null;
+    computer.enrollment_code_id = enrollmentCode._id;
+    if (reportedSpecs) computer.applyReportedSpecs(reportedSpecs, now);
 
     await computer.save();
+    registered = true;
+    await EnrollmentCode.updateOne(
+      { _id: enrollmentCode._id },
+      { $push: { redemptions: { computer_id: computer._id, ip_address: req.ip || req.connection?.remoteAddress || null, redeemed_at: now } } }
+    );
     await computer.populate("laboratory_id", "name status");
 
-    return res.status(201).json({
-      status: 201,
-      message: "Client registered and computer created successfully",
+    return res.status(reEnrolled ? 200 : 201).json({
+      status: reEnrolled ? 200 : 201,
+      message: reEnrolled ? "Client re-enrolled for existing computer" : "Client registered and computer created successfully",
       data: {
         id: computer.id,
         pc_number: computer.pc_number,
@@ -902,24 +1807,13 @@ router.post("/register-client", async (req, res) => {
     });
   } catch (error) {
     console.error("Register client token error:", error);
+    if (enrollmentCode && !registered) await enrollmentCode.release().catch(() => {});
 
-    // Handle duplicate key gracefully
+    // Another client took the same pc_number at the same time
     if (error.code === 11000) {
-      const existingComputer = await Computer.findOne({
-        laboratory_id: error.keyValue.laboratory_id,
-        pc_number: error.keyValue.pc_number,
-      }).populate("laboratory_id", "name status");
-
-      return res.status(200).json({
-        status: 200,
-        message: "Client PC already exists",
-        data: {
-          id: existingComputer.id,
-          pc_number: existingComputer.pc_number,
-          status: existingComputer.status,
-          laboratory: existingComputer.laboratory_id,
-          clientToken: existingComputer.clientToken
-        },
+      return res.status(409).json({
+        status: 409,
+        message: "A computer with this PC number was registered at the same time; please try again",
       });
     }
 
@@ -931,6 +1825,49 @@ router.post("/register-client", async (req, res) => {
   }
 });
 
+// Replace the client's own token, e.g. on a schedule or after a reinstall
+router.post("/client/rotate-token", async (req, res) => {
+  try {
+    const { clientToken } = req.body || {};
+    if (!clientToken || typeof clientToken !== "string") {
+      return res.status(400).json({
+        status: 400,
+        message: "Client token is required in request body",
+      });
+    }
+
+    const computer = await Computer.findOneAndUpdate(
+      { clientToken: clientToken.trim(), isDeleted: false },
+      { $set: { clientToken: generateClientToken(), client_token_rotated_at: new Date() } },
+      { new: true }
+    );
+
+    if (!computer) {
+      return res.status(404).json({
+        status: 404,
+        message: "Client token not found",
+      });
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Client token rotated successfully",
+      data: {
+        id: computer.id,
+        pc_number: computer.pc_number,
+        clientToken: computer.clientToken,
+      },
+    });
+  } catch (error) {
+    console.error("Rotate client token error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to rotate client token",
+      error: error.message,
+    });
+  }
+});
+
 router.post("/client/status", async (req, res) => {
   try {
     const { clientToken } = req.body;
@@ -973,4 +1910,83 @@ router.post("/client/status", async (req, res) => {
   }
 });
 
+// Heartbeat from the desktop client: records that the computer is online and who is logged in
+router.post("/client/heartbeat", async (req, res) => {
+  try {
+    const { clientToken, agent_version, logged_in_user, specs } = req.body || {};
+    if (!clientToken || typeof clientToken !== "string") {
+      return res.status(400).json({
+        status: 400,
+        message: "Client token is required in request body",
+      });
+    }
+
+    // Clients may include their specs, e.g. on startup or after hardware changes
+    let reportedSpecs = null;
+    if (specs !== undefined) {
+      const normalized = normalizeSpecs(specs);
+      if (normalized.error) {
+        return res.status(400).json({ status: 400, message: normalized.error });
+      }
+      reportedSpecs = normalized.specs;
+    }
+
+    const update = {
+      "presence.status": "online",
+      "presence.last_seen_at": new Date(),
+      "presence.ip_address": req.ip || req.connection?.remoteAddress || null,
+    };
+    // Omitted fields keep their last reported value; null clears them (e.g. nobody logged in)
+    if (agent_version !== undefined) update["presence.agent_version"] = agent_version ? String(agent_version).trim() : null;
+    if (logged_in_user !== undefined) update["presence.logged_in_user"] = logged_in_user ? String(logged_in_user).trim() : null;
+
+    const computer = await Computer.findOneAndUpdate(
+      { clientToken: clientToken.trim(), isDeleted: false },
+      { $set: update },
+      { new: true }
+    ).populate("laboratory_id", "name status");
+
+    if (!computer) {
+      return res.status(404).json({
+        status: 404,
+        message: "Client token not found",
+      });
+    }
+
+    if (reportedSpecs) {
+      computer.applyReportedSpecs(reportedSpecs);
+      await computer.save();
+    }
+
+    const offlineMinutes = await getClientOfflineMinutes();
+    // Tells the client to fetch its commands without polling for them separately
+    const pendingCommands = await ComputerCommand.countDocuments({
+      computer_id: computer._id,
+      status: "pending",
+      expires_at: { $gt: new Date() },
+    });
+
+    res.status(200).json({
+      status: 200,
+      message: "Heartbeat recorded",
+      data: {
+        id: computer.id,
+        pc_number: computer.pc_number,
+        status: computer.status,
+        presence: computer.presence,
+        laboratory: computer.laboratory_id,
+        offline_after_minutes: offlineMinutes,
+        pending_commands: pendingCommands,
+      },
+    });
+  } catch (error) {
+    console.error("Client heartbeat error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to record heartbeat",
+      error: error.message,
+    });
+  }
+});
+
 export default router;
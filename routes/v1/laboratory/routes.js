@@ -1,12 +1,30 @@
 import { Router } from "express";
+import Closure from "../../../models/Closure.js";
+import Computer from "../../../models/Computer.js";
 import Laboratory from "../../../models/Laboratory.js";
 import Reservation from "../../../models/Reservation.js";
 import SubjectScheduler from "../../../models/SubjectScheduler.js";
-import { adminAuthMiddleware, authMiddleware } from "../../../middleware/auth.js";
+import { adminAuthMiddleware, authMiddleware, calendarFeedAuth } from "../../../middleware/auth.js";
+import { buildCalendar, reservationToEvent, sendCalendar, subjectScheduleToEvent } from "../../../utils/ical.js";
 import { getStartEndOfDay, getTZMinutesSinceMidnight, getTZDateString, getTZParts, isSameTZDay } from "../../../utils/timezone.js";
+import { formatOperatingHours, getOperatingHours, isValidOperationHours, normalizeOperationHours, normalizeWeekdayHours, validateWeekdayHours } from "../../../utils/operationHours.js";
+import { formatClosureConflicts } from "../../../utils/reservations.js";
+import { formatLayout, formatPosition, normalizeLayout, normalizePlacements } from "../../../utils/labLayout.js";
 
 const router = Router();
 
+// How far back calendar feeds include past events
+const CALENDAR_HISTORY_DAYS = 90;
+
+// Validate laboratory-specific opening hours; returns an error message or null
+const validateLaboratoryHours = ({ operation_hours, weekday_hours }) => {
+  if (operation_hours && !isValidOperationHours(operation_hours)) {
+    return "operation_hours must be in format 'HH:MM - HH:MM' or '24 hours'";
+  }
+  if (weekday_hours !== undefined) return validateWeekdayHours(weekday_hours);
+  return null;
+};
+
 const hasEnoughTimeRemaining = (reservationDate, duration) => {
   const now = new Date();
   const reservation = new Date(reservationDate);
@@ -92,10 +110,61 @@ router.get("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+// iCalendar feed of a laboratory: approved reservations plus subject schedules
+// Calendar apps subscribe with ?token=<calendar token>; a logged-in session works too
+router.get("/:id/calendar.ics", calendarFeedAuth, async (req, res) => {
+  try {
+    const laboratory = await Laboratory.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!laboratory) {
+      return res.status(404).json({
+        status: 404,
+        message: "Laboratory not found",
+      });
+    }
+
+    const since = new Date(Date.now() - CALENDAR_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const computers = await Computer.find({ laboratory_id: laboratory._id }).select("_id");
+
+    const [reservations, schedules] = await Promise.all([
+      Reservation.find({
+        isDeleted: false,
+        status: { $in: ["approved", "active", "completed"] },
+        reservation_date: { $gte: since },
+        $or: [
+          { laboratory_id: laboratory._id },
+          { computer_id: { $in: computers.map(computer => computer._id) } },
+        ],
+      })
+        .populate('computer_id', 'pc_number')
+        .sort({ reservation_date: 1, start_time: 1 }),
+      // Subject schedules are not tied to a laboratory, so every schedule is included
+      SubjectScheduler.find({ date: { $gte: since } }).sort({ date: 1 }),
+    ]);
+
+    const events = [
+      ...reservations.map(reservation => ({
+        ...reservationToEvent(reservation),
+        location: laboratory.name,
+      })),
+      ...schedules.map(schedule => subjectScheduleToEvent(schedule, laboratory.name)),
+    ];
+
+    sendCalendar(res, `laboratory-${laboratory._id}.ics`, buildCalendar({ name: laboratory.name, events }));
+  } catch (error) {
+    console.error("Get laboratory calendar error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to generate laboratory calendar",
+      error: error.message,
+    });
+  }
+});
+
 // Create new laboratory (Admin only)
 router.post("/", adminAuthMiddleware, async (req, res) => {
   try {
-    const { name, status, notes } = req.body;
+    const { name, status, notes, operation_hours, weekday_hours } = req.body;
 
     // Validate required fields
     if (!name) {
@@ -105,6 +174,14 @@ router.post("/", adminAuthMiddleware, async (req, res) => {
       });
     }
 
+    const hoursError = validateLaboratoryHours({ operation_hours, weekday_hours });
+    if (hoursError) {
+      return res.status(400).json({
+        status: 400,
+        message: hoursError,
+      });
+    }
+
     // Check if laboratory with same name already exists
     const existingLab = await Laboratory.findOne({ 
       name: name.trim(), 
@@ -122,6 +199,8 @@ router.post("/", adminAuthMiddleware, async (req, res) => {
       name: name.trim(),
       status: status || "active",
       notes: notes?.trim() || null,
+      operation_hours: normalizeOperationHours(operation_hours) || null,
+      weekday_hours: weekday_hours ? normalizeWeekdayHours(weekday_hours) : [],
     });
 
     await laboratory.save();
@@ -145,7 +224,7 @@ router.post("/", adminAuthMiddleware, async (req, res) => {
 router.put("/:id", adminAuthMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, status, notes } = req.body;
+    const { name, status, notes, operation_hours, weekday_hours } = req.body;
 
     const laboratory = await Laboratory.findOne({ 
       _id: id, 
@@ -159,6 +238,14 @@ router.put("/:id", adminAuthMiddleware, async (req, res) => {
       });
     }
 
+    const hoursError = validateLaboratoryHours({ operation_hours, weekday_hours });
+    if (hoursError) {
+      return res.status(400).json({
+        status: 400,
+        message: hoursError,
+      });
+    }
+
     // Check if new name conflicts with existing laboratory
     if (name && name.trim() !== laboratory.name) {
       const existingLab = await Laboratory.findOne({
@@ -179,6 +266,8 @@ router.put("/:id", adminAuthMiddleware, async (req, res) => {
     if (name) laboratory.name = name.trim();
     if (status) laboratory.status = status;
     if (notes !== undefined) laboratory.notes = notes?.trim() || null;
+    if (operation_hours !== undefined) laboratory.operation_hours = normalizeOperationHours(operation_hours);
+    if (weekday_hours !== undefined) laboratory.weekday_hours = normalizeWeekdayHours(weekday_hours);
 
     await laboratory.save();
 
@@ -275,6 +364,145 @@ router.patch("/:id/status", adminAuthMiddleware, async (req, res) => {
   }
 });
 
+// Seat map of a laboratory: its layout and every computer with its place on it
+router.get("/:id/layout", authMiddleware, async (req, res) => {
+  try {
+    const laboratory = await Laboratory.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!laboratory) {
+      return res.status(404).json({
+        status: 404,
+        message: "Laboratory not found",
+      });
+    }
+
+    const computers = await Computer.find({ laboratory_id: laboratory._id, isDeleted: false })
+      .select("pc_number status position")
+      .sort({ pc_number: 1 });
+    const seats = computers.map(computer => ({
+      id: computer.id,
+      pc_number: computer.pc_number,
+      status: computer.status,
+      position: formatPosition(computer),
+    }));
+
+    res.status(200).json({
+      status: 200,
+      message: "Laboratory layout retrieved successfully",
+      data: {
+        laboratory: {
+          id: laboratory.id,
+          name: laboratory.name,
+          status: laboratory.status,
+        },
+        layout: formatLayout(laboratory),
+        computers: seats.filter(seat => seat.position),
+        unplaced_computers: seats.filter(seat => !seat.position),
+      },
+    });
+  } catch (error) {
+    console.error("Get laboratory layout error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve laboratory layout",
+      error: error.message,
+    });
+  }
+});
+
+// Replace the layout of a laboratory and where its computers sit (Admin only).
+// Computers left out of placements are taken off the seat map.
+router.put("/:id/layout", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { layout: layoutInput, placements = [] } = req.body || {};
+
+    const laboratory = await Laboratory.findOne({ _id: req.params.id, isDeleted: false });
+    if (!laboratory) {
+      return res.status(404).json({
+        status: 404,
+        message: "Laboratory not found",
+      });
+    }
+
+    const { layout, error: layoutError } = normalizeLayout(layoutInput);
+    if (layoutError) {
+      return res.status(400).json({
+        status: 400,
+        message: layoutError,
+      });
+    }
+
+    const computers = await Computer.find({ laboratory_id: laboratory._id, isDeleted: false }).select("pc_number");
+    const { positions, error: placementError } = normalizePlacements(layout, placements, computers);
+    if (placementError) {
+      return res.status(400).json({
+        status: 400,
+        message: placementError,
+      });
+    }
+
+    const unplaced = { row: null, column: null, x: null, y: null };
+    await Computer.bulkWrite(computers.map(computer => ({
+      updateOne: {
+        filter: { _id: computer._id },
+        update: { $set: { position: positions.get(computer._id.toString()) || unplaced } },
+      },
+    })));
+
+    laboratory.layout = { ...layout, updated_by: req.user._id, updated_at: new Date() };
+    await laboratory.save();
+
+    res.status(200).json({
+      status: 200,
+      message: "Laboratory layout updated successfully",
+      data: {
+        layout: formatLayout(laboratory),
+        placed_computers: positions.size,
+        unplaced_computers: computers.length - positions.size,
+      },
+    });
+  } catch (error) {
+    console.error("Update laboratory layout error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update laboratory layout",
+      error: error.message,
+    });
+  }
+});
+
+// Remove the layout of a laboratory and the positions of its computers (Admin only)
+router.delete("/:id/layout", adminAuthMiddleware, async (req, res) => {
+  try {
+    const laboratory = await Laboratory.findOne({ _id: req.params.id, isDeleted: false });
+    if (!laboratory) {
+      return res.status(404).json({
+        status: 404,
+        message: "Laboratory not found",
+      });
+    }
+
+    await Computer.updateMany(
+      { laboratory_id: laboratory._id },
+      { $set: { position: { row: null, column: null, x: null, y: null } } }
+    );
+    laboratory.layout = null;
+    await laboratory.save();
+
+    res.status(200).json({
+      status: 200,
+      message: "Laboratory layout removed successfully",
+    });
+  } catch (error) {
+    console.error("Delete laboratory layout error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to remove laboratory layout",
+      error: error.message,
+    });
+  }
+});
+
 // Check laboratory availability for time slots
 router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
   try {
@@ -319,10 +547,7 @@ router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
       isDeleted: false,
       reservation_type: "laboratory",
       laboratory_id: laboratory_id,
-      reservation_date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
+      ...Reservation.overlapCondition(startOfDay, new Date(endOfDay.getTime() + 1)),
       status: { $in: ['approved', 'active'] } // Only consider approved and active reservations
     }).populate('user_id', 'firstname lastname email id_number');
 
@@ -361,13 +586,15 @@ router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
       return [timeToMinutes(start), timeToMinutes(end)];
     };
     
-    // Generate time slots for the day
+    // Generate time slots within the opening hours (8:00 AM to 7:00 PM when none are configured)
+    const operatingHours = await getOperatingHours(targetDate, laboratory._id);
+    const closures = await Closure.findForDay(targetDate, laboratory._id);
     const timeSlots = [];
-    const startMinutes = 8 * 60; // 8:00 AM
-    const endMinutes = 19 * 60;  // 5:00 PM
+    const startMinutes = operatingHours.configured ? (operatingHours.open ?? 0) : 8 * 60;
+    const endMinutes = operatingHours.configured ? (operatingHours.close ?? 0) : 19 * 60;
     
-    // Special handling for all-day reservations (540 minutes)
-    if (durationMinutes === 540) {
+    // Special handling for all-day reservations (540 minutes); closed days have no slots
+    if (durationMinutes === 540 && !operatingHours.closed) {
       // For all-day, create a single slot from 8:00 AM to 5:00 PM (9 hours = 540 minutes)
       const slotStartTime = minutesToTime(startMinutes);
       const slotEndTime = minutesToTime(endMinutes);
@@ -378,18 +605,9 @@ router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
 
       // Check for conflicts with existing reservations or subject schedules (any overlap means conflict)
       const hasReservationConflict = reservations.some(reservation => {
-        let reservationStartMinutes, reservationEndMinutes;
-        if (reservation.start_time && typeof reservation.start_time === 'string') {
-          reservationStartMinutes = timeToMinutes(reservation.start_time);
-          reservationEndMinutes = timeToMinutes(reservation.end_time);
-        } else if (reservation.reservation_date && reservation.duration) {
-          const { hour, minute } = getTZParts(new Date(reservation.reservation_date));
-          reservationStartMinutes = hour * 60 + minute;
-          reservationEndMinutes = reservationStartMinutes + reservation.duration;
-        } else {
-          return false;
-        }
-        return (startMinutes < reservationEndMinutes) && (reservationStartMinutes < endMinutes);
+        // Overnight reservations only cover part of this day
+        const range = reservation.getDayRange(targetDate);
+        return Boolean(range) && (startMinutes < range.end) && (range.start < endMinutes);
       });
 
       const hasSubjectConflict = subjectSchedules.some(schedule => {
@@ -398,23 +616,14 @@ router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
         return (startMinutes < schedEnd) && (schedStart < endMinutes);
       });
 
+      const slotClosures = closures.filter(closure => closure.overlaps(startMinutes, endMinutes));
       const hasConflict = hasReservationConflict || hasSubjectConflict;
-      const isAvailable = !isPast && !hasConflict;
+      const isAvailable = !isPast && !hasConflict && slotClosures.length === 0;
 
       // Get all conflicting reservations for the entire day
       const conflictingReservations = reservations.filter(reservation => {
-        let reservationStartMinutes, reservationEndMinutes;
-        if (reservation.start_time && typeof reservation.start_time === 'string') {
-          reservationStartMinutes = timeToMinutes(reservation.start_time);
-          reservationEndMinutes = timeToMinutes(reservation.end_time);
-        } else if (reservation.reservation_date && reservation.duration) {
-          const reservationStart = new Date(reservation.reservation_date);
-          reservationStartMinutes = reservationStart.getHours() * 60 + reservationStart.getMinutes();
-          reservationEndMinutes = reservationStartMinutes + reservation.duration;
-        } else {
-          return false;
-        }
-        return (startMinutes < reservationEndMinutes) && (reservationStartMinutes < endMinutes);
+        const range = reservation.getDayRange(targetDate);
+        return Boolean(range) && (startMinutes < range.end) && (range.start < endMinutes);
       });
 
       // Add subject scheduler conflicts as pseudo-reservations
@@ -442,6 +651,7 @@ router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
         end_time: slotEndTime,
         is_available: isAvailable,
         is_past: isPast,
+        is_closed: slotClosures.length > 0,
         has_conflict: hasConflict,
         duration_minutes: durationMinutes,
         is_all_day: true,
@@ -478,18 +688,8 @@ router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
 
       // Check for conflicts with existing reservations or subject schedules
       const hasReservationConflict = reservations.some(reservation => {
-        let reservationStartMinutes, reservationEndMinutes;
-        if (reservation.start_time && typeof reservation.start_time === 'string') {
-          reservationStartMinutes = timeToMinutes(reservation.start_time);
-          reservationEndMinutes = timeToMinutes(reservation.end_time);
-        } else if (reservation.reservation_date && reservation.duration) {
-          const { hour, minute } = getTZParts(new Date(reservation.reservation_date));
-          reservationStartMinutes = hour * 60 + minute;
-          reservationEndMinutes = reservationStartMinutes + reservation.duration;
-        } else {
-          return false; // Skip if we can't determine the time
-        }
-        return (currentMinutes < reservationEndMinutes) && (reservationStartMinutes < slotEndMinutes);
+        const range = reservation.getDayRange(targetDate);
+        return Boolean(range) && (currentMinutes < range.end) && (range.start < slotEndMinutes);
       });
 
       const hasSubjectConflict = subjectSchedules.some(schedule => {
@@ -498,23 +698,14 @@ router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
         return (currentMinutes < schedEnd) && (schedStart < slotEndMinutes);
       });
 
+      const slotClosures = closures.filter(closure => closure.overlaps(currentMinutes, slotEndMinutes));
       const hasConflict = hasReservationConflict || hasSubjectConflict;
-      const isAvailable = !isPast && !hasConflict;
+      const isAvailable = !isPast && !hasConflict && slotClosures.length === 0;
 
       // Get conflicting reservations for this slot
       const conflictingReservations = reservations.filter(reservation => {
-        let reservationStartMinutes, reservationEndMinutes;
-        if (reservation.start_time && typeof reservation.start_time === 'string') {
-          reservationStartMinutes = timeToMinutes(reservation.start_time);
-          reservationEndMinutes = timeToMinutes(reservation.end_time);
-        } else if (reservation.reservation_date && reservation.duration) {
-          const reservationStart = new Date(reservation.reservation_date);
-          reservationStartMinutes = reservationStart.getHours() * 60 + reservationStart.getMinutes();
-          reservationEndMinutes = reservationStartMinutes + reservation.duration;
-        } else {
-          return false;
-        }
-        return (currentMinutes < reservationEndMinutes) && (reservationStartMinutes < slotEndMinutes);
+        const range = reservation.getDayRange(targetDate);
+        return Boolean(range) && (currentMinutes < range.end) && (range.start < slotEndMinutes);
       });
 
       // Add subject scheduler conflicts as pseudo-reservations
@@ -544,6 +735,7 @@ router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
         end_time_formatted: slotEndTime,
         is_available: isAvailable,
         is_past: isPast,
+        is_closed: slotClosures.length > 0,
         has_conflict: hasConflict,
         duration_minutes: durationMinutes,
         conflicting_reservations: [
@@ -587,6 +779,8 @@ router.get("/availability/:laboratory_id", authMiddleware, async (req, res) => {
           description: laboratory.description
         },
         date: tzDateString,
+        operating_hours: formatOperatingHours(operatingHours),
+        closures: formatClosureConflicts(closures),
         duration_minutes: parseInt(duration),
         is_all_day: parseInt(duration) === 540,
         time_slots: timeSlots,
@@ -0,0 +1,572 @@
+import { Router } from "express";
+import Admin from "../../../models/Admin.js";
+import Computer from "../../../models/Computer.js";
+import Laboratory from "../../../models/Laboratory.js";
+import Log from "../../../models/Log.js";
+import MaintenanceTicket, {
+  ACTIVE_TICKET_STATUSES,
+  TICKET_CATEGORIES,
+  TICKET_PRIORITIES,
+  TICKET_STATUSES,
+} from "../../../models/MaintenanceTicket.js";
+import Reservation from "../../../models/Reservation.js";
+import { adminAuthMiddleware, authMiddleware } from "../../../middleware/auth.js";
+import sendMail from "../../../utils/mailer.js";
+import { clearReservationFlags, getMaintenanceStats, syncTicketTarget } from "../../../utils/maintenance.js";
+import { getStartEndOfDay } from "../../../utils/timezone.js";
+
+const router = Router();
+
+const summarizeReservations = (reservations) => reservations.map(reservation => ({
+  id: reservation.id,
+  reservation_number: reservation.reservation_number,
+  reservation_type: reservation.reservation_type,
+  computer_id: reservation.computer_id?._id || reservation.computer_id || null,
+  start_at: reservation.start_at,
+  end_at: reservation.end_at,
+  status: reservation.status,
+}));
+
+const summarizeReassignments = (reassignments) => reassignments.map(({ reservation, from, to }) => ({
+  id: reservation.id,
+  reservation_number: reservation.reservation_number,
+  start_at: reservation.start_at,
+  end_at: reservation.end_at,
+  from_computer: { id: from._id, pc_number: from.pc_number },
+  to_computer: { id: to._id, pc_number: to.pc_number },
+}));
+
+// Validate an expected resolution date; returns { value } or { error }
+const parseExpectedResolution = (value) => {
+  if (value === null || value === "") return { value: null };
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return { error: "expected_resolution_at must be a valid date" };
+  if (date <= new Date()) return { error: "expected_resolution_at must be in the future" };
+  return { value: date };
+};
+
+const findActiveAdmin = (adminId) => Admin.findOne({ _id: adminId, status: "active" }).select("firstname lastname email");
+
+// Let an admin know a ticket was assigned to them
+const notifyAssignee = async (ticket, assignee) => {
+  if (!assignee?.email) return;
+  try {
+    const html = `<p>Dear ${assignee.firstname || ''} ${assignee.lastname || ''},</p>
+        <p>Maintenance ticket <b>${ticket.ticket_number}</b> has been assigned to you.</p>
+        <ul>
+          <li><b>Issue:</b> ${ticket.title}</li>
+          <li><b>Category:</b> ${ticket.category}</li>
+          <li><b>Priority:</b> ${ticket.priority}</li>
+          ${ticket.description ? `<li><b>Details:</b> ${ticket.description}</li>` : ''}
+        </ul>
+      `;
+    await sendMail(assignee.email, `Maintenance Ticket Assigned: ${ticket.ticket_number}`, html);
+  } catch (mailError) {
+    console.error("Failed to send ticket assignment email:", mailError);
+  }
+};
+
+const populateTicket = (query) => query
+  .populate('computer_id', 'pc_number status')
+  .populate('laboratory_id', 'name status')
+  .populate('reported_by', 'firstname lastname email')
+  .populate('assigned_to', 'firstname lastname email')
+  .populate('resolved_by', 'firstname lastname');
+
+// ==========================
+// 🛠️ MAINTENANCE ROUTES
+// ==========================
+
+// Report an issue with a computer or a laboratory. Admins may also assign the ticket and take
+// the computer or laboratory out of service right away.
+router.post("/tickets", authMiddleware, async (req, res) => {
+  try {
+    const {
+      computer_id,
+      laboratory_id,
+      title,
+      description,
+      category = "other",
+      priority = "medium",
+      out_of_service,
+      expected_resolution_at,
+      assigned_to,
+    } = req.body || {};
+    const isAdmin = req.userType === "admin";
+
+    if (!title || !String(title).trim()) {
+      return res.status(400).json({
+        status: 400,
+        message: "Ticket title is required",
+      });
+    }
+    if (!TICKET_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        status: 400,
+        message: `category must be one of: ${TICKET_CATEGORIES.join(", ")}`,
+      });
+    }
+    if (!TICKET_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        status: 400,
+        message: `priority must be one of: ${TICKET_PRIORITIES.join(", ")}`,
+      });
+    }
+    if (!computer_id && !laboratory_id) {
+      return res.status(400).json({
+        status: 400,
+        message: "Either computer_id or laboratory_id is required",
+      });
+    }
+    if (!isAdmin && (out_of_service !== undefined || expected_resolution_at !== undefined || assigned_to !== undefined)) {
+      return res.status(403).json({
+        status: 403,
+        message: "Only admins can assign tickets or take equipment out of service",
+      });
+    }
+
+    let computer = null;
+    let laboratory = null;
+    if (computer_id) {
+      computer = await Computer.findOne({ _id: computer_id, isDeleted: false });
+      if (!computer) {
+        return res.status(404).json({
+          status: 404,
+          message: "Computer not found",
+        });
+      }
+    }
+    laboratory = await Laboratory.findOne({ _id: computer ? computer.laboratory_id : laboratory_id, isDeleted: false });
+    if (!laboratory) {
+      return res.status(404).json({
+        status: 404,
+        message: "Laboratory not found",
+      });
+    }
+
+    let expectedResolution = null;
+    if (expected_resolution_at !== undefined) {
+      const parsed = parseExpectedResolution(expected_resolution_at);
+      if (parsed.error) {
+        return res.status(400).json({ status: 400, message: parsed.error });
+      }
+      expectedResolution = parsed.value;
+    }
+
+    let assignee = null;
+    if (assigned_to) {
+      assignee = await findActiveAdmin(assigned_to);
+      if (!assignee) {
+        return res.status(404).json({
+          status: 404,
+          message: "Assigned admin not found or inactive",
+        });
+      }
+    }
+
+    const ticket = new MaintenanceTicket({
+      ticket_number: await MaintenanceTicket.generateTicketNumber(),
+      target_type: computer ? "computer" : "laboratory",
+      computer_id: computer?._id || null,
+      laboratory_id: laboratory._id,
+      title: String(title).trim(),
+      description: description?.trim() || null,
+      category,
+      priority,
+      out_of_service: Boolean(out_of_service),
+      expected_resolution_at: expectedResolution,
+      reported_by: req.user._id,
+      reporter_model: isAdmin ? "Admin" : "User",
+      assigned_to: assignee?._id || null,
+      assigned_at: assignee ? new Date() : null,
+      updates: [{ status: "open", note: "Reported", by: req.user._id, by_type: isAdmin ? "admin" : "user" }],
+    });
+    await ticket.save();
+
+    const sync = await syncTicketTarget(ticket, { changedBy: req.user._id });
+    if (assignee) await notifyAssignee(ticket, assignee);
+
+    if (isAdmin) {
+      await Log.createLog(req.user._id, "Create maintenance ticket", "maintenance_ticket", "CREATE", {
+        resource_id: ticket._id,
+        details: {
+          ticket_number: ticket.ticket_number,
+          target_type: ticket.target_type,
+          laboratory: laboratory.name,
+          pc_number: computer?.pc_number || null,
+          out_of_service: ticket.out_of_service,
+          reassigned_reservations: sync.reassigned.length,
+          flagged_reservations: sync.flagged.length,
+        },
+        ip_address: req.ip || req.connection?.remoteAddress || null,
+        user_agent: req.get('User-Agent') || null,
+      });
+    }
+
+    res.status(201).json({
+      status: 201,
+      message: "Maintenance ticket created successfully",
+      data: {
+        ticket,
+        target_status_changed: sync.status_changed,
+        reassigned_reservations: summarizeReassignments(sync.reassigned),
+        flagged_reservations: summarizeReservations(sync.flagged),
+      },
+    });
+  } catch (error) {
+    console.error("Create maintenance ticket error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to create maintenance ticket",
+      error: error.message,
+    });
+  }
+});
+
+// Get tickets. Admins see every ticket and can filter; students and faculty see the tickets they reported.
+router.get("/tickets", authMiddleware, async (req, res) => {
+  try {
+    const { status, laboratory_id, computer_id, priority, category, assigned_to, active } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    // Build filter
+    const filter = { isDeleted: false };
+    if (req.userType !== "admin") filter.reported_by = req.user._id;
+    if (status) filter.status = status;
+    if (active === "true") filter.status = { $in: ACTIVE_TICKET_STATUSES };
+    if (laboratory_id) filter.laboratory_id = laboratory_id;
+    if (computer_id) filter.computer_id = computer_id;
+    if (priority) filter.priority = priority;
+    if (category) filter.category = category;
+    if (assigned_to) filter.assigned_to = assigned_to === "me" ? req.user._id : assigned_to;
+
+    const [tickets, total] = await Promise.all([
+      populateTicket(MaintenanceTicket.find(filter))
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      MaintenanceTicket.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      status: 200,
+      message: "Maintenance tickets retrieved successfully",
+      data: {
+        tickets,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get maintenance tickets error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve maintenance tickets",
+      error: error.message,
+    });
+  }
+});
+
+// Upcoming reservations flagged by out-of-service tickets, waiting for admin action (Admin only)
+router.get("/affected-reservations", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { laboratory_id } = req.query;
+
+    const filter = {
+      isDeleted: false,
+      "attention.flagged_at": { $ne: null },
+      status: { $in: ["pending", "approved"] },
+      end_at: { $gt: new Date() },
+    };
+    if (laboratory_id) filter.laboratory_id = laboratory_id;
+
+    const reservations = await Reservation.find(filter)
+      .populate('user_id', 'firstname lastname email')
+      .populate('computer_id', 'pc_number status')
+      .populate('laboratory_id', 'name')
+      .populate('attention.maintenance_ticket_id', 'ticket_number title status expected_resolution_at')
+      .sort({ start_at: 1 });
+
+    res.status(200).json({
+      status: 200,
+      message: "Affected reservations retrieved successfully",
+      data: {
+        reservations,
+        count: reservations.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get affected reservations error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve affected reservations",
+      error: error.message,
+    });
+  }
+});
+
+// Ticket counts, mean time to resolve and most reported computers per laboratory (Admin only)
+router.get("/stats", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { laboratory_id, from, to } = req.query;
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({
+        status: 400,
+        message: "from and to must be valid dates",
+      });
+    }
+
+    const laboratories = await getMaintenanceStats({
+      laboratoryId: laboratory_id || null,
+      from: from ? getStartEndOfDay(from).startOfDay : null,
+      to: to ? getStartEndOfDay(to).endOfDay : null,
+    });
+
+    res.status(200).json({
+      status: 200,
+      message: "Maintenance statistics retrieved successfully",
+      data: {
+        laboratories,
+        from: from || null,
+        to: to || null,
+      },
+    });
+  } catch (error) {
+    console.error("Get maintenance stats error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve maintenance statistics",
+      error: error.message,
+    });
+  }
+});
+
+// Get ticket by ID, with the upcoming reservations it flagged
+router.get("/tickets/:id", authMiddleware, async (req, res) => {
+  try {
+    const ticket = await populateTicket(MaintenanceTicket.findOne({ _id: req.params.id, isDeleted: false }));
+
+    if (!ticket || (req.userType !== "admin" && ticket.reported_by?._id?.toString() !== req.user._id.toString())) {
+      return res.status(404).json({
+        status: 404,
+        message: "Maintenance ticket not found",
+      });
+    }
+
+    const data = { ticket, allowed_transitions: ticket.getAllowedTransitions() };
+    if (req.userType === "admin") {
+      const flagged = await Reservation.find({ "attention.maintenance_ticket_id": ticket._id, isDeleted: false })
+        .populate('user_id', 'firstname lastname email')
+        .sort({ start_at: 1 });
+      data.affected_reservations = flagged;
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Maintenance ticket retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Get maintenance ticket error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve maintenance ticket",
+      error: error.message,
+    });
+  }
+});
+
+// Update ticket details, assignment and out-of-service flag (Admin only)
+router.patch("/tickets/:id", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { title, description, category, priority, out_of_service, expected_resolution_at, assigned_to } = req.body || {};
+
+    const ticket = await MaintenanceTicket.findOne({ _id: req.params.id, isDeleted: false });
+    if (!ticket) {
+      return res.status(404).json({
+        status: 404,
+        message: "Maintenance ticket not found",
+      });
+    }
+
+    if (title !== undefined) {
+      if (!String(title).trim()) {
+        return res.status(400).json({ status: 400, message: "Ticket title cannot be empty" });
+      }
+      ticket.title = String(title).trim();
+    }
+    if (description !== undefined) ticket.description = description?.trim() || null;
+    if (category !== undefined) {
+      if (!TICKET_CATEGORIES.includes(category)) {
+        return res.status(400).json({ status: 400, message: `category must be one of: ${TICKET_CATEGORIES.join(", ")}` });
+      }
+      ticket.category = category;
+    }
+    if (priority !== undefined) {
+      if (!TICKET_PRIORITIES.includes(priority)) {
+        return res.status(400).json({ status: 400, message: `priority must be one of: ${TICKET_PRIORITIES.join(", ")}` });
+      }
+      ticket.priority = priority;
+    }
+    if (expected_resolution_at !== undefined) {
+      const parsed = parseExpectedResolution(expected_resolution_at);
+      if (parsed.error) {
+        return res.status(400).json({ status: 400, message: parsed.error });
+      }
+      ticket.expected_resolution_at = parsed.value;
+    }
+    if (out_of_service !== undefined) ticket.out_of_service = Boolean(out_of_service);
+
+    let assignee = null;
+    if (assigned_to !== undefined) {
+      if (assigned_to) {
+        assignee = await findActiveAdmin(assigned_to);
+        if (!assignee) {
+          return res.status(404).json({
+            status: 404,
+            message: "Assigned admin not found or inactive",
+          });
+        }
+      }
+      const changed = String(ticket.assigned_to || "") !== String(assignee?._id || "");
+      ticket.assigned_to = assignee?._id || null;
+      ticket.assigned_at = assignee ? new Date() : null;
+      if (changed) {
+        ticket.updates.push({
+          note: assignee ? `Assigned to ${assignee.firstname} ${assignee.lastname}` : "Unassigned",
+          by: req.user._id,
+          by_type: "admin",
+        });
+      } else {
+        assignee = null; // no new assignment to announce
+      }
+    }
+
+    // A shorter expected resolution can leave earlier flags on reservations that are no longer affected
+    if (expected_resolution_at !== undefined || out_of_service !== undefined) {
+      await clearReservationFlags(ticket);
+    }
+
+    await ticket.save();
+    const sync = await syncTicketTarget(ticket, { changedBy: req.user._id });
+    if (assignee) await notifyAssignee(ticket, assignee);
+
+    await Log.createLog(req.user._id, "Update maintenance ticket", "maintenance_ticket", "UPDATE", {
+      resource_id: ticket._id,
+      details: {
+        ticket_number: ticket.ticket_number,
+        changes: { title, category, priority, out_of_service, expected_resolution_at, assigned_to },
+        reassigned_reservations: sync.reassigned.length,
+        flagged_reservations: sync.flagged.length,
+      },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
+
+    res.status(200).json({
+      status: 200,
+      message: "Maintenance ticket updated successfully",
+      data: {
+        ticket,
+        target_status_changed: sync.status_changed,
+        reassigned_reservations: summarizeReassignments(sync.reassigned),
+        flagged_reservations: summarizeReservations(sync.flagged),
+      },
+    });
+  } catch (error) {
+    console.error("Update maintenance ticket error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update maintenance ticket",
+      error: error.message,
+    });
+  }
+});
+
+// Move a ticket through its workflow (Admin only). Resolving or cancelling the last out-of-service
+// ticket returns the computer or laboratory to service and clears its reservation flags.
+router.patch("/tickets/:id/status", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+
+    if (!TICKET_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 400,
+        message: `status must be one of: ${TICKET_STATUSES.join(", ")}`,
+      });
+    }
+
+    const ticket = await MaintenanceTicket.findOne({ _id: req.params.id, isDeleted: false });
+    if (!ticket) {
+      return res.status(404).json({
+        status: 404,
+        message: "Maintenance ticket not found",
+      });
+    }
+
+    if (!ticket.canTransitionTo(status)) {
+      return res.status(400).json({
+        status: 400,
+        message: `Cannot change ticket from ${ticket.status} to ${status}`,
+        data: { allowed_transitions: ticket.getAllowedTransitions() },
+      });
+    }
+    if (status === "resolved" && !note?.trim()) {
+      return res.status(400).json({
+        status: 400,
+        message: "A note describing the resolution is required",
+      });
+    }
+
+    const previousStatus = ticket.status;
+    ticket.transitionTo(status, { by: req.user._id, byType: "admin", note: note?.trim() || null });
+    if (status === "in_progress" && !ticket.assigned_to) {
+      ticket.assigned_to = req.user._id;
+      ticket.assigned_at = new Date();
+    }
+    await ticket.save();
+
+    const sync = await syncTicketTarget(ticket, { changedBy: req.user._id });
+
+    await Log.createLog(req.user._id, "Update maintenance ticket status", "maintenance_ticket", "UPDATE", {
+      resource_id: ticket._id,
+      details: {
+        ticket_number: ticket.ticket_number,
+        from: previousStatus,
+        to: status,
+        note: note?.trim() || null,
+        target_in_service: sync.in_service,
+      },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+    });
+
+    res.status(200).json({
+      status: 200,
+      message: `Maintenance ticket ${status.replace("_", " ")}`,
+      data: {
+        ticket,
+        target_in_service: sync.in_service,
+        target_status_changed: sync.status_changed,
+        reassigned_reservations: summarizeReassignments(sync.reassigned),
+        flagged_reservations: summarizeReservations(sync.flagged),
+        cleared_reservation_flags: sync.unflagged,
+      },
+    });
+  } catch (error) {
+    console.error("Update maintenance ticket status error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update maintenance ticket status",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,4 +1,6 @@
 import { Router } from "express";
+import crypto from "crypto";
+import mongoose from "mongoose";
 import { customAlphabet } from "nanoid";
 import Reservation from "../../../models/Reservation.js";
 import UsageHistory from "../../../models/UsageHistory.js";
@@ -6,14 +8,35 @@ import User from "../../../models/User.js";
 import Admin from "../../../models/Admin.js";
 import Computer from "../../../models/Computer.js";
 import Laboratory from "../../../models/Laboratory.js";
-
-import { adminAuthMiddleware, authMiddleware } from "../../../middleware/auth.js";
+import ReservationSeries from "../../../models/ReservationSeries.js";
+import ReservationGroup from "../../../models/ReservationGroup.js";
+import AcademicConfig from "../../../models/AcademicConfig.js";
+import Waitlist from "../../../models/Waitlist.js";
+import Log from "../../../models/Log.js";
+import SystemDefaults from "../../../models/SystemDefaults.js";
+
+import { adminAuthMiddleware, authMiddleware, calendarFeedAuth } from "../../../middleware/auth.js";
 import sendMail from "../../../utils/mailer.js";
-import SubjectScheduler from "../../../models/SubjectScheduler.js";
-import { getStartEndOfDay, getTZMinutesSinceMidnight, getTZCurrentTimeString, isSameTZDay, getTZParts } from "../../../utils/timezone.js";
+import { buildCalendar, reservationToEvent, sendCalendar } from "../../../utils/ical.js";
+import { checkBookingWindow, checkReservationConflicts, conflictMessage, formatClosureConflicts, formatConflicts, generateReservationNumber, getBookingBlockError, getWindowEndTime, getWindowMinutes, hasConflicts, resolveBookingTarget } from "../../../utils/reservations.js";
+import { checkOperationHours } from "../../../utils/operationHours.js";
+import { buildRecurrenceDates, parseRecurrence } from "../../../utils/recurrence.js";
+import { CHECK_IN_EARLY_MINUTES, createCheckInToken, getCheckInDetails, renderCheckInQR } from "../../../utils/checkIn.js";
+import { suggestAlternativeSlots } from "../../../utils/slotSuggestions.js";
+import { getStatusesTransitionableTo, RESERVATION_STATUSES } from "../../../utils/reservationStateMachine.js";
+import { getStartEndOfDay, getTZMinutesSinceMidnight, getTZCurrentTimeString, isSameTZDay, getTZParts, getTZDateString, combineTZDateAndTime } from "../../../utils/timezone.js";
 
 const router = Router();
 
+// How far back calendar feeds include past reservations
+const CALENDAR_HISTORY_DAYS = 90;
+
+// Largest number of reservations decided in one moderation request
+const MAX_MODERATION_BATCH = 100;
+
+// Largest number of computers in one group reservation
+const MAX_GROUP_SIZE = 50;
+
 // ==========================
 // � UTILITY FUNCTIONS
 // ==========================
@@ -45,47 +68,328 @@ const combineDateAndTime = (date, timeString) => {
   return combinedDate;
 };
 
-// Helper function to check if there's enough time remaining in the current day
-const hasEnoughTimeRemaining = (reservationDate, duration) => {
-  const now = new Date();
-  const reservation = new Date(reservationDate);
-  const isToday = isSameTZDay(now, reservation);
-  if (!isToday) {
-    return { valid: true };
+// Offer a slot freed by a reservation to the waitlist without failing the main operation
+const releaseSlotToWaitlist = async (reservation) => {
+  try {
+    await Waitlist.offerFreedSlot(reservation);
+  } catch (error) {
+    console.error("Failed to offer freed slot to waitlist:", error);
   }
-  const currentTimeInMinutes = getTZMinutesSinceMidnight(now);
-  const endOfDayInMinutes = 24 * 60;
-  const remainingMinutes = endOfDayInMinutes - currentTimeInMinutes;
-  if (duration > remainingMinutes) {
-    return {
-      valid: false,
-      message: `Cannot reserve for ${duration} minutes. Only ${remainingMinutes} minutes remaining in the current day.`,
-      remainingMinutes,
-    };
+};
+
+// Who changed a reservation status, as recorded in its status history
+const statusActor = (req, reason = null) => ({
+  changedBy: req.user._id,
+  changedByType: req.userType === "admin" ? "admin" : "user",
+  reason,
+});
+
+// Whether two reservations ask for the same laboratory or computer at overlapping times
+const competesForSlot = (reservation, other) => {
+  if (reservation.reservation_type !== other.reservation_type) return false;
+  const field = reservation.reservation_type === "laboratory" ? "laboratory_id" : "computer_id";
+  if (!reservation[field] || !other[field] || String(reservation[field]) !== String(other[field])) return false;
+  const { startAt, endAt } = other.getWindow();
+  return reservation.overlapsWindow(startAt, endAt);
+};
+
+// Approve a pending reservation, email the owner a calendar invite and count the approval
+const approveReservation = async (reservation, req, { notes = null, reason = null } = {}) => {
+  reservation.transitionTo("approved", statusActor(req, reason));
+  reservation.approved_by = req.user._id;
+  if (notes) reservation.notes = notes.trim();
+
+  await reservation.save();
+
+  // Fetch user and related data for email
+  const user = await User.findById(reservation.user_id);
+  let laboratory = null;
+  let computer = null;
+  if (reservation.laboratory_id) {
+    laboratory = await Laboratory.findById(reservation.laboratory_id);
+  }
+  if (reservation.computer_id) {
+    computer = await Computer.findById(reservation.computer_id).populate('laboratory_id', 'name');
   }
-  return { valid: true };
+
+  try {
+    const email = user?.email;
+    const checkIn = createCheckInToken(reservation);
+    const subject = `${reservation.reservation_type === 'laboratory' ? 'Laboratory' : 'Computer'} Reservation Approved`;
+    const html = `<p>Dear ${user?.firstname || ''} ${user?.lastname || ''},</p>
+        <p>Your ${reservation.reservation_type === 'laboratory' ? 'laboratory' : 'computer'} reservation has been <b>approved</b>.</p>
+        <ul>
+          <li><b>Reservation Number:</b> ${reservation.reservation_number}</li>
+          <li><b>Laboratory:</b> ${laboratory?.name || computer?.laboratory_id?.name || 'N/A'}</li>
+          <li><b>Date:</b> ${reservation.reservation_date ? getTZDateString(reservation.reservation_date) : 'N/A'}</li>
+          <li><b>Start Time:</b> ${reservation.start_time || 'N/A'}</li>
+          <li><b>End Time:</b> ${reservation.end_time || 'N/A'}</li>
+          <li><b>Duration:</b> ${reservation.duration ? reservation.duration + ' minutes' : 'N/A'}</li>
+          <li><b>Purpose:</b> ${reservation.purpose || ''}</li>
+        </ul>
+        ${checkIn ? `<p>Scan this code at check-in. It works from ${CHECK_IN_EARLY_MINUTES} minutes before your reservation starts until it ends.</p>
+        <p><img src="cid:check-in-qr" alt="Check-in QR code" width="200" height="200" /></p>` : ''}
+        <p>If you have any questions, please contact the admin.</p>
+      `;
+    if (email) {
+      const calendar = buildCalendar({
+        name: `Reservation ${reservation.reservation_number}`,
+        events: [reservationToEvent({ ...reservation.toObject(), laboratory_id: laboratory, computer_id: computer })],
+      });
+      const attachments = [
+        { filename: "reservation.ics", content: Buffer.from(calendar).toString("base64") },
+      ];
+      if (checkIn) {
+        const qr = await renderCheckInQR(checkIn.token, "png");
+        attachments.push({ filename: "check-in.png", content: qr.toString("base64"), contentId: "check-in-qr" });
+      }
+      await sendMail(email, subject, html, undefined, attachments);
+    }
+  } catch (mailError) {
+    console.error("Failed to send approval email to reservation owner:", mailError);
+  }
+
+  // Update user's approved reservations count
+  if (user) {
+    if (!user.approved_reservations_count) {
+      user.approved_reservations_count = 0;
+    }
+    user.approved_reservations_count += 1;
+    await user.save();
+  }
+
+  return reservation;
 };
 
-// Generate unique reservation number (alphanumeric only)
-const generateReservationNumber = async () => {
-  const gen = customAlphabet("ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789", 8);
-  let reservationNumber;
-  let isUnique = false;
+// Reject a pending reservation, offer its slot to the waitlist and count the rejection
+const rejectReservation = async (reservation, req, { notes = null, reason = null } = {}) => {
+  reservation.transitionTo("rejected", statusActor(req, reason));
+  reservation.approved_by = req.user._id;
 
-  while (!isUnique) {
-    reservationNumber = `RSV-${gen()}`;
+  // Combine rejection reason and notes
+  let rejectionNotes = "";
+  if (reason) rejectionNotes += `Reason: ${reason.trim()}`;
+  if (notes) rejectionNotes += rejectionNotes ? `. Notes: ${notes.trim()}` : notes.trim();
 
-    const existingReservation = await Reservation.findOne({
-      reservation_number: reservationNumber,
-      isDeleted: false,
+  reservation.notes = rejectionNotes || null;
+
+  await reservation.save();
+  await releaseSlotToWaitlist(reservation);
+
+  // Get user and update their data
+  const user = await User.findById(reservation.user_id);
+  if (user) {
+    if (!user.rejected_reservations_count) {
+      user.rejected_reservations_count = 0;
+    }
+    user.rejected_reservations_count += 1;
+
+    await user.save();
+  }
+
+  return reservation;
+};
+
+// Give back a computer that was held for an approved or active reservation
+const releaseReservedComputer = async (reservation) => {
+  if (!reservation.computer_id) return;
+  await Computer.updateOne(
+    { _id: reservation.computer_id, status: { $in: ["reserved", "occupied"] } },
+    { $set: { status: "available" } }
+  );
+};
+
+// Cancel a reservation, give back the computer it held and offer its slot to the waitlist
+const cancelReservation = async (reservation, req, { notes = null, reason = notes } = {}) => {
+  const wasBlocking = ["approved", "active"].includes(reservation.status);
+  reservation.transitionTo("cancelled", statusActor(req, reason));
+  if (notes) reservation.notes = notes.trim();
+  await reservation.save();
+
+  if (wasBlocking) await releaseReservedComputer(reservation);
+  await releaseSlotToWaitlist(reservation);
+  return reservation;
+};
+
+// Complete an active reservation, give back its computer and offer the rest of its slot to the waitlist
+const completeReservation = async (reservation, req, { notes = null, reason = null } = {}) => {
+  reservation.transitionTo("completed", statusActor(req, reason));
+  reservation.completed_at = new Date();
+  if (notes) reservation.notes = notes.trim();
+  await reservation.save();
+
+  await releaseReservedComputer(reservation);
+  await releaseSlotToWaitlist(reservation);
+  return reservation;
+};
+
+// Choose n free seats, preferring a run of neighbouring computers in pc_number order
+const pickGroupSeats = (seats, n) => {
+  for (let i = 0; i + n <= seats.length; i++) {
+    const run = seats.slice(i, i + n);
+    if (run.every(seat => seat.free)) return { seats: run, adjacent: true };
+  }
+  const free = seats.filter(seat => seat.free);
+  return free.length >= n ? { seats: free.slice(0, n), adjacent: false } : null;
+};
+
+// Email the organizer and every seat member of a group once, listing their seats.
+// Reservations and the group must have user, computer, organizer and laboratory populated.
+const notifyGroupMembers = async (group, reservations, subject, action, reason = null) => {
+  const recipients = new Map();
+  const addRecipient = (user, reservation) => {
+    if (!user?.email) return;
+    const key = user._id.toString();
+    if (!recipients.has(key)) recipients.set(key, { user, seats: [] });
+    if (reservation) recipients.get(key).seats.push(reservation);
+  };
+  addRecipient(group.organizer_id, null);
+  for (const reservation of reservations) addRecipient(reservation.user_id, reservation);
+
+  const organizerId = group.organizer_id?._id?.toString();
+  for (const [key, { user, seats }] of recipients) {
+    const listed = key === organizerId ? reservations : seats;
+    try {
+      const html = `<p>Dear ${user.firstname || ''} ${user.lastname || ''},</p>
+          <p>The group reservation <b>${group.reservation_number}</b> ${action}.</p>
+          <ul>
+            <li><b>Laboratory:</b> ${group.laboratory_id?.name || 'N/A'}</li>
+            <li><b>Date:</b> ${getTZDateString(group.reservation_date)}</li>
+            <li><b>Time:</b> ${group.start_time} - ${group.end_time}</li>
+            <li><b>Purpose:</b> ${group.purpose}</li>
+            ${reason ? `<li><b>Reason:</b> ${reason}</li>` : ''}
+            <li><b>${key === organizerId ? 'Seats' : 'Your seat'}:</b> ${listed.map(reservation => `${reservation.computer_id?.pc_number || 'N/A'} (${reservation.reservation_number})`).join(', ')}</li>
+          </ul>
+          <p>If you have any questions, please contact the admin.</p>
+        `;
+      await sendMail(user.email, subject, html);
+    } catch (mailError) {
+      console.error("Failed to send group reservation email:", mailError);
+    }
+  }
+};
+
+// Build the reservation filter for a bulk cancellation. At least one scope
+// (laboratory, computer, date range, reservation type or user type) is required.
+const buildBulkCancelFilter = async (body) => {
+  const { laboratory_id, computer_id, date_from, date_to, reservation_type, user_type } = body;
+  const conditions = [];
+  const scope = {};
+
+  if (laboratory_id) {
+    const laboratory = await Laboratory.findOne({ _id: laboratory_id, isDeleted: false });
+    if (!laboratory) return { error: "Laboratory not found or has been deleted" };
+    const computers = await Computer.find({ laboratory_id }).select("_id");
+    conditions.push({
+      $or: [
+        { laboratory_id },
+        { computer_id: { $in: computers.map(computer => computer._id) } },
+      ],
     });
+    scope.laboratory_id = laboratory_id;
+  }
+
+  if (computer_id) {
+    const computer = await Computer.findOne({ _id: computer_id, isDeleted: false });
+    if (!computer) return { error: "Computer not found or has been deleted" };
+    conditions.push({ computer_id });
+    scope.computer_id = computer_id;
+  }
+
+  if (date_from || date_to) {
+    const from = date_from ? new Date(date_from) : null;
+    const to = date_to ? new Date(date_to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return { error: "date_from and date_to must be valid dates" };
+    }
+    if (from && to && getTZDateString(to) < getTZDateString(from)) {
+      return { error: "date_to cannot be before date_from" };
+    }
+    const rangeStart = from ? getStartEndOfDay(from).startOfDay : new Date(0);
+    const rangeEnd = to ? new Date(getStartEndOfDay(to).endOfDay.getTime() + 1) : new Date(8640000000000000);
+    conditions.push(Reservation.overlapCondition(rangeStart, rangeEnd));
+    scope.date_from = from ? getTZDateString(from) : null;
+    scope.date_to = to ? getTZDateString(to) : null;
+  }
+
+  if (reservation_type) {
+    if (!["laboratory", "computer"].includes(reservation_type)) {
+      return { error: "reservation_type must be either 'laboratory' or 'computer'" };
+    }
+    conditions.push({ reservation_type });
+    scope.reservation_type = reservation_type;
+  }
 
-    if (!existingReservation) {
-      isUnique = true;
+  if (user_type) {
+    if (!["student", "faculty"].includes(user_type)) {
+      return { error: "user_type must be either 'student' or 'faculty'" };
     }
+    const users = await User.find({ user_type }).select("_id");
+    conditions.push({ user_id: { $in: users.map(user => user._id) } });
+    scope.user_type = user_type;
+  }
+
+  if (conditions.length === 0) {
+    return { error: "At least one scope is required: laboratory_id, computer_id, date_from, date_to, reservation_type or user_type" };
   }
 
-  return reservationNumber;
+  return {
+    scope,
+    filter: {
+      isDeleted: false,
+      status: { $in: getStatusesTransitionableTo("cancelled") },
+      $and: conditions,
+    },
+  };
+};
+
+const summarizeBulkReservations = (reservations) => reservations.map(reservation => ({
+  id: reservation.id,
+  reservation_number: reservation.reservation_number,
+  reservation_type: reservation.reservation_type,
+  status: reservation.status,
+  reservation_date: reservation.reservation_date,
+  start_time: reservation.start_time,
+  end_time: reservation.end_time,
+  start_at: reservation.start_at,
+  end_at: reservation.end_at,
+  computer_id: reservation.computer_id,
+  laboratory_id: reservation.laboratory_id,
+  user: reservation.user_id ? `${reservation.user_id.firstname} ${reservation.user_id.lastname}` : null,
+}));
+
+// Send one cancellation email per user listing all of their cancelled reservations.
+// Returns the number of users notified.
+const sendBulkCancellationEmails = async (reservations, reason) => {
+  const byUser = new Map();
+  for (const reservation of reservations) {
+    const user = reservation.user_id;
+    if (!user?.email) continue;
+    const key = user._id.toString();
+    if (!byUser.has(key)) byUser.set(key, { user, reservations: [] });
+    byUser.get(key).reservations.push(reservation);
+  }
+
+  let notified = 0;
+  for (const { user, reservations: userReservations } of byUser.values()) {
+    try {
+      const subject = userReservations.length > 1 ? "Reservations Cancelled" : "Reservation Cancelled";
+      const items = userReservations.map(reservation => `
+            <li><b>${reservation.reservation_number}</b> (${reservation.reservation_type}): ${getTZDateString(reservation.reservation_date)} ${reservation.start_time} - ${reservation.end_time}</li>`).join("");
+      const html = `<p>Dear ${user.firstname || ''} ${user.lastname || ''},</p>
+          <p>The following reservation${userReservations.length > 1 ? 's have' : ' has'} been <b>cancelled</b> by the admin.</p>
+          <ul>${items}
+          </ul>
+          <p><b>Reason:</b> ${reason}</p>
+          <p>Please book another slot. If you have any questions, please contact the admin.</p>
+        `;
+      await sendMail(user.email, subject, html);
+      notified += 1;
+    } catch (mailError) {
+      console.error("Failed to send bulk cancellation email:", mailError);
+    }
+  }
+  return notified;
 };
 
 const generateWalkInGuestUser = async (guest = {}) => {
@@ -148,103 +452,15 @@ const generateWalkInGuestUser = async (guest = {}) => {
   return { user: guestUser };
 };
 
-// Check for reservation conflicts
-const checkReservationConflicts = async (reservationDate, startTime, duration, reservationType, excludeReservationId = null, laboratoryId = null, computerId = null) => {
-  const requestedDate = new Date(reservationDate);
-  const { startOfDay, endOfDay } = getStartEndOfDay(requestedDate);
-  
-  // Calculate requested time range in minutes
-  let requestedStartMinutes, requestedEndMinutes;
-  
-  if (typeof startTime === 'string' && startTime.includes(':')) {
-    // Military time format
-    requestedStartMinutes = timeToMinutes(startTime);
-    requestedEndMinutes = requestedStartMinutes + duration;
-  } else {
-    // Legacy DateTime format
-    const requestedStartTime = new Date(startTime);
-    const requestedEndTime = new Date(requestedStartTime.getTime() + (duration * 60 * 1000));
-    const startParts = getTZParts(requestedStartTime);
-    const endParts = getTZParts(requestedEndTime);
-    requestedStartMinutes = startParts.hour * 60 + startParts.minute;
-    requestedEndMinutes = endParts.hour * 60 + endParts.minute;
-  }
-  
-  // Build query to find conflicting reservations on the same date
-  const conflictQuery = {
-    reservation_type: reservationType,
-    status: { $in: ['approved', 'active'] },
-    isDeleted: false,
-    reservation_date: { $gte: startOfDay, $lte: endOfDay }
-  };
-  
-  // Exclude current reservation if updating
-  if (excludeReservationId) {
-    conflictQuery._id = { $ne: excludeReservationId };
-  }
-  // Add laboratory or computer filter if provided
-  if (reservationType === 'laboratory' && laboratoryId) {
-    conflictQuery.laboratory_id = laboratoryId;
-  }
-  if (reservationType === 'computer' && computerId) {
-    conflictQuery.computer_id = computerId;
-  }
-  
-  const existingReservations = await Reservation.find(conflictQuery)
-    .populate('user_id', 'firstname lastname email id_number')
-    .sort({ start_time: 1, reservation_date: 1 });
-  
-  // Check for time conflicts
-  const conflictingReservations = existingReservations.filter(existing => {
-    let existingStartMinutes, existingEndMinutes;
-    
-    if (existing.start_time && typeof existing.start_time === 'string') {
-      // New format with military time
-      existingStartMinutes = timeToMinutes(existing.start_time);
-      existingEndMinutes = timeToMinutes(existing.end_time);
-    } else if (existing.reservation_date && existing.duration) {
-      // Legacy format
-      const existingStart = new Date(existing.reservation_date);
-      const p = getTZParts(existingStart);
-      existingStartMinutes = p.hour * 60 + p.minute;
-      existingEndMinutes = existingStartMinutes + existing.duration;
-    } else {
-      return false; // Skip if we can't determine the time
-    }
-    
-    // Check for overlap: (start1 < end2) && (start2 < end1)
-    return (requestedStartMinutes < existingEndMinutes) && (existingStartMinutes < requestedEndMinutes);
-  });
-  
-  // Check for subject schedule conflicts (for laboratory or computer)
-  let subjectConflicts = [];
-  if (reservationType === 'laboratory' && laboratoryId) {
-    subjectConflicts = await SubjectScheduler.find({
-      laboratory_id: laboratoryId,
-      isDeleted: false,
-      date: { $gte: startOfDay, $lte: endOfDay }
-    });
-  } else if (reservationType === 'computer' && computerId) {
-    subjectConflicts = await SubjectScheduler.find({
-      computer_id: computerId,
-      isDeleted: false,
-      date: { $gte: startOfDay, $lte: endOfDay }
-    });
-  }
-
-  // Filter subject conflicts by time overlap
-  const overlappingSubjects = subjectConflicts.filter(subject => {
-    let subjectStartMinutes, subjectEndMinutes;
-    if (subject.start_time && subject.end_time) {
-      subjectStartMinutes = timeToMinutes(subject.start_time);
-      subjectEndMinutes = timeToMinutes(subject.end_time);
-      return (requestedStartMinutes < subjectEndMinutes) && (subjectStartMinutes < requestedEndMinutes);
-    }
-    return false;
-  });
-
-  // Return both reservation and subject conflicts
-  return { reservationConflicts: conflictingReservations, subjectConflicts: overlappingSubjects };
+// Find the semester of the active academic config that contains the given date
+const findActiveSemesterForDate = async (date) => {
+  const config = await AcademicConfig.findOne({ is_active: true });
+  if (!config) return null;
+  const dateString = getTZDateString(date);
+  const semester = config.semesters.find(s =>
+    getTZDateString(s.start_date) <= dateString && dateString <= getTZDateString(s.end_date)
+  );
+  return semester || null;
 };
 
 // ==========================
@@ -434,130 +650,1193 @@ router.get("/my-reservations", authMiddleware, async (req, res) => {
   }
 });
 
-// Get reservation by ID
-router.get("/:id", authMiddleware, async (req, res) => {
+// iCalendar feed of the user's own reservations
+// Calendar apps subscribe with ?token=<calendar token>; a logged-in session works too
+router.get("/my-reservations/calendar.ics", calendarFeedAuth, async (req, res) => {
   try {
-    const { id } = req.params;
+    if (req.userType === "admin") {
+      return res.status(403).json({
+        status: 403,
+        message: "Calendar feeds are only available to users",
+      });
+    }
 
-    const reservation = await Reservation.findOne({ 
-      _id: id, 
-      isDeleted: false 
-    })
-      .populate('user_id', 'firstname lastname email id_number')
-      .populate('approved_by', 'firstname lastname username')
-      .populate({
-        path: 'computer_id',
-        select: 'pc_number status',
-        populate: {
-          path: 'laboratory_id',
-          select: 'name status'
-        }
-      })
-      .populate('laboratory_id', 'name status description');
+    // Same reservations as /my-reservations, from the last 90 days onwards
+    const filter = {
+      user_id: req.user._id,
+      isDeleted: false,
+      reservation_date: { $gte: new Date(Date.now() - CALENDAR_HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+    };
+    if (req.user.user_type === "student") {
+      filter.reservation_type = "computer";
+    } else if (req.user.user_type === "faculty") {
+      filter.reservation_type = "laboratory";
+    }
 
-    if (!reservation) {
-      return res.status(404).json({
-        status: 404,
-        message: "Reservation not found",
+    const reservations = await Reservation.find(filter)
+      .populate('laboratory_id', 'name')
+      .populate({ path: 'computer_id', select: 'pc_number laboratory_id', populate: { path: 'laboratory_id', select: 'name' } })
+      .sort({ reservation_date: 1, start_time: 1 });
+
+    const calendar = buildCalendar({
+      name: `${req.user.firstname} ${req.user.lastname} - Reservations`,
+      events: reservations.map(reservationToEvent),
+    });
+
+    sendCalendar(res, "my-reservations.ics", calendar);
+  } catch (error) {
+    console.error("Get reservations calendar error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to generate reservations calendar",
+      error: error.message,
+    });
+  }
+});
+
+// Create or rotate the user's calendar token; the previous feed URL stops working
+router.post("/my-reservations/calendar-token", authMiddleware, async (req, res) => {
+  try {
+    if (req.userType === "admin") {
+      return res.status(403).json({
+        status: 403,
+        message: "Calendar feeds are only available to users",
       });
     }
 
-    // Check if user can access this reservation
-    if (req.userType === "user" && reservation.user_id._id.toString() !== req.user._id.toString()) {
+    const token = crypto.randomBytes(24).toString("hex");
+    await User.updateOne({ _id: req.user._id }, { $set: { calendar_token: token } });
+
+    res.status(200).json({
+      status: 200,
+      message: "Calendar token generated successfully",
+      data: {
+        token,
+        feed_url: `${req.protocol}://${req.get('host')}${req.baseUrl}/my-reservations/calendar.ics?token=${token}`,
+      },
+    });
+  } catch (error) {
+    console.error("Generate calendar token error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to generate calendar token",
+      error: error.message,
+    });
+  }
+});
+
+// Revoke the user's calendar token
+router.delete("/my-reservations/calendar-token", authMiddleware, async (req, res) => {
+  try {
+    if (req.userType === "admin") {
       return res.status(403).json({
         status: 403,
-        message: "You can only access your own reservations",
+        message: "Calendar feeds are only available to users",
       });
     }
 
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendar_token: 1 } });
+
     res.status(200).json({
       status: 200,
-      message: "Reservation retrieved successfully",
-      data: reservation,
+      message: "Calendar token revoked successfully",
     });
   } catch (error) {
-    console.error("Get reservation error:", error);
+    console.error("Revoke calendar token error:", error);
     res.status(500).json({
       status: 500,
-      message: "Failed to retrieve reservation",
+      message: "Failed to revoke calendar token",
       error: error.message,
     });
   }
 });
 
-// Get reservation by reservation number
-router.get("/number/:reservationNumber", authMiddleware, async (req, res) => {
+// Pending reservations awaiting a decision, oldest request first, each with
+// conflict hints against approved bookings and other pending requests (Admin only)
+router.get("/moderation-queue", adminAuthMiddleware, async (req, res) => {
   try {
-    const { reservationNumber } = req.params;
-
-    const reservation = await Reservation.findOne({ 
-      reservation_number: reservationNumber, 
-      isDeleted: false 
-    })
-      .populate('user_id', 'firstname lastname email id_number')
-      .populate('approved_by', 'firstname lastname username');
+    const { reservation_type, laboratory_id, computer_id, date_from, date_to, page = 1, limit = 20 } = req.query;
 
-    if (!reservation) {
-      return res.status(404).json({
-        status: 404,
-        message: "Reservation not found",
-      });
+    // Build filter
+    const filter = { isDeleted: false, status: "pending" };
+    if (reservation_type) filter.reservation_type = reservation_type;
+    if (laboratory_id) filter.laboratory_id = laboratory_id;
+    if (computer_id) filter.computer_id = computer_id;
+    if (date_from || date_to) {
+      filter.reservation_date = {};
+      if (date_from) filter.reservation_date.$gte = getStartEndOfDay(date_from).startOfDay;
+      if (date_to) filter.reservation_date.$lte = getStartEndOfDay(date_to).endOfDay;
     }
 
-    // Check if user can access this reservation
-    if (req.userType === "user" && reservation.user_id._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        status: 403,
-        message: "You can only access your own reservations",
-      });
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reservations = await Reservation.find(filter)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Reservation.countDocuments(filter);
+
+    const items = [];
+    for (const reservation of reservations) {
+      const conflicts = await checkReservationConflicts(
+        reservation.reservation_date,
+        reservation.start_time,
+        reservation.duration,
+        reservation.reservation_type,
+        reservation._id,
+        reservation.laboratory_id,
+        reservation.computer_id
+      );
+      const competingPending = reservations.filter(other =>
+        !other._id.equals(reservation._id) && competesForSlot(reservation, other)
+      );
+      items.push({ reservation, conflicts, competingPending });
     }
 
+    await Reservation.populate(reservations, [
+      { path: 'user_id', select: 'firstname lastname email id_number user_type' },
+      { path: 'computer_id', select: 'pc_number status', populate: { path: 'laboratory_id', select: 'name' } },
+      { path: 'laboratory_id', select: 'name status' }
+    ]);
+
     res.status(200).json({
       status: 200,
-      message: "Reservation retrieved successfully",
-      data: reservation,
+      message: "Moderation queue retrieved successfully",
+      data: {
+        queue: items.map(({ reservation, conflicts, competingPending }) => ({
+          reservation,
+          has_conflicts: hasConflicts(conflicts),
+          conflicts: formatConflicts(conflicts),
+          competing_pending: competingPending.map(other => other.reservation_number),
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+        },
+      },
     });
   } catch (error) {
-    console.error("Get reservation by number error:", error);
+    console.error("Get moderation queue error:", error);
     res.status(500).json({
       status: 500,
-      message: "Failed to retrieve reservation",
+      message: "Failed to retrieve moderation queue",
       error: error.message,
     });
   }
 });
 
-// Create new reservation
-router.post("/", authMiddleware, async (req, res) => {
+// Approve or reject many pending reservations at once (Admin only)
+// Body: { decisions: [{ id, action, reason?, notes? }] } or { ids, action }, with an
+// optional shared reason and notes. Approvals that conflict with approved bookings or
+// with earlier approvals in the same batch are skipped unless force is true.
+router.post("/moderation-queue/decisions", adminAuthMiddleware, async (req, res) => {
   try {
-    const { 
-      reservation_type, 
-      computer_id,
-      laboratory_id,
-      reservation_date,
-      start_time,
-      end_time,
-      purpose, 
-      notes,
-      duration
-    } = req.body || {}; // Handle empty body
+    const body = req.body || {};
+    const { reason, notes, force = false } = body;
 
-    // Validate required fields
-    if (!reservation_type || !purpose || !reservation_date) {
+    let decisions = body.decisions;
+    if (!decisions && Array.isArray(body.ids)) {
+      decisions = body.ids.map(id => ({ id, action: body.action }));
+    }
+
+    if (!Array.isArray(decisions) || decisions.length === 0) {
       return res.status(400).json({
         status: 400,
-        message: "Reservation type, purpose, and reservation date are required",
+        message: "Provide decisions as [{ id, action }] or ids with an action",
       });
     }
-
-    // Validate reservation type and corresponding required fields
-    if (reservation_type === "computer" && !computer_id) {
+    if (decisions.length > MAX_MODERATION_BATCH) {
       return res.status(400).json({
         status: 400,
-        message: "Computer ID is required for computer reservations",
+        message: `At most ${MAX_MODERATION_BATCH} reservations can be decided at once`,
       });
     }
-
+    const invalid = decisions.find(decision => !decision?.id || !["approve", "reject"].includes(decision.action));
+    if (invalid) {
+      return res.status(400).json({
+        status: 400,
+        message: "Each decision needs an id and an action of 'approve' or 'reject'",
+      });
+    }
+
+    const results = [];
+    const approvedInBatch = [];
+    for (const decision of decisions) {
+      const result = { id: decision.id, action: decision.action };
+      results.push(result);
+
+      try {
+        const reservation = mongoose.isValidObjectId(decision.id)
+          ? await Reservation.findOne({ _id: decision.id, isDeleted: false })
+          : null;
+        if (!reservation) {
+          Object.assign(result, { result: "not_found", message: "Reservation not found" });
+          continue;
+        }
+        result.reservation_number = reservation.reservation_number;
+
+        const targetStatus = decision.action === "approve" ? "approved" : "rejected";
+        if (!reservation.canTransitionTo(targetStatus)) {
+          Object.assign(result, { result: "skipped", message: `Reservation is ${reservation.status}` });
+          continue;
+        }
+
+        const itemReason = decision.reason?.trim() || reason?.trim() || null;
+        const itemNotes = decision.notes?.trim() || notes?.trim() || null;
+
+        if (decision.action === "reject") {
+          await rejectReservation(reservation, req, { notes: itemNotes, reason: itemReason });
+          Object.assign(result, { result: "rejected", message: "Reservation rejected" });
+          continue;
+        }
+
+        if (!force) {
+          // Conflicts among the batch itself, then against bookings already approved
+          const batchConflicts = approvedInBatch.filter(other => competesForSlot(reservation, other));
+          if (batchConflicts.length > 0) {
+            Object.assign(result, {
+              result: "conflict",
+              message: "Conflicts with a reservation approved earlier in this batch",
+              batch_conflicts: batchConflicts.map(other => other.reservation_number),
+            });
+            continue;
+          }
+
+          const conflicts = await checkReservationConflicts(
+            reservation.reservation_date,
+            reservation.start_time,
+            reservation.duration,
+            reservation.reservation_type,
+            reservation._id,
+            reservation.laboratory_id,
+            reservation.computer_id
+          );
+          if (hasConflicts(conflicts)) {
+            Object.assign(result, {
+              result: "conflict",
+              message: conflictMessage(conflicts),
+              conflicts: formatConflicts(conflicts),
+            });
+            continue;
+          }
+        }
+
+        await approveReservation(reservation, req, { notes: itemNotes, reason: itemReason });
+        approvedInBatch.push(reservation);
+        Object.assign(result, { result: "approved", message: "Reservation approved" });
+      } catch (decisionError) {
+        console.error(`Moderation decision for reservation ${decision.id} failed:`, decisionError);
+        Object.assign(result, { result: "error", message: decisionError.message });
+      }
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.result] = (counts[result.result] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.status(200).json({
+      status: 200,
+      message: `${summary.approved || 0} approved, ${summary.rejected || 0} rejected, ${results.length - (summary.approved || 0) - (summary.rejected || 0)} not processed`,
+      data: {
+        summary,
+        results,
+      },
+    });
+  } catch (error) {
+    console.error("Bulk moderation error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to process moderation decisions",
+      error: error.message,
+    });
+  }
+});
+
+// Get reservation by ID
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await Reservation.findOne({ 
+      _id: id, 
+      isDeleted: false 
+    })
+      .populate('user_id', 'firstname lastname email id_number')
+      .populate('approved_by', 'firstname lastname username')
+      .populate({
+        path: 'computer_id',
+        select: 'pc_number status',
+        populate: {
+          path: 'laboratory_id',
+          select: 'name status'
+        }
+      })
+      .populate('laboratory_id', 'name status description');
+
+    if (!reservation) {
+      return res.status(404).json({
+        status: 404,
+        message: "Reservation not found",
+      });
+    }
+
+    // Check if user can access this reservation
+    if (req.userType === "user" && reservation.user_id._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only access your own reservations",
+      });
+    }
+
+    // The check-in code is only shown to the reservation owner and admins
+    const isOwner = reservation.user_id?._id.toString() === req.user._id.toString();
+    const checkIn = req.userType === "admin" || isOwner ? await getCheckInDetails(reservation) : null;
+
+    res.status(200).json({
+      status: 200,
+      message: "Reservation retrieved successfully",
+      data: { ...reservation.toJSON(), check_in: checkIn },
+    });
+  } catch (error) {
+    console.error("Get reservation error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve reservation",
+      error: error.message,
+    });
+  }
+});
+
+// Get the check-in QR code of an approved reservation as an image (?format=svg|png)
+router.get("/:id/check-in-qr", authMiddleware, async (req, res) => {
+  try {
+    const format = req.query.format === "png" ? "png" : "svg";
+
+    const reservation = await Reservation.findOne({
+      _id: req.params.id,
+      isDeleted: false
+    });
+
+    if (!reservation) {
+      return res.status(404).json({
+        status: 404,
+        message: "Reservation not found",
+      });
+    }
+
+    if (req.userType !== "admin" && reservation.user_id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only access your own reservations",
+      });
+    }
+
+    const checkIn = createCheckInToken(reservation);
+    if (!checkIn) {
+      return res.status(400).json({
+        status: 400,
+        message: "Only approved reservations have a check-in code",
+      });
+    }
+
+    const image = await renderCheckInQR(checkIn.token, format);
+    res.set("Cache-Control", "no-store");
+    res.type(format === "png" ? "image/png" : "image/svg+xml").send(image);
+  } catch (error) {
+    console.error("Get check-in QR error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to generate check-in QR code",
+      error: error.message,
+    });
+  }
+});
+
+// Get the status transition history of a reservation
+router.get("/:id/history", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await Reservation.findOne({
+      _id: id,
+      isDeleted: false
+    }).select('reservation_number user_id status status_history');
+
+    if (!reservation) {
+      return res.status(404).json({
+        status: 404,
+        message: "Reservation not found",
+      });
+    }
+
+    // Check if user can access this reservation
+    if (req.userType !== "admin" && reservation.user_id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only access your own reservations",
+      });
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Reservation history retrieved successfully",
+      data: {
+        reservation_number: reservation.reservation_number,
+        status: reservation.status,
+        allowed_transitions: reservation.getAllowedTransitions(),
+        history: reservation.status_history,
+      },
+    });
+  } catch (error) {
+    console.error("Get reservation history error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve reservation history",
+      error: error.message,
+    });
+  }
+});
+
+// Get reservation by reservation number
+router.get("/number/:reservationNumber", authMiddleware, async (req, res) => {
+  try {
+    const { reservationNumber } = req.params;
+
+    const reservation = await Reservation.findOne({ 
+      reservation_number: reservationNumber, 
+      isDeleted: false 
+    })
+      .populate('user_id', 'firstname lastname email id_number')
+      .populate('approved_by', 'firstname lastname username');
+
+    if (!reservation) {
+      return res.status(404).json({
+        status: 404,
+        message: "Reservation not found",
+      });
+    }
+
+    // Check if user can access this reservation
+    if (req.userType === "user" && reservation.user_id._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only access your own reservations",
+      });
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Reservation retrieved successfully",
+      data: reservation,
+    });
+  } catch (error) {
+    console.error("Get reservation by number error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve reservation",
+      error: error.message,
+    });
+  }
+});
+
+// Get a recurring series with all of its occurrences
+router.get("/series/:series_id", authMiddleware, async (req, res) => {
+  try {
+    const { series_id } = req.params;
+
+    const series = await ReservationSeries.findOne({
+      _id: series_id,
+      isDeleted: false
+    })
+      .populate('user_id', 'firstname lastname email id_number')
+      .populate('laboratory_id', 'name status')
+      .populate('computer_id', 'pc_number status');
+
+    if (!series) {
+      return res.status(404).json({
+        status: 404,
+        message: "Reservation series not found",
+      });
+    }
+
+    // Check if user can access this series
+    if (req.userType !== "admin" && series.user_id._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only access your own reservations",
+      });
+    }
+
+    const reservations = await Reservation.find({ series_id: series._id, isDeleted: false })
+      .populate('approved_by', 'firstname lastname username')
+      .sort({ series_index: 1 });
+
+    res.status(200).json({
+      status: 200,
+      message: "Reservation series retrieved successfully",
+      data: {
+        series,
+        reservations,
+      },
+    });
+  } catch (error) {
+    console.error("Get reservation series error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve reservation series",
+      error: error.message,
+    });
+  }
+});
+
+// Create a group reservation: several computers in one laboratory for the same window.
+// Pass computer_ids for specific seats or computer_count to pick free, preferably adjacent,
+// computers. member_ids assigns users to the seats in order; other seats go to the organizer.
+// All seats are booked in one transaction, or none when any of them conflicts.
+router.post("/groups", authMiddleware, async (req, res) => {
+  try {
+    const {
+      laboratory_id,
+      reservation_date,
+      start_time,
+      end_time,
+      end_date,
+      purpose,
+      notes,
+      computer_ids,
+      computer_count,
+      member_ids = [],
+      user_id,
+    } = req.body || {};
+
+    if (!laboratory_id || !reservation_date || !start_time || !end_time || !purpose?.trim()) {
+      return res.status(400).json({
+        status: 400,
+        message: "laboratory_id, reservation_date, start_time, end_time and purpose are required",
+      });
+    }
+
+    if (!isValidMilitaryTime(start_time) || !isValidMilitaryTime(end_time)) {
+      return res.status(400).json({
+        status: 400,
+        message: "start_time and end_time must be in military time format (HH:MM)",
+      });
+    }
+
+    const calculatedDate = new Date(reservation_date);
+    if (isNaN(calculatedDate.getTime())) {
+      return res.status(400).json({
+        status: 400,
+        message: "reservation_date must be a valid date",
+      });
+    }
+
+    // Admins book on behalf of an organizer; everyone else organizes their own group
+    let organizer = req.user;
+    if (req.userType === "admin") {
+      organizer = user_id ? await User.findOne({ _id: user_id, isDeleted: false }) : null;
+      if (!organizer) {
+        return res.status(400).json({
+          status: 400,
+          message: "A valid user_id for the group organizer is required",
+        });
+      }
+    }
+
+    // Users with repeated no-shows are temporarily blocked from booking
+    const blockError = getBookingBlockError(req.user, req.userType === "admin");
+    if (blockError) {
+      return res.status(blockError.status).json(blockError);
+    }
+
+    const maxDuration = await SystemDefaults.getMaxReservationMinutes();
+    const calculatedDuration = getWindowMinutes(calculatedDate, start_time, end_time, end_date);
+    if (!(calculatedDuration > 0) || calculatedDuration > maxDuration) {
+      return res.status(400).json({
+        status: 400,
+        message: `Reservations must end after they start and last at most ${maxDuration} minutes`,
+      });
+    }
+
+    const target = await resolveBookingTarget({ reservationType: "laboratory", laboratoryId: laboratory_id });
+    if (target.error) {
+      return res.status(target.error.status).json(target.error);
+    }
+    const { laboratory } = target;
+
+    // Seats: an explicit list, or a count picked from the laboratory's computers
+    const explicitSeats = Array.isArray(computer_ids) && computer_ids.length > 0;
+    const size = explicitSeats ? new Set(computer_ids.map(String)).size : parseInt(computer_count);
+    if (explicitSeats && size !== computer_ids.length) {
+      return res.status(400).json({
+        status: 400,
+        message: "computer_ids must not contain duplicates",
+      });
+    }
+    if (!Number.isInteger(size) || size < 2 || size > MAX_GROUP_SIZE) {
+      return res.status(400).json({
+        status: 400,
+        message: `A group reservation needs between 2 and ${MAX_GROUP_SIZE} computers (computer_ids or computer_count)`,
+      });
+    }
+
+    const computerFilter = {
+      laboratory_id,
+      isDeleted: false,
+      status: { $nin: ["out_of_order", "maintenance"] },
+    };
+    if (explicitSeats) computerFilter._id = { $in: computer_ids };
+    const computers = (await Computer.find(computerFilter).select("pc_number status"))
+      .sort((a, b) => String(a.pc_number).localeCompare(String(b.pc_number), undefined, { numeric: true }));
+
+    if (explicitSeats && computers.length !== size) {
+      return res.status(400).json({
+        status: 400,
+        message: "Every computer must belong to the laboratory and be available for reservation",
+      });
+    }
+    if (computers.length < size) {
+      return res.status(409).json({
+        status: 409,
+        message: `The laboratory only has ${computers.length} computer(s) that can be reserved`,
+      });
+    }
+
+    if (!Array.isArray(member_ids) || new Set(member_ids.map(String)).size !== member_ids.length || member_ids.length > size) {
+      return res.status(400).json({
+        status: 400,
+        message: `member_ids must be a list of at most ${size} distinct users`,
+      });
+    }
+    const members = await User.find({ _id: { $in: member_ids }, isDeleted: false }).select("_id");
+    if (members.length !== member_ids.length) {
+      return res.status(400).json({
+        status: 400,
+        message: "One or more members were not found",
+      });
+    }
+
+    // Booking policies and operation hours. The organizer is charged for every seat: the other
+    // seats of the group count as bookings accepted earlier in the same request.
+    const { policyResult, error: windowError } = await checkBookingWindow({
+      user: req.user,
+      isAdmin: req.userType === "admin",
+      reservationType: "computer",
+      laboratoryId: laboratory._id,
+      reservationDate: calculatedDate,
+      startTime: start_time,
+      duration: calculatedDuration,
+      pendingBookings: Array.from({ length: size - 1 }, () => ({ reservationDate: calculatedDate, duration: calculatedDuration })),
+    });
+    if (windowError) {
+      return res.status(windowError.status).json(windowError);
+    }
+
+    // Check every candidate seat before booking any of them
+    const seats = [];
+    for (const computer of computers) {
+      const conflictResult = await checkReservationConflicts(calculatedDate, start_time, calculatedDuration, "computer", null, null, computer._id);
+      seats.push({ computer, free: !hasConflicts(conflictResult), conflictResult });
+    }
+
+    let chosen;
+    if (explicitSeats) {
+      const conflicting = seats.filter(seat => !seat.free);
+      if (conflicting.length > 0) {
+        return res.status(409).json({
+          status: 409,
+          message: `${conflicting.length} of ${size} computers have conflicts`,
+          seat_conflicts: conflicting.map(seat => ({
+            computer_id: seat.computer._id,
+            pc_number: seat.computer.pc_number,
+            message: conflictMessage(seat.conflictResult),
+            ...formatConflicts(seat.conflictResult),
+          })),
+        });
+      }
+      chosen = { seats, adjacent: null };
+    } else {
+      chosen = pickGroupSeats(seats, size);
+      if (!chosen) {
+        return res.status(409).json({
+          status: 409,
+          message: `Only ${seats.filter(seat => seat.free).length} of the requested ${size} computers are free at that time`,
+        });
+      }
+    }
+
+    let groupStatus = "pending";
+    let approvedBy = null;
+    if (req.userType === "admin") {
+      groupStatus = "approved";
+      approvedBy = req.user._id;
+    } else if (policyResult.autoApprove) {
+      groupStatus = "approved";
+    }
+
+    const reservationNumber = await generateReservationNumber();
+    const group = new ReservationGroup({
+      reservation_number: reservationNumber,
+      organizer_id: organizer._id,
+      laboratory_id: laboratory._id,
+      reservation_date: calculatedDate,
+      start_time,
+      end_time,
+      duration: calculatedDuration,
+      size,
+      purpose: purpose.trim(),
+      notes: notes?.trim() || null,
+      status: groupStatus,
+      approved_by: approvedBy,
+    });
+
+    const seatComputerIds = chosen.seats.map(seat => seat.computer._id);
+    const reservations = chosen.seats.map((seat, index) => new Reservation({
+      user_id: member_ids[index] || organizer._id,
+      reservation_number: `${reservationNumber}-${index + 1}`,
+      reservation_type: "computer",
+      computer_id: seat.computer._id,
+      laboratory_id: null,
+      reservation_date: calculatedDate,
+      start_time,
+      end_time,
+      purpose: purpose.trim(),
+      notes: `[Group ${reservationNumber}]${notes?.trim() ? ` ${notes.trim()}` : ''}`,
+      duration: calculatedDuration,
+      status: groupStatus,
+      approved_by: approvedBy,
+      group_id: group._id,
+    }));
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Claim the seats first: a concurrent group booking of any of them writes the same
+        // computers, so only one transaction commits and the other is retried or aborted
+        await Computer.updateMany(
+          { _id: { $in: seatComputerIds } },
+          { $inc: { booking_version: 1 } },
+          { session }
+        );
+
+        // Re-check inside the transaction so concurrent bookings cannot take a seat
+        const startAt = combineTZDateAndTime(calculatedDate, start_time);
+        const endAt = new Date(startAt.getTime() + calculatedDuration * 60 * 1000);
+        const taken = await Reservation.find({
+          reservation_type: "computer",
+          computer_id: { $in: seatComputerIds },
+          status: { $in: ["approved", "active"] },
+          isDeleted: false,
+          ...Reservation.overlapCondition(startAt, endAt),
+        }).session(session);
+        if (taken.some(existing => existing.overlapsWindow(startAt, endAt))) {
+          throw Object.assign(new Error("One or more computers were booked by someone else"), { httpStatus: 409 });
+        }
+
+        await group.save({ session });
+        for (const reservation of reservations) {
+          await reservation.save({ session });
+        }
+      });
+    } catch (error) {
+      if (error.httpStatus) {
+        return res.status(error.httpStatus).json({
+          status: error.httpStatus,
+          message: error.message,
+        });
+      }
+      // Write conflict that outlasted the transaction retries: another booking holds the seats
+      if (error.code === 112 || error.hasErrorLabel?.("TransientTransactionError")) {
+        return res.status(409).json({
+          status: 409,
+          message: "One or more computers are being booked by someone else. Please try again",
+        });
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    await Reservation.populate(reservations, [
+      { path: 'user_id', select: 'firstname lastname email id_number' },
+      { path: 'computer_id', select: 'pc_number status' },
+    ]);
+    await group.populate([
+      { path: 'organizer_id', select: 'firstname lastname email id_number' },
+      { path: 'laboratory_id', select: 'name status' },
+    ]);
+
+    if (groupStatus === "approved") {
+      await notifyGroupMembers(group, reservations, "Group Reservation Approved", "has been <b>approved</b>");
+    }
+
+    res.status(201).json({
+      status: 201,
+      message: groupStatus === "approved"
+        ? `Group reservation for ${size} computers created and approved successfully`
+        : `Group reservation for ${size} computers created successfully`,
+      data: {
+        group,
+        reservations,
+        adjacent: chosen.adjacent,
+      },
+    });
+  } catch (error) {
+    console.error("Create group reservation error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to create group reservation",
+      error: error.message,
+    });
+  }
+});
+
+// Get a group reservation with all of its seats
+router.get("/groups/:group_id", authMiddleware, async (req, res) => {
+  try {
+    const group = await ReservationGroup.findOne({ _id: req.params.group_id, isDeleted: false })
+      .populate('organizer_id', 'firstname lastname email id_number')
+      .populate('laboratory_id', 'name status')
+      .populate('approved_by', 'firstname lastname username');
+
+    if (!group) {
+      return res.status(404).json({
+        status: 404,
+        message: "Group reservation not found",
+      });
+    }
+
+    const reservations = await Reservation.find({ group_id: group._id, isDeleted: false })
+      .populate('user_id', 'firstname lastname email id_number')
+      .populate('computer_id', 'pc_number status')
+      .sort({ reservation_number: 1 });
+
+    // Organizer, seat members and admins can view the group
+    const isMember = reservations.some(reservation => reservation.user_id?._id.toString() === req.user._id.toString());
+    if (req.userType !== "admin" && group.organizer_id._id.toString() !== req.user._id.toString() && !isMember) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only access your own reservations",
+      });
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Group reservation retrieved successfully",
+      data: {
+        group,
+        reservations,
+      },
+    });
+  } catch (error) {
+    console.error("Get group reservation error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve group reservation",
+      error: error.message,
+    });
+  }
+});
+
+// Assign users to seats of a group reservation (organizer or Admin)
+router.patch("/groups/:group_id/seats", authMiddleware, async (req, res) => {
+  try {
+    const { assignments } = req.body || {};
+
+    if (!Array.isArray(assignments) || assignments.length === 0) {
+      return res.status(400).json({
+        status: 400,
+        message: "assignments must be a list of { reservation_id, user_id }",
+      });
+    }
+
+    const group = await ReservationGroup.findOne({ _id: req.params.group_id, isDeleted: false });
+    if (!group) {
+      return res.status(404).json({
+        status: 404,
+        message: "Group reservation not found",
+      });
+    }
+
+    if (req.userType !== "admin" && group.organizer_id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "Only the group organizer can assign seats",
+      });
+    }
+
+    if (group.status === "cancelled") {
+      return res.status(400).json({
+        status: 400,
+        message: "Cannot assign seats of a cancelled group reservation",
+      });
+    }
+
+    const reservations = await Reservation.find({ group_id: group._id, isDeleted: false });
+    const users = await User.find({ _id: { $in: assignments.map(assignment => assignment?.user_id) }, isDeleted: false }).select("_id");
+
+    for (const assignment of assignments) {
+      const seat = reservations.find(reservation => reservation._id.toString() === String(assignment?.reservation_id));
+      if (!seat) {
+        return res.status(400).json({
+          status: 400,
+          message: `Seat ${assignment?.reservation_id} does not belong to this group`,
+        });
+      }
+      if (!users.some(user => user._id.toString() === String(assignment.user_id))) {
+        return res.status(400).json({
+          status: 400,
+          message: `User ${assignment.user_id} not found`,
+        });
+      }
+      if (!["pending", "approved"].includes(seat.status)) {
+        return res.status(400).json({
+          status: 400,
+          message: `Seat ${seat.reservation_number} is ${seat.status} and cannot be reassigned`,
+        });
+      }
+      seat.user_id = assignment.user_id;
+    }
+
+    for (const reservation of reservations) {
+      if (reservation.isModified('user_id')) await reservation.save();
+    }
+
+    await Reservation.populate(reservations, [
+      { path: 'user_id', select: 'firstname lastname email id_number' },
+      { path: 'computer_id', select: 'pc_number status' },
+    ]);
+
+    res.status(200).json({
+      status: 200,
+      message: "Group seats assigned successfully",
+      data: {
+        group,
+        reservations,
+      },
+    });
+  } catch (error) {
+    console.error("Assign group seats error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to assign group seats",
+      error: error.message,
+    });
+  }
+});
+
+// Approve every pending seat of a group reservation (Admin only)
+router.patch("/groups/:group_id/approve", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { notes } = req.body || {};
+
+    const group = await ReservationGroup.findOne({ _id: req.params.group_id, isDeleted: false });
+    if (!group) {
+      return res.status(404).json({
+        status: 404,
+        message: "Group reservation not found",
+      });
+    }
+
+    if (group.status !== "pending") {
+      return res.status(400).json({
+        status: 400,
+        message: "Only pending group reservations can be approved",
+      });
+    }
+
+    const reservations = await Reservation.find({ group_id: group._id, isDeleted: false });
+    const pending = reservations.filter(reservation => reservation.canTransitionTo("approved"));
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        for (const reservation of pending) {
+          reservation.transitionTo("approved", statusActor(req, `Group ${group.reservation_number} approved`));
+          reservation.approved_by = req.user._id;
+          if (notes) reservation.notes = `${reservation.notes || ''} ${notes.trim()}`.trim();
+          await reservation.save({ session });
+        }
+        group.status = "approved";
+        group.approved_by = req.user._id;
+        await group.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await User.updateOne({ _id: group.organizer_id }, { $inc: { approved_reservations_count: 1 } });
+
+    await Reservation.populate(reservations, [
+      { path: 'user_id', select: 'firstname lastname email id_number' },
+      { path: 'computer_id', select: 'pc_number status' },
+    ]);
+    await group.populate([
+      { path: 'organizer_id', select: 'firstname lastname email id_number' },
+      { path: 'laboratory_id', select: 'name status' },
+    ]);
+    await notifyGroupMembers(group, pending, "Group Reservation Approved", "has been <b>approved</b>");
+
+    res.status(200).json({
+      status: 200,
+      message: `Group reservation approved (${pending.length} seat(s))`,
+      data: {
+        group,
+        reservations,
+      },
+    });
+  } catch (error) {
+    console.error("Approve group reservation error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to approve group reservation",
+      error: error.message,
+    });
+  }
+});
+
+// Cancel every remaining seat of a group reservation (organizer or Admin)
+router.patch("/groups/:group_id/cancel", authMiddleware, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const group = await ReservationGroup.findOne({ _id: req.params.group_id, isDeleted: false });
+    if (!group) {
+      return res.status(404).json({
+        status: 404,
+        message: "Group reservation not found",
+      });
+    }
+
+    if (req.userType !== "admin" && group.organizer_id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "Only the group organizer can cancel the group",
+      });
+    }
+
+    if (group.status === "cancelled") {
+      return res.status(400).json({
+        status: 400,
+        message: "Group reservation is already cancelled",
+      });
+    }
+
+    const reservations = await Reservation.find({ group_id: group._id, isDeleted: false });
+    const cancellable = reservations.filter(reservation => reservation.canTransitionTo("cancelled"));
+    const wasBlocking = new Set(cancellable
+      .filter(reservation => ["approved", "active"].includes(reservation.status))
+      .map(reservation => reservation._id.toString()));
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        for (const reservation of cancellable) {
+          reservation.transitionTo("cancelled", statusActor(req, reason || `Group ${group.reservation_number} cancelled`));
+          await reservation.save({ session });
+        }
+        group.status = "cancelled";
+        await group.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    // Give back the seats that were held for the group
+    for (const reservation of cancellable) {
+      if (!wasBlocking.has(reservation._id.toString())) continue;
+      await Computer.updateOne(
+        { _id: reservation.computer_id, status: { $in: ["reserved", "occupied"] } },
+        { $set: { status: "available" } }
+      );
+      await releaseSlotToWaitlist(reservation);
+    }
+
+    await Reservation.populate(reservations, [
+      { path: 'user_id', select: 'firstname lastname email id_number' },
+      { path: 'computer_id', select: 'pc_number status' },
+    ]);
+    await group.populate([
+      { path: 'organizer_id', select: 'firstname lastname email id_number' },
+      { path: 'laboratory_id', select: 'name status' },
+    ]);
+    await notifyGroupMembers(group, cancellable, "Group Reservation Cancelled", "has been <b>cancelled</b>", reason);
+
+    res.status(200).json({
+      status: 200,
+      message: `Group reservation cancelled (${cancellable.length} seat(s))`,
+      data: {
+        group,
+        reservations,
+      },
+    });
+  } catch (error) {
+    console.error("Cancel group reservation error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to cancel group reservation",
+      error: error.message,
+    });
+  }
+});
+
+// Create new reservation
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const { 
+      reservation_type, 
+      computer_id,
+      laboratory_id,
+      reservation_date,
+      start_time,
+      end_time,
+      end_date,
+      purpose, 
+      notes,
+      duration,
+      recurrence
+    } = req.body || {}; // Handle empty body
+
+    // Validate required fields
+    if (!reservation_type || !purpose || !reservation_date) {
+      return res.status(400).json({
+        status: 400,
+        message: "Reservation type, purpose, and reservation date are required",
+      });
+    }
+
+    if (Number.isNaN(new Date(reservation_date).getTime())) {
+      return res.status(400).json({
+        status: 400,
+        message: "Reservation date must be a valid date",
+      });
+    }
+    if (end_date && Number.isNaN(new Date(end_date).getTime())) {
+      return res.status(400).json({
+        status: 400,
+        message: "End date must be a valid date",
+      });
+    }
+
+    // Users with repeated no-shows are temporarily blocked from booking
+    const blockError = getBookingBlockError(req.user, req.userType === "admin");
+    if (blockError) {
+      return res.status(blockError.status).json(blockError);
+    }
+
+    // Validate reservation type and corresponding required fields
+    if (reservation_type === "computer" && !computer_id) {
+      return res.status(400).json({
+        status: 400,
+        message: "Computer ID is required for computer reservations",
+      });
+    }
+
     if (reservation_type === "laboratory" && !laboratory_id) {
       return res.status(400).json({
         status: 400,
@@ -596,32 +1875,35 @@ router.post("/", authMiddleware, async (req, res) => {
     let calculatedStartTime, calculatedEndTime, calculatedDuration, calculatedDate;
 
     calculatedDate = new Date(reservation_date);
+    const maxDuration = await SystemDefaults.getMaxReservationMinutes();
 
     if (hasStartEndTime) {
-      // Using military time format
+      // Using military time format; an end_time at or before start_time ends the next day
+      // unless end_date says otherwise (multi-day reservations)
       calculatedStartTime = start_time;
       calculatedEndTime = end_time;
-      
-      // Calculate duration from military times
-      const startMinutes = timeToMinutes(start_time);
-      const endMinutes = timeToMinutes(end_time);
-      
-      if (endMinutes <= startMinutes) {
+      calculatedDuration = getWindowMinutes(calculatedDate, start_time, end_time, end_date);
+
+      if (!(calculatedDuration > 0)) {
         return res.status(400).json({
           status: 400,
-          message: "End time must be after start time on the same day",
+          message: "End date and time must be after the start date and time",
+        });
+      }
+      if (calculatedDuration > maxDuration) {
+        return res.status(400).json({
+          status: 400,
+          message: `Reservations cannot be longer than ${maxDuration} minutes`,
         });
       }
-      
-      calculatedDuration = endMinutes - startMinutes;
     } else {
       // Using duration - need to calculate military times
       const parsedDuration = typeof duration === 'string' ? parseInt(duration) : duration;
       
-      if (!parsedDuration || typeof parsedDuration !== 'number' || parsedDuration < 1 || parsedDuration > 540) {
+      if (!parsedDuration || typeof parsedDuration !== 'number' || parsedDuration < 1 || parsedDuration > maxDuration) {
         return res.status(400).json({
           status: 400,
-          message: "Duration must be a number between 1 and 540 minutes (9 hours)",
+          message: `Duration must be a number between 1 and ${maxDuration} minutes`,
         });
       }
       
@@ -631,9 +1913,7 @@ router.post("/", authMiddleware, async (req, res) => {
       const minutes = reservationDateTime.getMinutes();
       
       calculatedStartTime = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-      
-      const endMinutes = timeToMinutes(calculatedStartTime) + parsedDuration;
-      calculatedEndTime = minutesToTime(endMinutes);
+      calculatedEndTime = getWindowEndTime(calculatedStartTime, parsedDuration);
       calculatedDuration = parsedDuration;
     }
 
@@ -645,65 +1925,212 @@ router.post("/", authMiddleware, async (req, res) => {
       });
     }
 
-    // Validate computer/laboratory existence
-    let selectedComputer = null;
-    let selectedLaboratory = null;
+    // Validate computer/laboratory existence and status
+    const target = await resolveBookingTarget({
+      reservationType: reservation_type,
+      computerId: computer_id,
+      laboratoryId: laboratory_id,
+    });
+    if (target.error) {
+      return res.status(target.error.status).json(target.error);
+    }
+    const { computer: selectedComputer, laboratory: selectedLaboratory, laboratoryId: reservedLaboratoryId } = target;
+
+    // Booking policies and operation hours are checked per booked window: below for single
+    // reservations, and for every occurrence of recurring ones
+    const bookingWindow = {
+      user: req.user,
+      isAdmin: req.userType === "admin",
+      reservationType: reservation_type,
+      laboratoryId: reservedLaboratoryId,
+      startTime: calculatedStartTime,
+      duration: calculatedDuration,
+    };
 
-    if (reservation_type === "computer") {
-      selectedComputer = await Computer.findOne({ 
-        _id: computer_id, 
-        isDeleted: false 
-      }).populate('laboratory_id', 'name status');
+    // Policies can override the default of auto-approving faculty laboratory reservations
+    const getAutoApproval = (result) => ({
+      autoApprove: result.autoApprove ?? (req.user.user_type === "faculty" && reservation_type === "laboratory"),
+      autoApproveNote: result.autoApprovePolicy
+        ? `[Auto-approved: ${result.autoApprovePolicy.name} policy]`
+        : "[Auto-approved: Faculty laboratory reservation]",
+    });
+    const reservedLaboratoryName = selectedLaboratory?.name || selectedComputer?.laboratory_id?.name || "N/A";
+    const reservationLabel = reservation_type === "laboratory" ? "Laboratory" : "Computer";
 
-      if (!selectedComputer) {
-        return res.status(404).json({
-          status: 404,
-          message: "Computer not found or has been deleted",
+    // Recurring reservations: expand the rule and validate every occurrence
+    if (recurrence) {
+      const { rule, error: recurrenceError } = parseRecurrence(recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({
+          status: 400,
+          message: recurrenceError,
         });
       }
 
-      if (selectedComputer.status === "out_of_order" || selectedComputer.status === "maintenance") {
+      const semester = await findActiveSemesterForDate(calculatedDate);
+      if (!semester) {
         return res.status(400).json({
           status: 400,
-          message: `Computer is currently ${selectedComputer.status} and cannot be reserved`,
+          message: "Recurring reservations must start within the active semester",
         });
       }
-    }
 
-    if (reservation_type === "laboratory") {
-      selectedLaboratory = await Laboratory.findOne({ 
-        _id: laboratory_id, 
-        isDeleted: false 
-      });
+      // Clamp the series to the end of the active semester
+      const semesterEnd = new Date(semester.end_date);
+      const untilDate = rule.end_date && rule.end_date < semesterEnd ? rule.end_date : semesterEnd;
+      const occurrenceDates = buildRecurrenceDates(calculatedDate, rule, untilDate);
 
-      if (!selectedLaboratory) {
-        return res.status(404).json({
-          status: 404,
-          message: "Laboratory not found or has been deleted",
+      if (occurrenceDates.length === 0) {
+        return res.status(400).json({
+          status: 400,
+          message: "Recurrence does not produce any occurrence within the active semester",
         });
       }
 
-      if (selectedLaboratory.status === "inactive" || selectedLaboratory.status === "maintenance") {
-        return res.status(400).json({
-          status: 400,
-          message: `Laboratory is currently ${selectedLaboratory.status} and cannot be reserved`,
+      const occurrenceConflicts = [];
+      const freeDates = [];
+      // Occurrences accepted so far count towards the policy limits of the next ones
+      const acceptedBookings = [];
+      let seriesPolicyResult = null;
+      for (let index = 0; index < occurrenceDates.length; index++) {
+        const occurrenceDate = occurrenceDates[index];
+        const { policyResult: occurrencePolicyResult, error: windowError } = await checkBookingWindow({
+          ...bookingWindow,
+          reservationDate: occurrenceDate,
+          pendingBookings: acceptedBookings,
         });
+        if (windowError) {
+          occurrenceConflicts.push({
+            date: getTZDateString(occurrenceDate),
+            ...(windowError.policy_violation
+              ? { policy_violation: windowError.policy_violation }
+              : { operation_hours: windowError.message }),
+            reservation_conflicts: [],
+            subject_conflicts: []
+          });
+          continue;
+        }
+        const occurrenceResult = await checkReservationConflicts(
+          occurrenceDate,
+          calculatedStartTime,
+          calculatedDuration,
+          reservation_type,
+          null,
+          reservation_type === "laboratory" ? laboratory_id : null,
+          reservation_type === "computer" ? computer_id : null
+        );
+        if (hasConflicts(occurrenceResult)) {
+          occurrenceConflicts.push({
+            date: getTZDateString(occurrenceDate),
+            ...formatConflicts(occurrenceResult)
+          });
+        } else {
+          freeDates.push({ index, date: occurrenceDate });
+          acceptedBookings.push({ reservationDate: occurrenceDate, duration: calculatedDuration });
+          seriesPolicyResult = seriesPolicyResult || occurrencePolicyResult;
+        }
       }
-    }
 
-    // Check if there's enough time remaining for current day reservations
-    const timeCheck = hasEnoughTimeRemaining(calculatedDate, calculatedDuration);
-    if (!timeCheck.valid) {
-      return res.status(400).json({
-        status: 400,
-        message: timeCheck.message,
-        remaining_minutes: timeCheck.remainingMinutes
+      if (occurrenceConflicts.length > 0 && (!rule.skip_conflicts || freeDates.length === 0)) {
+        return res.status(409).json({
+          status: 409,
+          message: `${occurrenceConflicts.length} of ${occurrenceDates.length} occurrences have conflicts`,
+          total_occurrences: occurrenceDates.length,
+          occurrence_conflicts: occurrenceConflicts,
+        });
+      }
+
+      // Approval follows the policies that applied to the first booked occurrence
+      const { autoApprove, autoApproveNote } = getAutoApproval(seriesPolicyResult);
+      let seriesStatus = "pending";
+      let seriesApprovedBy = null;
+      if (req.userType === "admin") {
+        seriesStatus = "approved";
+        seriesApprovedBy = req.user._id;
+      } else if (autoApprove) {
+        seriesStatus = "approved";
+      }
+
+      const series = await ReservationSeries.create({
+        user_id: req.user._id,
+        reservation_type,
+        computer_id: reservation_type === "computer" ? computer_id : null,
+        laboratory_id: reservation_type === "laboratory" ? laboratory_id : null,
+        frequency: rule.frequency,
+        interval: rule.interval,
+        weekdays: rule.weekdays,
+        start_date: calculatedDate,
+        end_date: untilDate,
+        occurrences: rule.occurrences,
+        start_time: calculatedStartTime,
+        end_time: calculatedEndTime,
+        purpose: purpose.trim(),
+        semester: semester.name,
+      });
+
+      const createdReservations = [];
+      for (const { index, date } of freeDates) {
+        const occurrence = new Reservation({
+          user_id: req.user._id,
+          reservation_number: await generateReservationNumber(),
+          reservation_type,
+          computer_id: reservation_type === "computer" ? computer_id : null,
+          laboratory_id: reservation_type === "laboratory" ? laboratory_id : null,
+          reservation_date: date,
+          start_time: calculatedStartTime,
+          end_time: calculatedEndTime,
+          purpose: purpose.trim(),
+          notes: req.userType !== "admin" && seriesStatus === "approved"
+            ? `${notes?.trim() || ''} ${autoApproveNote}`.trim()
+            : notes?.trim() || null,
+          duration: calculatedDuration,
+          status: seriesStatus,
+          approved_by: seriesApprovedBy,
+          series_id: series._id,
+          series_index: index,
+        });
+        await occurrence.save();
+        createdReservations.push(occurrence);
+      }
+
+      if (req.userType !== "admin" && seriesStatus === "approved") {
+        try {
+          const subject = `Recurring ${reservationLabel} Reservation Auto-Approved`;
+          const html = `<p>Dear ${req.user.firstname} ${req.user.lastname},</p>
+              <p>Your recurring ${reservation_type} reservation has been <b>auto-approved</b>.</p>
+              <ul>
+                <li><b>Laboratory:</b> ${reservedLaboratoryName}</li>
+                <li><b>Time:</b> ${calculatedStartTime} - ${calculatedEndTime}</li>
+                <li><b>Dates:</b> ${createdReservations.map(r => getTZDateString(r.reservation_date)).join(", ")}</li>
+                <li><b>Purpose:</b> ${purpose.trim()}</li>
+              </ul>
+              <p>If you have any questions, please contact the admin.</p>
+            `;
+          await sendMail(req.user.email, subject, html);
+        } catch (mailError) {
+          console.error("Failed to send series auto-approval email to user:", mailError);
+        }
+      }
+
+      return res.status(201).json({
+        status: 201,
+        message: `Recurring reservation created with ${createdReservations.length} occurrence(s)`,
+        data: {
+          series,
+          reservations: createdReservations,
+          skipped_occurrences: occurrenceConflicts,
+        },
       });
     }
 
+    const { policyResult, error: windowError } = await checkBookingWindow({ ...bookingWindow, reservationDate: calculatedDate });
+    if (windowError) {
+      return res.status(windowError.status).json(windowError);
+    }
+    const { autoApprove, autoApproveNote } = getAutoApproval(policyResult);
 
     // Check for conflicts for laboratory or computer reservations
-    let conflictResult = { reservationConflicts: [], subjectConflicts: [] };
+    let conflictResult = { reservationConflicts: [], subjectConflicts: [], closureConflicts: [] };
     if ((reservation_type === "laboratory" && laboratory_id) || (reservation_type === "computer" && computer_id)) {
       conflictResult = await checkReservationConflicts(
         calculatedDate,
@@ -714,33 +2141,28 @@ router.post("/", authMiddleware, async (req, res) => {
         reservation_type === "laboratory" ? laboratory_id : null,
         reservation_type === "computer" ? computer_id : null
       );
-      if (conflictResult.reservationConflicts.length > 0 || conflictResult.subjectConflicts.length > 0) {
+      if (hasConflicts(conflictResult)) {
+        const suggestions = await suggestAlternativeSlots({
+          reservationType: reservation_type,
+          reservationDate: calculatedDate,
+          startTime: calculatedStartTime,
+          duration: calculatedDuration,
+          laboratoryId: reservation_type === "laboratory" ? laboratory_id : null,
+          computerId: reservation_type === "computer" ? computer_id : null,
+        });
         return res.status(409).json({
           status: 409,
-          message: conflictResult.reservationConflicts.length > 0
-            ? "Reservation conflict detected"
-            : "Subject schedule conflict detected",
-          reservation_conflicts: conflictResult.reservationConflicts.map(conflict => ({
-            reservation_number: conflict.reservation_number,
-            user: `${conflict.user_id.firstname} ${conflict.user_id.lastname}`,
-            reservation_date: conflict.reservation_date,
-            duration: conflict.duration,
-            status: conflict.status
-          })),
-          subject_conflicts: conflictResult.subjectConflicts.map(subject => ({
-            subject_code: subject.subject_code,
-            subject_name: subject.subject_name,
-            instructor: subject.instructor_name,
-            date: subject.date,
-            start_time: subject.start_time,
-            end_time: subject.end_time
-          }))
+          message: conflictMessage(conflictResult),
+          ...formatConflicts(conflictResult),
+          waitlist_available: conflictResult.closureConflicts.length === 0,
+          suggestions
         });
       }
     }
 
     // Generate unique reservation number
     const reservationNumber = await generateReservationNumber();
+    const calculatedEndsOn = getTZDateString(new Date(combineTZDateAndTime(calculatedDate, calculatedStartTime).getTime() + calculatedDuration * 60 * 1000));
 
     // Determine reservation status based on user type and reservation type
     let reservationStatus = "pending";
@@ -750,22 +2172,22 @@ router.post("/", authMiddleware, async (req, res) => {
       // Admins can auto-approve any reservation
       reservationStatus = "approved";
       approvedBy = req.user._id;
-    } else if (req.user.user_type === "faculty" && reservation_type === "laboratory") {
-      // Faculty can auto-approve laboratory reservations (after conflict check)
-      // Note: approved_by is left null since faculty are not admins in the system
+    } else if (autoApprove) {
+      // Faculty laboratory reservations and matching booking policies auto-approve (after conflict check)
+      // Note: approved_by is left null since the approval was not made by an admin
       reservationStatus = "approved";
-        // Send email notification to faculty about auto-approval
+        // Send email notification to the user about auto-approval
         try {
           const email = req.user.email;
-          const subject = "Laboratory Reservation Auto-Approved";
+          const subject = `${reservationLabel} Reservation Auto-Approved`;
           const html = `<p>Dear ${req.user.firstname} ${req.user.lastname},</p>
-              <p>Your laboratory reservation has been <b>auto-approved</b>.</p>
+              <p>Your ${reservation_type} reservation has been <b>auto-approved</b>.</p>
               <ul>
                 <li><b>Reservation Number:</b> ${reservationNumber}</li>
-                <li><b>Laboratory:</b> ${selectedLaboratory?.name || "N/A"}</li>
-                <li><b>Date:</b> ${calculatedDate.toLocaleDateString()}</li>
+                <li><b>Laboratory:</b> ${reservedLaboratoryName}</li>
+                <li><b>Date:</b> ${getTZDateString(calculatedDate)}</li>
                 <li><b>Start Time:</b> ${calculatedStartTime}</li>
-                <li><b>End Time:</b> ${calculatedEndTime}</li>
+                <li><b>End Time:</b> ${calculatedEndTime}${calculatedEndsOn !== getTZDateString(calculatedDate) ? ` (${calculatedEndsOn})` : ''}</li>
                 <li><b>Duration:</b> ${calculatedDuration} minutes</li>
                 <li><b>Purpose:</b> ${purpose.trim()}</li>
               </ul>
@@ -775,7 +2197,7 @@ router.post("/", authMiddleware, async (req, res) => {
           await sendMail(email, subject, html);
 
         } catch (mailError) {
-          console.error("Failed to send auto-approval email to faculty:", mailError);
+          console.error("Failed to send auto-approval email to user:", mailError);
         }
     }
 
@@ -789,8 +2211,8 @@ router.post("/", authMiddleware, async (req, res) => {
       start_time: calculatedStartTime,
       end_time: calculatedEndTime,
       purpose: purpose.trim(),
-      notes: req.user.user_type === "faculty" && reservation_type === "laboratory" && reservationStatus === "approved"
-        ? `${notes?.trim() || ''} [Auto-approved: Faculty laboratory reservation]`.trim()
+      notes: req.userType !== "admin" && reservationStatus === "approved"
+        ? `${notes?.trim() || ''} ${autoApproveNote}`.trim()
         : notes?.trim() || null,
       duration: calculatedDuration,
       status: reservationStatus,
@@ -815,6 +2237,12 @@ router.post("/", authMiddleware, async (req, res) => {
       data: reservation,
     });
   } catch (error) {
+    if (error.httpStatus === 400) {
+      return res.status(400).json({
+        status: 400,
+        message: error.message,
+      });
+    }
     console.error("Create reservation error:", error);
     res.status(500).json({
       status: 500,
@@ -899,6 +2327,7 @@ router.post("/walk-in", adminAuthMiddleware, async (req, res) => {
       });
     }
     const safeNowTime = minutesToTime(safeNowMinutes);
+    const maxDuration = await SystemDefaults.getMaxReservationMinutes();
     const activateNowRequested = Boolean(activate_now);
     let inferredActivateNow = false;
     if (!isGuestRequest && !activateNowRequested && reservation_date) {
@@ -941,36 +2370,19 @@ router.post("/walk-in", adminAuthMiddleware, async (req, res) => {
           });
         }
 
+        // An end_time at or before the start time ends the next day
         calculatedEndTime = end_time;
-        const startMinutes = timeToMinutes(calculatedStartTime);
-        const endMinutes = timeToMinutes(calculatedEndTime);
-
-        if (endMinutes <= startMinutes) {
-          return res.status(400).json({
-            status: 400,
-            message: "End time must be after start time on the same day",
-          });
-        }
-
-        calculatedDuration = endMinutes - startMinutes;
+        calculatedDuration = getWindowMinutes(calculatedDate, calculatedStartTime, calculatedEndTime);
       } else {
         const parsedDuration = typeof duration === "string" ? parseInt(duration, 10) : duration;
-        if (!parsedDuration || typeof parsedDuration !== "number" || parsedDuration < 1 || parsedDuration > 540) {
-          return res.status(400).json({
-            status: 400,
-            message: "Duration must be a number between 1 and 540 minutes (9 hours)",
-          });
-        }
-
-        const endMinutes = timeToMinutes(calculatedStartTime) + parsedDuration;
-        if (endMinutes >= 24 * 60) {
+        if (!parsedDuration || typeof parsedDuration !== "number" || parsedDuration < 1 || parsedDuration > maxDuration) {
           return res.status(400).json({
             status: 400,
-            message: "Duration exceeds remaining time in the day",
+            message: `Duration must be a number between 1 and ${maxDuration} minutes`,
           });
         }
 
-        calculatedEndTime = minutesToTime(endMinutes);
+        calculatedEndTime = getWindowEndTime(calculatedStartTime, parsedDuration);
         calculatedDuration = parsedDuration;
       }
     } else if (hasStartEndTime) {
@@ -989,21 +2401,13 @@ router.post("/walk-in", adminAuthMiddleware, async (req, res) => {
 
       calculatedStartTime = start_time;
       calculatedEndTime = end_time;
-      const startMinutes = timeToMinutes(start_time);
-      const endMinutes = timeToMinutes(end_time);
-      if (endMinutes <= startMinutes) {
-        return res.status(400).json({
-          status: 400,
-          message: "End time must be after start time on the same day",
-        });
-      }
-      calculatedDuration = endMinutes - startMinutes;
+      calculatedDuration = getWindowMinutes(calculatedDate, start_time, end_time);
     } else {
       const parsedDuration = typeof duration === "string" ? parseInt(duration, 10) : duration;
-      if (!parsedDuration || typeof parsedDuration !== "number" || parsedDuration < 1 || parsedDuration > 540) {
+      if (!parsedDuration || typeof parsedDuration !== "number" || parsedDuration < 1 || parsedDuration > maxDuration) {
         return res.status(400).json({
           status: 400,
-          message: "Duration must be a number between 1 and 540 minutes (9 hours)",
+          message: `Duration must be a number between 1 and ${maxDuration} minutes`,
         });
       }
 
@@ -1019,31 +2423,23 @@ router.post("/walk-in", adminAuthMiddleware, async (req, res) => {
       const minutes = reservationDateTime.getMinutes();
       calculatedStartTime = `${hours.toString().padStart(2, "0")}:${minutes.toString().padStart(2, "0")}`;
 
-      const endMinutes = timeToMinutes(calculatedStartTime) + parsedDuration;
-      if (endMinutes >= 24 * 60) {
-        return res.status(400).json({
-          status: 400,
-          message: "Duration exceeds remaining time in the day",
-        });
-      }
-
-      calculatedEndTime = minutesToTime(endMinutes);
+      calculatedEndTime = getWindowEndTime(calculatedStartTime, parsedDuration);
       calculatedDuration = parsedDuration;
     }
 
+    if (calculatedDuration > maxDuration) {
+      return res.status(400).json({
+        status: 400,
+        message: `Reservations cannot be longer than ${maxDuration} minutes`,
+      });
+    }
+
     if (isGuestRequest && isSameTZDay(now, calculatedDate)) {
       const calculatedStartMinutes = timeToMinutes(calculatedStartTime);
       if (calculatedStartMinutes < safeNowMinutes) {
         calculatedDate = now;
         calculatedStartTime = safeNowTime;
-        const endMinutes = safeNowMinutes + calculatedDuration;
-        if (endMinutes >= 24 * 60) {
-          return res.status(400).json({
-            status: 400,
-            message: "Duration exceeds remaining time in the day",
-          });
-        }
-        calculatedEndTime = minutesToTime(endMinutes);
+        calculatedEndTime = getWindowEndTime(safeNowTime, calculatedDuration);
       }
     }
 
@@ -1061,68 +2457,55 @@ router.post("/walk-in", adminAuthMiddleware, async (req, res) => {
       shouldActivateNow = true;
       calculatedDate = now;
       calculatedStartTime = safeNowTime;
-      const endMinutes = safeNowMinutes + calculatedDuration;
-      if (endMinutes >= 24 * 60) {
-        return res.status(400).json({
-          status: 400,
-          message: "Duration exceeds remaining time in the day",
-        });
-      }
-      calculatedEndTime = minutesToTime(endMinutes);
+      calculatedEndTime = getWindowEndTime(safeNowTime, calculatedDuration);
     }
 
-    const timeCheck = hasEnoughTimeRemaining(calculatedDate, calculatedDuration);
-    if (!timeCheck.valid) {
-      return res.status(400).json({
-        status: 400,
-        message: timeCheck.message,
-        remaining_minutes: timeCheck.remainingMinutes,
-      });
+    const target = await resolveBookingTarget({
+      reservationType: reservation_type,
+      computerId: computer_id,
+      laboratoryId: laboratory_id,
+    });
+    if (target.error) {
+      return res.status(target.error.status).json(target.error);
     }
 
-    let selectedComputer = null;
-    let selectedLaboratory = null;
-
-    if (reservation_type === "computer") {
-      selectedComputer = await Computer.findOne({
-        _id: computer_id,
-        isDeleted: false,
-      }).populate("laboratory_id", "name status");
-
-      if (!selectedComputer) {
+    let targetUser = null;
+    if (user_id) {
+      targetUser = await User.findOne({ _id: user_id, isDeleted: false }).select("_id firstname lastname email id_number user_type").lean();
+      if (!targetUser) {
         return res.status(404).json({
           status: 404,
-          message: "Computer not found or has been deleted",
-        });
-      }
-
-      if (selectedComputer.status === "out_of_order" || selectedComputer.status === "maintenance") {
-        return res.status(400).json({
-          status: 400,
-          message: `Computer is currently ${selectedComputer.status} and cannot be reserved`,
+          message: "User not found",
         });
       }
-    }
-
-    if (reservation_type === "laboratory") {
-      selectedLaboratory = await Laboratory.findOne({
-        _id: laboratory_id,
-        isDeleted: false,
-      });
-
-      if (!selectedLaboratory) {
+    } else if (id_number) {
+      targetUser = await User.findOne({ id_number, isDeleted: false }).select("_id firstname lastname email id_number user_type").lean();
+      if (!targetUser) {
         return res.status(404).json({
           status: 404,
-          message: "Laboratory not found or has been deleted",
+          message: "User not found",
         });
       }
+    } else if (!guest) {
+      return res.status(400).json({
+        status: 400,
+        message: "Either user_id, id_number, or guest is required",
+      });
+    }
 
-      if (selectedLaboratory.status === "inactive" || selectedLaboratory.status === "maintenance") {
-        return res.status(400).json({
-          status: 400,
-          message: `Laboratory is currently ${selectedLaboratory.status} and cannot be reserved`,
-        });
-      }
+    // Booking policies for the person the walk-in is for (guests are booked as students)
+    // and operation hours
+    const { error: windowError } = await checkBookingWindow({
+      user: targetUser || { user_type: "student" },
+      reservationType: reservation_type,
+      laboratoryId: target.laboratoryId,
+      reservationDate: calculatedDate,
+      startTime: calculatedStartTime,
+      duration: calculatedDuration,
+      walkIn: true,
+    });
+    if (windowError) {
+      return res.status(windowError.status).json(windowError);
     }
 
     const conflictResult = await checkReservationConflicts(
@@ -1135,48 +2518,15 @@ router.post("/walk-in", adminAuthMiddleware, async (req, res) => {
       reservation_type === "computer" ? computer_id : null
     );
 
-    if (conflictResult.reservationConflicts.length > 0 || conflictResult.subjectConflicts.length > 0) {
+    if (hasConflicts(conflictResult)) {
       return res.status(409).json({
         status: 409,
-        message: conflictResult.reservationConflicts.length > 0
-          ? "Reservation conflict detected"
-          : "Subject schedule conflict detected",
-        reservation_conflicts: conflictResult.reservationConflicts.map((conflict) => ({
-          reservation_number: conflict.reservation_number,
-          user: `${conflict.user_id.firstname} ${conflict.user_id.lastname}`,
-          reservation_date: conflict.reservation_date,
-          duration: conflict.duration,
-          status: conflict.status,
-        })),
-        subject_conflicts: conflictResult.subjectConflicts.map((subject) => ({
-          subject_code: subject.subject_code,
-          subject_name: subject.subject_name,
-          instructor: subject.instructor_name,
-          date: subject.date,
-          start_time: subject.start_time,
-          end_time: subject.end_time,
-        })),
+        message: conflictMessage(conflictResult),
+        ...formatConflicts(conflictResult),
       });
     }
 
-    let targetUser = null;
-    if (user_id) {
-      targetUser = await User.findOne({ _id: user_id, isDeleted: false }).select("_id firstname lastname email id_number user_type").lean();
-      if (!targetUser) {
-        return res.status(404).json({
-          status: 404,
-          message: "User not found",
-        });
-      }
-    } else if (id_number) {
-      targetUser = await User.findOne({ id_number, isDeleted: false }).select("_id firstname lastname email id_number user_type").lean();
-      if (!targetUser) {
-        return res.status(404).json({
-          status: 404,
-          message: "User not found",
-        });
-      }
-    } else if (guest) {
+    if (!targetUser) {
       const guestResult = await generateWalkInGuestUser(guest);
       if (guestResult.error) {
         return res.status(guestResult.error.status).json({
@@ -1185,11 +2535,6 @@ router.post("/walk-in", adminAuthMiddleware, async (req, res) => {
         });
       }
       targetUser = guestResult.user;
-    } else {
-      return res.status(400).json({
-        status: 400,
-        message: "Either user_id, id_number, or guest is required",
-      });
     }
 
     const reservationNumber = await generateReservationNumber();
@@ -1245,6 +2590,12 @@ router.post("/walk-in", adminAuthMiddleware, async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.httpStatus === 400) {
+      return res.status(400).json({
+        status: 400,
+        message: error.message,
+      });
+    }
     console.error("Create walk-in reservation error:", error);
     if (error && error.name === "ValidationError") {
       return res.status(400).json({
@@ -1260,61 +2611,442 @@ router.post("/walk-in", adminAuthMiddleware, async (req, res) => {
   }
 });
 
+// Bulk cancel reservations matching a scope (Admin only)
+// Pass dry_run to preview the affected reservations without cancelling them
 router.post("/cancel-all", adminAuthMiddleware, async (req, res) => {
   try {
-    const { notes } = req.body || {};
+    const body = req.body || {};
+    const { notes, reason, dry_run = false, notify = true } = body;
 
-    const filter = {
-      isDeleted: false,
-      status: { $nin: ["completed", "cancelled"] }
-    };
+    const { filter, scope, error } = await buildBulkCancelFilter(body);
+    if (error) {
+      return res.status(400).json({
+        status: 400,
+        message: error,
+      });
+    }
+
+    const reservations = await Reservation.find(filter)
+      .populate('user_id', 'firstname lastname email user_type')
+      .sort({ start_at: 1, reservation_date: 1 });
+
+    if (dry_run) {
+      return res.status(200).json({
+        status: 200,
+        message: `${reservations.length} reservation(s) would be cancelled`,
+        data: {
+          dry_run: true,
+          scope,
+          matched: reservations.length,
+          reservations: summarizeBulkReservations(reservations),
+        },
+      });
+    }
+
+    const cancelReason = reason?.trim() || "Bulk cancellation";
+    const cancelled = [];
+    const failed = [];
+    for (const reservation of reservations) {
+      try {
+        const wasBlocking = ["approved", "active"].includes(reservation.status);
+        reservation.transitionTo("cancelled", statusActor(req, cancelReason));
+        if (notes !== undefined) {
+          reservation.notes = notes ? String(notes).trim() : null;
+        }
+        await reservation.save();
+        cancelled.push(reservation);
+
+        // Give back computers that were held for the booking
+        if (reservation.computer_id && wasBlocking) {
+          await Computer.updateOne(
+            { _id: reservation.computer_id, status: { $in: ["reserved", "occupied"] } },
+            { $set: { status: "available" } }
+          );
+        }
 
-    const update = {
-      $set: {
-        status: "cancelled"
+        if (wasBlocking) {
+          await releaseSlotToWaitlist(reservation);
+        }
+      } catch (cancelError) {
+        console.error(`Failed to cancel reservation ${reservation.reservation_number}:`, cancelError);
+        failed.push({ reservation_number: reservation.reservation_number, error: cancelError.message });
       }
-    };
+    }
+
+    const notified = notify ? await sendBulkCancellationEmails(cancelled, cancelReason) : 0;
+
+    await Log.createLog(req.user._id, "Bulk cancel reservations", "reservation", "CANCEL", {
+      details: {
+        scope,
+        reason: cancelReason,
+        matched: reservations.length,
+        cancelled: cancelled.length,
+        failed,
+        notified_users: notified,
+        reservation_numbers: cancelled.map(reservation => reservation.reservation_number),
+      },
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+      user_agent: req.get('User-Agent') || null,
+      status: failed.length > 0 ? "failed" : "success",
+      error_message: failed.length > 0 ? `${failed.length} reservation(s) could not be cancelled` : null,
+    });
+
+    return res.status(200).json({
+      status: 200,
+      message: `${cancelled.length} reservation(s) cancelled successfully`,
+      data: {
+        dry_run: false,
+        scope,
+        matched: reservations.length,
+        modified: cancelled.length,
+        failed,
+        notified_users: notified,
+        reservations: summarizeBulkReservations(cancelled),
+      }
+    });
+  } catch (error) {
+    console.error("Bulk cancel reservations error:", error);
+    return res.status(500).json({
+      status: 500,
+      message: "Failed to cancel reservations",
+      error: error.message,
+    });
+  }
+});
+
+// Update reservation status (Admin only)
+router.patch("/:id/status", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes, reason } = req.body || {}; // Handle empty body
+
+    if (!status || !RESERVATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 400,
+        message: `Valid status is required (${RESERVATION_STATUSES.join(", ")})`,
+      });
+    }
+
+    const reservation = await Reservation.findOne({ 
+      _id: id, 
+      isDeleted: false 
+    });
+
+    if (!reservation) {
+      return res.status(404).json({
+        status: 404,
+        message: "Reservation not found",
+      });
+    }
+
+    if (!reservation.canTransitionTo(status)) {
+      return res.status(400).json({
+        status: 400,
+        message: `Cannot change reservation status from ${reservation.status} to ${status}`,
+        data: {
+          allowed_transitions: reservation.getAllowedTransitions(),
+        },
+      });
+    }
+
+    if (notes !== undefined) reservation.notes = notes?.trim() || null;
+
+    // Statuses with side effects go through the same helpers as their dedicated routes
+    if (status === "approved") {
+      await approveReservation(reservation, req, { reason });
+    } else if (status === "rejected") {
+      await rejectReservation(reservation, req, { notes, reason });
+    } else if (status === "cancelled") {
+      await cancelReservation(reservation, req, { reason });
+    } else if (status === "completed") {
+      await completeReservation(reservation, req, { reason });
+    } else if (status === "no_show") {
+      await reservation.markNoShow(statusActor(req, reason));
+    } else {
+      const previousStatus = reservation.status;
+      reservation.transitionTo(status, statusActor(req, reason));
+      if (status === "active") reservation.started_at = new Date();
+      if (status === "pending") reservation.approved_by = null;
+      await reservation.save();
+      // Sent back for approval: the slot no longer holds a place in the schedule
+      if (previousStatus === "approved" && status === "pending") {
+        await releaseSlotToWaitlist(reservation);
+      }
+    }
+
+    // Populate fields for response
+    await reservation.populate([
+      { path: 'user_id', select: 'firstname lastname email id_number' },
+      { path: 'approved_by', select: 'firstname lastname username' }
+    ]);
+
+    res.status(200).json({
+      status: 200,
+      message: "Reservation status updated successfully",
+      data: reservation,
+    });
+  } catch (error) {
+    console.error("Update reservation status error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update reservation status",
+      error: error.message,
+    });
+  }
+});
+
+// Update reservation (Allow updating purpose, notes, duration, and reservation_date)
+// For recurring reservations, scope "future" applies purpose, notes and times to this and all later occurrences
+router.patch("/:id", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { purpose, notes, duration, reservation_date, start_time, end_time, scope = "this" } = req.body || {};
+
+    if (!["this", "future"].includes(scope)) {
+      return res.status(400).json({
+        status: 400,
+        message: "Scope must be either 'this' or 'future'",
+      });
+    }
+
+    const reservation = await Reservation.findOne({ 
+      _id: id, 
+      isDeleted: false 
+    });
+
+    if (!reservation) {
+      return res.status(404).json({
+        status: 404,
+        message: "Reservation not found",
+      });
+    }
+
+    const isAdmin = req.userType === "admin";
+    if (!isAdmin && reservation.user_id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only update your own reservations",
+      });
+    }
+
+    if (scope === "future") {
+      if (!reservation.series_id) {
+        return res.status(400).json({
+          status: 400,
+          message: "Reservation is not part of a recurring series",
+        });
+      }
+
+      if (duration !== undefined || reservation_date !== undefined) {
+        return res.status(400).json({
+          status: 400,
+          message: "Only purpose, notes, start_time and end_time can be applied to future occurrences",
+        });
+      }
+
+      const changesTime = start_time !== undefined || end_time !== undefined;
+      let newDuration = null;
+      if (changesTime) {
+        if (!isValidMilitaryTime(start_time) || !isValidMilitaryTime(end_time)) {
+          return res.status(400).json({
+            status: 400,
+            message: "Both start_time and end_time must be in military time format (HH:MM)",
+          });
+        }
+        // An end_time at or before start_time ends the next day
+        newDuration = getWindowMinutes(reservation.reservation_date, start_time, end_time);
+        const maxDuration = await SystemDefaults.getMaxReservationMinutes();
+        if (newDuration > maxDuration) {
+          return res.status(400).json({
+            status: 400,
+            message: `Reservations cannot be longer than ${maxDuration} minutes`,
+          });
+        }
+      }
+
+      const occurrences = await Reservation.find({
+        series_id: reservation.series_id,
+        series_index: { $gte: reservation.series_index },
+        status: { $in: ["pending", "approved"] },
+        isDeleted: false,
+      }).sort({ series_index: 1 });
+
+      // Occurrences whose window moves go through the same checks as new bookings
+      const movedOccurrences = changesTime
+        ? occurrences.filter(occurrence => occurrence.start_time !== start_time || occurrence.end_time !== end_time)
+        : [];
+
+      if (movedOccurrences.length > 0) {
+        const blockError = getBookingBlockError(req.user, isAdmin);
+        if (blockError) {
+          return res.status(blockError.status).json(blockError);
+        }
+
+        const target = await resolveBookingTarget({
+          reservationType: reservation.reservation_type,
+          computerId: reservation.computer_id,
+          laboratoryId: reservation.laboratory_id,
+        });
+        if (target.error) {
+          return res.status(target.error.status).json(target.error);
+        }
+
+        const occurrenceConflicts = [];
+        for (const occurrence of movedOccurrences) {
+          const { error: windowError } = await checkBookingWindow({
+            user: req.user,
+            isAdmin,
+            reservationType: occurrence.reservation_type,
+            laboratoryId: target.laboratoryId,
+            reservationDate: occurrence.reservation_date,
+            startTime: start_time,
+            duration: newDuration,
+            excludeReservationId: occurrence._id,
+          });
+          if (windowError) {
+            occurrenceConflicts.push({
+              date: getTZDateString(occurrence.reservation_date),
+              ...(windowError.policy_violation
+                ? { policy_violation: windowError.policy_violation }
+                : { operation_hours: windowError.message }),
+              reservation_conflicts: [],
+              subject_conflicts: []
+            });
+            continue;
+          }
+
+          const occurrenceResult = await checkReservationConflicts(
+            occurrence.reservation_date,
+            start_time,
+            newDuration,
+            occurrence.reservation_type,
+            occurrence._id,
+            occurrence.laboratory_id,
+            occurrence.computer_id
+          );
+          if (hasConflicts(occurrenceResult)) {
+            occurrenceConflicts.push({
+              date: getTZDateString(occurrence.reservation_date),
+              ...formatConflicts(occurrenceResult)
+            });
+          }
+        }
+
+        if (occurrenceConflicts.length > 0) {
+          return res.status(409).json({
+            status: 409,
+            message: `${occurrenceConflicts.length} of ${occurrences.length} occurrences have conflicts`,
+            occurrence_conflicts: occurrenceConflicts,
+          });
+        }
+      }
+
+      const freedSlots = [];
+      for (const occurrence of occurrences) {
+        if (purpose !== undefined) occurrence.purpose = purpose.trim();
+        if (notes !== undefined) occurrence.notes = notes?.trim() || null;
+        if (movedOccurrences.includes(occurrence)) {
+          if (occurrence.status === "approved") {
+            const { startAt, endAt } = occurrence.getWindow();
+            freedSlots.push({
+              reservation_type: occurrence.reservation_type,
+              laboratory_id: occurrence.laboratory_id,
+              computer_id: occurrence.computer_id,
+              reservation_date: occurrence.reservation_date,
+              start_time: occurrence.start_time,
+              end_time: occurrence.end_time,
+              duration: occurrence.duration,
+              start_at: startAt,
+              end_at: endAt,
+            });
+            // A new time needs a new approval unless an admin made the change
+            if (!isAdmin) {
+              occurrence.transitionTo("pending", statusActor(req, "Series time changed, awaiting re-approval"));
+              occurrence.approved_by = null;
+            }
+          }
+          occurrence.start_time = start_time;
+          occurrence.end_time = end_time;
+          occurrence.duration = newDuration;
+        }
+        await occurrence.save();
+      }
+
+      for (const slot of freedSlots) {
+        await releaseSlotToWaitlist(slot);
+      }
+
+      const seriesUpdate = {};
+      if (purpose !== undefined) seriesUpdate.purpose = purpose.trim();
+      if (changesTime) {
+        seriesUpdate.start_time = start_time;
+        seriesUpdate.end_time = end_time;
+      }
+      if (Object.keys(seriesUpdate).length > 0) {
+        await ReservationSeries.findByIdAndUpdate(reservation.series_id, seriesUpdate);
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: `${occurrences.length} occurrence(s) updated successfully`,
+        data: {
+          reservations: occurrences,
+          updated_count: occurrences.length,
+        },
+      });
+    }
 
-    if (notes !== undefined) {
-      update.$set.notes = notes ? String(notes).trim() : null;
+    // Update fields if provided
+    if (purpose !== undefined) reservation.purpose = purpose.trim();
+    if (notes !== undefined) reservation.notes = notes?.trim() || null;
+    if (duration !== undefined) {
+      const maxDuration = await SystemDefaults.getMaxReservationMinutes();
+      if (typeof duration !== 'number' || duration < 1 || duration > maxDuration) {
+        return res.status(400).json({
+          status: 400,
+          message: `Duration must be a number between 1 and ${maxDuration} minutes`,
+        });
+      }
+      reservation.duration = duration;
+      reservation.end_time = getWindowEndTime(reservation.start_time, duration);
+    }
+    if (reservation_date !== undefined) {
+      reservation.reservation_date = new Date(reservation_date);
     }
 
-    const result = await Reservation.updateMany(filter, update);
+    await reservation.save();
 
-    return res.status(200).json({
+    res.status(200).json({
       status: 200,
-      message: "All reservations cancelled successfully",
-      data: {
-        matched: result.matchedCount ?? result.n ?? 0,
-        modified: result.modifiedCount ?? result.nModified ?? 0
-      }
+      message: "Reservation updated successfully",
+      data: reservation,
     });
   } catch (error) {
-    console.error("Cancel all reservations error:", error);
-    return res.status(500).json({
+    console.error("Update reservation error:", error);
+    res.status(500).json({
       status: 500,
-      message: "Failed to cancel all reservations",
+      message: "Failed to update reservation",
       error: error.message,
     });
   }
 });
 
-// Update reservation status (Admin only)
-router.patch("/:id/status", adminAuthMiddleware, async (req, res) => {
+// Reschedule reservation to another date/time or another computer in the same laboratory
+router.patch("/:id/reschedule", authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, notes } = req.body || {}; // Handle empty body
+    const { reservation_date, start_time, end_time, end_date, computer_id, reason } = req.body || {};
 
-    if (!status || !["pending", "approved", "rejected", "active", "completed", "cancelled"].includes(status)) {
+    if (reservation_date === undefined && start_time === undefined && end_time === undefined && computer_id === undefined) {
       return res.status(400).json({
         status: 400,
-        message: "Valid status is required (pending, approved, rejected, active, completed, cancelled)",
+        message: "Provide a new reservation_date, start_time/end_time or computer_id",
       });
     }
 
-    const reservation = await Reservation.findOne({ 
-      _id: id, 
-      isDeleted: false 
+    const reservation = await Reservation.findOne({
+      _id: id,
+      isDeleted: false
     });
 
     if (!reservation) {
@@ -1324,118 +3056,286 @@ router.patch("/:id/status", adminAuthMiddleware, async (req, res) => {
       });
     }
 
-    reservation.status = status;
-    if (notes !== undefined) reservation.notes = notes?.trim() || null;
-    
-    // Set approved_by when approving
-    if (status === "approved") {
-      reservation.approved_by = req.user._id;
-      
-      // Update user data
-      const user = await User.findById(reservation.user_id);
-      if (user) {
-        if (!user.approved_reservations_count) {
-          user.approved_reservations_count = 0;
-        }
-        user.approved_reservations_count += 1;
-        await user.save();
-      }
-    }
-    
-    // Handle activation - user starts using the reservation
-    if (status === "active") {
-      reservation.started_at = new Date();
-    }
-    
-    // Handle rejection
-    if (status === "rejected") {
-      reservation.approved_by = req.user._id;
-      
-      // Update user data
-      const user = await User.findById(reservation.user_id);
-      if (user) {
-        if (!user.rejected_reservations_count) {
-          user.rejected_reservations_count = 0;
-        }
-        user.rejected_reservations_count += 1;
-        await user.save();
-      }
+    // Check if user can reschedule this reservation
+    const isAdmin = req.userType === "admin";
+    if (!isAdmin && reservation.user_id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only reschedule your own reservations",
+      });
     }
-    
-    // Handle completion
-    if (status === "completed") {
-      reservation.completed_at = new Date();
+
+    // Users with repeated no-shows are temporarily blocked from booking
+    const blockError = getBookingBlockError(req.user, isAdmin);
+    if (blockError) {
+      return res.status(blockError.status).json(blockError);
     }
 
-    await reservation.save();
+    if (!["pending", "approved"].includes(reservation.status)) {
+      return res.status(400).json({
+        status: 400,
+        message: "Only pending or approved reservations can be rescheduled",
+      });
+    }
 
-    // Populate fields for response
-    await reservation.populate([
-      { path: 'user_id', select: 'firstname lastname email id_number' },
-      { path: 'approved_by', select: 'firstname lastname username' }
-    ]);
+    // Moving one seat of a group or one occurrence of a series would split it from the rest
+    if (reservation.group_id) {
+      return res.status(400).json({
+        status: 400,
+        message: "Seats of a group reservation cannot be rescheduled one at a time",
+      });
+    }
+    if (reservation.series_id) {
+      return res.status(400).json({
+        status: 400,
+        message: "Occurrences of a recurring series cannot be rescheduled one at a time. Update the series time with scope 'future' instead",
+      });
+    }
 
-    res.status(200).json({
-      status: 200,
-      message: "Reservation status updated successfully",
-      data: reservation,
-    });
-  } catch (error) {
-    console.error("Update reservation status error:", error);
-    res.status(500).json({
-      status: 500,
-      message: "Failed to update reservation status",
-      error: error.message,
-    });
-  }
-});
+    // Resolve the new slot, keeping current values for fields not provided
+    const newDate = reservation_date !== undefined ? new Date(reservation_date) : reservation.reservation_date;
+    if (isNaN(newDate.getTime())) {
+      return res.status(400).json({
+        status: 400,
+        message: "Invalid reservation date",
+      });
+    }
+    if (end_date && Number.isNaN(new Date(end_date).getTime())) {
+      return res.status(400).json({
+        status: 400,
+        message: "Invalid end date",
+      });
+    }
 
-// Update reservation (Allow updating purpose, notes, duration, and reservation_date)
-router.patch("/:id", authMiddleware, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { purpose, notes, duration, reservation_date } = req.body || {};
+    // Moving only the date keeps the reservation's length, including overnight ones
+    let newStartTime = reservation.start_time;
+    let newEndTime = reservation.end_time;
+    let newDuration = reservation.duration;
+    if (start_time !== undefined || end_time !== undefined) {
+      if (!isValidMilitaryTime(start_time) || !isValidMilitaryTime(end_time)) {
+        return res.status(400).json({
+          status: 400,
+          message: "Both start_time and end_time must be in military time format (HH:MM)",
+        });
+      }
+      newStartTime = start_time;
+      newEndTime = end_time;
+      newDuration = getWindowMinutes(newDate, newStartTime, newEndTime, end_date);
+    }
 
-    const reservation = await Reservation.findOne({ 
-      _id: id, 
-      isDeleted: false 
-    });
+    if (!(newDuration > 0)) {
+      return res.status(400).json({
+        status: 400,
+        message: "End date and time must be after the start date and time",
+      });
+    }
+    const maxDuration = await SystemDefaults.getMaxReservationMinutes();
+    if (newDuration > maxDuration) {
+      return res.status(400).json({
+        status: 400,
+        message: `Reservations cannot be longer than ${maxDuration} minutes`,
+      });
+    }
 
-    if (!reservation) {
-      return res.status(404).json({
-        status: 404,
-        message: "Reservation not found",
+    if (combineTZDateAndTime(newDate, newStartTime) < new Date()) {
+      return res.status(400).json({
+        status: 400,
+        message: "Cannot reschedule a reservation into the past",
       });
     }
 
-    // Update fields if provided
-    if (purpose !== undefined) reservation.purpose = purpose.trim();
-    if (notes !== undefined) reservation.notes = notes?.trim() || null;
-    if (duration !== undefined) {
-      if (typeof duration !== 'number' || duration < 1 || duration > 540) {
+    // Computer moves are limited to computers in the same laboratory
+    let newComputerId = reservation.computer_id;
+    if (computer_id !== undefined && String(computer_id) !== String(reservation.computer_id)) {
+      if (reservation.reservation_type !== "computer") {
         return res.status(400).json({
           status: 400,
-          message: "Duration must be a number between 1 and 540 minutes (9 hours)",
+          message: "Only computer reservations can be moved to another computer",
         });
       }
-      reservation.duration = duration;
+
+      const [currentComputer, targetComputer] = await Promise.all([
+        Computer.findById(reservation.computer_id),
+        Computer.findOne({ _id: computer_id, isDeleted: false }),
+      ]);
+
+      if (!targetComputer) {
+        return res.status(404).json({
+          status: 404,
+          message: "Computer not found or has been deleted",
+        });
+      }
+
+      if (currentComputer && String(targetComputer.laboratory_id) !== String(currentComputer.laboratory_id)) {
+        return res.status(400).json({
+          status: 400,
+          message: "Reservations can only be moved to a computer in the same laboratory",
+        });
+      }
+
+      if (targetComputer.status === "out_of_order" || targetComputer.status === "maintenance") {
+        return res.status(400).json({
+          status: 400,
+          message: `Computer is currently ${targetComputer.status} and cannot be reserved`,
+        });
+      }
+
+      newComputerId = targetComputer._id;
     }
-    if (reservation_date !== undefined) {
-      reservation.reservation_date = new Date(reservation_date);
+
+    const computerChanged = String(newComputerId) !== String(reservation.computer_id);
+    const slotChanged = getTZDateString(newDate) !== getTZDateString(reservation.reservation_date)
+      || newStartTime !== reservation.start_time
+      || newEndTime !== reservation.end_time
+      || newDuration !== reservation.duration;
+
+    if (!slotChanged && !computerChanged) {
+      return res.status(400).json({
+        status: 400,
+        message: "The new slot is the same as the current one",
+      });
+    }
+
+    let rescheduledLaboratoryId = reservation.laboratory_id;
+    if (reservation.reservation_type === "computer") {
+      const computer = await Computer.findById(newComputerId).select("laboratory_id");
+      rescheduledLaboratoryId = computer?.laboratory_id || null;
+    }
+
+    // Booking policies (admins are exempt) and operation hours for the new slot
+    const { error: windowError } = await checkBookingWindow({
+      user: req.user,
+      isAdmin,
+      reservationType: reservation.reservation_type,
+      laboratoryId: rescheduledLaboratoryId,
+      reservationDate: newDate,
+      startTime: newStartTime,
+      duration: newDuration,
+      excludeReservationId: reservation._id,
+    });
+    if (windowError) {
+      return res.status(windowError.status).json(windowError);
+    }
+
+    const conflictResult = await checkReservationConflicts(
+      newDate,
+      newStartTime,
+      newDuration,
+      reservation.reservation_type,
+      reservation._id,
+      reservation.laboratory_id,
+      newComputerId
+    );
+    if (hasConflicts(conflictResult)) {
+      return res.status(409).json({
+        status: 409,
+        message: conflictMessage(conflictResult),
+        ...formatConflicts(conflictResult),
+      });
+    }
+
+    const previousSlot = {
+      reservation_type: reservation.reservation_type,
+      laboratory_id: reservation.laboratory_id,
+      computer_id: reservation.computer_id,
+      reservation_date: reservation.reservation_date,
+      start_time: reservation.start_time,
+      end_time: reservation.end_time,
+      duration: reservation.duration,
+      start_at: reservation.getWindow().startAt,
+      end_at: reservation.getWindow().endAt,
+    };
+    const previousStatus = reservation.status;
+
+    reservation.reschedule_history.push({
+      reservation_date: reservation.reservation_date,
+      start_time: reservation.start_time,
+      end_time: reservation.end_time,
+      computer_id: reservation.computer_id,
+      status: previousStatus,
+      rescheduled_by: req.user._id,
+      rescheduled_by_type: isAdmin ? "admin" : "user",
+      reason: reason?.trim() || null,
+    });
+
+    reservation.reservation_date = newDate;
+    reservation.start_time = newStartTime;
+    reservation.end_time = newEndTime;
+    reservation.duration = newDuration;
+    reservation.computer_id = newComputerId;
+
+    // Approved bookings moved by their owner go back for re-approval,
+    // except faculty laboratory bookings which are auto-approved anyway
+    const keepsApproval = isAdmin || (req.user.user_type === "faculty" && reservation.reservation_type === "laboratory");
+    const requiresReapproval = previousStatus === "approved" && !keepsApproval;
+    if (requiresReapproval) {
+      reservation.transitionTo("pending", statusActor(req, "Rescheduled, awaiting re-approval"));
+      reservation.approved_by = null;
     }
 
     await reservation.save();
 
+    if (computerChanged && previousSlot.computer_id) {
+      await Computer.updateOne(
+        { _id: previousSlot.computer_id, status: "reserved" },
+        { $set: { status: "available" } }
+      );
+    }
+
+    // The previous slot only held a place in the schedule if it was approved
+    if (previousStatus === "approved") {
+      await releaseSlotToWaitlist(previousSlot);
+    }
+
+    // Notify the reservation owner
+    try {
+      const user = await User.findById(reservation.user_id);
+      if (user?.email) {
+        const subject = `${reservation.reservation_type === 'laboratory' ? 'Laboratory' : 'Computer'} Reservation Rescheduled`;
+        const html = `<p>Dear ${user.firstname || ''} ${user.lastname || ''},</p>
+            <p>Your reservation <b>${reservation.reservation_number}</b> has been rescheduled.</p>
+            <ul>
+              <li><b>Previous Slot:</b> ${getTZDateString(previousSlot.reservation_date)} ${previousSlot.start_time} - ${previousSlot.end_time}</li>
+              <li><b>New Slot:</b> ${getTZDateString(reservation.reservation_date)} ${reservation.start_time} - ${reservation.end_time}</li>
+              <li><b>Duration:</b> ${reservation.duration} minutes</li>
+              ${reason ? `<li><b>Reason:</b> ${reason.trim()}</li>` : ''}
+            </ul>
+            <p>${requiresReapproval
+              ? 'The reservation is now <b>pending</b> and needs to be approved again.'
+              : `The reservation remains <b>${reservation.status}</b>.`}</p>
+            <p>If you have any questions, please contact the admin.</p>
+          `;
+        await sendMail(user.email, subject, html);
+      }
+    } catch (mailError) {
+      console.error("Failed to send reschedule email to reservation owner:", mailError);
+    }
+
+    await reservation.populate([
+      { path: 'user_id', select: 'firstname lastname email id_number' },
+      { path: 'approved_by', select: 'firstname lastname username' },
+      { path: 'computer_id', select: 'pc_number status', populate: { path: 'laboratory_id', select: 'name' } },
+      { path: 'laboratory_id', select: 'name status' }
+    ]);
+
     res.status(200).json({
       status: 200,
-      message: "Reservation updated successfully",
+      message: requiresReapproval
+        ? "Reservation rescheduled and sent back for approval"
+        : "Reservation rescheduled successfully",
       data: reservation,
     });
   } catch (error) {
-    console.error("Update reservation error:", error);
+    if (error.httpStatus === 400) {
+      return res.status(400).json({
+        status: 400,
+        message: error.message,
+      });
+    }
+    console.error("Reschedule reservation error:", error);
     res.status(500).json({
       status: 500,
-      message: "Failed to update reservation",
+      message: "Failed to reschedule reservation",
       error: error.message,
     });
   }
@@ -1460,63 +3360,14 @@ router.patch("/:id/approve", adminAuthMiddleware, async (req, res) => {
     }
 
     // Check if reservation can be approved
-    if (reservation.status !== "pending") {
+    if (!reservation.canTransitionTo("approved")) {
       return res.status(400).json({
         status: 400,
         message: "Only pending reservations can be approved",
       });
     }
 
-    // Update reservation status
-    reservation.status = "approved";
-    reservation.approved_by = req.user._id;
-    if (notes) reservation.notes = notes.trim();
-
-
-    await reservation.save();
-
-    // Fetch user and related data for email
-    const user = await User.findById(reservation.user_id);
-    let laboratory = null;
-    let computer = null;
-    if (reservation.laboratory_id) {
-      laboratory = await Laboratory.findById(reservation.laboratory_id);
-    }
-    if (reservation.computer_id) {
-      computer = await Computer.findById(reservation.computer_id).populate('laboratory_id', 'name');
-    }
-
-    try {
-      const email = user?.email;
-      const subject = `${reservation.reservation_type === 'laboratory' ? 'Laboratory' : 'Computer'} Reservation Approved`;
-      const html = `<p>Dear ${user?.firstname || ''} ${user?.lastname || ''},</p>
-          <p>Your ${reservation.reservation_type === 'laboratory' ? 'laboratory' : 'computer'} reservation has been <b>approved</b>.</p>
-          <ul>
-            <li><b>Reservation Number:</b> ${reservation.reservation_number}</li>
-            <li><b>Laboratory:</b> ${laboratory?.name || computer?.laboratory_id?.name || 'N/A'}</li>
-            <li><b>Date:</b> ${reservation.reservation_date ? new Date(reservation.reservation_date).toLocaleDateString() : 'N/A'}</li>
-            <li><b>Start Time:</b> ${reservation.start_time || 'N/A'}</li>
-            <li><b>End Time:</b> ${reservation.end_time || 'N/A'}</li>
-            <li><b>Duration:</b> ${reservation.duration ? reservation.duration + ' minutes' : 'N/A'}</li>
-            <li><b>Purpose:</b> ${reservation.purpose || ''}</li>
-          </ul>
-          <p>If you have any questions, please contact the admin.</p>
-        `;
-      if (email) {
-        await sendMail(email, subject, html);
-      }
-    } catch (mailError) {
-      console.error("Failed to send approval email to reservation owner:", mailError);
-    }
-
-    // Update user's approved reservations count
-    if (user) {
-      if (!user.approved_reservations_count) {
-        user.approved_reservations_count = 0;
-      }
-      user.approved_reservations_count += 1;
-      await user.save();
-    }
+    await approveReservation(reservation, req, { notes });
 
     // Populate fields for response
     await reservation.populate([
@@ -1558,37 +3409,14 @@ router.patch("/:id/reject", adminAuthMiddleware, async (req, res) => {
     }
 
     // Check if reservation can be rejected
-    if (reservation.status !== "pending") {
+    if (!reservation.canTransitionTo("rejected")) {
       return res.status(400).json({
         status: 400,
         message: "Only pending reservations can be rejected",
       });
     }
 
-    // Update reservation status
-    reservation.status = "rejected";
-    reservation.approved_by = req.user._id;
-    
-    // Combine rejection reason and notes
-    let rejectionNotes = "";
-    if (reason) rejectionNotes += `Reason: ${reason.trim()}`;
-    if (notes) rejectionNotes += rejectionNotes ? `. Notes: ${notes.trim()}` : notes.trim();
-    
-    reservation.notes = rejectionNotes || null;
-
-    await reservation.save();
-
-    // Get user and update their data
-    const user = await User.findById(reservation.user_id);
-    if (user) {
-      // Example: If you want to track rejected reservations count
-      if (!user.rejected_reservations_count) {
-        user.rejected_reservations_count = 0;
-      }
-      user.rejected_reservations_count += 1;
-      
-      await user.save();
-    }
+    await rejectReservation(reservation, req, { notes, reason });
 
     // Populate fields for response
     await reservation.populate([
@@ -1629,7 +3457,7 @@ router.patch("/:id/start", adminAuthMiddleware, async (req, res) => {
     }
 
     // Check if reservation can be started
-    if (reservation.status !== "approved") {
+    if (!reservation.canTransitionTo("active")) {
       return res.status(400).json({
         status: 400,
         message: "Only approved reservations can be started",
@@ -1637,7 +3465,7 @@ router.patch("/:id/start", adminAuthMiddleware, async (req, res) => {
     }
 
     // Update reservation status to active and record start time
-    reservation.status = "active";
+    reservation.transitionTo("active", statusActor(req));
     reservation.started_at = new Date();
     await reservation.save();
 
@@ -1681,18 +3509,14 @@ router.patch("/:id/complete", adminAuthMiddleware, async (req, res) => {
     }
 
     // Check if reservation can be completed
-    if (!["approved", "active"].includes(reservation.status)) {
+    if (!reservation.canTransitionTo("completed")) {
       return res.status(400).json({
         status: 400,
-        message: "Only approved or active reservations can be completed",
+        message: "Only active reservations can be completed",
       });
     }
 
-    // Update reservation status to completed and set completion time
-    reservation.status = "completed";
-    reservation.completed_at = new Date();
-    if (notes) reservation.notes = notes.trim();
-    await reservation.save();
+    await completeReservation(reservation, req, { notes });
 
     // Populate fields for response
     await reservation.populate([
@@ -1719,7 +3543,14 @@ router.patch("/:id/complete", adminAuthMiddleware, async (req, res) => {
 router.patch("/:id/cancel", authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { notes } = req.body || {}; // Handle empty body
+    const { notes, scope = "this" } = req.body || {}; // Handle empty body
+
+    if (!["this", "future"].includes(scope)) {
+      return res.status(400).json({
+        status: 400,
+        message: "Scope must be either 'this' or 'future'",
+      });
+    }
 
     const reservation = await Reservation.findOne({ 
       _id: id, 
@@ -1742,17 +3573,48 @@ router.patch("/:id/cancel", authMiddleware, async (req, res) => {
     }
 
     // Check if reservation can be cancelled
-    if (["completed", "cancelled"].includes(reservation.status)) {
+    if (!reservation.canTransitionTo("cancelled")) {
+      return res.status(400).json({
+        status: 400,
+        message: `Cannot cancel a ${reservation.status} reservation`,
+      });
+    }
+
+    if (scope === "future" && !reservation.series_id) {
       return res.status(400).json({
         status: 400,
-        message: "Cannot cancel a completed or already cancelled reservation",
+        message: "Reservation is not part of a recurring series",
       });
     }
 
-    reservation.status = "cancelled";
-    if (notes) reservation.notes = notes.trim();
+    await cancelReservation(reservation, req, { notes });
 
-    await reservation.save();
+    // Cancel every later occurrence of the series that has not started yet
+    let cancelledCount = 1;
+    if (scope === "future") {
+      const futureFilter = {
+        series_id: reservation.series_id,
+        series_index: { $gt: reservation.series_index },
+        status: { $in: ["pending", "approved"] },
+        isDeleted: false,
+      };
+      const futureOccurrences = await Reservation.find(futureFilter);
+      for (const occurrence of futureOccurrences) {
+        await cancelReservation(occurrence, req, { notes });
+        cancelledCount += 1;
+      }
+    }
+
+    if (reservation.series_id) {
+      const remaining = await Reservation.countDocuments({
+        series_id: reservation.series_id,
+        status: { $in: ["pending", "approved", "active"] },
+        isDeleted: false,
+      });
+      if (remaining === 0) {
+        await ReservationSeries.findByIdAndUpdate(reservation.series_id, { status: "cancelled" });
+      }
+    }
 
     // Populate fields for response
     await reservation.populate([
@@ -1762,8 +3624,11 @@ router.patch("/:id/cancel", authMiddleware, async (req, res) => {
 
     res.status(200).json({
       status: 200,
-      message: "Reservation cancelled successfully",
+      message: cancelledCount > 1
+        ? `${cancelledCount} reservations cancelled successfully`
+        : "Reservation cancelled successfully",
       data: reservation,
+      cancelled_count: cancelledCount,
     });
   } catch (error) {
     console.error("Cancel reservation error:", error);
@@ -1855,6 +3720,7 @@ router.get("/statistics/overview", adminAuthMiddleware, async (req, res) => {
         active: 0,
         completed: 0,
         cancelled: 0,
+        no_show: 0,
       },
       by_type: {
         laboratory: 0,
@@ -1893,6 +3759,7 @@ router.post("/check-conflicts", authMiddleware, async (req, res) => {
       reservation_date,
       start_time,
       end_time,
+      end_date,
       duration,
       exclude_reservation_id
     } = req.body || {};
@@ -1905,6 +3772,13 @@ router.post("/check-conflicts", authMiddleware, async (req, res) => {
       });
     }
 
+    if (Number.isNaN(new Date(reservation_date).getTime())) {
+      return res.status(400).json({
+        status: 400,
+        message: "Reservation date must be a valid date",
+      });
+    }
+
     // Validate that we have either start/end times or duration
     const hasStartEndTime = start_time && end_time;
     const hasDuration = duration;
@@ -1935,30 +3809,27 @@ router.post("/check-conflicts", authMiddleware, async (req, res) => {
     // Calculate missing fields based on what's provided
     let calculatedStartTime, calculatedDuration;
 
+    const maxDuration = await SystemDefaults.getMaxReservationMinutes();
+
     if (hasStartEndTime) {
-      // Using military time format
+      // Using military time format; an end_time at or before start_time ends the next day
       calculatedStartTime = start_time;
-      
-      // Calculate duration from military times
-      const startMinutes = timeToMinutes(start_time);
-      const endMinutes = timeToMinutes(end_time);
-      
-      if (endMinutes <= startMinutes) {
+      calculatedDuration = getWindowMinutes(new Date(reservation_date), start_time, end_time, end_date);
+
+      if (!(calculatedDuration > 0)) {
         return res.status(400).json({
           status: 400,
-          message: "End time must be after start time on the same day",
+          message: "End date and time must be after the start date and time",
         });
       }
-      
-      calculatedDuration = endMinutes - startMinutes;
     } else {
       // Using duration - need to calculate military times
       const parsedDuration = typeof duration === 'string' ? parseInt(duration) : duration;
       
-      if (!parsedDuration || typeof parsedDuration !== 'number' || parsedDuration < 1 || parsedDuration > 540) {
+      if (!parsedDuration || typeof parsedDuration !== 'number' || parsedDuration < 1 || parsedDuration > maxDuration) {
         return res.status(400).json({
           status: 400,
-          message: "Duration must be a number between 1 and 540 minutes (9 hours)",
+          message: `Duration must be a number between 1 and ${maxDuration} minutes`,
         });
       }
       
@@ -1980,25 +3851,15 @@ router.post("/check-conflicts", authMiddleware, async (req, res) => {
     }
 
     // Validate duration
-    if (calculatedDuration < 1 || calculatedDuration > 540) {
-      return res.status(400).json({
-        status: 400,
-        message: "Duration must be between 1 and 540 minutes (9 hours)",
-      });
-    }
-
-    // Check if there's enough time remaining for current day reservations  
-    const timeCheck = hasEnoughTimeRemaining(reservation_date, calculatedDuration);
-    if (!timeCheck.valid) {
+    if (calculatedDuration < 1 || calculatedDuration > maxDuration) {
       return res.status(400).json({
         status: 400,
-        message: timeCheck.message,
-        remaining_minutes: timeCheck.remainingMinutes
+        message: `Duration must be between 1 and ${maxDuration} minutes`,
       });
     }
 
     // Check for conflicts (including subject schedule)
-    let conflictResult = { reservationConflicts: [], subjectConflicts: [] };
+    let conflictResult = { reservationConflicts: [], subjectConflicts: [], closureConflicts: [] };
     if ((reservation_type === "laboratory" && req.body.laboratory_id) || (reservation_type === "computer" && req.body.computer_id)) {
       conflictResult = await checkReservationConflicts(
         new Date(reservation_date),
@@ -2013,11 +3874,61 @@ router.post("/check-conflicts", authMiddleware, async (req, res) => {
 
     const hasReservationConflicts = conflictResult.reservationConflicts.length > 0;
     const hasSubjectConflicts = conflictResult.subjectConflicts.length > 0;
+    const hasClosureConflicts = conflictResult.closureConflicts.length > 0;
+
+    let checkedLaboratoryId = reservation_type === "laboratory" ? req.body.laboratory_id : null;
+    if (reservation_type === "computer" && req.body.computer_id) {
+      const computer = await Computer.findOne({ _id: req.body.computer_id, isDeleted: false }).select("laboratory_id");
+      checkedLaboratoryId = computer?.laboratory_id || null;
+    }
+
+    // Booking policies (admins are exempt) and operation hours, reported alongside conflicts
+    const bookingWindow = {
+      reservationDate: new Date(reservation_date),
+      startTime: calculatedStartTime,
+      duration: calculatedDuration,
+    };
+    const { policyResult, error: windowError } = await checkBookingWindow({
+      user: req.user,
+      isAdmin: req.userType === "admin",
+      reservationType: reservation_type,
+      laboratoryId: checkedLaboratoryId,
+      excludeReservationId: exclude_reservation_id,
+      ...bookingWindow,
+    });
+    const policyViolation = windowError?.policy_violation || null;
+    // A policy violation stops checkBookingWindow before operation hours, so check those on their own
+    const operationHoursError = policyViolation
+      ? await checkOperationHours(bookingWindow.reservationDate, bookingWindow.startTime, bookingWindow.duration, checkedLaboratoryId)
+      : windowError?.message || null;
+
+    // Offer alternatives when the requested window cannot be booked
+    let suggestions = null;
+    if ((hasReservationConflicts || hasSubjectConflicts || hasClosureConflicts || operationHoursError) && checkedLaboratoryId) {
+      suggestions = await suggestAlternativeSlots({
+        reservationType: reservation_type,
+        reservationDate: new Date(reservation_date),
+        startTime: calculatedStartTime,
+        duration: calculatedDuration,
+        laboratoryId: reservation_type === "laboratory" ? req.body.laboratory_id : null,
+        computerId: reservation_type === "computer" ? req.body.computer_id : null,
+        excludeReservationId: exclude_reservation_id,
+      });
+    }
 
     res.status(200).json({
       status: 200,
-      message: hasReservationConflicts || hasSubjectConflicts ? "Conflicts detected" : "No conflicts found",
-      has_conflicts: hasReservationConflicts || hasSubjectConflicts,
+      message: hasReservationConflicts || hasSubjectConflicts || hasClosureConflicts
+        ? "Conflicts detected"
+        : operationHoursError
+          ? "Outside operation hours"
+          : (policyViolation ? "Booking policy violation detected" : "No conflicts found"),
+      has_conflicts: hasReservationConflicts || hasSubjectConflicts || hasClosureConflicts,
+      within_operation_hours: !operationHoursError,
+      operation_hours_error: operationHoursError,
+      policy_allowed: !policyViolation,
+      policy_violation: policyViolation,
+      auto_approve: policyResult?.autoApprove ?? null,
       reservation_conflicts: hasReservationConflicts ? conflictResult.reservationConflicts.map(conflict => ({
         reservation_number: conflict.reservation_number,
         user: `${conflict.user_id.firstname} ${conflict.user_id.lastname}`,
@@ -2026,7 +3937,9 @@ router.post("/check-conflicts", authMiddleware, async (req, res) => {
         start_time: conflict.start_time || (conflict.reservation_date ? 
           `${String(getTZParts(new Date(conflict.reservation_date)).hour).padStart(2, '0')}:${String(getTZParts(new Date(conflict.reservation_date)).minute).padStart(2, '0')}` : null),
         end_time: conflict.end_time || (conflict.duration ? 
-          minutesToTime((conflict.start_time ? timeToMinutes(conflict.start_time) : (getTZParts(new Date(conflict.reservation_date)).hour * 60 + getTZParts(new Date(conflict.reservation_date)).minute)) + conflict.duration) : null),
+          getWindowEndTime(conflict.start_time || getTZCurrentTimeString(new Date(conflict.reservation_date)), conflict.duration) : null),
+        start_at: conflict.getWindow().startAt,
+        end_at: conflict.getWindow().endAt,
         duration: conflict.duration,
         status: conflict.status
       })) : [],
@@ -2037,9 +3950,17 @@ router.post("/check-conflicts", authMiddleware, async (req, res) => {
         date: subject.date,
         start_time: subject.start_time,
         end_time: subject.end_time
-      })) : []
+      })) : [],
+      closure_conflicts: formatClosureConflicts(conflictResult.closureConflicts),
+      suggestions
     });
   } catch (error) {
+    if (error.httpStatus === 400) {
+      return res.status(400).json({
+        status: 400,
+        message: error.message,
+      });
+    }
     console.error("Check conflicts error:", error);
     res.status(500).json({
       status: 500,
@@ -1,4 +1,5 @@
 import { Router } from "express";
+import Closure from "../../../models/Closure.js";
 import SubjectScheduler from "../../../models/SubjectScheduler.js";
 import { getStartEndOfDay, getTZMinutesSinceMidnight, getTZCurrentTimeString } from "../../../utils/timezone.js";
 // No auth middleware for computer-usage validation endpoints
@@ -19,6 +20,17 @@ function rateLimit(key, limit = 5, windowMs = 60000) {
   return true;
 }
 
+// Find a closure overlapping a schedule's timeslot on a given day
+async function findClosureForTimeslot(date, timeslot) {
+  const [start, end] = timeslot.split('-').map(t => t.trim());
+  const toMinutes = t => {
+    const [h, m] = t.split(':').map(Number);
+    return h * 60 + m;
+  };
+  const closures = await Closure.findOverlapping(date, toMinutes(start), toMinutes(end));
+  return closures[0] || null;
+}
+
 // Create a new schedule (with recurring support)
 router.post('/', async (req, res) => {
     try {
@@ -63,8 +75,12 @@ router.post('/', async (req, res) => {
             break;
           }
         }
-        // Check for conflicts (overlapping timeslots)
+        // Check for conflicts (overlapping timeslots and closures)
         for (let d of datesToCheck) {
+          const closure = await findClosureForTimeslot(d, timeslot);
+          if (closure) {
+            return res.status(400).json({ error: `The laboratory is closed on ${d.toISOString().slice(0,10)} (${closure.title}).` });
+          }
           const { startOfDay, endOfDay } = getStartEndOfDay(d);
           const existing = await SubjectScheduler.find({ date: { $gte: startOfDay, $lte: endOfDay } });
           for (let ex of existing) {
@@ -88,7 +104,11 @@ router.post('/', async (req, res) => {
         return res.status(201).json(created);
       } else {
         // Single schedule
-        // Check for conflict (overlapping timeslots)
+        // Check for conflict (overlapping timeslots and closures)
+        const closure = await findClosureForTimeslot(date, timeslot);
+        if (closure) {
+          return res.status(400).json({ error: `The laboratory is closed on this date (${closure.title}).` });
+        }
         const { startOfDay, endOfDay } = getStartEndOfDay(date);
         const existing = await SubjectScheduler.find({ date: { $gte: startOfDay, $lte: endOfDay } });
         for (let ex of existing) {
@@ -140,13 +160,15 @@ router.put('/:id', async (req, res) => {
   try {
     const { isRepeat, repeatInterval, repeatEndDate, subjectName, subjectCode, instructorName, date, timeslot } = req.body;
     if (isRepeat && repeatInterval && repeatEndDate) {
-      // Delete the original schedule
-      await SubjectScheduler.findByIdAndDelete(req.params.id);
       // Create recurring schedules
       let schedules = [];
       let currentDate = new Date(date);
       const endDate = new Date(repeatEndDate);
       while (currentDate <= endDate) {
+        const closure = await findClosureForTimeslot(currentDate, timeslot);
+        if (closure) {
+          return res.status(400).json({ error: `The laboratory is closed on ${currentDate.toISOString().slice(0,10)} (${closure.title}).` });
+        }
         schedules.push({
           subjectName,
           subjectCode,
@@ -167,10 +189,18 @@ router.put('/:id', async (req, res) => {
           break;
         }
       }
+      // Delete the original schedule
+      await SubjectScheduler.findByIdAndDelete(req.params.id);
       const created = await SubjectScheduler.insertMany(schedules);
       return res.status(200).json(created);
     } else {
       // Single update
+      const current = await SubjectScheduler.findById(req.params.id);
+      if (!current) return res.status(404).json({ error: 'Not found' });
+      const closure = await findClosureForTimeslot(date || current.date, timeslot || current.timeslot);
+      if (closure) {
+        return res.status(400).json({ error: `The laboratory is closed on this date (${closure.title}).` });
+      }
       const updated = await SubjectScheduler.findByIdAndUpdate(req.params.id, req.body, { new: true });
       if (!updated) return res.status(404).json({ error: 'Not found' });
       res.json(updated);
@@ -1,24 +1,80 @@
 import { Router } from "express";
-import SystemDefaults from "../../../models/SystemDefaults.js";
+import SystemDefaults, { MAX_REMINDER_MINUTES, MAX_RESERVATION_MINUTES } from "../../../models/SystemDefaults.js";
 import User from "../../../models/User.js";
 import { adminAuthMiddleware, authMiddleware, requireSuperAdmin } from "../../../middleware/auth.js";
+import { isValidOperationHours, normalizeOperationHours, normalizeWeekdayHours, validateWeekdayHours } from "../../../utils/operationHours.js";
 
 const router = Router();
 
-const normalizeOperationHours = (value) => {
-  if (value === undefined) return undefined;
-  if (!value || !String(value).trim()) return null;
-  const normalized = String(value).trim();
-  if (/^24\s*hours$/i.test(normalized)) return "24 hours";
-  return normalized;
+// Numeric settings used by the scheduled jobs and booking limits, mapped to their minimum allowed value
+const NUMERIC_SETTINGS = {
+  no_show_grace_minutes: 0,
+  no_show_threshold: 1,
+  no_show_block_days: 1,
+  session_overtime_grace_minutes: 0,
+  max_reservation_minutes: 1,
+  reminder_lead_minutes: 1,
+  session_end_reminder_minutes: 1,
+  client_offline_minutes: 1,
+  offline_alert_threshold: 1,
 };
 
-const isValidOperationHours = (value) => {
-  if (value === undefined || value === null) return true;
-  const normalized = String(value).trim();
-  if (!normalized) return true;
-  if (/^24\s*hours$/i.test(normalized)) return true;
-  return /^([01]?\d|2[0-3]):[0-5]\d\s-\s([01]?\d|2[0-3]):[0-5]\d$/.test(normalized);
+// Upper bounds for numeric settings that have one
+const NUMERIC_SETTING_MAXIMUMS = {
+  max_reservation_minutes: MAX_RESERVATION_MINUTES,
+  reminder_lead_minutes: MAX_REMINDER_MINUTES,
+  session_end_reminder_minutes: MAX_REMINDER_MINUTES,
+};
+
+// Settings that can be cleared with null
+const NULLABLE_SETTINGS = ["no_show_threshold", "reminder_lead_minutes", "session_end_reminder_minutes", "offline_alert_threshold"];
+
+const hasNumericSettings = (body) => Object.keys(NUMERIC_SETTINGS).some((field) => body[field] !== undefined);
+
+const validateNumericSettings = (body) => {
+  for (const [field, min] of Object.entries(NUMERIC_SETTINGS)) {
+    if (body[field] === undefined) continue;
+    if (NULLABLE_SETTINGS.includes(field) && body[field] === null) continue;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < min) {
+      return `${field} must be an integer of at least ${min}`;
+    }
+    if (NUMERIC_SETTING_MAXIMUMS[field] !== undefined && value > NUMERIC_SETTING_MAXIMUMS[field]) {
+      return `${field} cannot exceed ${NUMERIC_SETTING_MAXIMUMS[field]}`;
+    }
+  }
+  return null;
+};
+
+const applyNumericSettings = (defaults, body) => {
+  for (const field of Object.keys(NUMERIC_SETTINGS)) {
+    if (body[field] === undefined) continue;
+    defaults[field] = body[field] === null ? null : Number(body[field]);
+  }
+};
+
+const hasCalendarSettings = (body) => body.weekday_hours !== undefined || body.holidays !== undefined;
+
+const validateCalendarSettings = (body) => {
+  if (body.weekday_hours !== undefined) {
+    const weekdayError = validateWeekdayHours(body.weekday_hours);
+    if (weekdayError) return weekdayError;
+  }
+  if (body.holidays !== undefined) {
+    if (!Array.isArray(body.holidays)) return "holidays must be an array";
+    for (const holiday of body.holidays) {
+      if (!holiday || !holiday.name || !String(holiday.name).trim()) return "Each holiday needs a name";
+      if (!holiday.date || isNaN(new Date(holiday.date).getTime())) return "Each holiday needs a valid date";
+    }
+  }
+  return null;
+};
+
+const applyCalendarSettings = (defaults, body) => {
+  if (body.weekday_hours !== undefined) defaults.weekday_hours = normalizeWeekdayHours(body.weekday_hours);
+  if (body.holidays !== undefined) {
+    defaults.holidays = body.holidays.map(holiday => ({ date: new Date(holiday.date), name: String(holiday.name).trim() }));
+  }
 };
 
 router.get("/current", authMiddleware, async (req, res) => {
@@ -64,9 +120,14 @@ router.get("/:id", adminAuthMiddleware, async (req, res) => {
 
 router.post("/", authMiddleware, async (req, res) => {
   try {
-    const { default_allotted_time, operation_hours } = req.body || {};
-    if (!default_allotted_time && !operation_hours) {
-      return res.status(400).json({ status: 400, message: "default_allotted_time or operation_hours is required" });
+    const body = req.body || {};
+    const { default_allotted_time, operation_hours } = body;
+    if (!default_allotted_time && !operation_hours && !hasNumericSettings(body) && !hasCalendarSettings(body)) {
+      return res.status(400).json({ status: 400, message: "default_allotted_time, operation_hours or a scheduling setting is required" });
+    }
+    const settingsError = validateNumericSettings(body) || validateCalendarSettings(body);
+    if (settingsError) {
+      return res.status(400).json({ status: 400, message: settingsError });
     }
     if (default_allotted_time && !/^\d{1,2}:[0-5]\d:[0-5]\d$/.test(default_allotted_time)) {
       return res.status(400).json({ status: 400, message: "default_allotted_time must be in format 'HH:MM:SS'" });
@@ -81,12 +142,17 @@ router.post("/", authMiddleware, async (req, res) => {
       if (operation_hours !== undefined) {
         existing.operation_hours = normalizeOperationHours(operation_hours);
       }
+      applyNumericSettings(existing, body);
+      applyCalendarSettings(existing, body);
       defaults = await existing.save();
     } else {
       if (!default_allotted_time) {
         return res.status(400).json({ status: 400, message: "default_allotted_time is required when creating system defaults for the first time" });
       }
-      defaults = await SystemDefaults.create({ default_allotted_time, operation_hours: normalizeOperationHours(operation_hours) });
+      defaults = new SystemDefaults({ default_allotted_time, operation_hours: normalizeOperationHours(operation_hours) });
+      applyNumericSettings(defaults, body);
+      applyCalendarSettings(defaults, body);
+      await defaults.save();
     }
     res.status(201).json({ status: 201, message: "System defaults saved successfully", data: defaults });
   } catch (error) {
@@ -114,6 +180,12 @@ router.put("/:id", authMiddleware, async (req, res) => {
       }
       defaults.operation_hours = normalizeOperationHours(operation_hours);
     }
+    const settingsError = validateNumericSettings(req.body || {}) || validateCalendarSettings(req.body || {});
+    if (settingsError) {
+      return res.status(400).json({ status: 400, message: settingsError });
+    }
+    applyNumericSettings(defaults, req.body || {});
+    applyCalendarSettings(defaults, req.body || {});
     await defaults.save();
     if (updateToAllStudents === true || updateToAllStudents === "true") {
       const timeToSet = default_allotted_time || defaults.default_allotted_time;
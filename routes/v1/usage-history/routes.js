@@ -3,9 +3,9 @@ import mongoose from "mongoose";
 import Computer from "../../../models/Computer.js";
 import UsageHistory from "../../../models/UsageHistory.js";
 import Reservation from "../../../models/Reservation.js";
-import User from "../../../models/User.js";
 import { adminAuthMiddleware, authMiddleware } from "../../../middleware/auth.js";
-import { getStartEndOfDay, getTZMinutesSinceMidnight, getTZCurrentTimeString, isSameTZDay } from "../../../utils/timezone.js";
+import { verifyCheckInToken } from "../../../utils/checkIn.js";
+import { combineTZDateAndTime, getStartEndOfDay, isSameTZDay } from "../../../utils/timezone.js";
 
 const router = Router();
 
@@ -175,84 +175,56 @@ router.get("/:id", authMiddleware, async (req, res) => {
   }
 });
 
-// Start usage session from reservation (Admin only)
-router.post("/start-session", async (req, res) => {
-  try {
-    const { reservation_number, time_in, notes, approved_by, clientToken } = req.body;
-
-    if (!reservation_number) {
+// Start the usage session of a reservation found by its number or check-in code.
+// Laboratory reservations only become active; computer reservations get a usage history entry.
+const startReservationSession = async (reservation, { time_in, notes, approved_by, clientToken } = {}, res) => {
+  if (reservation.reservation_type === "laboratory") {
+    if (reservation.status === "completed") {
       return res.status(400).json({
         status: 400,
-        message: "Reservation number is required",
+        message: "Reservation has already completed",
       });
     }
 
-    // Verify reservation exists and is approved
-    const reservation = await Reservation.findOne({ 
-      reservation_number, 
-      isDeleted: false 
-    });
-
-    if (!reservation) {
-      return res.status(404).json({
-        status: 404,
-        message: "Reservation not found",
+    if (reservation.status !== "active" && !reservation.canTransitionTo("active")) {
+      return res.status(400).json({
+        status: 400,
+        message: "Only approved reservations can start usage sessions",
       });
     }
 
-    if (reservation.reservation_type === "laboratory") {
-      if (reservation.status === "completed") {
-        return res.status(400).json({
-          status: 400,
-          message: "Reservation has already completed",
-        });
-      }
+    const now = new Date();
+    const { startAt, endAt } = reservation.getWindow();
+    // Overnight reservations are scheduled on every day they touch
+    const isToday = isSameTZDay(now, startAt) || isSameTZDay(now, endAt) || (startAt < now && now < endAt);
 
-      const now = new Date();
-      const isToday = isSameTZDay(now, new Date(reservation.reservation_date));
+    if (!isToday) {
+      return res.status(400).json({
+        status: 400,
+        message: "Reservation is not scheduled for today",
+      });
+    }
 
-      if (!isToday) {
-        return res.status(400).json({
-          status: 400,
-          message: "Reservation is not scheduled for today",
-        });
-      }
+    if (now < startAt) {
+      return res.status(400).json({
+        status: 400,
+        message: "Reservation has not started yet",
+      });
+    }
 
-      const startMin = reservation.start_time ? reservation.start_time.split(":").map(Number).reduce((h, m) => h * 60 + m) : getTZMinutesSinceMidnight(new Date(reservation.reservation_date));
-      const endMin = reservation.end_time ? reservation.end_time.split(":").map(Number).reduce((h, m) => h * 60 + m) : startMin + (reservation.duration || 0);
-      const nowMin = getTZMinutesSinceMidnight(now);
-      if (nowMin < startMin) {
+    if (now >= endAt) {
+      if (reservation.status !== "active") {
         return res.status(400).json({
           status: 400,
-          message: "Reservation has not started yet",
-        });
-      }
-
-      if (nowMin >= endMin) {
-        if (reservation.status !== "completed") {
-          reservation.status = "completed";
-          reservation.completed_at = now;
-          await reservation.save();
-        }
-        return res.status(201).json({
-          status: 201,
-          message: "Laboratory session completed",
-          data: {
-            reservation_number: reservation.reservation_number,
-            reservation_type: reservation.reservation_type
-          },
+          message: "Reservation has already ended",
         });
       }
-
-      if (reservation.status !== "active") {
-        reservation.status = "active";
-        reservation.started_at = now;
-        await reservation.save();
-      }
-
+      reservation.transitionTo("completed", { reason: "Laboratory session ended" });
+      reservation.completed_at = now;
+      await reservation.save();
       return res.status(201).json({
         status: 201,
-        message: "Laboratory session is active",
+        message: "Laboratory session completed",
         data: {
           reservation_number: reservation.reservation_number,
           reservation_type: reservation.reservation_type
@@ -260,118 +232,162 @@ router.post("/start-session", async (req, res) => {
       });
     }
 
-    if (time_in && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time_in)) {
-      return res.status(400).json({
-        status: 400,
-        message: "Time in must be in 24-hour format (HH:MM), e.g., 08:30",
-      });
+    if (reservation.status !== "active") {
+      reservation.transitionTo("active", { reason: "Laboratory session started" });
+      reservation.started_at = now;
+      await reservation.save();
     }
 
-    if (reservation.status !== "approved") {
+    return res.status(201).json({
+      status: 201,
+      message: "Laboratory session is active",
+      data: {
+        reservation_number: reservation.reservation_number,
+        reservation_type: reservation.reservation_type
+      },
+    });
+  }
+
+  if (time_in && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time_in)) {
+    return res.status(400).json({
+      status: 400,
+      message: "Time in must be in 24-hour format (HH:MM), e.g., 08:30",
+    });
+  }
+
+  if (!reservation.canTransitionTo("active")) {
+    return res.status(400).json({
+      status: 400,
+      message: "Only approved reservations can start usage sessions",
+    });
+  }
+  
+  // Verify computer client token if available
+  if (!reservation.computer_id) {
+    return res.status(400).json({
+      status: 400,
+      message: "Computer reservation must include a computer assignment",
+    });
+  }
+  const computer = await Computer.findOne({ _id: reservation.computer_id, isDeleted: false });
+  if (!computer) {
+    return res.status(404).json({
+      status: 404,
+      message: "Computer not found",
+    });
+  }
+  if (computer.clientToken) {
+    if (!clientToken || typeof clientToken !== "string" || !clientToken.trim()) {
       return res.status(400).json({
         status: 400,
-        message: "Only approved reservations can start usage sessions",
+        message: "Client token is required for this computer",
       });
     }
-    
-    // Verify computer client token if available
-    if (!reservation.computer_id) {
+    if (clientToken.trim() !== computer.clientToken) {
       return res.status(400).json({
         status: 400,
-        message: "Computer reservation must include a computer assignment",
+        message: "You are using a different computer than the one reserved",
       });
     }
-    const computer = await Computer.findOne({ _id: reservation.computer_id, isDeleted: false });
-    if (!computer) {
-      return res.status(404).json({
-        status: 404,
-        message: "Computer not found",
-      });
-    }
-    if (computer.clientToken) {
-      if (!clientToken || typeof clientToken !== "string" || !clientToken.trim()) {
-        return res.status(400).json({
-          status: 400,
-          message: "Client token is required for this computer",
-        });
-      }
-      if (clientToken.trim() !== computer.clientToken) {
-        return res.status(400).json({
-          status: 400,
-          message: "You are using a different computer than the one reserved",
-        });
-      }
-    }
-    
-    const now = new Date();
-    const startMin = reservation.start_time ? reservation.start_time.split(":").map(Number).reduce((h, m) => h * 60 + m) : getTZMinutesSinceMidnight(new Date(reservation.reservation_date));
-    const nowMin = getTZMinutesSinceMidnight(now);
-    if (nowMin < startMin) {
+  }
+  
+  const now = new Date();
+  const { startAt } = reservation.getWindow();
+  if (now < startAt) {
+    return res.status(400).json({
+      status: 400,
+      message: "Reservation has not started yet",
+    });
+  }
+  if (time_in) {
+    // A time in later than now refers to the previous day (sessions that crossed midnight)
+    let providedAt = combineTZDateAndTime(now, time_in);
+    if (providedAt > now) providedAt = new Date(providedAt.getTime() - 24 * 60 * 60 * 1000);
+    if (providedAt < startAt) {
       return res.status(400).json({
         status: 400,
-        message: "Reservation has not started yet",
+        message: "Time in cannot be earlier than the scheduled start time",
       });
     }
-    if (time_in) {
-      const [tinH, tinM] = time_in.split(":").map(Number);
-      const providedMin = tinH * 60 + tinM;
-      if (providedMin < startMin) {
-        return res.status(400).json({
-          status: 400,
-          message: "Time in cannot be earlier than the scheduled start time",
-        });
-      }
-    }
+  }
+
+  // Check if usage session already exists for this reservation
+  const existingSession = await UsageHistory.findOne({
+    reservation_id: reservation._id,
+    isDeleted: false
+  });
+
+  if (existingSession) {
+    return res.status(400).json({
+      status: 400,
+      message: "Usage session already exists for this reservation",
+    });
+  }
 
-    // Check if usage session already exists for this reservation
-    const existingSession = await UsageHistory.findOne({
-      reservation_id: reservation._id,
-      isDeleted: false
+  // Create usage history using the static method
+  const adminId = reservation.approved_by || approved_by;
+  if (!adminId) {
+    return res.status(400).json({
+      status: 400,
+      message: "approved_by is required when reservation has no approver",
     });
+  }
 
-    if (existingSession) {
-      return res.status(400).json({
-        status: 400,
-        message: "Usage session already exists for this reservation",
-      });
-    }
+  const usageHistory = await UsageHistory.createFromReservation(
+    reservation,
+    adminId,
+    time_in
+  );
+
+  if (notes) {
+    usageHistory.notes = notes.trim();
+    await usageHistory.save();
+  }
+
+  // Update reservation status to active
+  reservation.transitionTo("active", { reason: "Usage session started" });
+  await reservation.save();
 
-    // Create usage history using the static method
-    const adminId = reservation.approved_by || approved_by;
-    if (!adminId) {
+  // Populate fields for response
+  await usageHistory.populate([
+    { path: 'reservation_id', select: 'reservation_type status start_time end_time duration' },
+    { path: 'user_id', select: 'firstname lastname email id_number remaining_time' },
+    { path: 'approved_by', select: 'firstname lastname username' }
+  ]);
+
+  return res.status(201).json({
+    status: 201,
+    message: "Usage session started successfully",
+    data: usageHistory,
+  });
+};
+
+// Start usage session from reservation (Admin only)
+router.post("/start-session", async (req, res) => {
+  try {
+    const { reservation_number, time_in, notes, approved_by, clientToken } = req.body;
+
+    if (!reservation_number) {
       return res.status(400).json({
         status: 400,
-        message: "approved_by is required when reservation has no approver",
+        message: "Reservation number is required",
       });
     }
 
-    const usageHistory = await UsageHistory.createFromReservation(
-      reservation,
-      adminId,
-      time_in
-    );
+    // Verify reservation exists and is approved
+    const reservation = await Reservation.findOne({ 
+      reservation_number, 
+      isDeleted: false 
+    });
 
-    if (notes) {
-      usageHistory.notes = notes.trim();
-      await usageHistory.save();
+    if (!reservation) {
+      return res.status(404).json({
+        status: 404,
+        message: "Reservation not found",
+      });
     }
 
-    // Update reservation status to active
-    reservation.status = "active";
-    await reservation.save();
-
-    // Populate fields for response
-    await usageHistory.populate([
-      { path: 'reservation_id', select: 'reservation_type status start_time end_time duration' },
-      { path: 'user_id', select: 'firstname lastname email id_number remaining_time' },
-      { path: 'approved_by', select: 'firstname lastname username' }
-    ]);
-
-    res.status(201).json({
-      status: 201,
-      message: "Usage session started successfully",
-      data: usageHistory,
-    });
+    return await startReservationSession(reservation, { time_in, notes, approved_by, clientToken }, res);
   } catch (error) {
     console.error("Start usage session error:", error);
     res.status(500).json({
@@ -382,6 +398,30 @@ router.post("/start-session", async (req, res) => {
   }
 });
 
+// Check in with a scanned reservation QR code (client agent or front-desk scanner)
+router.post("/check-in", async (req, res) => {
+  try {
+    const { token, time_in, notes, approved_by, clientToken } = req.body || {};
+
+    const { reservation, error, status } = await verifyCheckInToken(token);
+    if (error) {
+      return res.status(status).json({
+        status,
+        message: error,
+      });
+    }
+
+    return await startReservationSession(reservation, { time_in, notes, approved_by, clientToken }, res);
+  } catch (error) {
+    console.error("Check-in error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to check in",
+      error: error.message,
+    });
+  }
+});
+
 // End laboratory session without modifying reservation records
 router.post("/end-session/laboratory", async (req, res) => {
   let session;
@@ -462,73 +502,25 @@ router.put("/:id/end-session", async (req, res) => {
       });
     }
 
-    if (usageHistory.status !== "active") {
+    if (!["active", "overtime"].includes(usageHistory.status)) {
       return res.status(400).json({
         status: 400,
-        message: "Can only end active usage sessions",
+        message: "Can only end active or overtime usage sessions",
       });
     }
 
-    // Set end time and calculate duration
-    if (time_out) {
-      // If time_out is provided, validate it's in HH:MM format
-      if (!/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time_out)) {
-        return res.status(400).json({
-          status: 400,
-          message: "Time out must be in 24-hour format (HH:MM), e.g., 14:30",
-        });
-      }
-      usageHistory.time_out = time_out;
-    } else {
-      const now = new Date();
-      usageHistory.time_out = getTZCurrentTimeString(now);
-    }
-    
-    usageHistory.status = status;
-    
-    if (notes) usageHistory.notes = notes.trim();
-
-    await usageHistory.save();
-
-    // Subtract duration from user's remaining time
-    const user = await User.findById(usageHistory.user_id);
-    if (user && user.remaining_time && usageHistory.duration > 0) {
-      // Parse current remaining time (HH:MM:SS format)
-      const parseTimeToMinutes = (timeString) => {
-        if (!timeString) return 0;
-        const [hours, minutes, seconds] = timeString.split(':').map(Number);
-        return (hours * 60) + minutes + Math.round(seconds / 60);
-      };
-
-      // Convert minutes back to HH:MM:SS format
-      const minutesToTimeString = (totalMinutes) => {
-        const hours = Math.floor(Math.abs(totalMinutes) / 60);
-        const minutes = Math.floor(Math.abs(totalMinutes) % 60);
-        const seconds = Math.round((Math.abs(totalMinutes) % 1) * 60);
-        
-        // If totalMinutes is negative, we'll still show positive time but could add a flag
-        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-      };
-
-      // Calculate new remaining time
-      const currentRemainingMinutes = parseTimeToMinutes(user.remaining_time);
-      const newRemainingMinutes = Math.max(0, currentRemainingMinutes - usageHistory.duration);
-      const newRemainingTime = minutesToTimeString(newRemainingMinutes);
-
-      // Update user's remaining time
-      await User.findByIdAndUpdate(usageHistory.user_id, {
-        remaining_time: newRemainingTime
+    // Validate time_out if provided, otherwise the current time is used
+    if (time_out && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time_out)) {
+      return res.status(400).json({
+        status: 400,
+        message: "Time out must be in 24-hour format (HH:MM), e.g., 14:30",
       });
-
-      // Log if user exceeded their remaining time
-      if (currentRemainingMinutes < usageHistory.duration) {
-        console.log(`User ${user.id_number} exceeded remaining time by ${usageHistory.duration - currentRemainingMinutes} minutes`);
-      }
     }
 
-    // Update related reservation to completed
-    await Reservation.findByIdAndUpdate(usageHistory.reservation_id, { 
-      status: "completed" 
+    await UsageHistory.closeSession(usageHistory, {
+      time_out,
+      status,
+      notes: notes ? notes.trim() : null,
     });
 
     // Populate fields for response
@@ -880,8 +872,8 @@ router.get("/reports/:type", authMiddleware, async (req, res) => {
 // Get active sessions (Admin only)
 router.get("/sessions/active", adminAuthMiddleware, async (req, res) => {
   try {
-    // Build filter
-    const filter = { status: "active", isDeleted: false };
+    // Build filter (overtime sessions are still in progress)
+    const filter = { status: { $in: ["active", "overtime"] }, isDeleted: false };
 
     const activeSessions = await UsageHistory.find(filter)
       .populate('reservation_id', 'reservation_type status')
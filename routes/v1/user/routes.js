@@ -9,6 +9,9 @@ import { authorizeRoles } from "../../../middleware/authorize.js";
 
 const router = Router();
 
+// before_start / before_end pick the reminders, email / webhook the channels
+const REMINDER_PREFERENCE_FIELDS = ["before_start", "before_end", "email", "webhook"];
+
 // Get user profile
 router.get(
   "/profile",
@@ -36,6 +39,7 @@ router.get(
           user_type: user.user_type,
           status: user.status,
           remaining_time: user.remaining_time,
+          reminder_preferences: user.reminder_preferences,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
         }
@@ -46,6 +50,43 @@ router.get(
   }
 );
 
+// Opt in or out of reservation reminders
+router.patch(
+  "/profile/reminder-preferences",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      if (req.userType === "admin") {
+        return res.status(403).json({ message: "Admin users do not receive reservation reminders" });
+      }
+
+      const update = {};
+      for (const field of REMINDER_PREFERENCE_FIELDS) {
+        if (req.body?.[field] === undefined) continue;
+        if (typeof req.body[field] !== "boolean") {
+          return res.status(400).json({ status: 400, message: `${field} must be true or false` });
+        }
+        update[`reminder_preferences.${field}`] = req.body[field];
+      }
+      if (Object.keys(update).length === 0) {
+        return res.status(400).json({
+          status: 400,
+          message: `At least one of ${REMINDER_PREFERENCE_FIELDS.join(", ")} is required`
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true });
+      res.status(200).json({
+        status: 200,
+        message: "Reminder preferences updated successfully",
+        data: user.reminder_preferences
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 router.post(
   "/bulk",
   adminAuthMiddleware,
@@ -699,6 +740,26 @@ router.patch(
   }
 );
 
+// --- Reset no-show count and lift booking block (admin only) ---
+router.patch(
+  "/:id/no-shows/reset",
+  adminAuthMiddleware,
+  async (req, res) => {
+    try {
+      const updatedUser = await User.findOneAndUpdate(
+        { _id: req.params.id, isDeleted: false },
+        { no_show_count: 0, booking_blocked_until: null },
+        { new: true }
+      ).select("-password -__v");
+
+      if (!updatedUser) return res.status(404).json({ message: "User not found" });
+      res.status(200).json({ status: 200, message: "No-show count reset and booking block lifted", user: updatedUser });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 // --- Soft delete a user by ID (admin only) ---
 router.delete(
   "/:id",
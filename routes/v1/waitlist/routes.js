@@ -0,0 +1,474 @@
+import { Router } from "express";
+import Waitlist from "../../../models/Waitlist.js";
+import Reservation from "../../../models/Reservation.js";
+import Computer from "../../../models/Computer.js";
+import Laboratory from "../../../models/Laboratory.js";
+import SystemDefaults from "../../../models/SystemDefaults.js";
+import { adminAuthMiddleware, authMiddleware } from "../../../middleware/auth.js";
+import { checkReservationConflicts, conflictMessage, formatConflicts, generateReservationNumber, getWindowMinutes, hasConflicts, validateBooking } from "../../../utils/reservations.js";
+import { combineTZDateAndTime, getStartEndOfDay } from "../../../utils/timezone.js";
+
+const router = Router();
+
+// Helper function to validate military time format
+const isValidMilitaryTime = (timeString) => {
+  if (typeof timeString !== 'string') return false;
+  return /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(timeString);
+};
+
+// ==========================
+// ⏳ WAITLIST ROUTES
+// ==========================
+
+// Get all waitlist entries (Admin only)
+router.get("/", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { status, reservation_type, computer_id, laboratory_id, date, page = 1, limit = 10 } = req.query;
+
+    await Waitlist.expireStaleOffers();
+
+    const filter = { isDeleted: false };
+    if (status) filter.status = status;
+    if (reservation_type) filter.reservation_type = reservation_type;
+    if (computer_id) filter.computer_id = computer_id;
+    if (laboratory_id) filter.laboratory_id = laboratory_id;
+    if (date) {
+      const { startOfDay, endOfDay } = getStartEndOfDay(date);
+      filter.reservation_date = { $gte: startOfDay, $lte: endOfDay };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await Waitlist.find(filter)
+      .populate('user_id', 'firstname lastname email id_number')
+      .populate('computer_id', 'pc_number status')
+      .populate('laboratory_id', 'name status')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Waitlist.countDocuments(filter);
+
+    res.status(200).json({
+      status: 200,
+      message: "Waitlist entries retrieved successfully",
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get waitlist error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve waitlist entries",
+      error: error.message,
+    });
+  }
+});
+
+// Get user's own waitlist entries
+router.get("/my-entries", authMiddleware, async (req, res) => {
+  try {
+    if (req.userType === "admin") {
+      return res.status(403).json({
+        status: 403,
+        message: "Admin users should use the admin waitlist endpoint",
+      });
+    }
+
+    await Waitlist.expireStaleOffers();
+
+    const filter = { user_id: req.user._id, isDeleted: false };
+    if (req.query.status) filter.status = req.query.status;
+
+    const entries = await Waitlist.find(filter)
+      .populate('computer_id', 'pc_number status')
+      .populate('laboratory_id', 'name status')
+      .populate('reservation_id', 'reservation_number status')
+      .sort({ reservation_date: 1, start_time: 1 });
+
+    const data = [];
+    for (const entry of entries) {
+      data.push({ ...entry.toJSON(), position: await entry.getPosition() });
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Your waitlist entries retrieved successfully",
+      data: { entries: data },
+    });
+  } catch (error) {
+    console.error("Get user waitlist error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to retrieve your waitlist entries",
+      error: error.message,
+    });
+  }
+});
+
+// Join the waitlist for a fully booked computer or laboratory
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const {
+      reservation_type,
+      computer_id,
+      laboratory_id,
+      reservation_date,
+      start_time,
+      end_time,
+      purpose,
+    } = req.body || {};
+
+    if (req.userType === "admin") {
+      return res.status(403).json({
+        status: 403,
+        message: "Only users can join the waitlist",
+      });
+    }
+
+    if (!reservation_type || !reservation_date || !start_time || !end_time || !purpose) {
+      return res.status(400).json({
+        status: 400,
+        message: "Reservation type, reservation date, start time, end time and purpose are required",
+      });
+    }
+
+    if (req.user.booking_blocked_until && req.user.booking_blocked_until > new Date()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You are temporarily blocked from booking due to repeated no-shows",
+        blocked_until: req.user.booking_blocked_until,
+      });
+    }
+
+    if (!["laboratory", "computer"].includes(reservation_type)) {
+      return res.status(400).json({
+        status: 400,
+        message: "Reservation type must be either 'laboratory' or 'computer'",
+      });
+    }
+
+    if (reservation_type === "computer" && !computer_id) {
+      return res.status(400).json({
+        status: 400,
+        message: "Computer ID is required for computer reservations",
+      });
+    }
+
+    if (reservation_type === "laboratory" && !laboratory_id) {
+      return res.status(400).json({
+        status: 400,
+        message: "Laboratory ID is required for laboratory reservations",
+      });
+    }
+
+    if (!isValidMilitaryTime(start_time) || !isValidMilitaryTime(end_time)) {
+      return res.status(400).json({
+        status: 400,
+        message: "Start and end time must be in military time format (HH:MM, e.g., 14:30)",
+      });
+    }
+
+    const requestedDate = new Date(reservation_date);
+    if (Number.isNaN(requestedDate.getTime())) {
+      return res.status(400).json({
+        status: 400,
+        message: "Valid reservation_date is required",
+      });
+    }
+
+    // An end_time at or before start_time ends the next day
+    const duration = getWindowMinutes(requestedDate, start_time, end_time);
+    const maxDuration = await SystemDefaults.getMaxReservationMinutes();
+    if (duration > maxDuration) {
+      return res.status(400).json({
+        status: 400,
+        message: `The window cannot be longer than ${maxDuration} minutes`,
+      });
+    }
+
+    if (reservation_type === "computer") {
+      const computer = await Computer.findOne({ _id: computer_id, isDeleted: false });
+      if (!computer) {
+        return res.status(404).json({
+          status: 404,
+          message: "Computer not found or has been deleted",
+        });
+      }
+    } else {
+      const laboratory = await Laboratory.findOne({ _id: laboratory_id, isDeleted: false });
+      if (!laboratory) {
+        return res.status(404).json({
+          status: 404,
+          message: "Laboratory not found or has been deleted",
+        });
+      }
+    }
+
+    const conflictResult = await checkReservationConflicts(
+      requestedDate,
+      start_time,
+      duration,
+      reservation_type,
+      null,
+      reservation_type === "laboratory" ? laboratory_id : null,
+      reservation_type === "computer" ? computer_id : null
+    );
+    if (!hasConflicts(conflictResult)) {
+      return res.status(400).json({
+        status: 400,
+        message: "The requested slot is available. Create a reservation instead",
+      });
+    }
+
+    // Closed slots never free up, so there is nothing to wait for
+    if (conflictResult.closureConflicts.length > 0) {
+      return res.status(400).json({
+        status: 400,
+        message: conflictMessage(conflictResult),
+      });
+    }
+
+    // Prevent duplicate entries for the same resource and overlapping window
+    const { startOfDay, endOfDay } = getStartEndOfDay(requestedDate);
+    const existingEntries = await Waitlist.find({
+      user_id: req.user._id,
+      reservation_type,
+      computer_id: reservation_type === "computer" ? computer_id : null,
+      laboratory_id: reservation_type === "laboratory" ? laboratory_id : null,
+      reservation_date: { $gte: startOfDay, $lte: endOfDay },
+      status: { $in: ["waiting", "offered"] },
+      isDeleted: false,
+    });
+    const requestedStart = combineTZDateAndTime(requestedDate, start_time);
+    const requestedEnd = new Date(requestedStart.getTime() + duration * 60 * 1000);
+    const duplicate = existingEntries.some(entry => {
+      const window = entry.getWindow();
+      return window.startAt < requestedEnd && requestedStart < window.endAt;
+    });
+    if (duplicate) {
+      return res.status(409).json({
+        status: 409,
+        message: "You are already on the waitlist for this slot",
+      });
+    }
+
+    const entry = await Waitlist.create({
+      user_id: req.user._id,
+      reservation_type,
+      computer_id: reservation_type === "computer" ? computer_id : null,
+      laboratory_id: reservation_type === "laboratory" ? laboratory_id : null,
+      reservation_date: requestedDate,
+      start_time,
+      end_time,
+      duration,
+      purpose: String(purpose).trim(),
+    });
+
+    res.status(201).json({
+      status: 201,
+      message: "Added to the waitlist successfully",
+      data: {
+        entry,
+        position: await entry.getPosition(),
+        ...formatConflicts(conflictResult),
+      },
+    });
+  } catch (error) {
+    if (error.httpStatus === 400) {
+      return res.status(400).json({
+        status: 400,
+        message: error.message,
+      });
+    }
+    console.error("Join waitlist error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to join the waitlist",
+      error: error.message,
+    });
+  }
+});
+
+// Claim an offered slot and turn it into a reservation
+router.post("/:id/claim", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await Waitlist.findOne({ _id: id, isDeleted: false });
+    if (!entry) {
+      return res.status(404).json({
+        status: 404,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    if (entry.user_id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only claim your own waitlist offers",
+      });
+    }
+
+    if (entry.status !== "offered") {
+      return res.status(400).json({
+        status: 400,
+        message: "Only offered waitlist entries can be claimed",
+      });
+    }
+
+    if (entry.claim_deadline && entry.claim_deadline < new Date()) {
+      entry.status = "expired";
+      await entry.save();
+      await Waitlist.offerFreedSlot(entry);
+      return res.status(410).json({
+        status: 410,
+        message: "The claim deadline has passed",
+      });
+    }
+
+    // Same checks as booking directly: no-show block, bookable computer or laboratory,
+    // booking policies, operation hours and closures
+    const validation = await validateBooking({
+      user: req.user,
+      reservationType: entry.reservation_type,
+      computerId: entry.computer_id,
+      laboratoryId: entry.laboratory_id,
+      reservationDate: entry.reservation_date,
+      startTime: entry.start_time,
+      duration: entry.duration,
+    });
+    if (validation.error) {
+      return res.status(validation.error.status).json(validation.error);
+    }
+
+    const conflictResult = await checkReservationConflicts(
+      entry.reservation_date,
+      entry.start_time,
+      entry.duration,
+      entry.reservation_type,
+      null,
+      entry.laboratory_id,
+      entry.computer_id
+    );
+    if (hasConflicts(conflictResult)) {
+      entry.status = "waiting";
+      entry.offered_at = null;
+      entry.claim_deadline = null;
+      await entry.save();
+      return res.status(409).json({
+        status: 409,
+        message: "The slot is no longer available. You have been kept on the waitlist",
+        ...formatConflicts(conflictResult),
+      });
+    }
+
+    // Approved the same way as direct bookings: by policy, else faculty laboratory reservations
+    const { policyResult } = validation;
+    const autoApprove = policyResult.autoApprove ?? (req.user.user_type === "faculty" && entry.reservation_type === "laboratory");
+
+    const reservation = new Reservation({
+      user_id: entry.user_id,
+      reservation_number: await generateReservationNumber(),
+      reservation_type: entry.reservation_type,
+      computer_id: entry.computer_id,
+      laboratory_id: entry.laboratory_id,
+      reservation_date: entry.reservation_date,
+      start_time: entry.start_time,
+      end_time: entry.end_time,
+      purpose: entry.purpose,
+      notes: autoApprove && policyResult.autoApprovePolicy
+        ? `[Waitlist] [Auto-approved: ${policyResult.autoApprovePolicy.name} policy]`
+        : "[Waitlist]",
+      duration: entry.duration,
+      status: autoApprove ? "approved" : "pending",
+    });
+    await reservation.save();
+
+    entry.status = "claimed";
+    entry.reservation_id = reservation._id;
+    await entry.save();
+
+    res.status(201).json({
+      status: 201,
+      message: "Waitlist offer claimed successfully",
+      data: {
+        entry,
+        reservation,
+      },
+    });
+  } catch (error) {
+    if (error.httpStatus === 400) {
+      return res.status(400).json({
+        status: 400,
+        message: error.message,
+      });
+    }
+    console.error("Claim waitlist offer error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to claim waitlist offer",
+      error: error.message,
+    });
+  }
+});
+
+// Leave the waitlist (User can leave their own, Admin can remove any)
+router.patch("/:id/cancel", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await Waitlist.findOne({ _id: id, isDeleted: false });
+    if (!entry) {
+      return res.status(404).json({
+        status: 404,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    if (req.userType !== "admin" && entry.user_id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 403,
+        message: "You can only cancel your own waitlist entries",
+      });
+    }
+
+    if (!["waiting", "offered"].includes(entry.status)) {
+      return res.status(400).json({
+        status: 400,
+        message: "Only waiting or offered entries can be cancelled",
+      });
+    }
+
+    const wasOffered = entry.status === "offered";
+    entry.status = "cancelled";
+    await entry.save();
+
+    // A declined offer goes to the next person in line
+    if (wasOffered) {
+      await Waitlist.offerFreedSlot(entry);
+    }
+
+    res.status(200).json({
+      status: 200,
+      message: "Waitlist entry cancelled successfully",
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Cancel waitlist entry error:", error);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to cancel waitlist entry",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
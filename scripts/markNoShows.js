@@ -0,0 +1,40 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Reservation from "../models/Reservation.js";
+import Waitlist from "../models/Waitlist.js";
+
+dotenv.config();
+
+const url = process.env.DATABASE_URL;
+if (!url) {
+  console.error("DATABASE_URL is not defined");
+  process.exit(1);
+}
+
+const run = async () => {
+  try {
+    await mongoose.connect(url);
+    const result = await Reservation.markNoShows();
+    let reoffered = 0;
+    for (const reservation of result.marked) {
+      const offered = await Waitlist.offerFreedSlot(reservation);
+      reoffered += offered.length;
+    }
+    const payload = {
+      grace_minutes: result.graceMinutes,
+      no_shows: result.marked.map(r => r.reservation_number),
+      blocked_users: result.blockedUsers,
+      waitlist_offers: reoffered,
+      updated_at: new Date().toISOString(),
+    };
+    console.log(JSON.stringify(payload, null, 2));
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error("markNoShows failed:", err?.message || err);
+    try { await mongoose.disconnect(); } catch {}
+    process.exit(1);
+  }
+};
+
+run();
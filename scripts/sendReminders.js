@@ -0,0 +1,32 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { sendReservationReminders } from "../utils/reminders.js";
+
+dotenv.config();
+
+const url = process.env.DATABASE_URL;
+if (!url) {
+  console.error("DATABASE_URL is not defined");
+  process.exit(1);
+}
+
+const run = async () => {
+  try {
+    await mongoose.connect(url);
+    const result = await sendReservationReminders();
+    const payload = {
+      lead_minutes: result.leadTimes,
+      reminders: result.sent,
+      updated_at: new Date().toISOString(),
+    };
+    console.log(JSON.stringify(payload, null, 2));
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error("sendReminders failed:", err?.message || err);
+    try { await mongoose.disconnect(); } catch {}
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,33 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { sweepClientPresence } from "../utils/clientPresence.js";
+
+dotenv.config();
+
+const url = process.env.DATABASE_URL;
+if (!url) {
+  console.error("DATABASE_URL is not defined");
+  process.exit(1);
+}
+
+const run = async () => {
+  try {
+    await mongoose.connect(url);
+    const result = await sweepClientPresence();
+    const payload = {
+      offline_minutes: result.offlineMinutes,
+      marked_offline: result.marked.map(c => c.pc_number),
+      alerts: result.alerts,
+      updated_at: new Date().toISOString(),
+    };
+    console.log(JSON.stringify(payload, null, 2));
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error("sweepClientPresence failed:", err?.message || err);
+    try { await mongoose.disconnect(); } catch {}
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,34 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import UsageHistory from "../models/UsageHistory.js";
+
+dotenv.config();
+
+const url = process.env.DATABASE_URL;
+if (!url) {
+  console.error("DATABASE_URL is not defined");
+  process.exit(1);
+}
+
+const run = async () => {
+  try {
+    await mongoose.connect(url);
+    const result = await UsageHistory.sweepActiveSessions();
+    const payload = {
+      grace_minutes: result.graceMinutes,
+      overtime: result.overtime.map(s => s.id),
+      auto_ended: result.interrupted.map(s => s.id),
+      out_of_time: result.exhausted.map(s => s.id),
+      updated_at: new Date().toISOString(),
+    };
+    console.log(JSON.stringify(payload, null, 2));
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error("sweepUsageSessions failed:", err?.message || err);
+    try { await mongoose.disconnect(); } catch {}
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,82 @@
+import { afterEach, test, mock } from 'node:test';
+import { ok, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import BookingPolicy from '../models/BookingPolicy.js';
+import Reservation from '../models/Reservation.js';
+
+const NOW = new Date('2026-11-02T08:00:00+08:00');
+const user = { _id: new mongoose.Types.ObjectId(), user_type: 'student' };
+
+const policy = (rules = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Student limits',
+  max_active_reservations: null,
+  max_minutes_per_day: null,
+  max_minutes_per_week: null,
+  min_duration_minutes: null,
+  max_duration_minutes: null,
+  min_lead_minutes: null,
+  max_advance_days: null,
+  auto_approve: null,
+  ...rules,
+});
+
+// Stub the policy lookup and the user's existing bookings so evaluate never reaches MongoDB
+const stub = ({ policies, activeCount = 0, bookedMinutes = 0 }) => {
+  mock.method(BookingPolicy, 'findApplicable', async () => policies);
+  mock.method(Reservation, 'countDocuments', async () => activeCount);
+  mock.method(Reservation, 'aggregate', async () => [{ total: bookedMinutes }]);
+};
+
+const evaluate = (options = {}) => BookingPolicy.evaluate({
+  user,
+  reservationType: 'computer',
+  reservationDate: new Date('2026-11-02T00:00:00+08:00'),
+  startTime: '10:00',
+  duration: 60,
+  now: NOW,
+  ...options,
+});
+
+afterEach(() => mock.restoreAll());
+
+test('evaluate allows a booking when no policy applies', async () => {
+  stub({ policies: [] });
+  const result = await evaluate();
+  ok(result.allowed);
+  strictEqual(result.violation, null);
+  strictEqual(result.autoApprove, null);
+});
+
+test('evaluate enforces duration and lead time rules', async () => {
+  stub({ policies: [policy({ max_duration_minutes: 30 })] });
+  strictEqual((await evaluate()).violation.rule, 'max_duration_minutes');
+
+  mock.restoreAll();
+  stub({ policies: [policy({ min_lead_minutes: 180 })] });
+  strictEqual((await evaluate()).violation.rule, 'min_lead_minutes');
+  ok((await evaluate({ walkIn: true })).allowed);
+});
+
+test('evaluate counts pending bookings towards active and daily limits', async () => {
+  stub({ policies: [policy({ max_active_reservations: 2 })], activeCount: 1 });
+  ok((await evaluate()).allowed);
+  const pendingBookings = [{ reservationDate: new Date('2026-11-03T00:00:00+08:00'), duration: 60 }];
+  strictEqual((await evaluate({ pendingBookings })).violation.rule, 'max_active_reservations');
+
+  mock.restoreAll();
+  stub({ policies: [policy({ max_minutes_per_day: 120 })], bookedMinutes: 30 });
+  ok((await evaluate({ pendingBookings })).allowed, 'a pending booking on another day does not count');
+  const sameDay = [{ reservationDate: new Date('2026-11-02T00:00:00+08:00'), duration: 60 }];
+  const result = await evaluate({ pendingBookings: sameDay });
+  strictEqual(result.violation.rule, 'max_minutes_per_day');
+  strictEqual(result.violation.limit, 120);
+});
+
+test('evaluate takes auto-approval from the first deciding policy', async () => {
+  const approving = policy({ name: 'Faculty auto-approval', auto_approve: true });
+  stub({ policies: [policy(), approving, policy({ auto_approve: false })] });
+  const result = await evaluate();
+  strictEqual(result.autoApprove, true);
+  strictEqual(result.autoApprovePolicy, approving);
+});
@@ -0,0 +1,105 @@
+import { afterEach, mock, test } from 'node:test';
+import { ok, strictEqual, throws } from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Reservation from '../models/Reservation.js';
+import {
+  CHECK_IN_EARLY_MINUTES,
+  createCheckInToken,
+  getCheckInWindow,
+  renderCheckInQR,
+  verifyCheckInToken,
+} from '../utils/checkIn.js';
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+const reservation = (fields = {}) => new Reservation({
+  user_id: new mongoose.Types.ObjectId(),
+  reservation_number: 'RSV-TEST0001',
+  reservation_type: 'computer',
+  computer_id: new mongoose.Types.ObjectId(),
+  reservation_date: new Date('2030-03-04T00:00:00+08:00'),
+  start_time: '09:00',
+  end_time: '10:00',
+  duration: 60,
+  purpose: 'Thesis work',
+  status: 'approved',
+  ...fields,
+});
+
+// Verify a token at a given time, with the reservation lookup stubbed
+const verifyAt = async (token, time, found) => {
+  mock.timers.enable({ apis: ['Date'], now: new Date(time) });
+  try {
+    mock.method(Reservation, 'findOne', async () => found);
+    return await verifyCheckInToken(token);
+  } finally {
+    mock.timers.reset();
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+test('check-in opens shortly before the reservation starts and closes when it ends', () => {
+  const { validFrom, expiresAt } = getCheckInWindow(reservation());
+  strictEqual(validFrom.toISOString(), new Date(`2030-03-04T08:${60 - CHECK_IN_EARLY_MINUTES}:00+08:00`).toISOString());
+  strictEqual(expiresAt.toISOString(), new Date('2030-03-04T10:00:00+08:00').toISOString());
+});
+
+test('only approved and active reservations get a check-in code', () => {
+  ok(createCheckInToken(reservation()));
+  ok(createCheckInToken(reservation({ status: 'active' })));
+  strictEqual(createCheckInToken(reservation({ status: 'pending' })), null);
+  strictEqual(createCheckInToken(reservation({ status: 'cancelled' })), null);
+});
+
+test('a check-in code verifies within its window', async () => {
+  const booked = reservation();
+  const { token } = createCheckInToken(booked);
+
+  const result = await verifyAt(token, '2030-03-04T08:50:00+08:00', booked);
+  strictEqual(result.reservation, booked);
+  strictEqual(Reservation.findOne.mock.calls[0].arguments[0]._id, booked._id.toString());
+});
+
+test('a check-in code is refused before it opens and after it expires', async () => {
+  const booked = reservation();
+  const { token } = createCheckInToken(booked);
+
+  const early = await verifyAt(token, '2030-03-04T08:30:00+08:00', booked);
+  strictEqual(early.error, `Check-in opens ${CHECK_IN_EARLY_MINUTES} minutes before the reservation starts`);
+  const late = await verifyAt(token, '2030-03-04T10:01:00+08:00', booked);
+  strictEqual(late.error, 'Check-in code has expired');
+});
+
+test('check-in codes are not signed with the login key', async () => {
+  const booked = reservation();
+  const { token } = createCheckInToken(booked);
+  throws(() => jwt.verify(token, process.env.JWT_SECRET), { name: 'JsonWebTokenError' });
+
+  // A login token cannot be passed off as a check-in code
+  const login = jwt.sign({ userId: booked.user_id.toString(), userType: 'user' }, process.env.JWT_SECRET);
+  strictEqual((await verifyAt(login, '2030-03-04T08:50:00+08:00', booked)).error, 'Invalid check-in code');
+  strictEqual((await verifyCheckInToken('')).status, 400);
+});
+
+test('a check-in code stops working once the reservation is rescheduled or cancelled', async () => {
+  const booked = reservation();
+  const { token } = createCheckInToken(booked);
+
+  const moved = reservation({ _id: booked._id, start_time: '09:30', end_time: '10:30' });
+  strictEqual((await verifyAt(token, '2030-03-04T08:50:00+08:00', moved)).error, 'Check-in code is no longer valid because the reservation was rescheduled');
+
+  const cancelled = reservation({ _id: booked._id, status: 'cancelled' });
+  strictEqual((await verifyAt(token, '2030-03-04T08:50:00+08:00', cancelled)).error, 'Reservation is cancelled and cannot be checked in');
+
+  const missing = await verifyAt(token, '2030-03-04T08:50:00+08:00', null);
+  strictEqual(missing.status, 404);
+});
+
+test('check-in codes render as SVG or PNG QR codes', async () => {
+  const { token } = createCheckInToken(reservation());
+  ok((await renderCheckInQR(token)).startsWith('<svg'));
+  const png = await renderCheckInQR(token, 'png');
+  strictEqual(png.subarray(1, 4).toString(), 'PNG');
+});
@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { deepStrictEqual, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+process.env.RESEND_API_KEY ||= 're_test';
+// Keeps the mailer from logging every email it sends
+process.env.NODE_ENV = 'production';
+
+const { default: Admin } = await import('../models/Admin.js');
+const { default: Computer } = await import('../models/Computer.js');
+const { default: Laboratory } = await import('../models/Laboratory.js');
+const { default: SystemDefaults } = await import('../models/SystemDefaults.js');
+const { getClientOfflineMinutes, sweepClientPresence } = await import('../utils/clientPresence.js');
+
+const NOW = new Date('2030-03-04T09:00:00+08:00');
+
+const laboratory = (fields = {}) => new Laboratory({ name: 'Main Lab', ...fields });
+
+// Offline computers grouped by laboratory, as the aggregate returns them
+const offlineIn = (lab, count) => ({
+  _id: lab._id,
+  computers: Array.from({ length: count }, (_, index) => ({ pc_number: `PC-0${index + 1}`, last_seen_at: null })),
+});
+
+let emails;
+beforeEach(() => {
+  emails = [];
+  mock.method(globalThis, 'fetch', async (url, options) => {
+    emails.push(JSON.parse(options.body));
+    return Response.json({ id: 'email_1' });
+  });
+  mock.method(SystemDefaults, 'getCurrent', async () => ({ client_offline_minutes: 3, offline_alert_threshold: 2 }));
+  mock.method(Computer, 'find', () => ({ select: async () => [] }));
+  mock.method(Computer, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Computer, 'aggregate', async () => []);
+  mock.method(Admin, 'find', () => ({ select: async () => [{ email: 'admin@example.com' }] }));
+  mock.method(Laboratory.prototype, 'save', async function () { return this; });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('clients silent for longer than the timeout are marked offline', async () => {
+  const stale = { _id: new mongoose.Types.ObjectId(), pc_number: 'PC-01' };
+  Computer.find.mock.mockImplementation(() => ({ select: async () => [stale] }));
+  mock.method(Laboratory, 'find', () => ({ select: async () => [] }));
+
+  const { marked, offlineMinutes } = await sweepClientPresence(NOW);
+
+  strictEqual(offlineMinutes, 3);
+  deepStrictEqual(marked, [stale]);
+  const cutoff = new Date('2030-03-04T08:57:00+08:00');
+  deepStrictEqual(Computer.find.mock.calls[0].arguments[0]['presence.last_seen_at'], { $lt: cutoff });
+
+  // The cutoff is checked again so a heartbeat arriving during the sweep is kept
+  deepStrictEqual(Computer.updateMany.mock.calls[0].arguments, [
+    { _id: { $in: [stale._id] }, 'presence.last_seen_at': { $lt: cutoff } },
+    { $set: { 'presence.status': 'offline' } },
+  ]);
+});
+
+test('nothing is updated when every client reported in time', async () => {
+  mock.method(Laboratory, 'find', () => ({ select: async () => [] }));
+  deepStrictEqual((await sweepClientPresence(NOW)).marked, []);
+  strictEqual(Computer.updateMany.mock.callCount(), 0);
+});
+
+test('admins are alerted once when a laboratory reaches the offline threshold', async () => {
+  const main = laboratory();
+  const annex = laboratory({ name: 'Annex Lab' });
+  mock.method(Laboratory, 'find', () => ({ select: async () => [main, annex] }));
+  Computer.aggregate.mock.mockImplementation(async () => [offlineIn(main, 2), offlineIn(annex, 1)]);
+
+  const { alerts } = await sweepClientPresence(NOW);
+
+  deepStrictEqual(alerts, [{ laboratory_id: main._id, laboratory_name: 'Main Lab', offline: 2 }]);
+  strictEqual(main.offline_alert_sent_at.getTime(), NOW.getTime());
+  strictEqual(emails.length, 1);
+  strictEqual(emails[0].subject, 'Main Lab: 2 computers offline');
+
+  // Still over the threshold on the next sweep, so no second email
+  deepStrictEqual((await sweepClientPresence(NOW)).alerts, []);
+  strictEqual(emails.length, 1);
+});
+
+test('the alert resets once the laboratory is back under the threshold', async () => {
+  const main = laboratory({ offline_alert_sent_at: new Date('2030-03-04T08:00:00+08:00') });
+  mock.method(Laboratory, 'find', () => ({ select: async () => [main] }));
+  Computer.aggregate.mock.mockImplementation(async () => [offlineIn(main, 1)]);
+
+  await sweepClientPresence(NOW);
+
+  strictEqual(main.offline_alert_sent_at, null);
+  strictEqual(Laboratory.prototype.save.mock.callCount(), 1);
+  strictEqual(emails.length, 0);
+});
+
+test('a threshold of zero turns offline alerts off', async () => {
+  SystemDefaults.getCurrent.mock.mockImplementation(async () => ({ client_offline_minutes: 3, offline_alert_threshold: 0 }));
+  const main = laboratory();
+  mock.method(Laboratory, 'find', () => ({ select: async () => [main] }));
+  Computer.aggregate.mock.mockImplementation(async () => [offlineIn(main, 5)]);
+
+  deepStrictEqual((await sweepClientPresence(NOW)).alerts, []);
+  strictEqual(emails.length, 0);
+});
+
+test('the offline timeout falls back to three minutes', async () => {
+  SystemDefaults.getCurrent.mock.mockImplementation(async () => null);
+  strictEqual(await getClientOfflineMinutes(), 3);
+});
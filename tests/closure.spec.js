@@ -0,0 +1,91 @@
+import { afterEach, mock, test } from 'node:test';
+import { deepStrictEqual, ok, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Closure from '../models/Closure.js';
+import Computer from '../models/Computer.js';
+import Reservation from '../models/Reservation.js';
+
+const day = (date) => new Date(`${date}T00:00:00+08:00`);
+const laboratoryId = new mongoose.Types.ObjectId();
+
+const closure = (fields = {}) => new Closure({
+  title: 'Network upgrade',
+  start_date: day('2026-11-02'),
+  end_date: day('2026-11-02'),
+  ...fields,
+});
+
+const reservation = (date, startTime, duration) => new Reservation({
+  user_id: new mongoose.Types.ObjectId(),
+  reservation_number: 'RSV-TEST0001',
+  reservation_type: 'laboratory',
+  laboratory_id: laboratoryId,
+  reservation_date: day(date),
+  start_time: startTime,
+  duration,
+  purpose: 'Thesis work',
+  status: 'approved',
+});
+
+afterEach(() => mock.restoreAll());
+
+test('closures cover every day of their inclusive date range', () => {
+  const week = closure({ end_date: day('2026-11-06') });
+  ok(week.coversDay(day('2026-11-02')));
+  ok(week.coversDay(day('2026-11-06')));
+  ok(!week.coversDay(day('2026-11-07')));
+  ok(!week.coversDay(day('2025-11-03')));
+});
+
+test('yearly closures repeat on the same dates, also across the new year', () => {
+  const christmas = closure({ start_date: day('2024-12-24'), end_date: day('2025-01-02'), recurring_yearly: true });
+  ok(christmas.coversDay(day('2026-12-31')));
+  ok(christmas.coversDay(day('2027-01-02')));
+  ok(!christmas.coversDay(day('2027-01-03')));
+  ok(!christmas.coversDay(day('2026-12-23')));
+});
+
+test('closures without times block the whole day, others only their window', () => {
+  ok(closure().overlaps(0, 30));
+  const afternoon = closure({ start_time: '13:00', end_time: '15:00' });
+  ok(afternoon.overlaps(12 * 60, 13 * 60 + 1));
+  ok(!afternoon.overlaps(10 * 60, 13 * 60));
+  ok(!afternoon.overlaps(15 * 60, 16 * 60));
+});
+
+test('findOverlapping returns global and laboratory closures covering the requested time', async () => {
+  const afternoon = closure({ start_time: '13:00', end_time: '15:00', laboratory_id: laboratoryId });
+  const otherDay = closure({ start_date: day('2026-11-03'), end_date: day('2026-11-03') });
+  const allDay = closure({ title: 'All Saints Day' });
+  mock.method(Closure, 'find', () => ({ sort: async () => [afternoon, otherDay, allDay] }));
+
+  deepStrictEqual(await Closure.findOverlapping(day('2026-11-02'), 9 * 60, 10 * 60, laboratoryId), [allDay]);
+  deepStrictEqual(await Closure.findOverlapping(day('2026-11-02'), 14 * 60, 16 * 60, laboratoryId), [afternoon, allDay]);
+  deepStrictEqual(Closure.find.mock.calls[0].arguments[0].laboratory_id, { $in: [null, laboratoryId] });
+});
+
+test('findAffectedReservations includes overnight reservations reaching into the closure', async () => {
+  const afternoon = closure({ start_time: '13:00', end_time: '15:00', laboratory_id: laboratoryId });
+  const overlapping = reservation('2026-11-02', '14:00', 60);
+  const morning = reservation('2026-11-02', '09:00', 60);
+  const overnight = reservation('2026-11-01', '22:00', 16 * 60);
+  mock.method(Computer, 'find', () => ({ select: async () => [] }));
+  mock.method(Reservation, 'find', () => ({ populate: async () => [overlapping, morning, overnight] }));
+
+  deepStrictEqual(await afternoon.findAffectedReservations(day('2026-10-01')), [overlapping, overnight]);
+
+  const [filter] = Reservation.find.mock.calls[0].arguments;
+  strictEqual(filter.status, 'approved');
+  deepStrictEqual(filter.$and[1].$or[0], { laboratory_id: laboratoryId });
+});
+
+test('findAffectedReservations looks at the next occurrence of a yearly closure', async () => {
+  const christmas = closure({ start_date: day('2024-12-24'), end_date: day('2024-12-26'), recurring_yearly: true });
+  mock.method(Reservation, 'find', () => ({ populate: async () => [] }));
+
+  await christmas.findAffectedReservations(day('2026-11-02'));
+
+  // Reservations ending after the start of the closure's next occurrence
+  const [filter] = Reservation.find.mock.calls[0].arguments;
+  strictEqual(filter.$and[0].$or[0].end_at.$gt.getTime(), day('2026-12-24').getTime());
+});
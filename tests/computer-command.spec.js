@@ -0,0 +1,88 @@
+import { afterEach, mock, test } from 'node:test';
+import { deepStrictEqual, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ComputerCommand from '../models/ComputerCommand.js';
+import Log from '../models/Log.js';
+
+const NOW = new Date('2030-03-04T09:00:00+08:00');
+const computerId = new mongoose.Types.ObjectId();
+
+const command = (fields = {}) => new ComputerCommand({
+  computer_id: computerId,
+  command: 'lock',
+  expires_at: new Date(NOW.getTime() + 60 * 60 * 1000),
+  ...fields,
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('queued commands expire after their time to live', async () => {
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+  mock.method(ComputerCommand, 'create', async (fields) => command(fields));
+
+  const queued = await ComputerCommand.enqueue(computerId, 'message', { message: 'Closing in 10 minutes', ttlMinutes: 15 });
+
+  strictEqual(queued.status, 'pending');
+  strictEqual(queued.message, 'Closing in 10 minutes');
+  strictEqual(queued.issued_by, null);
+  strictEqual(queued.expires_at.getTime(), NOW.getTime() + 15 * 60 * 1000);
+  strictEqual((await ComputerCommand.enqueue(computerId, 'lock')).expires_at.getTime(), NOW.getTime() + 60 * 60 * 1000);
+});
+
+test('delivering expires overdue commands, then claims the rest oldest first', async () => {
+  const pending = [command(), command({ command: 'message', message: 'Hello' })];
+  mock.method(ComputerCommand, 'updateMany', async () => ({ modifiedCount: 1 }));
+  mock.method(ComputerCommand, 'findOneAndUpdate', async () => pending.shift() ?? null);
+
+  const delivered = await ComputerCommand.deliverPending(computerId, NOW);
+
+  deepStrictEqual(delivered.map(entry => entry.command), ['lock', 'message']);
+  deepStrictEqual(ComputerCommand.updateMany.mock.calls[0].arguments, [
+    { computer_id: computerId, status: 'pending', expires_at: { $lte: NOW } },
+    { $set: { status: 'expired' } },
+  ]);
+  deepStrictEqual(ComputerCommand.findOneAndUpdate.mock.calls[0].arguments, [
+    { computer_id: computerId, status: 'pending' },
+    { $set: { status: 'delivered', delivered_at: NOW } },
+    { sort: { createdAt: 1 }, new: true },
+  ]);
+  // Two claimed, then one more try that found nothing
+  strictEqual(ComputerCommand.findOneAndUpdate.mock.callCount(), 3);
+});
+
+test('a single fetch delivers at most 20 commands', async () => {
+  mock.method(ComputerCommand, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(ComputerCommand, 'findOneAndUpdate', async () => command());
+
+  strictEqual((await ComputerCommand.deliverPending(computerId, NOW)).length, 20);
+});
+
+test('automatic locks reuse a lock that is still waiting', async () => {
+  const waiting = command({ reason: 'Session ended' });
+  mock.method(ComputerCommand, 'findOne', async () => waiting);
+  mock.method(ComputerCommand, 'create', async (fields) => command(fields));
+
+  strictEqual(await ComputerCommand.autoLock(computerId, 'Session ended'), waiting);
+  strictEqual(ComputerCommand.create.mock.callCount(), 0);
+  strictEqual(await ComputerCommand.autoLock(null, 'Session ended'), null);
+});
+
+test('automatic locks are queued by the system and logged', async () => {
+  mock.method(ComputerCommand, 'findOne', async () => null);
+  mock.method(ComputerCommand, 'create', async (fields) => command(fields));
+  mock.method(Log, 'createLog', async () => {});
+
+  const queued = await ComputerCommand.autoLock(computerId, 'Session ended');
+
+  strictEqual(queued.command, 'lock');
+  strictEqual(queued.issued_by, null);
+  strictEqual(queued.reason, 'Session ended');
+  const [adminId, action, , type, { details }] = Log.createLog.mock.calls[0].arguments;
+  strictEqual(adminId, null);
+  strictEqual(action, 'Automatic computer lock');
+  strictEqual(type, 'CREATE');
+  strictEqual(details.command_id, queued._id);
+});
@@ -0,0 +1,291 @@
+import { after, before, mock, test } from 'node:test';
+import { deepStrictEqual, strictEqual } from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+process.env.JWT_SECRET ||= 'test-secret';
+process.env.RESEND_API_KEY ||= 're_test';
+
+const { default: app } = await import('../app.js');
+const { default: Admin } = await import('../models/Admin.js');
+const { default: Computer } = await import('../models/Computer.js');
+const { default: ComputerCommand } = await import('../models/ComputerCommand.js');
+const { default: EnrollmentCode } = await import('../models/EnrollmentCode.js');
+const { default: Laboratory } = await import('../models/Laboratory.js');
+const { default: Log } = await import('../models/Log.js');
+const { default: SystemDefaults } = await import('../models/SystemDefaults.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1/computers`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+const post = (path, body) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: body && JSON.stringify(body),
+});
+
+const clientComputer = (fields = {}) => new Computer({
+  pc_number: 'PC-01',
+  laboratory_id: new mongoose.Types.ObjectId(),
+  clientToken: 'client-token',
+  ...fields,
+});
+
+test('POST /client/heartbeat marks the computer online and reports pending commands', async (t) => {
+  const computer = clientComputer({ presence: { status: 'online', last_seen_at: new Date() } });
+  t.mock.method(Computer, 'findOneAndUpdate', () => ({ populate: async () => computer }));
+  t.mock.method(SystemDefaults, 'getCurrent', async () => ({ client_offline_minutes: 5 }));
+  t.mock.method(ComputerCommand, 'countDocuments', async () => 2);
+
+  const response = await post('/client/heartbeat', { clientToken: ' client-token ', agent_version: '2.1.0 ', logged_in_user: '' });
+  strictEqual(response.status, 200);
+  const { data } = await response.json();
+  strictEqual(data.offline_after_minutes, 5);
+  strictEqual(data.pending_commands, 2);
+
+  const [filter, update] = Computer.findOneAndUpdate.mock.calls[0].arguments;
+  deepStrictEqual(filter, { clientToken: 'client-token', isDeleted: false });
+  strictEqual(update.$set['presence.status'], 'online');
+  strictEqual(update.$set['presence.agent_version'], '2.1.0');
+  strictEqual(update.$set['presence.logged_in_user'], null);
+  strictEqual(ComputerCommand.countDocuments.mock.calls[0].arguments[0].status, 'pending');
+});
+
+test('POST /client/heartbeat keeps fields the client did not report', async (t) => {
+  t.mock.method(Computer, 'findOneAndUpdate', () => ({ populate: async () => clientComputer() }));
+  t.mock.method(SystemDefaults, 'getCurrent', async () => null);
+  t.mock.method(ComputerCommand, 'countDocuments', async () => 0);
+
+  const response = await post('/client/heartbeat', { clientToken: 'client-token' });
+  strictEqual((await response.json()).data.offline_after_minutes, 3);
+
+  const [, update] = Computer.findOneAndUpdate.mock.calls[0].arguments;
+  strictEqual('presence.agent_version' in update.$set, false);
+  strictEqual('presence.logged_in_user' in update.$set, false);
+});
+
+test('POST /client/heartbeat needs a known client token', async (t) => {
+  let response = await post('/client/heartbeat');
+  strictEqual(response.status, 400);
+
+  t.mock.method(Computer, 'findOneAndUpdate', () => ({ populate: async () => null }));
+  response = await post('/client/heartbeat', { clientToken: 'revoked-token' });
+  strictEqual(response.status, 404);
+  strictEqual((await response.json()).message, 'Client token not found');
+});
+
+const laboratory = { _id: new mongoose.Types.ObjectId(), name: 'Main Lab', status: 'active' };
+
+// An enrollment code that consume() accepted, with registration's lookups and saves stubbed
+const consumedCode = (t, fields = {}) => {
+  const code = new EnrollmentCode({ laboratory_id: laboratory._id, uses: 1, ...fields });
+  t.mock.method(EnrollmentCode, 'consume', async () => code);
+  t.mock.method(EnrollmentCode, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(Laboratory, 'findOne', async () => laboratory);
+  t.mock.method(Computer.prototype, 'save', async function () { return this; });
+  t.mock.method(Computer.prototype, 'populate', async function () { return this; });
+  return code;
+};
+
+// Uses given back to the code with release()
+const releases = () => EnrollmentCode.updateOne.mock.calls.filter(call => call.arguments[1].$inc);
+
+test('POST /register-client refuses codes that are invalid, expired or used up', async (t) => {
+  t.mock.method(EnrollmentCode, 'consume', async () => null);
+
+  const response = await post('/register-client', { enrollment_code: 'ENR-ABCD-2345' });
+  strictEqual(response.status, 403);
+  strictEqual((await response.json()).message, 'Enrollment code is invalid, expired or already used');
+  strictEqual((await post('/register-client', {})).status, 400);
+});
+
+test('POST /register-client creates the next computer of the code\'s laboratory', async (t) => {
+  const code = consumedCode(t);
+  t.mock.method(Computer, 'find', () => ({ select: async () => [{ pc_number: 'PC-07' }, { pc_number: 'Spare' }] }));
+
+  const response = await post('/register-client', { enrollment_code: 'ENR-ABCD-2345' });
+  strictEqual(response.status, 201);
+  const { data } = await response.json();
+  strictEqual(data.pc_number, 'PC-08');
+  strictEqual(data.clientToken.length, 64);
+
+  const [filter, update] = EnrollmentCode.updateOne.mock.calls[0].arguments;
+  deepStrictEqual(filter, { _id: code._id });
+  strictEqual(update.$push.redemptions.computer_id.toString(), data.id);
+  deepStrictEqual(releases(), []);
+});
+
+test('POST /register-client re-enrolls the computer a code is bound to', async (t) => {
+  consumedCode(t, { pc_number: 'PC-03' });
+  const existing = clientComputer({ pc_number: 'PC-03', laboratory_id: laboratory._id, clientToken: 'old-token' });
+  t.mock.method(Computer, 'findOne', async () => existing);
+
+  const response = await post('/register-client', { enrollment_code: 'ENR-ABCD-2345' });
+  strictEqual(response.status, 200);
+  const { data } = await response.json();
+  strictEqual(data.id, existing.id);
+  strictEqual(existing.clientToken, data.clientToken);
+  strictEqual(existing.client_token_rotated_at, null);
+});
+
+test('POST /register-client gives the use back when registration fails', async (t) => {
+  consumedCode(t);
+  t.mock.method(Computer, 'find', () => ({ select: async () => [] }));
+  Computer.prototype.save.mock.mockImplementation(async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  t.mock.method(console, 'error', () => {});
+
+  let response = await post('/register-client', { enrollment_code: 'ENR-ABCD-2345' });
+  strictEqual(response.status, 409);
+  strictEqual(releases().length, 1);
+
+  Laboratory.findOne.mock.mockImplementation(async () => null);
+  response = await post('/register-client', { enrollment_code: 'ENR-ABCD-2345' });
+  strictEqual(response.status, 404);
+  strictEqual(releases().length, 2);
+});
+
+const adminSession = jwt.sign({ userId: new mongoose.Types.ObjectId().toString(), userType: 'admin' }, process.env.JWT_SECRET);
+
+const adminRequest = (t, method, path, body) => {
+  t.mock.method(Admin, 'findById', () => ({ select: async () => ({ _id: new mongoose.Types.ObjectId(), status: 'active' }) }));
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Cookie: `session=${adminSession}` },
+    body: body && JSON.stringify(body),
+  });
+};
+
+const queuedCommand = (fields = {}) => new ComputerCommand({
+  computer_id: new mongoose.Types.ObjectId(),
+  command: 'lock',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields,
+});
+
+test('POST /:id/commands validates the command before queueing it', async (t) => {
+  const computerId = new mongoose.Types.ObjectId();
+  let response = await adminRequest(t, 'POST', `/${computerId}/commands`, { command: 'reboot' });
+  strictEqual((await response.json()).message, 'command must be one of lock, unlock, logout, message');
+
+  response = await adminRequest(t, 'POST', `/${computerId}/commands`, { command: 'message', message: ' ' });
+  strictEqual((await response.json()).message, 'message is required for message commands');
+
+  response = await adminRequest(t, 'POST', `/${computerId}/commands`, { command: 'lock', ttl_minutes: 0 });
+  strictEqual(response.status, 400);
+
+  t.mock.method(Computer, 'findOne', async () => clientComputer({ clientToken: null }));
+  response = await adminRequest(t, 'POST', `/${computerId}/commands`, { command: 'lock' });
+  strictEqual((await response.json()).message, 'Computer has no registered client to receive commands');
+});
+
+test('POST /:id/commands queues the command for the computer\'s client', async (t) => {
+  const computer = clientComputer();
+  t.mock.method(Computer, 'findOne', async () => computer);
+  t.mock.method(ComputerCommand, 'create', async (fields) => queuedCommand(fields));
+  t.mock.method(Log, 'createLog', async () => {});
+
+  const response = await adminRequest(t, 'POST', `/${computer.id}/commands`, { command: 'message', message: ' Closing soon ', ttl_minutes: 5 });
+  strictEqual(response.status, 201);
+  const { data } = await response.json();
+  strictEqual(data.status, 'pending');
+  strictEqual(data.message, 'Closing soon');
+  strictEqual(data.computer_id, computer.id);
+});
+
+test('DELETE /:id/commands/:command_id only cancels commands still pending', async (t) => {
+  const computerId = new mongoose.Types.ObjectId();
+  const commandId = new mongoose.Types.ObjectId();
+  t.mock.method(ComputerCommand, 'findOneAndUpdate', async () => null);
+
+  const response = await adminRequest(t, 'DELETE', `/${computerId}/commands/${commandId}`);
+  strictEqual(response.status, 404);
+  deepStrictEqual(ComputerCommand.findOneAndUpdate.mock.calls[0].arguments.slice(0, 2), [
+    { _id: commandId.toString(), computer_id: computerId.toString(), status: 'pending' },
+    { $set: { status: 'cancelled' } },
+  ]);
+});
+
+test('POST /client/commands hands pending commands to the client', async (t) => {
+  const computer = clientComputer();
+  t.mock.method(Computer, 'findOne', async () => computer);
+  t.mock.method(ComputerCommand, 'deliverPending', async () => [queuedCommand({ status: 'delivered', reason: 'Session ended' })]);
+
+  const response = await post('/client/commands', { clientToken: 'client-token' });
+  const { data } = await response.json();
+  deepStrictEqual(data.commands.map(({ command, reason }) => ({ command, reason })), [{ command: 'lock', reason: 'Session ended' }]);
+  strictEqual(ComputerCommand.deliverPending.mock.calls[0].arguments[0], computer._id);
+});
+
+// Acknowledge a delivered command as the client of the given computer
+const acknowledge = (t, computer, command, body) => {
+  t.mock.method(Computer, 'findOne', async () => computer);
+  t.mock.method(Computer, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(ComputerCommand, 'findOneAndUpdate', async (filter, update) => command && Object.assign(command, update.$set));
+  t.mock.method(Log, 'createLog', async () => {});
+  return post(`/client/commands/${command?.id ?? new mongoose.Types.ObjectId()}/ack`, { clientToken: 'client-token', ...body });
+};
+
+test('POST /client/commands/:command_id/ack settles delivered commands only', async (t) => {
+  const computer = clientComputer();
+  let response = await acknowledge(t, computer, null, { success: true });
+  strictEqual(response.status, 404);
+  strictEqual(ComputerCommand.findOneAndUpdate.mock.calls[0].arguments[0].status, 'delivered');
+
+  response = await acknowledge(t, computer, queuedCommand({ status: 'delivered' }), { success: 'yes' });
+  strictEqual((await response.json()).message, 'success must be true or false');
+});
+
+test('a failed command records the client\'s error and leaves the computer alone', async (t) => {
+  const command = queuedCommand({ status: 'delivered', issued_by: new mongoose.Types.ObjectId() });
+
+  const response = await acknowledge(t, clientComputer(), command, { success: false });
+  strictEqual((await response.json()).data.status, 'failed');
+  strictEqual(command.error_message, 'Command failed on the client');
+  strictEqual(Computer.updateOne.mock.callCount(), 0);
+});
+
+test('a successful admin lock locks the computer and an unlock frees it', async (t) => {
+  const computer = clientComputer();
+  const adminLock = queuedCommand({ status: 'delivered', issued_by: new mongoose.Types.ObjectId() });
+
+  let response = await acknowledge(t, computer, adminLock, { success: true, result: { locked: true } });
+  strictEqual((await response.json()).data.status, 'succeeded');
+  deepStrictEqual(Computer.updateOne.mock.calls[0].arguments, [
+    { _id: computer._id, status: { $in: ['available', 'occupied', 'reserved'] } },
+    { $set: { status: 'locked' } },
+  ]);
+
+  const unlock = queuedCommand({ command: 'unlock', status: 'delivered', issued_by: new mongoose.Types.ObjectId() });
+  response = await acknowledge(t, computer, unlock, { success: true });
+  deepStrictEqual(Computer.updateOne.mock.calls.at(-1).arguments, [
+    { _id: computer._id, status: 'locked' },
+    { $set: { status: 'available' } },
+  ]);
+});
+
+test('a successful system lock only locks the screen', async (t) => {
+  const systemLock = queuedCommand({ status: 'delivered' });
+
+  const response = await acknowledge(t, clientComputer(), systemLock, { success: true });
+  strictEqual((await response.json()).data.status, 'succeeded');
+  strictEqual(Computer.updateOne.mock.callCount(), 0);
+});
+
+test('PATCH /:id/status without a body is rejected with 400', async (t) => {
+  const response = await adminRequest(t, 'PATCH', `/${new mongoose.Types.ObjectId()}/status`);
+  strictEqual(response.status, 400);
+  strictEqual((await response.json()).message, 'Valid status is required (available, occupied, maintenance, out_of_order, reserved, locked)');
+});
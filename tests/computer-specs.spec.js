@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import { deepStrictEqual, ok, strictEqual } from 'node:assert/strict';
+import { buildSpecFilter, meetsSpecs, mergeSpecs, normalizeSpecs } from '../utils/computerSpecs.js';
+
+test('normalizeSpecs rejects non-objects and invalid numbers', () => {
+  ok(normalizeSpecs(null).error);
+  ok(normalizeSpecs(['cpu']).error);
+  ok(normalizeSpecs({ ram_gb: -4 }).error);
+  ok(normalizeSpecs({ storage_gb: 'lots' }).error);
+});
+
+test('normalizeSpecs trims text, parses numbers and dedupes lists', () => {
+  const { specs } = normalizeSpecs({
+    cpu: '  Intel i5  ',
+    ram_gb: '16',
+    software: 'VS Code, Python,  vs code ,',
+    peripherals: ['Webcam', 'webcam', 'Headset'],
+    unknown: 'ignored',
+  });
+  deepStrictEqual(specs, {
+    cpu: 'Intel i5',
+    ram_gb: 16,
+    software: ['VS Code', 'Python'],
+    peripherals: ['Webcam', 'Headset'],
+  });
+});
+
+test('normalizeSpecs keeps null only when clearing overrides', () => {
+  deepStrictEqual(normalizeSpecs({ gpu: null }).specs, {});
+  deepStrictEqual(normalizeSpecs({ gpu: null }, { allowNull: true }).specs, { gpu: null });
+});
+
+test('mergeSpecs prefers admin overrides over reported values', () => {
+  const merged = mergeSpecs({ cpu: 'Intel i5', ram_gb: 8, software: ['Python'] }, { ram_gb: 16, cpu: null });
+  strictEqual(merged.cpu, 'Intel i5');
+  strictEqual(merged.ram_gb, 16);
+  deepStrictEqual(merged.software, ['Python']);
+  deepStrictEqual(merged.peripherals, []);
+  strictEqual(merged.gpu, null);
+});
+
+test('buildSpecFilter turns query parameters into a computer filter', () => {
+  const { filter } = buildSpecFilter({ os: 'windows', min_ram_gb: '8', software: 'python, matlab' });
+  ok(filter['specs.os'].test('Windows 11'));
+  deepStrictEqual(filter['specs.ram_gb'], { $gte: 8 });
+  strictEqual(filter['specs.software'].$all.length, 2);
+  ok(filter['specs.software'].$all[1].test('MATLAB R2024a'));
+  ok(buildSpecFilter({ min_storage_gb: 'x' }).error);
+});
+
+test('buildSpecFilter escapes regular expression characters', () => {
+  const { filter } = buildSpecFilter({ software: 'C++' });
+  ok(filter['specs.software'].$all[0].test('Visual C++ Redistributable'));
+  ok(!filter['specs.software'].$all[0].test('C'));
+});
+
+test('meetsSpecs requires at least the memory, storage, software and peripherals of the original', () => {
+  const original = { ram_gb: 16, storage_gb: null, software: ['Python', 'MATLAB'], peripherals: [] };
+  ok(meetsSpecs({ ram_gb: 32, software: ['matlab', 'python', 'R'] }, original));
+  ok(!meetsSpecs({ ram_gb: 8, software: ['Python', 'MATLAB'] }, original));
+  ok(!meetsSpecs({ ram_gb: 16, software: ['Python'] }, original));
+  ok(!meetsSpecs({ software: ['Python', 'MATLAB'] }, original), 'unknown memory does not meet a known minimum');
+});
+
+test('meetsSpecs does not compare cpu, gpu or os', () => {
+  ok(meetsSpecs({ cpu: 'AMD Ryzen 5', os: 'Ubuntu' }, { cpu: 'Intel i5', os: 'Windows 11' }));
+  ok(meetsSpecs({}, {}));
+});
@@ -0,0 +1,93 @@
+import { afterEach, mock, test } from 'node:test';
+import { deepStrictEqual, match, rejects, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import EnrollmentCode, { hashEnrollmentCode } from '../models/EnrollmentCode.js';
+
+const NOW = new Date('2030-03-04T09:00:00+08:00');
+
+const enrollmentCode = (fields = {}) => new EnrollmentCode({
+  code_hash: hashEnrollmentCode('ABCD2345'),
+  code_hint: '2345',
+  laboratory_id: new mongoose.Types.ObjectId(),
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  created_by: new mongoose.Types.ObjectId(),
+  ...fields,
+});
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+afterEach(() => mock.restoreAll());
+
+test('codes match however they are typed in', () => {
+  const hash = hashEnrollmentCode('ABCD2345');
+  strictEqual(hashEnrollmentCode('ENR-ABCD-2345'), hash);
+  strictEqual(hashEnrollmentCode(' enr-abcd-2345 '), hash);
+  strictEqual(hashEnrollmentCode('abcd2345'), hash);
+});
+
+test('issued codes are only stored as a hash', async () => {
+  mock.method(EnrollmentCode, 'create', async (fields) => enrollmentCode(fields));
+
+  const { enrollmentCode: issued, code } = await EnrollmentCode.issue({
+    laboratoryId: new mongoose.Types.ObjectId(),
+    expiresAt: NOW,
+    createdBy: new mongoose.Types.ObjectId(),
+  });
+
+  match(code, /^ENR-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+  strictEqual(issued.code_hash, hashEnrollmentCode(code));
+  strictEqual(issued.code_hint, code.slice(-4));
+  strictEqual(issued.max_uses, 1);
+  strictEqual('code_hash' in issued.toJSON(), false);
+});
+
+test('issuing retries when a generated code is already taken', async () => {
+  let attempts = 0;
+  mock.method(EnrollmentCode, 'create', async (fields) => {
+    attempts++;
+    if (attempts < 3) throw duplicateKey();
+    return enrollmentCode(fields);
+  });
+  await EnrollmentCode.issue({ laboratoryId: new mongoose.Types.ObjectId(), expiresAt: NOW, createdBy: new mongoose.Types.ObjectId() });
+  strictEqual(attempts, 3);
+
+  EnrollmentCode.create.mock.mockImplementation(async () => { throw duplicateKey(); });
+  await rejects(EnrollmentCode.issue({ expiresAt: NOW }), { message: 'Could not generate a unique enrollment code' });
+});
+
+test('consuming takes one use of an unrevoked, unexpired code with uses left', async () => {
+  mock.method(EnrollmentCode, 'findOneAndUpdate', async () => null);
+
+  await EnrollmentCode.consume('enr-abcd-2345', NOW);
+
+  deepStrictEqual(EnrollmentCode.findOneAndUpdate.mock.calls[0].arguments, [
+    {
+      code_hash: hashEnrollmentCode('ABCD2345'),
+      revoked_at: null,
+      expires_at: { $gt: NOW },
+      $expr: { $lt: ['$uses', '$max_uses'] },
+    },
+    { $inc: { uses: 1 } },
+    { new: true },
+  ]);
+});
+
+test('releasing gives back a use without going below zero', async () => {
+  const code = enrollmentCode({ uses: 1 });
+  mock.method(EnrollmentCode, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await code.release();
+
+  deepStrictEqual(EnrollmentCode.updateOne.mock.calls[0].arguments, [
+    { _id: code._id, uses: { $gt: 0 } },
+    { $inc: { uses: -1 } },
+  ]);
+});
+
+test('a code is revoked, used up, expired or active', () => {
+  strictEqual(enrollmentCode().status, 'active');
+  strictEqual(enrollmentCode({ uses: 1 }).status, 'used');
+  strictEqual(enrollmentCode({ max_uses: 3, uses: 2 }).status, 'active');
+  strictEqual(enrollmentCode({ expires_at: new Date(Date.now() - 1000) }).status, 'expired');
+  strictEqual(enrollmentCode({ uses: 1, revoked_at: NOW }).status, 'revoked');
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import { ok, strictEqual } from 'node:assert/strict';
+import { buildCalendar, subjectScheduleToEvent } from '../utils/ical.js';
+import { APP_TIMEZONE } from '../utils/timezone.js';
+
+const event = {
+  uid: 'reservation-1@nextlib',
+  summary: 'Computer reservation (PC-01) RSV-1',
+  date: new Date('2026-11-02T00:00:00+08:00'),
+  start_time: '22:00',
+  end_date: new Date('2026-11-03T00:00:00+08:00'),
+  end_time: '01:30',
+  status: 'CONFIRMED',
+};
+
+// Undo line folding so properties can be looked up whole
+const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+
+test('buildCalendar wraps events in a CRLF-terminated VCALENDAR with the app timezone', () => {
+  const calendar = buildCalendar({ name: 'My reservations', events: [event] });
+  ok(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  ok(calendar.endsWith('END:VCALENDAR\r\n'));
+  ok(!/[^\r]\n/.test(calendar), 'every line ends with CRLF');
+  ok(calendar.includes(`X-WR-TIMEZONE:${APP_TIMEZONE}`));
+  ok(calendar.includes(`BEGIN:VTIMEZONE\r\nTZID:${APP_TIMEZONE}`));
+  strictEqual(calendar.match(/BEGIN:VEVENT/g).length, 1);
+});
+
+test('buildCalendar ends a cross-midnight event on its end date', () => {
+  const calendar = unfold(buildCalendar({ name: 'Feed', events: [event] }));
+  ok(calendar.includes(`DTSTART;TZID=${APP_TIMEZONE}:20261102T220000`));
+  ok(calendar.includes(`DTEND;TZID=${APP_TIMEZONE}:20261103T013000`));
+});
+
+test('buildCalendar escapes text values', () => {
+  const calendar = unfold(buildCalendar({
+    name: 'Feed',
+    events: [{ ...event, summary: 'Lab; A, B', description: 'Purpose: thesis\nStatus: approved' }],
+  }));
+  ok(calendar.includes('SUMMARY:Lab\\; A\\, B'));
+  ok(calendar.includes('DESCRIPTION:Purpose: thesis\\nStatus: approved'));
+});
+
+test('buildCalendar folds lines longer than 75 octets', () => {
+  const calendar = buildCalendar({ name: 'Feed', events: [{ ...event, description: 'é'.repeat(100) }] });
+  for (const line of calendar.split('\r\n')) {
+    ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+  }
+  ok(unfold(calendar).includes(`DESCRIPTION:${'é'.repeat(100)}`));
+});
+
+test('subjectScheduleToEvent reads the start and end from the timeslot', () => {
+  const schedule = {
+    _id: 'abc',
+    subjectCode: 'CS101',
+    subjectName: 'Programming',
+    instructorName: 'J. Cruz',
+    timeslot: '08:00 - 10:30',
+    date: new Date('2026-11-02T00:00:00+08:00'),
+  };
+  const result = subjectScheduleToEvent(schedule, 'Lab 1');
+  strictEqual(result.uid, 'subject-schedule-abc@nextlib');
+  strictEqual(result.start_time, '08:00');
+  strictEqual(result.end_time, '10:30');
+  strictEqual(result.location, 'Lab 1');
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import { deepStrictEqual, ok, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { formatLayout, formatPosition, normalizeLayout, normalizePlacements } from '../utils/labLayout.js';
+
+const computers = ['PC-01', 'PC-02', 'PC-03'].map(pc_number => ({ _id: new mongoose.Types.ObjectId(), pc_number }));
+
+const gridLayout = () => normalizeLayout({
+  rows: 3,
+  columns: 4,
+  aisles: [{ orientation: 'column', index: 3 }],
+  instructor_station: { row: 1, column: 1 },
+}).layout;
+
+test('normalizeLayout defaults to a grid and validates its size', () => {
+  ok(normalizeLayout(null).error);
+  ok(normalizeLayout({ mode: 'circle' }).error);
+  ok(normalizeLayout({ rows: 0, columns: 4 }).error);
+  ok(normalizeLayout({ rows: 51, columns: 4 }).error);
+
+  const layout = gridLayout();
+  strictEqual(layout.mode, 'grid');
+  deepStrictEqual([layout.rows, layout.columns, layout.width, layout.height], [3, 4, null, null]);
+  deepStrictEqual(layout.instructor_station, { row: 1, column: 1, x: null, y: null, label: 'Instructor' });
+});
+
+test('normalizeLayout keeps aisles inside the grid and drops duplicates', () => {
+  ok(normalizeLayout({ rows: 3, columns: 4, aisles: [{ orientation: 'row', index: 4 }] }).error);
+  ok(normalizeLayout({ rows: 3, columns: 4, aisles: [{ orientation: 'diagonal', index: 1 }] }).error);
+  const { layout } = normalizeLayout({
+    rows: 3,
+    columns: 4,
+    aisles: [{ orientation: 'row', index: 2 }, { orientation: 'row', index: '2' }],
+  });
+  deepStrictEqual(layout.aisles, [{ orientation: 'row', index: 2 }]);
+});
+
+test('normalizeLayout validates free floor plans', () => {
+  ok(normalizeLayout({ mode: 'free', width: 0, height: 100 }).error);
+  ok(normalizeLayout({ mode: 'free', width: 100, height: 100, aisles: [{ orientation: 'row', index: 1 }] }).error);
+  ok(normalizeLayout({ mode: 'free', width: 100, height: 100, instructor_station: { x: 150, y: 10 } }).error);
+
+  const { layout } = normalizeLayout({ mode: 'free', width: 800, height: 600, instructor_station: { x: 400, y: 20, label: 'Desk' } });
+  deepStrictEqual([layout.rows, layout.width, layout.height], [null, 800, 600]);
+  deepStrictEqual(layout.instructor_station, { row: null, column: null, x: 400, y: 20, label: 'Desk' });
+});
+
+test('normalizePlacements places computers by id or number', () => {
+  const { positions, error } = normalizePlacements(gridLayout(), [
+    { computer_id: computers[0]._id.toString(), row: 1, column: 2 },
+    { pc_number: ' PC-02 ', row: 2, column: 4 },
+  ], computers);
+  strictEqual(error, undefined);
+  deepStrictEqual(positions.get(computers[0]._id.toString()), { row: 1, column: 2, x: null, y: null });
+  deepStrictEqual(positions.get(computers[1]._id.toString()), { row: 2, column: 4, x: null, y: null });
+});
+
+test('normalizePlacements rejects unknown, repeated and clashing placements', () => {
+  const layout = gridLayout();
+  ok(normalizePlacements(layout, {}, computers).error);
+  ok(normalizePlacements(layout, [{ pc_number: 'PC-99', row: 1, column: 2 }], computers).error);
+  ok(normalizePlacements(layout, [
+    { pc_number: 'PC-01', row: 1, column: 2 },
+    { pc_number: 'PC-01', row: 2, column: 2 },
+  ], computers).error);
+  ok(normalizePlacements(layout, [
+    { pc_number: 'PC-01', row: 2, column: 2 },
+    { pc_number: 'PC-02', row: 2, column: 2 },
+  ], computers).error);
+
+  const onStation = normalizePlacements(layout, [{ pc_number: 'PC-01', row: 1, column: 1 }], computers);
+  ok(onStation.error.includes('instructor station'));
+  const onAisle = normalizePlacements(layout, [{ pc_number: 'PC-01', row: 2, column: 3 }], computers);
+  ok(onAisle.error.includes('aisle'));
+});
+
+test('formatPosition and formatLayout only return the fields of the layout mode', () => {
+  strictEqual(formatPosition({ position: { row: null, column: null, x: null, y: null } }), null);
+  deepStrictEqual(formatPosition({ position: { row: 2, column: 4, x: null, y: null } }), { row: 2, column: 4 });
+  deepStrictEqual(formatPosition({ position: { row: null, column: null, x: 10, y: 0 } }), { x: 10, y: 0 });
+
+  strictEqual(formatLayout({ layout: null }), null);
+  deepStrictEqual(formatLayout({ layout: gridLayout() }), {
+    mode: 'grid',
+    rows: 3,
+    columns: 4,
+    aisles: [{ orientation: 'column', index: 3 }],
+    instructor_station: { row: 1, column: 1, label: 'Instructor' },
+    updated_at: null,
+  });
+});
@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { deepStrictEqual, ok, strictEqual } from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import mongoose from 'mongoose';
+import Computer from '../models/Computer.js';
+import Reservation from '../models/Reservation.js';
+import UsageHistory from '../models/UsageHistory.js';
+import { isLiveStatusAvailable, subscribeToLaboratory } from '../utils/liveStatus.js';
+
+// Change streams stand-in that counts how often it is closed
+class FakeStream extends EventEmitter {
+  closed = 0;
+
+  async close() {
+    this.closed += 1;
+  }
+}
+
+let opened;
+
+beforeEach(() => {
+  opened = { Computer: [], UsageHistory: [], Reservation: [] };
+  for (const [name, model] of Object.entries({ Computer, UsageHistory, Reservation })) {
+    mock.method(model, 'watch', () => {
+      const stream = new FakeStream();
+      opened[name].push(stream);
+      return stream;
+    });
+  }
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const laboratoryId = new mongoose.Types.ObjectId();
+
+const reservationChange = () => ({
+  operationType: 'insert',
+  fullDocument: {
+    _id: new mongoose.Types.ObjectId(),
+    laboratory_id: laboratoryId,
+    reservation_number: 'RSV-TEST0001',
+    reservation_type: 'laboratory',
+    status: 'approved',
+    isDeleted: false,
+  },
+});
+
+// Change handlers are async, so wait for them to publish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('non-admin subscribers get events without reservation numbers and user ids', async () => {
+  const userEvents = [];
+  const adminEvents = [];
+  const unsubscribeUser = subscribeToLaboratory(laboratoryId, event => userEvents.push(event), () => {});
+  const unsubscribeAdmin = subscribeToLaboratory(laboratoryId, event => adminEvents.push(event), () => {}, { includePrivate: true });
+
+  opened.Reservation[0].emit('change', reservationChange());
+  await settle();
+  unsubscribeUser();
+  unsubscribeAdmin();
+
+  strictEqual(userEvents.length, 1);
+  strictEqual(userEvents[0].type, 'reservation.status');
+  ok(!('reservation_number' in userEvents[0]));
+  strictEqual(adminEvents[0].reservation_number, 'RSV-TEST0001');
+});
+
+test('other laboratories do not receive the event', async () => {
+  const events = [];
+  const unsubscribe = subscribeToLaboratory(new mongoose.Types.ObjectId(), event => events.push(event), () => {});
+
+  opened.Reservation[0].emit('change', reservationChange());
+  await settle();
+  unsubscribe();
+
+  deepStrictEqual(events, []);
+});
+
+test('streams open once and close when the last subscriber leaves', () => {
+  const unsubscribeFirst = subscribeToLaboratory(laboratoryId, () => {}, () => {});
+  const unsubscribeSecond = subscribeToLaboratory(laboratoryId, () => {}, () => {});
+  strictEqual(Computer.watch.mock.callCount(), 1);
+  strictEqual(UsageHistory.watch.mock.callCount(), 1);
+  strictEqual(Reservation.watch.mock.callCount(), 1);
+
+  unsubscribeFirst();
+  strictEqual(opened.Computer[0].closed, 0);
+
+  unsubscribeSecond();
+  for (const streams of Object.values(opened)) {
+    strictEqual(streams[0].closed, 1);
+  }
+});
+
+test('a failing stream is reopened without ending subscriptions', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const onUnavailable = t.mock.fn();
+  const unsubscribe = subscribeToLaboratory(laboratoryId, () => {}, onUnavailable);
+
+  opened.UsageHistory[0].emit('error', new Error('connection reset'));
+  strictEqual(opened.UsageHistory[0].closed, 1);
+  strictEqual(opened.Computer[0].closed, 0);
+  strictEqual(onUnavailable.mock.callCount(), 0);
+
+  t.mock.timers.tick(5000);
+  strictEqual(opened.UsageHistory.length, 2);
+  strictEqual(Computer.watch.mock.callCount(), 1);
+
+  unsubscribe();
+  strictEqual(opened.UsageHistory[1].closed, 1);
+  ok(isLiveStatusAvailable());
+});
+
+test('unsupported change streams end every subscription once', () => {
+  const first = mock.fn();
+  const second = mock.fn();
+  const unsubscribeFirst = subscribeToLaboratory(laboratoryId, () => {}, first);
+  const unsubscribeSecond = subscribeToLaboratory(laboratoryId, () => {}, second);
+
+  const unsupported = Object.assign(new Error('The $changeStream stage is only supported on replica sets'), { code: 40573 });
+  for (const streams of Object.values(opened)) streams[0].emit('error', unsupported);
+  unsubscribeFirst();
+  unsubscribeSecond();
+
+  strictEqual(first.mock.callCount(), 1);
+  strictEqual(second.mock.callCount(), 1);
+  for (const streams of Object.values(opened)) strictEqual(streams[0].closed, 1);
+  ok(!isLiveStatusAvailable());
+});
@@ -0,0 +1,162 @@
+import { afterEach, mock, test } from 'node:test';
+import { deepStrictEqual, ok, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+process.env.RESEND_API_KEY ||= 're_test';
+
+const { default: Computer } = await import('../models/Computer.js');
+const { default: Laboratory } = await import('../models/Laboratory.js');
+const { default: MaintenanceTicket } = await import('../models/MaintenanceTicket.js');
+const { default: Reservation } = await import('../models/Reservation.js');
+const { flagAffectedReservations, getMaintenanceStats, syncTicketTarget } = await import('../utils/maintenance.js');
+
+const NOW = new Date('2030-03-04T09:00:00+08:00');
+const laboratoryId = new mongoose.Types.ObjectId();
+const computerId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+
+const ticket = (fields = {}) => new MaintenanceTicket({
+  ticket_number: 'MT-TEST0001',
+  target_type: 'computer',
+  computer_id: computerId,
+  laboratory_id: laboratoryId,
+  title: 'Monitor flickers',
+  reported_by: new mongoose.Types.ObjectId(),
+  reporter_model: 'User',
+  ...fields,
+});
+
+const reservation = (startTime, fields = {}) => new Reservation({
+  user_id: new mongoose.Types.ObjectId(),
+  reservation_number: 'RSV-TEST0001',
+  reservation_type: 'computer',
+  computer_id: computerId,
+  reservation_date: new Date('2030-03-04T00:00:00+08:00'),
+  start_time: startTime,
+  duration: 60,
+  purpose: 'Thesis work',
+  status: 'approved',
+  ...fields,
+});
+
+afterEach(() => mock.restoreAll());
+
+test('tickets are resolved with a record of who resolved them and can be reopened', () => {
+  const broken = ticket();
+  strictEqual(broken.canTransitionTo('in_progress'), true);
+  broken.transitionTo('in_progress', { by: adminId, byType: 'admin' });
+
+  broken.transitionTo('resolved', { by: adminId, byType: 'admin', note: 'Replaced the cable' });
+  ok(broken.resolved_at instanceof Date);
+  strictEqual(broken.resolved_by, adminId);
+  strictEqual(broken.resolution, 'Replaced the cable');
+  strictEqual(broken.isActive(), false);
+  deepStrictEqual(broken.getAllowedTransitions(), ['open']);
+
+  broken.transitionTo('open', { by: adminId, byType: 'admin', note: 'Flickering again' });
+  strictEqual(broken.resolved_at, null);
+  strictEqual(broken.resolved_by, null);
+  deepStrictEqual(broken.updates.map(update => update.status), ['in_progress', 'resolved', 'open']);
+});
+
+test('cancelled tickets cannot be reopened', () => {
+  const cancelled = ticket({ status: 'cancelled' });
+  strictEqual(cancelled.canTransitionTo('open'), false);
+  deepStrictEqual(cancelled.getAllowedTransitions(), []);
+});
+
+test('an open out-of-service ticket puts its computer in maintenance', async () => {
+  const broken = ticket({ out_of_service: true });
+  mock.method(MaintenanceTicket, 'exists', async () => ({ _id: broken._id }));
+  mock.method(Computer, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(Computer, 'findById', () => ({ select: async () => null }));
+  mock.method(Reservation, 'find', () => ({ select: async () => [] }));
+
+  const sync = await syncTicketTarget(broken, { changedBy: adminId });
+
+  deepStrictEqual(sync, { in_service: false, status_changed: true, reassigned: [], flagged: [], unflagged: 0 });
+  deepStrictEqual(Computer.updateOne.mock.calls[0].arguments, [
+    { _id: computerId, isDeleted: false, status: { $nin: ['maintenance', 'out_of_order'] } },
+    { $set: { status: 'maintenance' } },
+  ]);
+});
+
+test('resolving the last out-of-service ticket returns the laboratory to service and clears its flags', async () => {
+  const closed = ticket({ target_type: 'laboratory', computer_id: null, out_of_service: true, status: 'resolved' });
+  mock.method(MaintenanceTicket, 'exists', async () => null);
+  mock.method(Laboratory, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(Reservation, 'updateMany', async () => ({ modifiedCount: 3 }));
+
+  const sync = await syncTicketTarget(closed, { changedBy: adminId });
+
+  strictEqual(sync.in_service, true);
+  strictEqual(sync.unflagged, 3);
+  deepStrictEqual(Laboratory.updateOne.mock.calls[0].arguments, [
+    { _id: laboratoryId, isDeleted: false, status: { $in: ['maintenance'] } },
+    { $set: { status: 'active' } },
+  ]);
+  deepStrictEqual(Reservation.updateMany.mock.calls[0].arguments[0], { 'attention.maintenance_ticket_id': closed._id });
+});
+
+test('laboratory tickets flag reservations of the laboratory and its computers before the expected fix', async () => {
+  const labComputerId = new mongoose.Types.ObjectId();
+  const outage = ticket({
+    target_type: 'laboratory',
+    computer_id: null,
+    out_of_service: true,
+    expected_resolution_at: new Date('2030-03-04T12:00:00+08:00'),
+  });
+  const morning = reservation('10:00', { computer_id: labComputerId });
+  const afternoon = reservation('13:00', { computer_id: labComputerId });
+  mock.method(Computer, 'find', () => ({ distinct: async () => [labComputerId] }));
+  mock.method(Reservation, 'find', () => ({ select: async () => [morning, afternoon] }));
+  mock.method(Reservation, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+  deepStrictEqual(await flagAffectedReservations(outage, NOW), [morning]);
+
+  const [filter] = Reservation.find.mock.calls[0].arguments;
+  deepStrictEqual(filter.$and[1].$or, [
+    { reservation_type: 'laboratory', laboratory_id: laboratoryId },
+    { reservation_type: 'computer', computer_id: { $in: [labComputerId] } },
+  ]);
+  strictEqual(filter['attention.flagged_at'], null);
+  const [, update] = Reservation.updateMany.mock.calls[0].arguments;
+  strictEqual(update.$set['attention.reason'], 'Laboratory out of service (MT-TEST0001: Monitor flickers)');
+  strictEqual(update.$set['attention.maintenance_ticket_id'], outage._id);
+});
+
+test('stats report ticket counts, MTTR and the most reported computers per laboratory', async () => {
+  const otherLaboratoryId = new mongoose.Types.ObjectId();
+  const results = [
+    [{ _id: laboratoryId, laboratory: { name: 'Main Lab' }, total: 4, open: 1, resolved: 2, cancelled: 1, out_of_service: 2, mttr_minutes: 155.4 }],
+    [
+      { _id: { laboratory_id: laboratoryId, category: 'hardware' }, count: 3 },
+      { _id: { laboratory_id: laboratoryId, category: 'network' }, count: 1 },
+      { _id: { laboratory_id: otherLaboratoryId, category: 'software' }, count: 2 },
+    ],
+    [{ _id: { laboratory_id: laboratoryId, computer_id: computerId }, computer: { pc_number: 'PC-01' }, count: 3, last_reported_at: NOW }],
+  ];
+  mock.method(MaintenanceTicket, 'aggregate', async () => results.shift());
+
+  const from = new Date('2030-03-01T00:00:00+08:00');
+  const [stats] = await getMaintenanceStats({ laboratoryId: laboratoryId.toString(), from });
+
+  strictEqual(stats.laboratory_name, 'Main Lab');
+  strictEqual(stats.mttr_minutes, 155);
+  strictEqual(stats.mttr_hours, 2.6);
+  deepStrictEqual(stats.by_category, { hardware: 3, network: 1 });
+  deepStrictEqual(stats.most_reported_computers, [{ computer_id: computerId, pc_number: 'PC-01', tickets: 3, last_reported_at: NOW }]);
+
+  const [[{ $match: match }]] = MaintenanceTicket.aggregate.mock.calls[0].arguments;
+  deepStrictEqual(match, { isDeleted: false, laboratory_id: laboratoryId, createdAt: { $gte: from } });
+});
+
+test('MTTR is left empty for laboratories without resolved tickets', async () => {
+  const results = [[{ _id: laboratoryId, total: 1, open: 1, resolved: 0, cancelled: 0, out_of_service: 0, mttr_minutes: null }], [], []];
+  mock.method(MaintenanceTicket, 'aggregate', async () => results.shift());
+
+  const [stats] = await getMaintenanceStats();
+  strictEqual(stats.mttr_minutes, null);
+  strictEqual(stats.mttr_hours, null);
+  strictEqual(stats.laboratory_name, null);
+});
@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { deepStrictEqual, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Computer from '../models/Computer.js';
+import Reservation from '../models/Reservation.js';
+import SystemDefaults from '../models/SystemDefaults.js';
+import User from '../models/User.js';
+
+const NOW = new Date('2026-11-02T09:20:00+08:00');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const reservation = (startTime) => new Reservation({
+  user_id: new mongoose.Types.ObjectId(),
+  reservation_number: 'RSV-TEST0001',
+  reservation_type: 'computer',
+  computer_id: new mongoose.Types.ObjectId(),
+  reservation_date: new Date('2026-11-02T00:00:00+08:00'),
+  start_time: startTime,
+  end_time: '11:00',
+  duration: 60,
+  purpose: 'Thesis work',
+  status: 'approved',
+});
+
+// User as returned by findByIdAndUpdate after the no-show count was incremented
+let user;
+const stubUser = (noShowCount) => {
+  user = {
+    _id: new mongoose.Types.ObjectId(),
+    id_number: '2021-00001',
+    no_show_count: noShowCount,
+    booking_blocked_until: null,
+    save: mock.fn(async () => {}),
+  };
+  mock.method(User, 'findByIdAndUpdate', async () => user);
+};
+
+beforeEach(() => {
+  mock.method(Reservation.prototype, 'save', async function () { return this; });
+  mock.method(Computer, 'updateOne', async () => ({ modifiedCount: 1 }));
+  stubUser(1);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('markNoShow frees the reserved computer and counts the no-show', async () => {
+  const missed = reservation('09:00');
+  const block = await missed.markNoShow({ defaults: { no_show_threshold: 3 } });
+
+  strictEqual(block, null);
+  strictEqual(missed.status, 'no_show');
+  strictEqual(missed.status_history.at(-1).changed_by_type, 'system');
+  deepStrictEqual(Computer.updateOne.mock.calls[0].arguments, [
+    { _id: missed.computer_id, status: 'reserved' },
+    { $set: { status: 'available' } },
+  ]);
+  deepStrictEqual(User.findByIdAndUpdate.mock.calls[0].arguments[1], { $inc: { no_show_count: 1 } });
+  strictEqual(user.save.mock.callCount(), 0);
+});
+
+test('markNoShow blocks the user at the threshold and resets the count', async () => {
+  stubUser(3);
+  const block = await reservation('09:00').markNoShow({ now: NOW, defaults: { no_show_threshold: 3, no_show_block_days: 5 } });
+
+  strictEqual(user.booking_blocked_until.getTime(), NOW.getTime() + 5 * DAY_MS);
+  strictEqual(user.no_show_count, 0);
+  strictEqual(user.save.mock.callCount(), 1);
+  deepStrictEqual(block, { user_id: user._id, id_number: '2021-00001', blocked_until: user.booking_blocked_until });
+});
+
+test('markNoShow never blocks without a configured threshold', async () => {
+  stubUser(10);
+  strictEqual(await reservation('09:00').markNoShow({ defaults: null }), null);
+  strictEqual(user.no_show_count, 10);
+  strictEqual(user.booking_blocked_until, null);
+});
+
+test('markNoShows only marks reservations past the grace period', async () => {
+  const late = reservation('09:00');
+  const withinGrace = reservation('09:10');
+  mock.method(SystemDefaults, 'getCurrent', async () => ({ no_show_grace_minutes: 15, no_show_threshold: 2 }));
+  mock.method(Reservation, 'find', async () => [late, withinGrace]);
+  stubUser(2);
+
+  const result = await Reservation.markNoShows(NOW);
+
+  deepStrictEqual(result.marked, [late]);
+  strictEqual(result.graceMinutes, 15);
+  strictEqual(result.blockedUsers.length, 1);
+  strictEqual(late.status, 'no_show');
+  strictEqual(late.status_history.at(-1).reason, 'Not started within 15 minutes of the start time');
+  strictEqual(withinGrace.status, 'approved');
+
+  const [filter] = Reservation.find.mock.calls[0].arguments;
+  strictEqual(filter.status, 'approved');
+  strictEqual(filter.reservation_type, 'computer');
+});
+
+test('markNoShows falls back to a 15 minute grace period', async () => {
+  mock.method(SystemDefaults, 'getCurrent', async () => null);
+  mock.method(Reservation, 'find', async () => [reservation('09:06')]);
+
+  const result = await Reservation.markNoShows(NOW);
+  strictEqual(result.graceMinutes, 15);
+  deepStrictEqual(result.marked, []);
+});
@@ -0,0 +1,89 @@
+import { afterEach, mock, test } from 'node:test';
+import { strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Laboratory from '../models/Laboratory.js';
+import SystemDefaults from '../models/SystemDefaults.js';
+import {
+  checkOperationHours,
+  getOperatingHours,
+  isValidOperationHours,
+  normalizeOperationHours,
+  validateWeekdayHours,
+} from '../utils/operationHours.js';
+
+// 2026-11-02 is a Monday
+const MONDAY = new Date('2026-11-02T00:00:00+08:00');
+const laboratoryId = new mongoose.Types.ObjectId();
+
+const stub = ({ defaults = null, laboratory = null }) => {
+  mock.method(SystemDefaults, 'getCurrent', async () => defaults);
+  mock.method(Laboratory, 'findById', () => ({ select: async () => laboratory }));
+};
+
+afterEach(() => mock.restoreAll());
+
+test('days without configured hours are open all day', async () => {
+  stub({});
+  const hours = await getOperatingHours(MONDAY);
+  strictEqual(hours.configured, false);
+  strictEqual(await checkOperationHours(MONDAY, '23:00', 59), null);
+});
+
+test('reservations must fit the system operation hours', async () => {
+  stub({ defaults: { operation_hours: '08:00 - 17:00' } });
+  strictEqual(await checkOperationHours(MONDAY, '08:00', 540), null);
+  strictEqual(await checkOperationHours(MONDAY, '07:30', 60), 'Reservations must be within operation hours (08:00 - 17:00)');
+  strictEqual(await checkOperationHours(MONDAY, '16:30', 60), 'Reservations must be within operation hours (08:00 - 17:00)');
+});
+
+test('weekday hours override operation hours and can close a day', async () => {
+  stub({ defaults: {
+    operation_hours: '08:00 - 17:00',
+    weekday_hours: [{ weekday: 1, open: '10:00', close: '12:00' }, { weekday: 0, closed: true }],
+  } });
+  strictEqual((await getOperatingHours(MONDAY)).open, 10 * 60);
+  strictEqual(await checkOperationHours(MONDAY, '09:00', 60), 'Reservations must be within operation hours (10:00 - 12:00)');
+
+  const sunday = new Date('2026-11-01T00:00:00+08:00');
+  strictEqual(await checkOperationHours(sunday, '10:00', 60), 'Laboratory is closed on 2026-11-01 (Closed on this day of the week)');
+});
+
+test('laboratory hours override the system defaults', async () => {
+  stub({ defaults: { operation_hours: '08:00 - 17:00' }, laboratory: { operation_hours: '13:00 - 21:00' } });
+  const hours = await getOperatingHours(MONDAY, laboratoryId);
+  strictEqual(hours.source, 'laboratory');
+  strictEqual(await checkOperationHours(MONDAY, '19:00', 120, laboratoryId), null);
+  strictEqual(await checkOperationHours(MONDAY, '19:00', 120), 'Reservations must be within operation hours (08:00 - 17:00)');
+});
+
+test('holidays close every laboratory', async () => {
+  stub({
+    defaults: { operation_hours: '24 hours', holidays: [{ date: MONDAY, name: 'All Souls Day' }] },
+    laboratory: { operation_hours: '24 hours' },
+  });
+  const hours = await getOperatingHours(MONDAY, laboratoryId);
+  strictEqual(hours.source, 'holiday');
+  strictEqual(await checkOperationHours(MONDAY, '10:00', 60, laboratoryId), 'Laboratory is closed on 2026-11-02 (Closed for All Souls Day)');
+});
+
+test('overnight reservations need both days open through midnight', async () => {
+  stub({ defaults: { operation_hours: '24 hours' } });
+  strictEqual(await checkOperationHours(MONDAY, '22:00', 240), null);
+
+  mock.restoreAll();
+  stub({ defaults: { operation_hours: '24 hours', weekday_hours: [{ weekday: 2, open: '08:00', close: '17:00' }] } });
+  strictEqual(await checkOperationHours(MONDAY, '22:00', 240), 'Reservations must be within operation hours on 2026-11-03 (08:00 - 17:00)');
+});
+
+test('operation hours and weekday hours are validated', () => {
+  strictEqual(normalizeOperationHours(' 24 Hours '), '24 hours');
+  strictEqual(normalizeOperationHours(''), null);
+  strictEqual(isValidOperationHours('08:00 - 17:00'), true);
+  strictEqual(isValidOperationHours('8am to 5pm'), false);
+
+  strictEqual(validateWeekdayHours([{ weekday: 1, open: '08:00', close: '17:00' }, { weekday: 0, closed: true }]), null);
+  strictEqual(validateWeekdayHours([{ weekday: 7, closed: true }]), 'Each weekday_hours entry needs a weekday between 0 (Sunday) and 6 (Saturday)');
+  strictEqual(validateWeekdayHours([{ weekday: 1, closed: true }, { weekday: 1, closed: true }]), 'weekday 1 is listed more than once');
+  strictEqual(validateWeekdayHours([{ weekday: 1, open: '17:00', close: '08:00' }]), 'weekday 1 must close after it opens');
+  strictEqual(validateWeekdayHours({}), 'weekday_hours must be an array');
+});
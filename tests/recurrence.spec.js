@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import { deepStrictEqual, ok, strictEqual } from 'node:assert/strict';
+import { buildRecurrenceDates, MAX_SERIES_OCCURRENCES, parseRecurrence } from '../utils/recurrence.js';
+import { getTZDateString } from '../utils/timezone.js';
+
+// Monday, 2 November 2026 at 09:00 in the app timezone (Asia/Manila)
+const MONDAY = new Date('2026-11-02T09:00:00+08:00');
+const dateStrings = (dates) => dates.map(date => getTZDateString(date));
+
+test('parseRecurrence rejects unknown frequencies and missing bounds', () => {
+  ok(parseRecurrence(null).error);
+  ok(parseRecurrence({ frequency: 'monthly', occurrences: 3 }).error);
+  ok(parseRecurrence({ frequency: 'daily' }).error);
+  ok(parseRecurrence({ frequency: 'daily', interval: 0, occurrences: 3 }).error);
+  ok(parseRecurrence({ frequency: 'daily', end_date: 'not a date' }).error);
+  ok(parseRecurrence({ frequency: 'daily', occurrences: MAX_SERIES_OCCURRENCES + 1 }).error);
+});
+
+test('parseRecurrence requires valid weekdays for custom rules', () => {
+  ok(parseRecurrence({ frequency: 'custom', occurrences: 3 }).error);
+  ok(parseRecurrence({ frequency: 'custom', weekdays: [7], occurrences: 3 }).error);
+
+  const { rule, error } = parseRecurrence({ frequency: 'custom', weekdays: [1, '3', 1], occurrences: '4' });
+  strictEqual(error, undefined);
+  deepStrictEqual(rule.weekdays, [1, 3]);
+  strictEqual(rule.occurrences, 4);
+  strictEqual(rule.interval, 1);
+  strictEqual(rule.skip_conflicts, false);
+});
+
+test('buildRecurrenceDates repeats daily with an interval', () => {
+  const { rule } = parseRecurrence({ frequency: 'daily', interval: 2, occurrences: 3 });
+  const until = new Date('2026-12-31T00:00:00+08:00');
+  deepStrictEqual(dateStrings(buildRecurrenceDates(MONDAY, rule, until)), ['2026-11-02', '2026-11-04', '2026-11-06']);
+});
+
+test('buildRecurrenceDates repeats weekly and stops at the until date', () => {
+  const { rule } = parseRecurrence({ frequency: 'weekly', end_date: '2026-11-20' });
+  const dates = buildRecurrenceDates(MONDAY, rule, rule.end_date);
+  deepStrictEqual(dateStrings(dates), ['2026-11-02', '2026-11-09', '2026-11-16']);
+  strictEqual(dates[1].getTime() - dates[0].getTime(), 7 * 24 * 60 * 60 * 1000);
+});
+
+test('buildRecurrenceDates picks weekdays of every other week for custom rules', () => {
+  const { rule } = parseRecurrence({ frequency: 'custom', interval: 2, weekdays: [1, 3], occurrences: 4 });
+  const until = new Date('2026-12-31T00:00:00+08:00');
+  deepStrictEqual(dateStrings(buildRecurrenceDates(MONDAY, rule, until)), ['2026-11-02', '2026-11-04', '2026-11-16', '2026-11-18']);
+});
@@ -0,0 +1,131 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { deepStrictEqual, strictEqual } from 'node:assert/strict';
+import crypto from 'node:crypto';
+import mongoose from 'mongoose';
+
+const WEBHOOK_URL = 'https://hooks.example.test/reminders';
+process.env.RESEND_API_KEY ||= 're_test';
+process.env.REMINDER_WEBHOOK_URL = WEBHOOK_URL;
+process.env.REMINDER_WEBHOOK_SECRET = 'hook-secret';
+// Keeps the mailer from logging every email it sends
+process.env.NODE_ENV = 'production';
+
+const { default: Reservation } = await import('../models/Reservation.js');
+const { default: SystemDefaults } = await import('../models/SystemDefaults.js');
+const { default: User } = await import('../models/User.js');
+const { sendReservationReminders } = await import('../utils/reminders.js');
+
+const NOW = new Date('2030-03-04T08:40:00+08:00');
+
+const reservation = (fields = {}) => new Reservation({
+  user_id: new mongoose.Types.ObjectId(),
+  reservation_number: 'RSV-TEST0001',
+  reservation_type: 'computer',
+  computer_id: new mongoose.Types.ObjectId(),
+  reservation_date: new Date('2030-03-04T00:00:00+08:00'),
+  start_time: '09:00',
+  end_time: '10:00',
+  duration: 60,
+  purpose: 'Thesis work',
+  status: 'approved',
+  ...fields,
+});
+
+const user = (preferences = {}) => new User({
+  firstname: 'Ana',
+  lastname: 'Cruz',
+  email: 'ana@example.com',
+  id_number: '2021-00001',
+  reminder_preferences: preferences,
+});
+
+// Reservations found for each reminder, by the status the reminder looks for
+const stubDue = ({ approved = [], active = [] }) => {
+  mock.method(Reservation, 'find', (filter) => {
+    const found = filter.status === 'approved' ? approved : active;
+    return { populate() { return this; }, then: (resolve, reject) => Promise.resolve(found).then(resolve, reject) };
+  });
+};
+
+// Mail goes out through the Resend API and reminders to the webhook, both over fetch
+let requests;
+beforeEach(() => {
+  requests = [];
+  mock.method(globalThis, 'fetch', async (url, options) => {
+    requests.push({ url: String(url), options });
+    return String(url) === WEBHOOK_URL
+      ? new Response(null, { status: 204 })
+      : Response.json({ id: 'email_1' });
+  });
+  mock.method(SystemDefaults, 'getCurrent', async () => ({ reminder_lead_minutes: 30, session_end_reminder_minutes: 10 }));
+  mock.method(Reservation, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(User, 'findOne', async () => user());
+});
+
+afterEach(() => mock.restoreAll());
+
+test('approved reservations starting within the lead time are reminded by email and webhook', async () => {
+  const booked = reservation();
+  stubDue({ approved: [booked] });
+
+  const { sent, leadTimes } = await sendReservationReminders(NOW);
+
+  deepStrictEqual(leadTimes, { start: 30, end: 10 });
+  deepStrictEqual(sent, [{ kind: 'start', reservation_number: 'RSV-TEST0001', channels: ['email', 'webhook'] }]);
+
+  const startAt = new Date('2030-03-04T09:00:00+08:00');
+  deepStrictEqual(Reservation.updateOne.mock.calls[0].arguments, [
+    { _id: booked._id, 'reminders.start_sent_for': { $ne: startAt } },
+    { $set: { 'reminders.start_sent_for': startAt } },
+  ]);
+
+  const webhook = requests.find(request => request.url === WEBHOOK_URL);
+  const payload = JSON.parse(webhook.options.body);
+  strictEqual(payload.event, 'reservation.starting_soon');
+  strictEqual(payload.minutes_left, 20);
+  strictEqual(webhook.options.headers['X-Reminder-Signature'],
+    crypto.createHmac('sha256', 'hook-secret').update(webhook.options.body).digest('hex'));
+});
+
+test('reservations outside the lead time or already reminded for their start are skipped', async () => {
+  const later = reservation({ start_time: '09:30', end_time: '10:30' });
+  const reminded = reservation({ reminders: { start_sent_for: new Date('2030-03-04T09:00:00+08:00') } });
+  stubDue({ approved: [later, reminded] });
+
+  deepStrictEqual((await sendReservationReminders(NOW)).sent, []);
+  strictEqual(Reservation.updateOne.mock.callCount(), 0);
+});
+
+test('a reminder claimed by a concurrent run is not sent again', async () => {
+  stubDue({ approved: [reservation()] });
+  Reservation.updateOne.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+
+  deepStrictEqual((await sendReservationReminders(NOW)).sent, []);
+  deepStrictEqual(requests, []);
+});
+
+test('users choose which reminders and channels they receive', async () => {
+  stubDue({ approved: [reservation()] });
+  User.findOne.mock.mockImplementation(async () => user({ before_start: false }));
+  deepStrictEqual((await sendReservationReminders(NOW)).sent, []);
+
+  User.findOne.mock.mockImplementation(async () => user({ email: false }));
+  deepStrictEqual((await sendReservationReminders(NOW)).sent[0].channels, ['webhook']);
+});
+
+test('active reservations are reminded shortly before they end', async () => {
+  stubDue({ active: [reservation({ status: 'active', start_time: '08:00', end_time: '08:45', duration: 45 })] });
+
+  const { sent } = await sendReservationReminders(NOW);
+
+  deepStrictEqual(sent, [{ kind: 'end', reservation_number: 'RSV-TEST0001', channels: ['email', 'webhook'] }]);
+  strictEqual(JSON.parse(requests.find(request => request.url === WEBHOOK_URL).options.body).event, 'reservation.ending_soon');
+});
+
+test('a lead time of zero turns a reminder off', async () => {
+  SystemDefaults.getCurrent.mock.mockImplementation(async () => ({ reminder_lead_minutes: 0, session_end_reminder_minutes: 10 }));
+  stubDue({ approved: [reservation()] });
+
+  deepStrictEqual((await sendReservationReminders(NOW)).sent, []);
+  deepStrictEqual(Reservation.find.mock.calls.map(call => call.arguments[0].status), ['active']);
+});
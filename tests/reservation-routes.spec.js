@@ -0,0 +1,463 @@
+import { after, before, mock, test } from 'node:test';
+import { deepStrictEqual, ok, strictEqual } from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+process.env.JWT_SECRET ||= 'test-secret';
+process.env.RESEND_API_KEY ||= 're_test';
+
+const { default: app } = await import('../app.js');
+const { default: User } = await import('../models/User.js');
+const { default: Reservation } = await import('../models/Reservation.js');
+const { default: Admin } = await import('../models/Admin.js');
+const { default: BookingPolicy } = await import('../models/BookingPolicy.js');
+const { default: Closure } = await import('../models/Closure.js');
+const { default: Computer } = await import('../models/Computer.js');
+const { default: Laboratory } = await import('../models/Laboratory.js');
+const { default: Log } = await import('../models/Log.js');
+const { default: ReservationGroup } = await import('../models/ReservationGroup.js');
+const { default: SubjectScheduler } = await import('../models/SubjectScheduler.js');
+const { default: SystemDefaults } = await import('../models/SystemDefaults.js');
+const { default: Waitlist } = await import('../models/Waitlist.js');
+
+const student = { _id: new mongoose.Types.ObjectId(), user_type: 'student', status: 'active', isDeleted: false };
+const session = jwt.sign({ userId: student._id.toString(), userType: 'user' }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // Authenticate as the student without reaching MongoDB
+  mock.method(User, 'findById', () => ({ select: async () => student }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1/reservations`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+const createReservation = (body) => fetch(baseUrl, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Cookie: `session=${session}` },
+  body: JSON.stringify(body),
+});
+
+const booking = {
+  reservation_type: 'computer',
+  computer_id: new mongoose.Types.ObjectId().toString(),
+  purpose: 'Thesis work',
+  start_time: '09:00',
+  end_time: '10:00',
+};
+
+test('POST / rejects an invalid reservation date with 400', async () => {
+  const response = await createReservation({ ...booking, reservation_date: 'next tuesday-ish' });
+  strictEqual(response.status, 400);
+  strictEqual((await response.json()).message, 'Reservation date must be a valid date');
+});
+
+test('POST / rejects an invalid end date with 400', async () => {
+  const response = await createReservation({ ...booking, reservation_date: '2026-11-02', end_date: '2026-13-45' });
+  strictEqual(response.status, 400);
+  strictEqual((await response.json()).message, 'End date must be a valid date');
+});
+
+const reschedule = (id, body) => fetch(`${baseUrl}/${id}/reschedule`, {
+  method: 'PATCH',
+  headers: { 'Content-Type': 'application/json', Cookie: `session=${session}` },
+  body: JSON.stringify(body),
+});
+
+const ownReservation = (fields = {}) => new Reservation({
+  user_id: student._id,
+  reservation_number: 'RSV-TEST0001',
+  reservation_type: 'computer',
+  computer_id: new mongoose.Types.ObjectId(),
+  reservation_date: new Date('2026-11-02T00:00:00+08:00'),
+  start_time: '09:00',
+  end_time: '10:00',
+  duration: 60,
+  purpose: 'Thesis work',
+  status: 'approved',
+  ...fields,
+});
+
+test('PATCH /:id/reschedule refuses users blocked for no-shows', async (t) => {
+  const reservation = ownReservation();
+  t.mock.method(Reservation, 'findOne', async () => reservation);
+  student.booking_blocked_until = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  try {
+    const response = await reschedule(reservation._id, { start_time: '11:00', end_time: '12:00' });
+    strictEqual(response.status, 403);
+  } finally {
+    student.booking_blocked_until = null;
+  }
+});
+
+test('PATCH /:id/reschedule refuses to move one seat of a group or one occurrence of a series', async (t) => {
+  const seat = ownReservation({ group_id: new mongoose.Types.ObjectId() });
+  const occurrence = ownReservation({ series_id: new mongoose.Types.ObjectId(), series_index: 2 });
+  const findOne = t.mock.method(Reservation, 'findOne', async () => seat);
+
+  let response = await reschedule(seat._id, { start_time: '11:00', end_time: '12:00' });
+  strictEqual(response.status, 400);
+  strictEqual((await response.json()).message, 'Seats of a group reservation cannot be rescheduled one at a time');
+
+  findOne.mock.mockImplementation(async () => occurrence);
+  response = await reschedule(occurrence._id, { start_time: '11:00', end_time: '12:00' });
+  strictEqual(response.status, 400);
+  ok((await response.json()).message.startsWith('Occurrences of a recurring series cannot be rescheduled'));
+});
+
+// Query stand-in for chained find() calls
+const query = (result) => ({
+  populate() { return this; },
+  select() { return this; },
+  session() { return this; },
+  sort() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+});
+
+// Everything a booking is checked against, with no policies, hours or conflicts
+const stubBookingChecks = (t, { conflicts = [] } = {}) => {
+  t.mock.method(SystemDefaults, 'getMaxReservationMinutes', async () => 480);
+  t.mock.method(SystemDefaults, 'getCurrent', async () => null);
+  t.mock.method(Computer, 'findById', () => query({ laboratory_id: new mongoose.Types.ObjectId() }));
+  t.mock.method(Laboratory, 'findById', () => query(null));
+  t.mock.method(BookingPolicy, 'findApplicable', async () => []);
+  t.mock.method(Reservation, 'find', () => query(conflicts));
+  t.mock.method(SubjectScheduler, 'find', async () => []);
+  t.mock.method(Closure, 'findOverlapping', async () => []);
+  t.mock.method(Reservation.prototype, 'save', async function () { return this; });
+  t.mock.method(Reservation.prototype, 'populate', async function () { return this; });
+  t.mock.method(Waitlist, 'offerFreedSlot', async () => []);
+};
+
+test('PATCH /:id/reschedule sends an approved reservation back for approval and frees the old slot', async (t) => {
+  const reservation = ownReservation({ reservation_date: new Date('2030-03-04T00:00:00+08:00') });
+  t.mock.method(Reservation, 'findOne', async () => reservation);
+  stubBookingChecks(t);
+
+  const response = await reschedule(reservation._id, { start_time: '13:00', end_time: '14:30', reason: 'Class moved' });
+
+  strictEqual(response.status, 200);
+  strictEqual((await response.json()).message, 'Reservation rescheduled and sent back for approval');
+  strictEqual(reservation.status, 'pending');
+  strictEqual(reservation.start_time, '13:00');
+  strictEqual(reservation.duration, 90);
+  const [previous] = reservation.reschedule_history;
+  strictEqual(previous.start_time, '09:00');
+  strictEqual(previous.status, 'approved');
+  strictEqual(previous.reason, 'Class moved');
+  strictEqual(Waitlist.offerFreedSlot.mock.calls[0].arguments[0].start_time, '09:00');
+});
+
+test('PATCH /:id/reschedule rejects a slot taken by another reservation with 409', async (t) => {
+  const reservation = ownReservation({ reservation_date: new Date('2030-03-04T00:00:00+08:00') });
+  const taken = ownReservation({
+    _id: new mongoose.Types.ObjectId(),
+    reservation_number: 'RSV-TEST0002',
+    computer_id: reservation.computer_id,
+    reservation_date: reservation.reservation_date,
+    start_time: '13:00',
+    end_time: '15:00',
+    duration: 120,
+  });
+  taken.user_id = { _id: new mongoose.Types.ObjectId(), firstname: 'Ben', lastname: 'Reyes' };
+  t.mock.method(Reservation, 'findOne', async () => reservation);
+  stubBookingChecks(t, { conflicts: [taken] });
+
+  const response = await reschedule(reservation._id, { start_time: '13:00', end_time: '14:30' });
+
+  strictEqual(response.status, 409);
+  strictEqual(reservation.start_time, '09:00');
+  strictEqual(Reservation.prototype.save.mock.callCount(), 0);
+});
+
+const adminSession = jwt.sign({ userId: new mongoose.Types.ObjectId().toString(), userType: 'admin' }, process.env.JWT_SECRET);
+
+const adminRequest = (t, method, path, body) => {
+  t.mock.method(Admin, 'findById', () => ({ select: async () => ({ _id: new mongoose.Types.ObjectId(), status: 'active' }) }));
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Cookie: `session=${adminSession}` },
+    body: body && JSON.stringify(body),
+  });
+};
+
+const bulkCancel = (t, body) => adminRequest(t, 'POST', '/cancel-all', body);
+
+// Reservations matched by a bulk cancellation
+const stubBulkMatches = (t, matches = []) => t.mock.method(Reservation, 'find', () => ({
+  populate() { return this; },
+  sort: async () => matches,
+}));
+
+test('POST /cancel-all requires at least one scope and valid scope values', async (t) => {
+  let response = await bulkCancel(t, { dry_run: true });
+  strictEqual(response.status, 400);
+  ok((await response.json()).message.startsWith('At least one scope is required'));
+
+  response = await bulkCancel(t, { date_from: '2026-11-05', date_to: '2026-11-02' });
+  strictEqual((await response.json()).message, 'date_to cannot be before date_from');
+
+  response = await bulkCancel(t, { user_type: 'guest' });
+  strictEqual((await response.json()).message, "user_type must be either 'student' or 'faculty'");
+});
+
+test('POST /cancel-all scopes a laboratory to its own and its computers\' reservations', async (t) => {
+  const laboratoryId = new mongoose.Types.ObjectId();
+  const computerIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  t.mock.method(Laboratory, 'findOne', async () => ({ _id: laboratoryId }));
+  t.mock.method(Computer, 'find', () => ({ select: async () => computerIds.map(_id => ({ _id })) }));
+  const find = stubBulkMatches(t, [ownReservation()]);
+  const save = t.mock.method(Reservation.prototype, 'save', async function () { return this; });
+
+  const response = await bulkCancel(t, { laboratory_id: laboratoryId.toString(), dry_run: true });
+  const body = await response.json();
+
+  strictEqual(response.status, 200);
+  strictEqual(body.data.matched, 1);
+  deepStrictEqual(body.data.scope, { laboratory_id: laboratoryId.toString() });
+  strictEqual(save.mock.callCount(), 0);
+
+  const [filter] = find.mock.calls[0].arguments;
+  deepStrictEqual(filter.status.$in.sort(), ['active', 'approved', 'pending']);
+  const [laboratoryScope] = filter.$and[0].$or;
+  strictEqual(String(laboratoryScope.laboratory_id), laboratoryId.toString());
+  deepStrictEqual(filter.$and[0].$or[1].computer_id.$in, computerIds);
+});
+
+test('POST /cancel-all combines date range, reservation type and user type scopes', async (t) => {
+  const facultyIds = [new mongoose.Types.ObjectId()];
+  t.mock.method(User, 'find', () => ({ select: async () => facultyIds.map(_id => ({ _id })) }));
+  const find = stubBulkMatches(t);
+
+  const response = await bulkCancel(t, {
+    date_from: '2026-11-02',
+    date_to: '2026-11-06',
+    reservation_type: 'laboratory',
+    user_type: 'faculty',
+    dry_run: true,
+  });
+  const body = await response.json();
+
+  strictEqual(response.status, 200);
+  deepStrictEqual(body.data.scope, {
+    date_from: '2026-11-02',
+    date_to: '2026-11-06',
+    reservation_type: 'laboratory',
+    user_type: 'faculty',
+  });
+  const [filter] = find.mock.calls[0].arguments;
+  strictEqual(filter.$and.length, 3);
+  deepStrictEqual(filter.$and[1], { reservation_type: 'laboratory' });
+  deepStrictEqual(filter.$and[2], { user_id: { $in: facultyIds } });
+});
+
+test('POST /cancel-all cancels the matches, frees held computers and logs the run', async (t) => {
+  const approved = ownReservation();
+  const pending = ownReservation({ _id: new mongoose.Types.ObjectId(), reservation_number: 'RSV-TEST0002', status: 'pending' });
+  stubBulkMatches(t, [approved, pending]);
+  t.mock.method(Reservation.prototype, 'save', async function () { return this; });
+  const updateComputer = t.mock.method(Computer, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const offer = t.mock.method(Waitlist, 'offerFreedSlot', async () => []);
+  const createLog = t.mock.method(Log, 'createLog', async () => null);
+
+  const response = await bulkCancel(t, { reservation_type: 'computer', reason: 'Lab renovation' });
+  const body = await response.json();
+
+  strictEqual(response.status, 200);
+  strictEqual(body.data.modified, 2);
+  strictEqual(approved.status, 'cancelled');
+  strictEqual(pending.status, 'cancelled');
+  strictEqual(approved.status_history.at(-1).reason, 'Lab renovation');
+  // Only the approved booking held its computer and a place in the schedule
+  strictEqual(updateComputer.mock.callCount(), 1);
+  strictEqual(offer.mock.calls[0].arguments[0], approved);
+  strictEqual(createLog.mock.calls[0].arguments[4].details.cancelled, 2);
+});
+
+// Pending requests for the same computer and time, and one for another computer
+const pendingRequests = () => {
+  const computerId = new mongoose.Types.ObjectId();
+  const request = (number, fields = {}) => ownReservation({
+    _id: new mongoose.Types.ObjectId(),
+    reservation_number: number,
+    reservation_date: new Date('2030-03-04T00:00:00+08:00'),
+    computer_id: computerId,
+    status: 'pending',
+    ...fields,
+  });
+  return [request('RSV-TEST0001'), request('RSV-TEST0002'), request('RSV-TEST0003', { computer_id: new mongoose.Types.ObjectId() })];
+};
+
+test('GET /moderation-queue lists pending requests that compete for the same slot', async (t) => {
+  const [first, second, other] = pendingRequests();
+  stubBookingChecks(t);
+  t.mock.method(Reservation, 'find', (filter) => (filter.status === 'pending'
+    ? { sort() { return this; }, skip() { return this; }, limit: async () => [first, second, other] }
+    : { populate() { return this; }, sort: async () => [] }));
+  t.mock.method(Reservation, 'countDocuments', async () => 3);
+  t.mock.method(Reservation, 'populate', async (reservations) => reservations);
+
+  const response = await adminRequest(t, 'GET', '/moderation-queue');
+  const { data } = await response.json();
+
+  strictEqual(response.status, 200);
+  deepStrictEqual(data.queue.map(item => item.competing_pending), [['RSV-TEST0002'], ['RSV-TEST0001'], []]);
+  strictEqual(data.pagination.totalItems, 3);
+});
+
+test('POST /moderation-queue/decisions skips approvals that conflict within the batch', async (t) => {
+  const [first, second, other] = pendingRequests();
+  const requests = [first, second, other];
+  stubBookingChecks(t);
+  t.mock.method(Reservation, 'findOne', async ({ _id }) => requests.find(request => request._id.equals(_id)) || null);
+  t.mock.method(User, 'findById', async () => null);
+
+  const response = await adminRequest(t, 'POST', '/moderation-queue/decisions', {
+    decisions: [
+      { id: first._id, action: 'approve' },
+      { id: second._id, action: 'approve' },
+      { id: other._id, action: 'reject', reason: 'Lab is booked for exams' },
+      { id: new mongoose.Types.ObjectId(), action: 'approve' },
+    ],
+  });
+  const { data } = await response.json();
+
+  strictEqual(response.status, 200);
+  deepStrictEqual(data.results.map(result => result.result), ['approved', 'conflict', 'rejected', 'not_found']);
+  deepStrictEqual(data.results[1].batch_conflicts, ['RSV-TEST0001']);
+  strictEqual(first.status, 'approved');
+  strictEqual(second.status, 'pending');
+  strictEqual(other.status, 'rejected');
+  strictEqual(other.notes, 'Reason: Lab is booked for exams');
+  deepStrictEqual(data.summary, { approved: 1, conflict: 1, rejected: 1, not_found: 1 });
+});
+
+test('POST /moderation-queue/decisions approves conflicting requests with force and skips decided ones', async (t) => {
+  const [first, second] = pendingRequests();
+  const decided = ownReservation({ _id: new mongoose.Types.ObjectId(), reservation_number: 'RSV-TEST0004' });
+  const requests = [first, second, decided];
+  stubBookingChecks(t);
+  t.mock.method(Reservation, 'findOne', async ({ _id }) => requests.find(request => request._id.equals(_id)) || null);
+  t.mock.method(User, 'findById', async () => null);
+
+  const response = await adminRequest(t, 'POST', '/moderation-queue/decisions', {
+    ids: [first._id, second._id, decided._id],
+    action: 'approve',
+    force: true,
+  });
+  const { data } = await response.json();
+
+  deepStrictEqual(data.results.map(result => result.result), ['approved', 'approved', 'skipped']);
+  strictEqual(data.results[2].message, 'Reservation is approved');
+});
+
+test('POST /moderation-queue/decisions rejects malformed decisions', async (t) => {
+  let response = await adminRequest(t, 'POST', '/moderation-queue/decisions', {});
+  strictEqual(response.status, 400);
+
+  response = await adminRequest(t, 'POST', '/moderation-queue/decisions', { ids: ['a'], action: 'archive' });
+  strictEqual(response.status, 400);
+  strictEqual((await response.json()).message, "Each decision needs an id and an action of 'approve' or 'reject'");
+});
+
+const laboratoryId = new mongoose.Types.ObjectId();
+const labComputers = ['PC-01', 'PC-02', 'PC-03', 'PC-04'].map(pc_number => ({ _id: new mongoose.Types.ObjectId(), pc_number, status: 'available' }));
+
+// A laboratory with four computers where the given ones are booked at the requested time
+const stubGroupBooking = (t, busy = []) => {
+  stubBookingChecks(t);
+  t.mock.method(Laboratory, 'findOne', async () => ({ _id: laboratoryId, name: 'Main Lab', status: 'active' }));
+  t.mock.method(Computer, 'find', (filter) => query(filter._id
+    ? labComputers.filter(computer => filter._id.$in.map(String).includes(computer._id.toString()))
+    : labComputers));
+  t.mock.method(User, 'find', () => query([]));
+  t.mock.method(Reservation, 'findOne', async () => null);
+  t.mock.method(Reservation, 'find', (filter) => {
+    const taken = busy.filter(computer => String(filter.computer_id) === String(computer._id));
+    return query(taken.map(computer => ownReservation({
+      _id: new mongoose.Types.ObjectId(),
+      reservation_date: new Date('2030-03-04T00:00:00+08:00'),
+      computer_id: computer._id,
+    })));
+  });
+  t.mock.method(Reservation, 'populate', async (reservations) => reservations);
+  t.mock.method(mongoose, 'startSession', async () => ({ withTransaction: async (work) => work(), endSession: async () => {} }));
+  t.mock.method(Computer, 'updateMany', async () => ({ modifiedCount: 2 }));
+  t.mock.method(ReservationGroup.prototype, 'save', async function () { return this; });
+  t.mock.method(ReservationGroup.prototype, 'populate', async function () { return this; });
+};
+
+const createGroup = (body) => fetch(`${baseUrl}/groups`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Cookie: `session=${session}` },
+  body: JSON.stringify({
+    laboratory_id: laboratoryId,
+    reservation_date: '2030-03-04',
+    start_time: '09:00',
+    end_time: '10:00',
+    purpose: 'Group study',
+    ...body,
+  }),
+});
+
+const seatNumbers = (data) => data.reservations.map(reservation => labComputers.find(computer => computer._id.toString() === reservation.computer_id).pc_number);
+
+test('POST /groups books a run of neighbouring free computers', async (t) => {
+  stubGroupBooking(t, [labComputers[0]]);
+
+  const response = await createGroup({ computer_count: 2 });
+  const { data } = await response.json();
+
+  strictEqual(response.status, 201);
+  deepStrictEqual(seatNumbers(data), ['PC-02', 'PC-03']);
+  strictEqual(data.adjacent, true);
+  strictEqual(data.group.status, 'pending');
+  ok(data.reservations.every(reservation => reservation.group_id === data.group.id));
+});
+
+test('POST /groups falls back to free computers that are not neighbours', async (t) => {
+  stubGroupBooking(t, [labComputers[1], labComputers[3]]);
+
+  const response = await createGroup({ computer_count: 2 });
+  const { data } = await response.json();
+
+  strictEqual(response.status, 201);
+  deepStrictEqual(seatNumbers(data), ['PC-01', 'PC-03']);
+  strictEqual(data.adjacent, false);
+});
+
+test('POST /groups books nothing when a requested computer is taken', async (t) => {
+  stubGroupBooking(t, [labComputers[2]]);
+  const save = t.mock.method(Reservation.prototype, 'save', async function () { return this; });
+
+  const response = await createGroup({ computer_ids: labComputers.slice(1, 3).map(computer => computer._id) });
+  const body = await response.json();
+
+  strictEqual(response.status, 409);
+  deepStrictEqual(body.seat_conflicts.map(conflict => conflict.pc_number), ['PC-03']);
+  strictEqual(save.mock.callCount(), 0);
+});
+
+test('POST /groups counts every seat against the organizer\'s booking limits', async (t) => {
+  stubGroupBooking(t);
+  BookingPolicy.findApplicable.mock.mockImplementation(async () => [{
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Student limits',
+    max_active_reservations: 2,
+  }]);
+  t.mock.method(Reservation, 'countDocuments', async () => 0);
+  t.mock.method(Reservation, 'aggregate', async () => []);
+
+  const response = await createGroup({ computer_count: 3 });
+  const body = await response.json();
+
+  strictEqual(response.status, 403);
+  strictEqual(body.policy_violation.rule, 'max_active_reservations');
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import { deepStrictEqual, ok, strictEqual, throws } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Reservation from '../models/Reservation.js';
+import {
+  canTransition,
+  getAllowedTransitions,
+  getStatusesTransitionableTo,
+  InvalidTransitionError,
+  RESERVATION_STATUSES,
+  RESERVATION_TRANSITIONS,
+} from '../utils/reservationStateMachine.js';
+
+test('every status has a transition list that only names known statuses', () => {
+  deepStrictEqual(Object.keys(RESERVATION_TRANSITIONS).sort(), [...RESERVATION_STATUSES].sort());
+  for (const targets of Object.values(RESERVATION_TRANSITIONS)) {
+    ok(targets.every(status => RESERVATION_STATUSES.includes(status)));
+  }
+});
+
+test('terminal statuses cannot change', () => {
+  for (const status of ['rejected', 'completed', 'cancelled', 'no_show']) {
+    deepStrictEqual(getAllowedTransitions(status), []);
+  }
+  ok(!canTransition('completed', 'active'));
+  ok(!canTransition('unknown', 'approved'));
+});
+
+test('approved reservations can go back to pending for re-approval', () => {
+  ok(canTransition('pending', 'approved'));
+  ok(canTransition('approved', 'pending'));
+  ok(!canTransition('pending', 'active'));
+});
+
+test('only active reservations can complete', () => {
+  ok(!canTransition('approved', 'completed'));
+  deepStrictEqual(getStatusesTransitionableTo('completed'), ['active']);
+});
+
+test('getStatusesTransitionableTo lists the statuses that can reach a status', () => {
+  deepStrictEqual(getStatusesTransitionableTo('cancelled').sort(), ['active', 'approved', 'pending']);
+  deepStrictEqual(getStatusesTransitionableTo('no_show'), ['approved']);
+});
+
+test('getAllowedTransitions returns a copy', () => {
+  getAllowedTransitions('pending').push('completed');
+  ok(!canTransition('pending', 'completed'));
+});
+
+test('transitionTo records the change in the status history', () => {
+  const adminId = new mongoose.Types.ObjectId();
+  const reservation = new Reservation({ status: 'pending' });
+  reservation.transitionTo('approved', { changedBy: adminId, changedByType: 'admin', reason: '  Looks good  ' });
+
+  strictEqual(reservation.status, 'approved');
+  const [entry] = reservation.status_history;
+  strictEqual(entry.from, 'pending');
+  strictEqual(entry.to, 'approved');
+  strictEqual(entry.changed_by.toString(), adminId.toString());
+  strictEqual(entry.changed_by_type, 'admin');
+  strictEqual(entry.reason, 'Looks good');
+});
+
+test('transitionTo rejects transitions the state machine does not allow', () => {
+  const reservation = new Reservation({ status: 'completed' });
+  throws(() => reservation.transitionTo('approved'), InvalidTransitionError);
+  strictEqual(reservation.status, 'completed');
+  strictEqual(reservation.status_history.length, 0);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import { deepStrictEqual, rejects, strictEqual } from 'node:assert/strict';
+import { checkReservationConflicts } from '../utils/reservations.js';
+import { splitByTZDay } from '../utils/timezone.js';
+
+test('splitByTZDay keeps a same-day window in one segment', () => {
+  const segments = splitByTZDay(new Date('2026-11-02T09:00:00+08:00'), new Date('2026-11-02T11:30:00+08:00'));
+  strictEqual(segments.length, 1);
+  strictEqual(segments[0].dateString, '2026-11-02');
+  strictEqual(segments[0].startMinutes, 9 * 60);
+  strictEqual(segments[0].endMinutes, 11 * 60 + 30);
+});
+
+test('splitByTZDay splits a cross-midnight window at midnight', () => {
+  const segments = splitByTZDay(new Date('2026-11-02T22:00:00+08:00'), new Date('2026-11-03T02:00:00+08:00'));
+  deepStrictEqual(segments.map(({ dateString, startMinutes, endMinutes }) => [dateString, startMinutes, endMinutes]), [
+    ['2026-11-02', 22 * 60, 24 * 60],
+    ['2026-11-03', 0, 2 * 60],
+  ]);
+  strictEqual(segments[1].date.getTime(), new Date('2026-11-03T00:00:00+08:00').getTime());
+});
+
+test('splitByTZDay covers whole days of a multi-day window', () => {
+  const segments = splitByTZDay(new Date('2026-11-02T08:00:00+08:00'), new Date('2026-11-04T17:00:00+08:00'));
+  deepStrictEqual(segments.map(segment => segment.dateString), ['2026-11-02', '2026-11-03', '2026-11-04']);
+  deepStrictEqual([segments[1].startMinutes, segments[1].endMinutes], [0, 24 * 60]);
+});
+
+test('splitByTZDay returns no segments for an empty window', () => {
+  const at = new Date('2026-11-02T09:00:00+08:00');
+  deepStrictEqual(splitByTZDay(at, at), []);
+});
+
+test('checkReservationConflicts rejects windows without a positive duration or a valid start', async () => {
+  const date = new Date('2026-11-02T00:00:00+08:00');
+  for (const duration of [0, -30, NaN]) {
+    await rejects(checkReservationConflicts(date, '09:00', duration, 'computer'), { httpStatus: 400 });
+  }
+  await rejects(checkReservationConflicts(new Date('not a date'), '09:00', 60, 'computer'), { httpStatus: 400 });
+});
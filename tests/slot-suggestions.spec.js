@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { deepStrictEqual, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Closure from '../models/Closure.js';
+import Computer from '../models/Computer.js';
+import Laboratory from '../models/Laboratory.js';
+import Reservation from '../models/Reservation.js';
+import SubjectScheduler from '../models/SubjectScheduler.js';
+import SystemDefaults from '../models/SystemDefaults.js';
+import { suggestAlternativeSlots } from '../utils/slotSuggestions.js';
+
+const reservationDate = new Date('2030-03-04T00:00:00+08:00');
+const homeLaboratoryId = new mongoose.Types.ObjectId();
+const busyComputerId = new mongoose.Types.ObjectId();
+
+// Query stand-in for chained find() calls
+const query = (result) => ({
+  populate() { return this; },
+  select() { return this; },
+  sort() { return this; },
+  limit() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+});
+
+// The home laboratory and the busy computer are booked from 10:00 to 11:00
+const booking = (fields) => new Reservation({
+  reservation_date: reservationDate,
+  start_time: '10:00',
+  end_time: '11:00',
+  duration: 60,
+  status: 'approved',
+  ...fields,
+});
+
+beforeEach(() => {
+  mock.method(SystemDefaults, 'getCurrent', async () => ({ operation_hours: '08:00 - 17:00' }));
+  mock.method(Laboratory, 'findById', () => query(null));
+  mock.method(SubjectScheduler, 'find', async () => []);
+  mock.method(Closure, 'findOverlapping', async () => []);
+  mock.method(Reservation, 'find', (filter) => {
+    if (String(filter.laboratory_id) === String(homeLaboratoryId)) {
+      return query([booking({ reservation_type: 'laboratory', laboratory_id: homeLaboratoryId })]);
+    }
+    if (String(filter.computer_id) === String(busyComputerId)) {
+      return query([booking({ reservation_type: 'computer', computer_id: busyComputerId })]);
+    }
+    return query([]);
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const startTimes = (suggestions) => suggestions.map(suggestion => suggestion.start_time);
+
+test('same resource suggestions are the free windows nearest to the requested start', async () => {
+  mock.method(Laboratory, 'find', () => query([]));
+
+  const suggestions = await suggestAlternativeSlots({
+    reservationType: 'laboratory',
+    reservationDate,
+    startTime: '10:00',
+    duration: 60,
+    laboratoryId: homeLaboratoryId,
+  });
+
+  deepStrictEqual(startTimes(suggestions.same_resource), ['09:00', '11:00', '08:30']);
+  strictEqual(suggestions.same_resource[0].end_time, '10:00');
+});
+
+test('other laboratories free at the requested time are suggested in name order', async () => {
+  const annex = { _id: new mongoose.Types.ObjectId(), name: 'Annex Lab' };
+  const main = { _id: new mongoose.Types.ObjectId(), name: 'Main Lab' };
+  mock.method(Laboratory, 'find', () => query([annex, main]));
+
+  const suggestions = await suggestAlternativeSlots({
+    reservationType: 'laboratory',
+    reservationDate,
+    startTime: '10:00',
+    duration: 60,
+    laboratoryId: homeLaboratoryId,
+    limit: 1,
+  });
+
+  deepStrictEqual(startTimes(suggestions.same_resource), ['09:00']);
+  deepStrictEqual(suggestions.other_laboratories.map(suggestion => suggestion.laboratory_name), ['Annex Lab']);
+  deepStrictEqual(startTimes(suggestions.other_laboratories), ['10:00']);
+});
+
+test('computer requests suggest free computers in the same laboratory', async () => {
+  const nextComputer = { _id: new mongoose.Types.ObjectId(), pc_number: 'PC-02' };
+  const otherLaboratoryId = new mongoose.Types.ObjectId();
+  mock.method(Computer, 'findOne', () => query({ laboratory_id: otherLaboratoryId }));
+  mock.method(Computer, 'findById', () => query({ laboratory_id: otherLaboratoryId }));
+  mock.method(Computer, 'find', () => query([nextComputer]));
+  mock.method(Laboratory, 'find', () => query([]));
+
+  const suggestions = await suggestAlternativeSlots({
+    reservationType: 'computer',
+    reservationDate,
+    startTime: '10:00',
+    duration: 60,
+    computerId: busyComputerId,
+  });
+
+  deepStrictEqual(startTimes(suggestions.same_resource), ['09:00', '11:00', '08:30']);
+  deepStrictEqual(suggestions.same_laboratory.map(suggestion => suggestion.pc_number), ['PC-02']);
+  deepStrictEqual(Computer.find.mock.calls[0].arguments[0]._id, { $ne: busyComputerId });
+});
+
+test('nothing is suggested for an unknown computer or an invalid window', async () => {
+  const empty = { same_resource: [], same_laboratory: [], other_laboratories: [] };
+  mock.method(Computer, 'findOne', () => query(null));
+
+  deepStrictEqual(await suggestAlternativeSlots({
+    reservationType: 'computer',
+    reservationDate,
+    startTime: '10:00',
+    duration: 60,
+    computerId: new mongoose.Types.ObjectId(),
+  }), empty);
+  deepStrictEqual(await suggestAlternativeSlots({
+    reservationType: 'laboratory',
+    reservationDate: 'soon',
+    startTime: '10:00',
+    duration: 60,
+    laboratoryId: homeLaboratoryId,
+  }), empty);
+});
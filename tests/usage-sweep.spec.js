@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { deepStrictEqual, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Reservation from '../models/Reservation.js';
+import SystemDefaults from '../models/SystemDefaults.js';
+import UsageHistory from '../models/UsageHistory.js';
+import User from '../models/User.js';
+
+const at = (time) => new Date(`2026-11-02T${time}:00+08:00`);
+
+const reservation = new Reservation({
+  user_id: new mongoose.Types.ObjectId(),
+  reservation_number: 'RSV-TEST0001',
+  reservation_type: 'computer',
+  computer_id: new mongoose.Types.ObjectId(),
+  reservation_date: new Date('2026-11-02T00:00:00+08:00'),
+  start_time: '09:00',
+  end_time: '10:00',
+  duration: 60,
+  purpose: 'Thesis work',
+  status: 'active',
+});
+
+const session = (startedAt, fields = {}) => {
+  const usage = new UsageHistory({
+    user_id: reservation.user_id,
+    date: startedAt,
+    time_in: '09:00',
+    started_at: startedAt,
+    purpose: 'Thesis work',
+    approved_by: new mongoose.Types.ObjectId(),
+    status: 'active',
+    ...fields,
+  });
+  usage.reservation_id = reservation;
+  return usage;
+};
+
+// Sessions as loaded by sweepActiveSessions, with their reservation populated
+const stubSessions = (sessions) => {
+  mock.method(UsageHistory, 'find', () => ({ populate: async () => sessions }));
+};
+
+const stubRemainingTime = (remainingTime) => {
+  mock.method(User, 'findById', () => ({ select: async () => ({ remaining_time: remainingTime }) }));
+};
+
+beforeEach(() => {
+  mock.method(SystemDefaults, 'getCurrent', async () => ({ session_overtime_grace_minutes: 15 }));
+  mock.method(UsageHistory.prototype, 'save', async function () { return this; });
+  mock.method(UsageHistory, 'closeSession', async (usage) => usage);
+  stubRemainingTime(null);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('sessions past the reservation end are flagged as overtime within the grace period', async () => {
+  const open = session(at('09:00'));
+  stubSessions([open]);
+
+  const result = await UsageHistory.sweepActiveSessions(at('10:05'));
+
+  deepStrictEqual(result.overtime, [open]);
+  deepStrictEqual(result.interrupted, []);
+  strictEqual(open.status, 'overtime');
+  strictEqual(UsageHistory.prototype.save.mock.callCount(), 1);
+  strictEqual(UsageHistory.closeSession.mock.callCount(), 0);
+});
+
+test('overtime sessions are not saved again while still within the grace period', async () => {
+  stubSessions([session(at('09:00'), { status: 'overtime' })]);
+
+  const result = await UsageHistory.sweepActiveSessions(at('10:10'));
+
+  deepStrictEqual(result.overtime, []);
+  strictEqual(UsageHistory.prototype.save.mock.callCount(), 0);
+});
+
+test('sessions past the grace period are ended as interrupted at the reserved end', async () => {
+  const open = session(at('09:00'), { status: 'overtime' });
+  stubSessions([open]);
+
+  const result = await UsageHistory.sweepActiveSessions(at('10:16'));
+
+  deepStrictEqual(result.interrupted, [open]);
+  const [closed, options] = UsageHistory.closeSession.mock.calls[0].arguments;
+  strictEqual(closed, open);
+  strictEqual(options.status, 'interrupted');
+  strictEqual(options.ended_at.getTime(), at('10:00').getTime());
+  strictEqual(options.time_out, '10:00');
+  strictEqual(options.notes, '[Auto-ended: session exceeded reservation end time]');
+});
+
+test('sessions started after the reservation ended are charged one minute', async () => {
+  stubSessions([session(at('10:05'), { time_in: '10:05' })]);
+
+  await UsageHistory.sweepActiveSessions(at('10:30'));
+
+  const [, options] = UsageHistory.closeSession.mock.calls[0].arguments;
+  strictEqual(options.ended_at.getTime(), at('10:06').getTime());
+});
+
+test('sessions within the reservation end when the remaining time runs out', async () => {
+  const open = session(at('09:00'));
+  stubSessions([open]);
+  stubRemainingTime('00:30:00');
+
+  const result = await UsageHistory.sweepActiveSessions(at('09:45'));
+
+  deepStrictEqual(result.exhausted, [open]);
+  const [, options] = UsageHistory.closeSession.mock.calls[0].arguments;
+  strictEqual(options.ended_at.getTime(), at('09:30').getTime());
+  strictEqual(options.notes, '[Auto-ended: remaining time used up]');
+});
+
+test('sessions within the reservation and the remaining time are left alone', async () => {
+  stubSessions([session(at('09:00'))]);
+  stubRemainingTime('02:00:00');
+
+  const result = await UsageHistory.sweepActiveSessions(at('09:45'));
+
+  deepStrictEqual(result, { overtime: [], interrupted: [], exhausted: [], graceMinutes: 15 });
+  strictEqual(UsageHistory.closeSession.mock.callCount(), 0);
+});
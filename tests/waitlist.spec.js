@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { deepStrictEqual, ok, strictEqual } from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// The mailer needs an API key to load; without one at send time offer emails fail and are only logged
+process.env.RESEND_API_KEY ||= 're_test';
+const { default: Closure } = await import('../models/Closure.js');
+const { default: Computer } = await import('../models/Computer.js');
+const { default: Reservation } = await import('../models/Reservation.js');
+const { default: SubjectScheduler } = await import('../models/SubjectScheduler.js');
+const { default: Waitlist } = await import('../models/Waitlist.js');
+delete process.env.RESEND_API_KEY;
+
+const computerId = new mongoose.Types.ObjectId();
+const reservationDate = new Date('2030-03-04T00:00:00+08:00');
+
+// Query stand-in for chained find() calls
+const query = (result) => ({
+  populate() { return this; },
+  select() { return this; },
+  sort() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+});
+
+let queued = 0;
+const entry = (startTime, endTime, fields = {}) => {
+  queued += 1;
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    user_id: { firstname: 'Ana', lastname: 'Cruz', email: `user${queued}@example.com`, status: 'active', isDeleted: false },
+    reservation_type: 'computer',
+    computer_id: computerId,
+    laboratory_id: null,
+    reservation_date: reservationDate,
+    start_time: startTime,
+    end_time: endTime,
+    duration: 60,
+    purpose: 'Thesis work',
+    status: 'waiting',
+    createdAt: new Date(Date.UTC(2030, 0, 1, 0, queued)),
+    save: mock.fn(async function () { return this; }),
+    ...fields,
+  };
+};
+
+// Waiting entries come from the first find, offers already out from the second
+const stubWaitlist = ({ waiting = [], offered = [] }) => {
+  mock.method(Waitlist, 'find', (filter) => (filter.status === 'waiting' ? query(waiting) : query(offered)));
+};
+
+beforeEach(() => {
+  mock.method(Reservation, 'find', () => query([]));
+  mock.method(SubjectScheduler, 'find', async () => []);
+  mock.method(Closure, 'findOverlapping', async () => []);
+  mock.method(Computer, 'findById', () => query({ laboratory_id: new mongoose.Types.ObjectId() }));
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+const freedSlot = { reservation_type: 'computer', computer_id: computerId, reservation_date: reservationDate, start_time: '09:00', end_time: '11:00', duration: 120 };
+
+test('offerFreedSlot offers a freed slot to the earliest queued entry first', async () => {
+  const first = entry('09:00', '10:00');
+  const second = entry('09:30', '10:30');
+  stubWaitlist({ waiting: [first, second] });
+
+  const offered = await Waitlist.offerFreedSlot(freedSlot);
+
+  deepStrictEqual(offered, [first]);
+  strictEqual(first.status, 'offered');
+  strictEqual(second.status, 'waiting');
+});
+
+test('offerFreedSlot queries waiting entries in FIFO order', async () => {
+  stubWaitlist({ waiting: [] });
+  const sort = mock.fn(function () { return this; });
+  Waitlist.find.mock.mockImplementation((filter) => ({ ...query([]), sort }));
+
+  await Waitlist.offerFreedSlot(freedSlot);
+
+  deepStrictEqual(sort.mock.calls[0].arguments, [{ createdAt: 1 }]);
+});
+
+test('offerFreedSlot offers non-overlapping entries of the same slot together', async () => {
+  const morning = entry('09:00', '10:00');
+  const later = entry('10:00', '11:00');
+  stubWaitlist({ waiting: [morning, later] });
+
+  const offered = await Waitlist.offerFreedSlot(freedSlot);
+
+  deepStrictEqual(offered, [morning, later]);
+});
+
+test('offerFreedSlot skips suspended users, windows held by offers and conflicting windows', async () => {
+  const suspended = entry('09:00', '10:00');
+  suspended.user_id.status = 'suspended';
+  const held = entry('10:00', '11:00');
+  const outsideSlot = entry('12:00', '13:00');
+  stubWaitlist({ waiting: [suspended, held, outsideSlot], offered: [entry('10:00', '11:00', { status: 'offered' })] });
+
+  deepStrictEqual(await Waitlist.offerFreedSlot(freedSlot), []);
+
+  const free = entry('09:00', '10:00');
+  stubWaitlist({ waiting: [free] });
+  Reservation.find.mock.mockImplementation(() => query([new Reservation({
+    reservation_type: 'computer',
+    computer_id: computerId,
+    reservation_date: reservationDate,
+    start_time: '09:00',
+    end_time: '10:00',
+    duration: 60,
+    status: 'approved',
+  })]));
+
+  deepStrictEqual(await Waitlist.offerFreedSlot(freedSlot), []);
+  strictEqual(free.status, 'waiting');
+});
+
+test('offerFreedSlot gives the offered user 30 minutes to claim', async () => {
+  const first = entry('09:00', '10:00');
+  stubWaitlist({ waiting: [first] });
+
+  const before = Date.now();
+  await Waitlist.offerFreedSlot(freedSlot);
+
+  strictEqual(first.claim_deadline.getTime() - first.offered_at.getTime(), 30 * 60 * 1000);
+  ok(first.offered_at.getTime() >= before);
+  strictEqual(first.save.mock.callCount(), 1);
+});
+
+test('expireStaleOffers expires offers past their deadline and passes the slot on', async () => {
+  const stale = entry('09:00', '10:00', { status: 'offered', claim_deadline: new Date('2030-03-03T00:00:00Z') });
+  const next = entry('09:00', '10:00');
+  mock.method(Waitlist, 'find', async () => [stale]);
+  mock.method(Waitlist, 'offerFreedSlot', async () => [next]);
+
+  const now = new Date('2030-03-03T01:00:00Z');
+  const result = await Waitlist.expireStaleOffers(now);
+
+  deepStrictEqual(result, { expired: 1, reoffered: 1 });
+  strictEqual(stale.status, 'expired');
+  deepStrictEqual(Waitlist.find.mock.calls[0].arguments[0].claim_deadline, { $lt: now });
+  strictEqual(Waitlist.offerFreedSlot.mock.calls[0].arguments[0], stale);
+});
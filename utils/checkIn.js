@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import Reservation from "../models/Reservation.js";
+
+// A check-in code becomes valid this long before the reservation starts and expires when it ends
+export const CHECK_IN_EARLY_MINUTES = 15;
+const TOKEN_TYPE = "check_in";
+const CHECKABLE_STATUSES = ["approved", "active"];
+
+// Check-in codes are printed and scanned by anyone, so they are signed with their own key:
+// CHECK_IN_SECRET when set, otherwise a key derived from JWT_SECRET for this purpose only.
+// A leaked check-in code can then never be passed off as a login token or the other way round.
+const getSigningKey = () => process.env.CHECK_IN_SECRET
+  || crypto.createHmac("sha256", process.env.JWT_SECRET).update("check-in").digest("hex");
+
+// Window in which a reservation's check-in code can be used
+export const getCheckInWindow = (reservation) => {
+  const { startAt, endAt } = reservation.getWindow();
+  return {
+    validFrom: new Date(startAt.getTime() - CHECK_IN_EARLY_MINUTES * 60 * 1000),
+    expiresAt: endAt,
+  };
+};
+
+/**
+ * Signed check-in token for an approved reservation, or null for other statuses.
+ * The token carries the scheduled start so it stops working once the reservation is rescheduled.
+ */
+export const createCheckInToken = (reservation) => {
+  if (!CHECKABLE_STATUSES.includes(reservation.status)) return null;
+
+  const { startAt } = reservation.getWindow();
+  const { validFrom, expiresAt } = getCheckInWindow(reservation);
+  const token = jwt.sign(
+    {
+      typ: TOKEN_TYPE,
+      rid: reservation._id.toString(),
+      start: startAt.getTime(),
+      nbf: Math.floor(validFrom.getTime() / 1000),
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    },
+    getSigningKey()
+  );
+
+  return { token, valid_from: validFrom, expires_at: expiresAt };
+};
+
+// QR code of a check-in token, as an SVG string or a PNG buffer
+export const renderCheckInQR = (token, format = "svg") => {
+  if (format === "png") {
+    return QRCode.toBuffer(token, { type: "png", margin: 1, width: 320 });
+  }
+  return QRCode.toString(token, { type: "svg", margin: 1 });
+};
+
+// Check-in details for API responses, with the QR code as an SVG
+export const getCheckInDetails = async (reservation) => {
+  const checkIn = createCheckInToken(reservation);
+  if (!checkIn) return null;
+  return { ...checkIn, qr_svg: await renderCheckInQR(checkIn.token, "svg") };
+};
+
+/**
+ * Resolve a scanned check-in token to its reservation.
+ * Returns { reservation } or { error, status } with the HTTP status to answer with.
+ */
+export const verifyCheckInToken = async (token) => {
+  if (!token || typeof token !== "string") {
+    return { error: "Check-in token is required", status: 400 };
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token.trim(), getSigningKey());
+  } catch (error) {
+    if (error.name === "NotBeforeError") {
+      return { error: `Check-in opens ${CHECK_IN_EARLY_MINUTES} minutes before the reservation starts`, status: 400 };
+    }
+    if (error.name === "TokenExpiredError") {
+      return { error: "Check-in code has expired", status: 400 };
+    }
+    return { error: "Invalid check-in code", status: 400 };
+  }
+
+  if (payload.typ !== TOKEN_TYPE || !payload.rid) {
+    return { error: "Invalid check-in code", status: 400 };
+  }
+
+  const reservation = await Reservation.findOne({ _id: payload.rid, isDeleted: false });
+  if (!reservation) {
+    return { error: "Reservation not found", status: 404 };
+  }
+
+  if (reservation.getWindow().startAt.getTime() !== payload.start) {
+    return { error: "Check-in code is no longer valid because the reservation was rescheduled", status: 400 };
+  }
+
+  if (!CHECKABLE_STATUSES.includes(reservation.status)) {
+    return { error: `Reservation is ${reservation.status} and cannot be checked in`, status: 400 };
+  }
+
+  return { reservation };
+};
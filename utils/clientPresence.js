@@ -0,0 +1,93 @@
+import Admin from "../models/Admin.js";
+import Computer from "../models/Computer.js";
+import Laboratory from "../models/Laboratory.js";
+import SystemDefaults from "../models/SystemDefaults.js";
+import sendMail from "./mailer.js";
+import { APP_TIMEZONE } from "./timezone.js";
+
+const DEFAULT_CLIENT_OFFLINE_MINUTES = 3;
+const DEFAULT_OFFLINE_ALERT_THRESHOLD = 5;
+
+// Minutes of silence after which a client is considered offline
+export const getClientOfflineMinutes = async () => {
+  const defaults = await SystemDefaults.getCurrent();
+  return defaults?.client_offline_minutes ?? DEFAULT_CLIENT_OFFLINE_MINUTES;
+};
+
+const sendOfflineAlert = async (laboratory, offline, now) => {
+  const admins = await Admin.find({ status: "active" }).select("email");
+  const emails = admins.map(admin => admin.email).filter(Boolean);
+  if (emails.length === 0) return false;
+
+  const html = `<p>${offline.length} computers in <b>${laboratory.name}</b> have stopped reporting to the server.</p>
+      <ul>
+        ${offline.map(computer => `<li><b>${computer.pc_number}</b> - last seen ${computer.last_seen_at ? computer.last_seen_at.toLocaleString("en-US", { timeZone: APP_TIMEZONE }) : 'never'}</li>`).join('')}
+      </ul>
+      <p>Please check the network and power in the laboratory. Checked at ${now.toLocaleString("en-US", { timeZone: APP_TIMEZONE })}.</p>
+    `;
+  await sendMail(emails, `${laboratory.name}: ${offline.length} computers offline`, html);
+  return true;
+};
+
+/**
+ * Mark computers whose client stopped sending heartbeats as offline, then email admins about
+ * laboratories where at least offline_alert_threshold computers are offline. Each laboratory
+ * is alerted once until enough of its computers are back online.
+ */
+export const sweepClientPresence = async (date = new Date()) => {
+  const now = new Date(date);
+  const defaults = await SystemDefaults.getCurrent();
+  const offlineMinutes = defaults?.client_offline_minutes ?? DEFAULT_CLIENT_OFFLINE_MINUTES;
+  const threshold = defaults ? defaults.offline_alert_threshold : DEFAULT_OFFLINE_ALERT_THRESHOLD;
+  const cutoff = new Date(now.getTime() - offlineMinutes * 60 * 1000);
+
+  const stale = await Computer.find({
+    isDeleted: false,
+    "presence.status": "online",
+    "presence.last_seen_at": { $lt: cutoff },
+  }).select("pc_number laboratory_id");
+
+  if (stale.length > 0) {
+    // Re-check the cutoff so a heartbeat that arrived meanwhile is kept
+    await Computer.updateMany(
+      { _id: { $in: stale.map(computer => computer._id) }, "presence.last_seen_at": { $lt: cutoff } },
+      { $set: { "presence.status": "offline" } }
+    );
+  }
+
+  const offlineByLaboratory = await Computer.aggregate([
+    { $match: { isDeleted: false, "presence.status": "offline" } },
+    { $sort: { pc_number: 1 } },
+    {
+      $group: {
+        _id: "$laboratory_id",
+        computers: { $push: { pc_number: "$pc_number", last_seen_at: "$presence.last_seen_at" } },
+      },
+    },
+  ]);
+  const offlineMap = new Map(offlineByLaboratory.map(entry => [entry._id.toString(), entry.computers]));
+
+  const alerts = [];
+  const laboratories = await Laboratory.find({ isDeleted: false }).select("name offline_alert_sent_at");
+  for (const laboratory of laboratories) {
+    const offline = offlineMap.get(laboratory._id.toString()) || [];
+    const overThreshold = Boolean(threshold) && offline.length >= threshold;
+
+    if (overThreshold && !laboratory.offline_alert_sent_at) {
+      try {
+        if (await sendOfflineAlert(laboratory, offline, now)) {
+          laboratory.offline_alert_sent_at = now;
+          await laboratory.save();
+          alerts.push({ laboratory_id: laboratory._id, laboratory_name: laboratory.name, offline: offline.length });
+        }
+      } catch (mailError) {
+        console.error("Failed to send offline computers alert:", mailError);
+      }
+    } else if (!overThreshold && laboratory.offline_alert_sent_at) {
+      laboratory.offline_alert_sent_at = null;
+      await laboratory.save();
+    }
+  }
+
+  return { marked: stale, offlineMinutes, alerts };
+};
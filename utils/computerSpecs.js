@@ -0,0 +1,120 @@
+// Hardware and software specs of lab computers, as reported by the client agent and
+// overridden by admins. The effective specs (override, else reported) are what search uses.
+const TEXT_FIELDS = ["cpu", "gpu", "os"];
+const NUMBER_FIELDS = ["ram_gb", "storage_gb"];
+const LIST_FIELDS = ["software", "peripherals"];
+export const SPEC_FIELDS = [...TEXT_FIELDS, ...NUMBER_FIELDS, ...LIST_FIELDS];
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_LIST_ITEMS = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const containsIgnoreCase = (value) => new RegExp(escapeRegex(value), "i");
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(","))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Clean up specs sent by a client or an admin. Unknown fields are ignored; with allowNull,
+ * null is kept so an admin can clear an override.
+ * Returns { specs } or { error }.
+ */
+export const normalizeSpecs = (input, { allowNull = false } = {}) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "specs must be an object" };
+  }
+
+  const specs = {};
+  for (const field of SPEC_FIELDS) {
+    const value = input[field];
+    if (value === undefined) continue;
+    if (value === null) {
+      if (!allowNull) continue;
+      specs[field] = null;
+      continue;
+    }
+
+    if (TEXT_FIELDS.includes(field)) {
+      specs[field] = String(value).trim().slice(0, MAX_TEXT_LENGTH) || null;
+    } else if (NUMBER_FIELDS.includes(field)) {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        return { error: `${field} must be a non-negative number` };
+      }
+      specs[field] = number;
+    } else {
+      const items = splitList(value).map(item => item.slice(0, MAX_TEXT_LENGTH));
+      if (items.length > MAX_LIST_ITEMS) {
+        return { error: `${field} can list at most ${MAX_LIST_ITEMS} items` };
+      }
+      // Drop duplicates regardless of case, keeping the first spelling
+      const seen = new Set();
+      specs[field] = items.filter(item => !seen.has(item.toLowerCase()) && seen.add(item.toLowerCase()));
+    }
+  }
+
+  return { specs };
+};
+
+// Effective specs: each admin override wins over the value the client reported
+export const mergeSpecs = (reported = {}, overrides = {}) => {
+  const merged = {};
+  for (const field of SPEC_FIELDS) {
+    const override = overrides?.[field];
+    const hasOverride = override !== undefined && override !== null;
+    merged[field] = hasOverride ? override : (reported?.[field] ?? (LIST_FIELDS.includes(field) ? [] : null));
+  }
+  return merged;
+};
+
+/**
+ * Computer filter for spec search query parameters:
+ * cpu, gpu, os (text contains), min_ram_gb, min_storage_gb, and software, peripherals
+ * (comma-separated; every item must be present). Returns { filter } or { error }.
+ */
+export const buildSpecFilter = (query = {}) => {
+  const filter = {};
+
+  for (const field of TEXT_FIELDS) {
+    if (query[field]) filter[`specs.${field}`] = containsIgnoreCase(String(query[field]).trim());
+  }
+
+  for (const field of NUMBER_FIELDS) {
+    const param = `min_${field}`;
+    if (query[param] === undefined || query[param] === "") continue;
+    const minimum = Number(query[param]);
+    if (!Number.isFinite(minimum) || minimum < 0) {
+      return { error: `${param} must be a non-negative number` };
+    }
+    filter[`specs.${field}`] = { $gte: minimum };
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (!query[field]) continue;
+    const items = splitList(query[field]);
+    if (items.length > 0) filter[`specs.${field}`] = { $all: items.map(containsIgnoreCase) };
+  }
+
+  return { filter };
+};
+
+/**
+ * Whether a computer can stand in for another: at least the same memory and storage, and every
+ * software package and peripheral of the original. Unknown values on the original are not required;
+ * cpu, gpu and os are not compared since their names vary too much between reports.
+ */
+export const meetsSpecs = (specs = {}, required = {}) => {
+  for (const field of NUMBER_FIELDS) {
+    const minimum = required?.[field];
+    if (minimum === null || minimum === undefined) continue;
+    if (!(Number(specs?.[field]) >= minimum)) return false;
+  }
+
+  for (const field of LIST_FIELDS) {
+    const available = new Set((specs?.[field] || []).map(item => item.toLowerCase()));
+    if (!(required?.[field] || []).every(item => available.has(item.toLowerCase()))) return false;
+  }
+
+  return true;
+};
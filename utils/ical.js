@@ -0,0 +1,158 @@
+import { APP_TIMEZONE, getTZDateString, getTZParts } from "./timezone.js";
+
+const PRODID = "-//NextLib//Laboratory Reservations//EN";
+
+// Reservation statuses mapped to iCalendar event statuses
+const EVENT_STATUS = {
+  pending: "TENTATIVE",
+  approved: "CONFIRMED",
+  active: "CONFIRMED",
+  completed: "CONFIRMED",
+  cancelled: "CANCELLED",
+  no_show: "CANCELLED",
+};
+
+const escapeText = (value) => String(value ?? "")
+  .replace(/\\/g, "\\\\")
+  .replace(/\r?\n/g, "\\n")
+  .replace(/([,;])/g, "\\$1");
+
+// Lines longer than 75 octets are folded onto continuation lines (RFC 5545 3.1)
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const formatUTC = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Local date-time in APP_TIMEZONE, e.g. 20250301T133000
+const formatLocal = (date, time) => `${getTZDateString(new Date(date)).replace(/-/g, "")}T${time.replace(":", "").padStart(4, "0")}00`;
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(abs % 60).padStart(2, "0")}`;
+};
+
+// Describes APP_TIMEZONE with its current UTC offset. Calendar clients that know
+// the zone by TZID use their own rules; the offset is a fallback for those that do not.
+const buildTimezone = (now = new Date()) => {
+  const { year, month, day, hour, minute, second } = getTZParts(now);
+  const offsetMinutes = Math.round((Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(now.getTime() / 1000) * 1000) / 60000);
+  const offset = formatOffset(offsetMinutes);
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${APP_TIMEZONE}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    `TZNAME:UTC${offset}`,
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+};
+
+const buildEvent = (event, stamp) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${APP_TIMEZONE}:${formatLocal(event.date, event.start_time)}`,
+    `DTEND;TZID=${APP_TIMEZONE}:${formatLocal(event.end_date || event.date, event.end_time)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatUTC(event.updated_at)}`);
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Render events as an iCalendar document.
+ * Each event needs uid, summary, date, start_time and end_time ("HH:MM" in APP_TIMEZONE);
+ * description, location, status, end_date and updated_at are optional.
+ */
+export function buildCalendar({ name, events = [], method = "PUBLISH" }) {
+  const stamp = formatUTC(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${APP_TIMEZONE}`,
+    ...buildTimezone(),
+    ...events.flatMap(event => buildEvent(event, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Event for a reservation; computer and laboratory references may be populated
+export function reservationToEvent(reservation) {
+  const window = reservation.getWindow?.();
+  const computer = reservation.computer_id;
+  const laboratory = reservation.laboratory_id?.name ? reservation.laboratory_id : computer?.laboratory_id;
+  const target = reservation.reservation_type === "laboratory"
+    ? "Laboratory reservation"
+    : `Computer reservation${computer?.pc_number ? ` (${computer.pc_number})` : ""}`;
+
+  return {
+    uid: `reservation-${reservation._id}@nextlib`,
+    summary: `${target} ${reservation.reservation_number}`,
+    description: [
+      reservation.purpose ? `Purpose: ${reservation.purpose}` : null,
+      `Status: ${reservation.status}`,
+      reservation.notes ? `Notes: ${reservation.notes}` : null,
+    ].filter(Boolean).join("\n"),
+    location: laboratory?.name || null,
+    status: EVENT_STATUS[reservation.status] || "CONFIRMED",
+    date: window?.startAt || reservation.reservation_date,
+    start_time: reservation.start_time,
+    end_date: window?.endAt || null,
+    end_time: reservation.end_time,
+    updated_at: reservation.updatedAt,
+  };
+}
+
+// Event for a SubjectScheduler entry; timeslot is "HH:MM-HH:MM"
+export function subjectScheduleToEvent(schedule, location = null) {
+  const [start_time, end_time] = schedule.timeslot.split("-").map(s => s.trim());
+  return {
+    uid: `subject-schedule-${schedule._id}@nextlib`,
+    summary: `${schedule.subjectCode} - ${schedule.subjectName}`,
+    description: `Instructor: ${schedule.instructorName}`,
+    location,
+    status: "CONFIRMED",
+    date: schedule.date,
+    start_time,
+    end_time,
+  };
+}
+
+// Send a calendar document as a downloadable/subscribable feed
+export function sendCalendar(res, filename, calendar) {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `inline; filename="${filename}"`,
+    "Cache-Control": "no-cache",
+  });
+  res.status(200).send(calendar);
+}
@@ -0,0 +1,170 @@
+// Floor layouts of laboratories. A "grid" layout places computers in numbered rows and columns
+// (1-based) and can mark whole rows or columns as aisles; a "free" layout places them at x/y
+// coordinates on a width x height floor plan. Either kind can have an instructor station.
+export const LAYOUT_MODES = ["grid", "free"];
+
+const MAX_GRID_SIZE = 50;
+const MAX_FLOOR_SIZE = 10000;
+const MAX_LABEL_LENGTH = 50;
+
+const isPositiveInteger = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+const isCoordinate = (value, max) => typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= max;
+
+const cellKey = (row, column) => `${row}:${column}`;
+
+/**
+ * Validate a layout sent by an admin. Returns { layout } with only the fields of its mode,
+ * or { error }.
+ */
+export const normalizeLayout = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "layout must be an object" };
+  }
+
+  const mode = input.mode || "grid";
+  if (!LAYOUT_MODES.includes(mode)) {
+    return { error: `layout.mode must be one of: ${LAYOUT_MODES.join(", ")}` };
+  }
+
+  const layout = { mode, rows: null, columns: null, width: null, height: null, aisles: [], instructor_station: null };
+
+  if (mode === "grid") {
+    const rows = Number(input.rows);
+    const columns = Number(input.columns);
+    if (!isPositiveInteger(rows, MAX_GRID_SIZE) || !isPositiveInteger(columns, MAX_GRID_SIZE)) {
+      return { error: `layout.rows and layout.columns must be integers between 1 and ${MAX_GRID_SIZE}` };
+    }
+    layout.rows = rows;
+    layout.columns = columns;
+
+    const aisles = input.aisles ?? [];
+    if (!Array.isArray(aisles)) return { error: "layout.aisles must be an array" };
+    const seen = new Set();
+    for (const aisle of aisles) {
+      const orientation = aisle?.orientation;
+      const index = Number(aisle?.index);
+      if (!["row", "column"].includes(orientation)) {
+        return { error: "Each aisle needs an orientation of row or column" };
+      }
+      if (!isPositiveInteger(index, orientation === "row" ? rows : columns)) {
+        return { error: `Aisle ${orientation} ${aisle?.index} is outside the grid` };
+      }
+      if (seen.has(`${orientation}:${index}`)) continue;
+      seen.add(`${orientation}:${index}`);
+      layout.aisles.push({ orientation, index });
+    }
+  } else {
+    const width = Number(input.width);
+    const height = Number(input.height);
+    if (!(width > 0 && width <= MAX_FLOOR_SIZE) || !(height > 0 && height <= MAX_FLOOR_SIZE)) {
+      return { error: `layout.width and layout.height must be between 0 and ${MAX_FLOOR_SIZE}` };
+    }
+    layout.width = width;
+    layout.height = height;
+    if (Array.isArray(input.aisles) && input.aisles.length > 0) {
+      return { error: "Aisles are only supported in grid layouts; leave space between positions instead" };
+    }
+  }
+
+  if (input.instructor_station) {
+    const { position, error } = normalizePosition(layout, input.instructor_station);
+    if (error) return { error: `Instructor station: ${error}` };
+    const label = input.instructor_station.label ? String(input.instructor_station.label).trim().slice(0, MAX_LABEL_LENGTH) : null;
+    layout.instructor_station = { ...position, label: label || "Instructor" };
+  }
+
+  return { layout };
+};
+
+// Whether a grid cell lies on an aisle
+const isAisle = (layout, row, column) => layout.aisles.some(aisle =>
+  (aisle.orientation === "row" && aisle.index === row) || (aisle.orientation === "column" && aisle.index === column)
+);
+
+/**
+ * Validate one position on a layout. Returns { position } with row/column for grid layouts or
+ * x/y for free layouts (the other pair null), or { error }.
+ */
+export const normalizePosition = (layout, input) => {
+  if (layout.mode === "grid") {
+    const row = Number(input?.row);
+    const column = Number(input?.column);
+    if (!isPositiveInteger(row, layout.rows) || !isPositiveInteger(column, layout.columns)) {
+      return { error: `row and column must be within the ${layout.rows} x ${layout.columns} grid` };
+    }
+    if (isAisle(layout, row, column)) return { error: `row ${row}, column ${column} is on an aisle` };
+    return { position: { row, column, x: null, y: null } };
+  }
+
+  const x = Number(input?.x);
+  const y = Number(input?.y);
+  if (!isCoordinate(x, layout.width) || !isCoordinate(y, layout.height)) {
+    return { error: `x and y must be within the ${layout.width} x ${layout.height} floor plan` };
+  }
+  return { position: { row: null, column: null, x, y } };
+};
+
+/**
+ * Validate where computers go on a layout. Each placement names a computer of the laboratory by
+ * computer_id or pc_number. Grid cells can hold one computer and not the instructor station.
+ * Returns { positions: Map(computer id -> position) } or { error }.
+ */
+export const normalizePlacements = (layout, placements, computers) => {
+  if (!Array.isArray(placements)) return { error: "placements must be an array" };
+
+  const byId = new Map(computers.map(computer => [computer._id.toString(), computer]));
+  const byNumber = new Map(computers.map(computer => [computer.pc_number, computer]));
+  const positions = new Map();
+  const occupied = new Map();
+  const station = layout.instructor_station;
+  if (layout.mode === "grid" && station) occupied.set(cellKey(station.row, station.column), "the instructor station");
+
+  for (const placement of placements) {
+    const computer = placement?.computer_id
+      ? byId.get(String(placement.computer_id))
+      : byNumber.get(String(placement?.pc_number ?? "").trim());
+    const name = placement?.computer_id || placement?.pc_number;
+    if (!computer) return { error: `Computer ${name ?? "(missing)"} is not in this laboratory` };
+    if (positions.has(computer._id.toString())) return { error: `Computer ${computer.pc_number} is placed more than once` };
+
+    const { position, error } = normalizePosition(layout, placement);
+    if (error) return { error: `Computer ${computer.pc_number}: ${error}` };
+
+    if (layout.mode === "grid") {
+      const key = cellKey(position.row, position.column);
+      if (occupied.has(key)) {
+        return { error: `Computer ${computer.pc_number}: row ${position.row}, column ${position.column} is already taken by ${occupied.get(key)}` };
+      }
+      occupied.set(key, `computer ${computer.pc_number}`);
+    }
+    positions.set(computer._id.toString(), position);
+  }
+
+  return { positions };
+};
+
+// Position of a computer for API responses, or null when it has not been placed
+export const formatPosition = (computer) => {
+  const position = computer.position;
+  if (!position) return null;
+  if (position.row !== null && position.row !== undefined) return { row: position.row, column: position.column };
+  if (position.x !== null && position.x !== undefined) return { x: position.x, y: position.y };
+  return null;
+};
+
+// Layout of a laboratory for API responses, or null when it has none
+export const formatLayout = (laboratory) => {
+  const layout = laboratory.layout;
+  if (!layout?.mode) return null;
+  const station = layout.instructor_station;
+  return {
+    mode: layout.mode,
+    ...(layout.mode === "grid"
+      ? { rows: layout.rows, columns: layout.columns, aisles: layout.aisles.map(({ orientation, index }) => ({ orientation, index })) }
+      : { width: layout.width, height: layout.height }),
+    instructor_station: station?.label
+      ? { ...formatPosition({ position: station }), label: station.label }
+      : null,
+    updated_at: layout.updated_at || null,
+  };
+};
@@ -0,0 +1,196 @@
+import { EventEmitter } from "events";
+import Computer from "../models/Computer.js";
+import Reservation from "../models/Reservation.js";
+import UsageHistory from "../models/UsageHistory.js";
+
+// Live computer, session and reservation updates per laboratory, read from MongoDB change
+// streams so every write is seen no matter which route or job made it. Change streams need a
+// replica set, which transactions already require. The streams are only open while someone
+// is subscribed.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const UNAVAILABLE = "unavailable";
+const SESSION_EVENTS = {
+  active: "session.started",
+  overtime: "session.overtime",
+  completed: "session.ended",
+  interrupted: "session.ended",
+};
+
+// Event fields only admins receive: a reservation number is enough to start its session
+const PRIVATE_FIELDS = ["reservation_number", "user_id"];
+// MongoDB error code when change streams are not supported (standalone server)
+const CHANGE_STREAMS_UNSUPPORTED = 40573;
+// Wait before reopening a change stream that failed for any other reason, e.g. a dropped connection
+const STREAM_RETRY_MS = 5000;
+
+// Open change stream per model
+const streams = new Map();
+let subscribers = 0;
+let supported = true;
+// Computers never move between laboratories often, so their laboratory is cached
+const computerLaboratories = new Map();
+
+const laboratoryOfComputer = async (computerId) => {
+  if (!computerId) return null;
+  const key = computerId.toString();
+  if (!computerLaboratories.has(key)) {
+    const computer = await Computer.findById(computerId).select("laboratory_id");
+    if (!computer) return null;
+    computerLaboratories.set(key, computer.laboratory_id.toString());
+  }
+  return computerLaboratories.get(key);
+};
+
+const laboratoryOfReservation = async (reservation) => (
+  reservation.laboratory_id ? reservation.laboratory_id.toString() : laboratoryOfComputer(reservation.computer_id)
+);
+
+const publish = (laboratoryId, event) => {
+  if (laboratoryId) emitter.emit(laboratoryId.toString(), { ...event, at: new Date() });
+};
+
+const statusChanged = (change) => change.operationType === "insert"
+  || change.operationType === "replace"
+  || (change.operationType === "update" && (
+    "status" in change.updateDescription.updatedFields || "isDeleted" in change.updateDescription.updatedFields
+  ));
+
+const onComputerChange = async (change) => {
+  const computer = change.fullDocument;
+  if (!computer) return;
+  computerLaboratories.set(computer._id.toString(), computer.laboratory_id.toString());
+
+  if (change.operationType === "update" && "presence.status" in change.updateDescription.updatedFields) {
+    publish(computer.laboratory_id, {
+      type: "computer.presence",
+      computer_id: computer._id,
+      pc_number: computer.pc_number,
+      presence: computer.presence.status,
+      last_seen_at: computer.presence.last_seen_at,
+    });
+  }
+  if (!statusChanged(change)) return;
+
+  publish(computer.laboratory_id, {
+    type: "computer.status",
+    computer_id: computer._id,
+    pc_number: computer.pc_number,
+    status: computer.isDeleted ? "removed" : computer.status,
+  });
+};
+
+const onSessionChange = async (change) => {
+  const session = change.fullDocument;
+  if (!session || !statusChanged(change) || !SESSION_EVENTS[session.status]) return;
+
+  const reservation = await Reservation.findById(session.reservation_id)
+    .select("reservation_number reservation_type computer_id laboratory_id");
+  if (!reservation) return;
+
+  publish(await laboratoryOfReservation(reservation), {
+    type: SESSION_EVENTS[session.status],
+    session_id: session._id,
+    reservation_id: reservation._id,
+    reservation_number: reservation.reservation_number,
+    computer_id: reservation.computer_id,
+    user_id: session.user_id,
+    status: session.status,
+    started_at: session.started_at,
+    ended_at: session.ended_at,
+  });
+};
+
+const onReservationChange = async (change) => {
+  const reservation = change.fullDocument;
+  if (!reservation || !statusChanged(change)) return;
+
+  publish(await laboratoryOfReservation(reservation), {
+    type: "reservation.status",
+    reservation_id: reservation._id,
+    reservation_number: reservation.reservation_number,
+    reservation_type: reservation.reservation_type,
+    computer_id: reservation.computer_id,
+    status: reservation.isDeleted ? "removed" : reservation.status,
+    start_at: reservation.start_at,
+    end_at: reservation.end_at,
+  });
+};
+
+const closeStreams = () => {
+  for (const stream of streams.values()) stream.close().catch(() => {});
+  streams.clear();
+};
+
+const openStream = (model, handler) => {
+  const stream = model.watch([], { fullDocument: "updateLookup" });
+  stream.on("change", (change) => {
+    handler(change).catch(error => console.error("Live status event error:", error));
+  });
+  stream.on("error", (error) => {
+    // Streams closed in the meantime, e.g. by an earlier error, have nothing left to clean up
+    if (streams.get(model) !== stream) return;
+
+    if (error?.code === CHANGE_STREAMS_UNSUPPORTED) {
+      // Will not work until the server runs as a replica set, so stop trying and end every subscription
+      console.error("Live status disabled: MongoDB change streams require a replica set");
+      supported = false;
+      closeStreams();
+      emitter.emit(UNAVAILABLE, error);
+      return;
+    }
+
+    // Other failures only affect this stream, so reopen it while anyone is still listening
+    console.error("Live status stream error:", error?.message || error);
+    streams.delete(model);
+    stream.close().catch(() => {});
+    setTimeout(() => {
+      if (subscribers > 0) openStreams();
+    }, STREAM_RETRY_MS);
+  });
+  streams.set(model, stream);
+};
+
+// Open whichever change streams are not open yet
+const openStreams = () => {
+  if (!supported) return;
+  const handlers = [
+    [Computer, onComputerChange],
+    [UsageHistory, onSessionChange],
+    [Reservation, onReservationChange],
+  ];
+  for (const [model, handler] of handlers) {
+    if (!streams.has(model)) openStream(model, handler);
+  }
+};
+
+// Whether live updates can be served; false once change streams turned out to be unsupported
+export const isLiveStatusAvailable = () => supported;
+
+const redactEvent = (event) => {
+  const redacted = { ...event };
+  for (const field of PRIVATE_FIELDS) delete redacted[field];
+  return redacted;
+};
+
+/**
+ * Receive live events for one laboratory until the returned function is called.
+ * Reservation numbers and user ids are left out unless includePrivate is set (admins).
+ * onUnavailable is called if change streams turn out to be unsupported, e.g. on a standalone server.
+ */
+export const subscribeToLaboratory = (laboratoryId, onEvent, onUnavailable, { includePrivate = false } = {}) => {
+  const channel = laboratoryId.toString();
+  const listener = includePrivate ? onEvent : (event) => onEvent(redactEvent(event));
+  emitter.on(channel, listener);
+  emitter.on(UNAVAILABLE, onUnavailable);
+  subscribers += 1;
+  openStreams();
+
+  return () => {
+    emitter.off(channel, listener);
+    emitter.off(UNAVAILABLE, onUnavailable);
+    subscribers -= 1;
+    if (subscribers === 0) closeStreams();
+  };
+};
@@ -11,7 +11,8 @@ if (!process.env.RESEND_API_KEY) {
   console.log("Mailer: Resend API key configured successfully");
 }
 
-export async function sendMail(to, subject, html, text) {
+// attachments: optional [{ filename, content }] where content is a Buffer or base64 string
+export async function sendMail(to, subject, html, text, attachments) {
   const from = process.env.FROM_EMAIL || 'noreply@nextlib.com';
 
   if (!process.env.RESEND_API_KEY) {
@@ -26,6 +27,7 @@ export async function sendMail(to, subject, html, text) {
     html,
     text: text || html.replace(/<[^>]+>/g, ''),
   };
+  if (attachments?.length) emailData.attachments = attachments;
 
   try {
     const { data, error } = await resend.emails.send(emailData);
@@ -0,0 +1,336 @@
+import mongoose from "mongoose";
+import Computer from "../models/Computer.js";
+import Laboratory from "../models/Laboratory.js";
+import MaintenanceTicket, { ACTIVE_TICKET_STATUSES } from "../models/MaintenanceTicket.js";
+import Reservation from "../models/Reservation.js";
+import { meetsSpecs } from "./computerSpecs.js";
+import sendMail from "./mailer.js";
+import { checkReservationConflicts, hasConflicts } from "./reservations.js";
+import { getTZDateString } from "./timezone.js";
+
+const UPCOMING_STATUSES = ["pending", "approved"];
+// Computers reservations are never moved to
+const UNBOOKABLE_COMPUTER_STATUSES = ["maintenance", "out_of_order", "locked"];
+
+// End of the affected window for tickets without an expected resolution
+const OPEN_END = new Date("9999-12-30T00:00:00Z");
+
+// Window [now, expected resolution) in which a ticket's reservations are affected
+const getAffectedWindow = (ticket, now) => ({ startAt: now, endAt: ticket.expected_resolution_at || OPEN_END });
+
+// Upcoming reservations that use the ticket's computer, or anything in its laboratory,
+// before the expected resolution (all upcoming ones when no date is set).
+// Reservations without start_at are matched by day; narrow results with overlapsWindow.
+const affectedReservationFilter = async (ticket, now = new Date()) => {
+  const { startAt, endAt } = getAffectedWindow(ticket, now);
+  const filter = {
+    isDeleted: false,
+    status: { $in: UPCOMING_STATUSES },
+    ...Reservation.overlapCondition(startAt, endAt),
+  };
+
+  if (ticket.target_type === "computer") {
+    return { ...filter, reservation_type: "computer", computer_id: ticket.computer_id };
+  }
+
+  const computerIds = await Computer.find({ laboratory_id: ticket.laboratory_id, isDeleted: false }).distinct("_id");
+  const { $or: overlap, ...rest } = filter;
+  return {
+    ...rest,
+    $and: [
+      { $or: overlap },
+      {
+        $or: [
+          { reservation_type: "laboratory", laboratory_id: ticket.laboratory_id },
+          { reservation_type: "computer", computer_id: { $in: computerIds } },
+        ],
+      },
+    ],
+  };
+};
+
+const findAffectedReservations = async (ticket, query, now) => {
+  const { startAt, endAt } = getAffectedWindow(ticket, now);
+  const reservations = await query;
+  return reservations.filter(reservation => reservation.overlapsWindow(startAt, endAt));
+};
+
+// Flag the upcoming reservations affected by an out-of-service ticket for admin action
+export const flagAffectedReservations = async (ticket, now = new Date()) => {
+  const filter = await affectedReservationFilter(ticket, now);
+  const reservations = await findAffectedReservations(
+    ticket,
+    Reservation.find({ ...filter, "attention.flagged_at": null })
+      .select("reservation_number user_id reservation_type computer_id reservation_date start_time end_time duration start_at end_at status"),
+    now
+  );
+  if (reservations.length === 0) return [];
+
+  await Reservation.updateMany(
+    { _id: { $in: reservations.map(reservation => reservation._id) } },
+    {
+      $set: {
+        "attention.reason": `${ticket.target_type === "computer" ? "Computer" : "Laboratory"} out of service (${ticket.ticket_number}: ${ticket.title})`,
+        "attention.maintenance_ticket_id": ticket._id,
+        "attention.flagged_at": now,
+      },
+    }
+  );
+  return reservations;
+};
+
+const notifyReassignment = async (reservation, fromComputer, toComputer) => {
+  const user = reservation.user_id;
+  if (!user?.email) return;
+  try {
+    const html = `<p>Dear ${user.firstname || ''} ${user.lastname || ''},</p>
+        <p>The computer of your reservation <b>${reservation.reservation_number}</b> is out of service, so your reservation has been <b>moved to another computer</b> in the same laboratory.</p>
+        <ul>
+          <li><b>Previous Computer:</b> ${fromComputer.pc_number}</li>
+          <li><b>New Computer:</b> ${toComputer.pc_number}</li>
+          <li><b>Date:</b> ${getTZDateString(reservation.reservation_date)}</li>
+          <li><b>Start Time:</b> ${reservation.start_time}</li>
+          <li><b>End Time:</b> ${reservation.end_time}</li>
+        </ul>
+        <p>Your reservation is still approved and nothing else has changed. If you have any questions, please contact the admin.</p>
+      `;
+    await sendMail(user.email, "Computer Reservation Moved", html);
+  } catch (mailError) {
+    console.error("Failed to send reservation reassignment email:", mailError);
+  }
+};
+
+/**
+ * Move the approved reservations of an out-of-service computer that fall before the ticket's
+ * expected resolution to free computers in the same laboratory with at least the same specs, lowest pc_number first, and notify their owners.
+ * Returns { reassigned: [{ reservation, from, to }], unassigned: [reservation] }.
+ */
+export const reassignAffectedReservations = async (ticket, { changedBy, now = new Date() } = {}) => {
+  const result = { reassigned: [], unassigned: [] };
+  if (ticket.target_type !== "computer") return result;
+
+  const original = await Computer.findById(ticket.computer_id).select("pc_number laboratory_id specs");
+  if (!original) return result;
+
+  const filter = await affectedReservationFilter(ticket, now);
+  const reservations = await findAffectedReservations(
+    ticket,
+    Reservation.find({ ...filter, status: "approved" })
+      .populate('user_id', 'firstname lastname email')
+      .sort({ start_at: 1, reservation_date: 1, start_time: 1 }),
+    now
+  );
+  if (reservations.length === 0) return result;
+
+  const candidates = (await Computer.find({
+    laboratory_id: original.laboratory_id,
+    _id: { $ne: original._id },
+    isDeleted: false,
+    status: { $nin: UNBOOKABLE_COMPUTER_STATUSES },
+  }).select("pc_number specs").sort({ pc_number: 1 }))
+    .filter(computer => meetsSpecs(computer.specs, original.specs));
+
+  for (const reservation of reservations) {
+    let target = null;
+    for (const computer of candidates) {
+      const conflicts = await checkReservationConflicts(
+        reservation.reservation_date,
+        reservation.start_time,
+        reservation.duration,
+        "computer",
+        reservation._id,
+        null,
+        computer._id
+      );
+      if (!hasConflicts(conflicts)) {
+        target = computer;
+        break;
+      }
+    }
+
+    if (!target) {
+      result.unassigned.push(reservation);
+      continue;
+    }
+
+    reservation.reschedule_history.push({
+      reservation_date: reservation.reservation_date,
+      start_time: reservation.start_time,
+      end_time: reservation.end_time,
+      computer_id: reservation.computer_id,
+      status: reservation.status,
+      rescheduled_by: changedBy,
+      rescheduled_by_type: "admin",
+      reason: `${original.pc_number} out of service (${ticket.ticket_number})`,
+    });
+    reservation.computer_id = target._id;
+    reservation.attention = { reason: null, maintenance_ticket_id: null, flagged_at: null };
+    await reservation.save();
+
+    result.reassigned.push({ reservation, from: original, to: target });
+    await notifyReassignment(reservation, original, target);
+  }
+
+  return result;
+};
+
+/**
+ * Handle the upcoming reservations of an out-of-service ticket: approved computer reservations are
+ * moved to another computer where possible, and everything left is flagged for admin action.
+ * Returns { reassigned, flagged }.
+ */
+export const handleAffectedReservations = async (ticket, { changedBy, now = new Date() } = {}) => {
+  const { reassigned, unassigned } = await reassignAffectedReservations(ticket, { changedBy, now });
+
+  if (unassigned.length > 0) {
+    await Reservation.updateMany(
+      { _id: { $in: unassigned.map(reservation => reservation._id) } },
+      {
+        $set: {
+          "attention.reason": `Computer out of service (${ticket.ticket_number}: ${ticket.title}) and no equivalent computer is free`,
+          "attention.maintenance_ticket_id": ticket._id,
+          "attention.flagged_at": now,
+        },
+      }
+    );
+  }
+  const flagged = [...unassigned, ...await flagAffectedReservations(ticket, now)];
+
+  return { reassigned, flagged };
+};
+
+// Clear the flags a ticket put on reservations once it no longer blocks them
+export const clearReservationFlags = async (ticket) => {
+  const result = await Reservation.updateMany(
+    { "attention.maintenance_ticket_id": ticket._id },
+    { $set: { "attention.reason": null, "attention.maintenance_ticket_id": null, "attention.flagged_at": null } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Keep the ticket's computer or laboratory in maintenance while any out-of-service ticket for it
+ * is open or in progress, and return it to service when the last one is resolved or cancelled.
+ * Returns { in_service, status_changed, reassigned, flagged, unflagged }.
+ */
+export const syncTicketTarget = async (ticket, { changedBy } = {}) => {
+  const targetFilter = ticket.target_type === "computer"
+    ? { target_type: "computer", computer_id: ticket.computer_id }
+    : { target_type: "laboratory", laboratory_id: ticket.laboratory_id };
+  const blocking = await MaintenanceTicket.exists({
+    ...targetFilter,
+    out_of_service: true,
+    status: { $in: ACTIVE_TICKET_STATUSES },
+    isDeleted: false,
+  });
+
+  const [Model, targetId, inServiceStatus, outOfServiceStatuses] = ticket.target_type === "computer"
+    ? [Computer, ticket.computer_id, "available", ["maintenance", "out_of_order"]]
+    : [Laboratory, ticket.laboratory_id, "active", ["maintenance"]];
+
+  let statusChanged = false;
+  if (blocking) {
+    const updated = await Model.updateOne(
+      { _id: targetId, isDeleted: false, status: { $nin: outOfServiceStatuses } },
+      { $set: { status: "maintenance" } }
+    );
+    statusChanged = updated.modifiedCount > 0;
+  } else {
+    const updated = await Model.updateOne(
+      { _id: targetId, isDeleted: false, status: { $in: outOfServiceStatuses } },
+      { $set: { status: inServiceStatus } }
+    );
+    statusChanged = updated.modifiedCount > 0;
+  }
+
+  const blocksReservations = ticket.out_of_service && ticket.isActive();
+  const { reassigned, flagged } = blocksReservations
+    ? await handleAffectedReservations(ticket, { changedBy })
+    : { reassigned: [], flagged: [] };
+  const unflagged = blocksReservations ? 0 : await clearReservationFlags(ticket);
+
+  return { in_service: !blocking, status_changed: statusChanged, reassigned, flagged, unflagged };
+};
+
+/**
+ * Ticket counts, mean time to resolve (MTTR) and the most frequently reported computers
+ * per laboratory, for tickets created in [from, to).
+ */
+export const getMaintenanceStats = async ({ laboratoryId = null, from = null, to = null } = {}) => {
+  const match = { isDeleted: false };
+  if (laboratoryId) match.laboratory_id = new mongoose.Types.ObjectId(String(laboratoryId));
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+  }
+
+  const [perLaboratory, perCategory, perComputer] = await Promise.all([
+    MaintenanceTicket.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$laboratory_id",
+          total: { $sum: 1 },
+          open: { $sum: { $cond: [{ $in: ["$status", ACTIVE_TICKET_STATUSES] }, 1, 0] } },
+          resolved: { $sum: { $cond: [{ $eq: ["$status", "resolved"] }, 1, 0] } },
+          cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+          out_of_service: { $sum: { $cond: ["$out_of_service", 1, 0] } },
+          mttr_minutes: {
+            $avg: {
+              $cond: [
+                { $and: [{ $eq: ["$status", "resolved"] }, { $ne: ["$resolved_at", null] }] },
+                { $divide: [{ $subtract: ["$resolved_at", "$createdAt"] }, 60000] },
+                null,
+              ],
+            },
+          },
+        },
+      },
+      { $lookup: { from: "laboratories", localField: "_id", foreignField: "_id", as: "laboratory" } },
+      { $unwind: { path: "$laboratory", preserveNullAndEmptyArrays: true } },
+      { $sort: { total: -1 } },
+    ]),
+    MaintenanceTicket.aggregate([
+      { $match: match },
+      { $group: { _id: { laboratory_id: "$laboratory_id", category: "$category" }, count: { $sum: 1 } } },
+    ]),
+    MaintenanceTicket.aggregate([
+      { $match: { ...match, target_type: "computer" } },
+      { $group: { _id: { laboratory_id: "$laboratory_id", computer_id: "$computer_id" }, count: { $sum: 1 }, last_reported_at: { $max: "$createdAt" } } },
+      { $sort: { count: -1 } },
+      { $lookup: { from: "computers", localField: "_id.computer_id", foreignField: "_id", as: "computer" } },
+      { $unwind: { path: "$computer", preserveNullAndEmptyArrays: true } },
+    ]),
+  ]);
+
+  return perLaboratory.map(stat => {
+    const laboratoryKey = stat._id.toString();
+    const byCategory = {};
+    for (const entry of perCategory) {
+      if (entry._id.laboratory_id.toString() === laboratoryKey) byCategory[entry._id.category] = entry.count;
+    }
+
+    return {
+      laboratory_id: stat._id,
+      laboratory_name: stat.laboratory?.name || null,
+      total: stat.total,
+      open: stat.open,
+      resolved: stat.resolved,
+      cancelled: stat.cancelled,
+      out_of_service: stat.out_of_service,
+      mttr_minutes: stat.mttr_minutes === null ? null : Math.round(stat.mttr_minutes),
+      mttr_hours: stat.mttr_minutes === null ? null : Math.round(stat.mttr_minutes / 6) / 10,
+      by_category: byCategory,
+      most_reported_computers: perComputer
+        .filter(entry => entry._id.laboratory_id.toString() === laboratoryKey)
+        .slice(0, 5)
+        .map(entry => ({
+          computer_id: entry._id.computer_id,
+          pc_number: entry.computer?.pc_number || null,
+          tickets: entry.count,
+          last_reported_at: entry.last_reported_at,
+        })),
+    };
+  });
+};
@@ -0,0 +1,139 @@
+import Laboratory from "../models/Laboratory.js";
+import SystemDefaults from "../models/SystemDefaults.js";
+import { combineTZDateAndTime, getTZDateString, getTZWeekday, splitByTZDay } from "./timezone.js";
+
+// Latest end time a same-day reservation can have
+const END_OF_DAY_MINUTES = 23 * 60 + 59;
+const DAY_MINUTES = 24 * 60;
+
+const timeToMinutes = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+};
+
+const isMilitaryTime = (value) => typeof value === "string" && /^([01]?\d|2[0-3]):[0-5]\d$/.test(value);
+
+export const normalizeOperationHours = (value) => {
+  if (value === undefined) return undefined;
+  if (!value || !String(value).trim()) return null;
+  const normalized = String(value).trim();
+  if (/^24\s*hours$/i.test(normalized)) return "24 hours";
+  return normalized;
+};
+
+export const isValidOperationHours = (value) => {
+  if (value === undefined || value === null) return true;
+  const normalized = String(value).trim();
+  if (!normalized) return true;
+  if (/^24\s*hours$/i.test(normalized)) return true;
+  return /^([01]?\d|2[0-3]):[0-5]\d\s-\s([01]?\d|2[0-3]):[0-5]\d$/.test(normalized);
+};
+
+// Parse "HH:MM - HH:MM" or "24 hours" into minutes since midnight
+const parseOperationHours = (value) => {
+  if (!value || !isValidOperationHours(value)) return null;
+  const normalized = String(value).trim();
+  if (/^24\s*hours$/i.test(normalized)) return { open: 0, close: END_OF_DAY_MINUTES };
+  const [open, close] = normalized.split('-').map(part => part.trim());
+  return { open: timeToMinutes(open), close: timeToMinutes(close) };
+};
+
+// Validate a weekday_hours list; returns an error message or null
+export const validateWeekdayHours = (weekdayHours) => {
+  if (!Array.isArray(weekdayHours)) return "weekday_hours must be an array";
+  const seen = new Set();
+  for (const entry of weekdayHours) {
+    if (!entry || !Number.isInteger(entry.weekday) || entry.weekday < 0 || entry.weekday > 6) {
+      return "Each weekday_hours entry needs a weekday between 0 (Sunday) and 6 (Saturday)";
+    }
+    if (seen.has(entry.weekday)) return `weekday ${entry.weekday} is listed more than once`;
+    seen.add(entry.weekday);
+    if (entry.closed) continue;
+    if (!isMilitaryTime(entry.open) || !isMilitaryTime(entry.close)) {
+      return `weekday ${entry.weekday} needs open and close times in format 'HH:MM' unless it is closed`;
+    }
+    if (timeToMinutes(entry.close) <= timeToMinutes(entry.open)) {
+      return `weekday ${entry.weekday} must close after it opens`;
+    }
+  }
+  return null;
+};
+
+// Keep only the fields stored for each weekday entry
+export const normalizeWeekdayHours = (weekdayHours) => weekdayHours.map(entry => ({
+  weekday: entry.weekday,
+  open: entry.closed ? null : entry.open,
+  close: entry.closed ? null : entry.close,
+  closed: Boolean(entry.closed),
+}));
+
+// Resolve the opening hours for a day. Holidays close every laboratory; otherwise
+// laboratory overrides win over system defaults, and weekday hours over operation_hours.
+// Days without any configured hours are treated as open all day (configured: false).
+export const getOperatingHours = async (date, laboratoryId = null) => {
+  const defaults = await SystemDefaults.getCurrent();
+  const laboratory = laboratoryId
+    ? await Laboratory.findById(laboratoryId).select("operation_hours weekday_hours")
+    : null;
+
+  const dateString = getTZDateString(date);
+  const holiday = (defaults?.holidays || []).find(entry => getTZDateString(entry.date) === dateString);
+  if (holiday) {
+    return { configured: true, closed: true, reason: `Closed for ${holiday.name}`, open: null, close: null, source: "holiday" };
+  }
+
+  const weekday = getTZWeekday(date);
+  for (const [source, config] of [["laboratory", laboratory], ["system", defaults]]) {
+    if (!config) continue;
+    const day = (config.weekday_hours || []).find(entry => entry.weekday === weekday);
+    if (day) {
+      if (day.closed) {
+        return { configured: true, closed: true, reason: "Closed on this day of the week", open: null, close: null, source };
+      }
+      return { configured: true, closed: false, open: timeToMinutes(day.open), close: timeToMinutes(day.close), source };
+    }
+    const hours = parseOperationHours(config.operation_hours);
+    if (hours) return { configured: true, closed: false, ...hours, source };
+  }
+
+  return { configured: false, closed: false, open: 0, close: END_OF_DAY_MINUTES, source: null };
+};
+
+// Check that a reservation falls within the opening hours of every day it touches.
+// Overnight and multi-day reservations need the laboratory open through midnight.
+// Returns an error message, or null when the window is allowed.
+export const checkOperationHours = async (reservationDate, startTime, duration, laboratoryId = null) => {
+  const startAt = combineTZDateAndTime(reservationDate, startTime);
+  const endAt = new Date(startAt.getTime() + duration * 60 * 1000);
+  const segments = splitByTZDay(startAt, endAt);
+
+  for (const segment of segments) {
+    const hours = await getOperatingHours(segment.date, laboratoryId);
+    if (hours.closed) {
+      return `Laboratory is closed on ${segment.dateString} (${hours.reason})`;
+    }
+    // Closing at 23:59 means open until midnight
+    const close = hours.close >= END_OF_DAY_MINUTES ? DAY_MINUTES : hours.close;
+    if (segment.startMinutes < hours.open || segment.endMinutes > close) {
+      const day = segments.length > 1 ? ` on ${segment.dateString}` : '';
+      return `Reservations must be within operation hours${day} (${minutesToTime(hours.open)} - ${minutesToTime(hours.close)})`;
+    }
+  }
+  return null;
+};
+
+// Shape resolved opening hours for API responses
+export const formatOperatingHours = (hours) => ({
+  configured: hours.configured,
+  closed: hours.closed,
+  reason: hours.reason || null,
+  open: hours.closed ? null : minutesToTime(hours.open),
+  close: hours.closed ? null : minutesToTime(hours.close),
+  source: hours.source,
+});
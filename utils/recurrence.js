@@ -0,0 +1,91 @@
+import { getTZDateString, getTZWeekday } from "./timezone.js";
+
+// Upper bound on occurrences generated for a single recurring series
+export const MAX_SERIES_OCCURRENCES = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validate the recurrence block of a reservation request
+export const parseRecurrence = (recurrence) => {
+  if (typeof recurrence !== 'object' || recurrence === null) {
+    return { error: "Recurrence must be an object" };
+  }
+
+  const { frequency, interval = 1, weekdays, end_date, occurrences, skip_conflicts } = recurrence;
+
+  if (!["daily", "weekly", "custom"].includes(frequency)) {
+    return { error: "Recurrence frequency must be 'daily', 'weekly' or 'custom'" };
+  }
+
+  const parsedInterval = parseInt(interval, 10);
+  if (!parsedInterval || parsedInterval < 1) {
+    return { error: "Recurrence interval must be a positive number" };
+  }
+
+  let parsedWeekdays = [];
+  if (frequency === "custom") {
+    if (!Array.isArray(weekdays) || weekdays.length === 0) {
+      return { error: "Custom recurrence requires at least one weekday (0 = Sunday ... 6 = Saturday)" };
+    }
+    parsedWeekdays = [...new Set(weekdays.map(Number))];
+    if (parsedWeekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: "Weekdays must be numbers between 0 (Sunday) and 6 (Saturday)" };
+    }
+  }
+
+  if (!end_date && !occurrences) {
+    return { error: "Recurrence requires either end_date or occurrences" };
+  }
+
+  let parsedEndDate = null;
+  if (end_date) {
+    parsedEndDate = new Date(end_date);
+    if (Number.isNaN(parsedEndDate.getTime())) {
+      return { error: "Recurrence end_date must be a valid date" };
+    }
+  }
+
+  let parsedOccurrences = null;
+  if (occurrences !== undefined && occurrences !== null) {
+    parsedOccurrences = parseInt(occurrences, 10);
+    if (!parsedOccurrences || parsedOccurrences < 1 || parsedOccurrences > MAX_SERIES_OCCURRENCES) {
+      return { error: `Recurrence occurrences must be between 1 and ${MAX_SERIES_OCCURRENCES}` };
+    }
+  }
+
+  return {
+    rule: {
+      frequency,
+      interval: parsedInterval,
+      weekdays: parsedWeekdays,
+      end_date: parsedEndDate,
+      occurrences: parsedOccurrences,
+      skip_conflicts: Boolean(skip_conflicts),
+    }
+  };
+};
+
+// Expand a recurrence rule into occurrence dates (first date included), never past untilDate
+export const buildRecurrenceDates = (firstDate, rule, untilDate) => {
+  const untilString = getTZDateString(untilDate);
+  const limit = rule.occurrences || MAX_SERIES_OCCURRENCES;
+  const dates = [];
+
+  for (let offset = 0; dates.length < limit; offset++) {
+    const candidate = new Date(firstDate.getTime() + offset * DAY_MS);
+    if (getTZDateString(candidate) > untilString) break;
+
+    let include = false;
+    if (rule.frequency === "daily") {
+      include = offset % rule.interval === 0;
+    } else if (rule.frequency === "weekly") {
+      include = offset % (7 * rule.interval) === 0;
+    } else {
+      const weekIndex = Math.floor(offset / 7);
+      include = weekIndex % rule.interval === 0 && rule.weekdays.includes(getTZWeekday(candidate));
+    }
+
+    if (include) dates.push(candidate);
+  }
+
+  return dates;
+};
@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import Reservation from "../models/Reservation.js";
+import SystemDefaults, { MAX_RESERVATION_MINUTES } from "../models/SystemDefaults.js";
+import User from "../models/User.js";
+import sendMail from "./mailer.js";
+import { APP_TIMEZONE, getStartEndOfDay } from "./timezone.js";
+
+// Optional endpoint that receives every reminder as JSON, e.g. to forward it as a push notification.
+// When REMINDER_WEBHOOK_SECRET is set the body is signed with HMAC-SHA256 in X-Reminder-Signature.
+const WEBHOOK_URL = process.env.REMINDER_WEBHOOK_URL || null;
+const WEBHOOK_SECRET = process.env.REMINDER_WEBHOOK_SECRET || null;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const REMINDERS = {
+  start: {
+    event: "reservation.starting_soon",
+    status: "approved",
+    preference: "before_start",
+    windowField: "start_at",
+    sentField: "start_sent_for",
+    subject: "Reservation Reminder",
+    describe: (minutes) => `starts in <b>${minutes} minute${minutes === 1 ? '' : 's'}</b>`,
+  },
+  end: {
+    event: "reservation.ending_soon",
+    status: "active",
+    preference: "before_end",
+    windowField: "end_at",
+    sentField: "end_sent_for",
+    subject: "Reservation Ending Soon",
+    describe: (minutes) => `ends in <b>${minutes} minute${minutes === 1 ? '' : 's'}</b>. Please save your work`,
+  },
+};
+
+const formatTime = (date) => date.toLocaleString("en-US", { timeZone: APP_TIMEZONE });
+
+const postWebhook = async (payload) => {
+  const body = JSON.stringify(payload);
+  const headers = { "Content-Type": "application/json" };
+  if (WEBHOOK_SECRET) {
+    headers["X-Reminder-Signature"] = crypto.createHmac("sha256", WEBHOOK_SECRET).update(body).digest("hex");
+  }
+
+  const response = await fetch(WEBHOOK_URL, {
+    method: "POST",
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+};
+
+// Reservations whose start (or end) falls within the next leadMinutes and that were not
+// reminded for that instant yet. Reservations saved before start_at/end_at existed are
+// matched by date and checked against their window.
+const findDue = async (reminder, now, leadMinutes) => {
+  const horizon = new Date(now.getTime() + leadMinutes * 60 * 1000);
+  const earliestDate = getStartEndOfDay(new Date(now.getTime() - MAX_RESERVATION_MINUTES * 60 * 1000)).startOfDay;
+  const candidates = await Reservation.find({
+    status: reminder.status,
+    isDeleted: false,
+    $or: [
+      { [reminder.windowField]: { $gt: now, $lte: horizon } },
+      {
+        [reminder.windowField]: null,
+        reservation_date: { $gte: earliestDate, $lte: getStartEndOfDay(horizon).endOfDay },
+      },
+    ],
+  }).populate('laboratory_id', 'name')
+    .populate({ path: 'computer_id', select: 'pc_number laboratory_id', populate: { path: 'laboratory_id', select: 'name' } });
+
+  return candidates
+    .map(reservation => {
+      const window = reservation.getWindow();
+      return { reservation, at: reminder === REMINDERS.start ? window.startAt : window.endAt };
+    })
+    .filter(({ reservation, at }) => at > now && at <= horizon
+      && reservation.reminders?.[reminder.sentField]?.getTime() !== at.getTime());
+};
+
+const deliver = async (reminder, reservation, user, at, now) => {
+  const minutes = Math.max(1, Math.round((at.getTime() - now.getTime()) / 60000));
+  const prefs = user.reminder_preferences || {};
+  const channels = [];
+  const location = reservation.reservation_type === "laboratory"
+    ? reservation.laboratory_id?.name
+    : `${reservation.computer_id?.pc_number || 'Computer'}${reservation.computer_id?.laboratory_id?.name ? ` (${reservation.computer_id.laboratory_id.name})` : ''}`;
+
+  if (prefs.email !== false && user.email) {
+    try {
+      const html = `<p>Dear ${user.firstname || ''} ${user.lastname || ''},</p>
+          <p>Your ${reservation.reservation_type} reservation <b>${reservation.reservation_number}</b> ${reminder.describe(minutes)}.</p>
+          <ul>
+            <li><b>Where:</b> ${location || 'N/A'}</li>
+            <li><b>${reminder === REMINDERS.start ? 'Starts' : 'Ends'}:</b> ${formatTime(at)}</li>
+            <li><b>Purpose:</b> ${reservation.purpose || ''}</li>
+          </ul>
+          <p>You can turn off these reminders in your profile.</p>
+        `;
+      await sendMail(user.email, reminder.subject, html);
+      channels.push("email");
+    } catch (mailError) {
+      console.error("Failed to send reminder email:", mailError);
+    }
+  }
+
+  if (WEBHOOK_URL && prefs.webhook !== false) {
+    try {
+      await postWebhook({
+        event: reminder.event,
+        minutes_left: minutes,
+        user: { id: user._id, id_number: user.id_number, email: user.email },
+        reservation: {
+          id: reservation._id,
+          reservation_number: reservation.reservation_number,
+          reservation_type: reservation.reservation_type,
+          location,
+          start_at: reservation.getWindow().startAt,
+          end_at: reservation.getWindow().endAt,
+        },
+        sent_at: now,
+      });
+      channels.push("webhook");
+    } catch (webhookError) {
+      console.error("Failed to post reminder webhook:", webhookError?.message || webhookError);
+    }
+  }
+
+  return channels;
+};
+
+/**
+ * Remind users shortly before their approved reservations start and before their active
+ * reservations end. Lead times come from SystemDefaults; users can opt out per reminder
+ * and per channel. Each reminder is sent once per window, even if the job overlaps itself.
+ */
+export const sendReservationReminders = async (date = new Date()) => {
+  const now = new Date(date);
+  const defaults = await SystemDefaults.getCurrent();
+  const leadTimes = {
+    start: defaults ? defaults.reminder_lead_minutes : 30,
+    end: defaults ? defaults.session_end_reminder_minutes : 10,
+  };
+
+  const sent = [];
+  for (const [kind, reminder] of Object.entries(REMINDERS)) {
+    if (!leadTimes[kind]) continue;
+
+    for (const { reservation, at } of await findDue(reminder, now, leadTimes[kind])) {
+      // Claim the reminder first so concurrent runs do not send it twice
+      const sentPath = `reminders.${reminder.sentField}`;
+      const claimed = await Reservation.updateOne(
+        { _id: reservation._id, [sentPath]: { $ne: at } },
+        { $set: { [sentPath]: at } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const user = await User.findOne({ _id: reservation.user_id, isDeleted: false });
+      if (!user || user.reminder_preferences?.[reminder.preference] === false) continue;
+
+      const channels = await deliver(reminder, reservation, user, at, now);
+      sent.push({ kind, reservation_number: reservation.reservation_number, channels });
+    }
+  }
+
+  return { sent, leadTimes };
+};
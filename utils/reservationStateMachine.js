@@ -0,0 +1,38 @@
+// Reservation lifecycle. Every status change goes through these transitions;
+// rejected, completed, cancelled and no_show are terminal.
+export const RESERVATION_STATUSES = ["pending", "approved", "rejected", "active", "completed", "cancelled", "no_show"];
+
+export const RESERVATION_TRANSITIONS = {
+  pending: ["approved", "rejected", "cancelled"],
+  // Back to pending when the owner reschedules it or moves its series to another time, for re-approval.
+  // Only active reservations complete; approved ones that never start become no-shows.
+  approved: ["pending", "active", "no_show", "cancelled"],
+  active: ["completed", "cancelled"],
+  rejected: [],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+// Raised when a reservation is moved to a status it cannot reach from its current one
+export class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change reservation status from ${from} to ${to}`);
+    this.name = "InvalidTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export function canTransition(from, to) {
+  return (RESERVATION_TRANSITIONS[from] || []).includes(to);
+}
+
+export function getAllowedTransitions(status) {
+  return [...(RESERVATION_TRANSITIONS[status] || [])];
+}
+
+// Statuses that can move to the given status, e.g. to filter bulk updates
+export function getStatusesTransitionableTo(to) {
+  return Object.keys(RESERVATION_TRANSITIONS).filter(from => canTransition(from, to));
+}
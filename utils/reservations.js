@@ -0,0 +1,315 @@
+import { customAlphabet } from "nanoid";
+import BookingPolicy from "../models/BookingPolicy.js";
+import Closure from "../models/Closure.js";
+import Computer from "../models/Computer.js";
+import Laboratory from "../models/Laboratory.js";
+import Reservation from "../models/Reservation.js";
+import SubjectScheduler from "../models/SubjectScheduler.js";
+import { checkOperationHours } from "./operationHours.js";
+import { combineTZDateAndTime, getStartEndOfDay, getTZDateString, splitByTZDay } from "./timezone.js";
+
+// Helper function to convert military time to minutes since midnight
+const timeToMinutes = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const DAY_MINUTES = 24 * 60;
+
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+};
+
+// Length in minutes of a window from startTime on reservationDate to endTime on endDate.
+// Without an endDate, an endTime at or before startTime ends on the following day.
+// Returns zero or less (NaN for invalid dates) when the end is not after the start.
+export const getWindowMinutes = (reservationDate, startTime, endTime, endDate = null) => {
+  if (!endDate) {
+    return (timeToMinutes(endTime) - timeToMinutes(startTime) + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES;
+  }
+  const startAt = combineTZDateAndTime(new Date(reservationDate), startTime);
+  const endAt = combineTZDateAndTime(new Date(endDate), endTime);
+  return Math.round((endAt.getTime() - startAt.getTime()) / 60000);
+};
+
+// Local end time of a window, wrapping past midnight
+export const getWindowEndTime = (startTime, duration) =>
+  minutesToTime((timeToMinutes(startTime) + duration) % DAY_MINUTES);
+
+// Generate unique reservation number (alphanumeric only)
+export const generateReservationNumber = async () => {
+  const gen = customAlphabet("ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789", 8);
+  let reservationNumber;
+  let isUnique = false;
+
+  while (!isUnique) {
+    reservationNumber = `RSV-${gen()}`;
+
+    const existingReservation = await Reservation.findOne({
+      reservation_number: reservationNumber,
+      isDeleted: false,
+    });
+
+    if (!existingReservation) {
+      isUnique = true;
+    }
+  }
+
+  return reservationNumber;
+};
+
+// Error for users with repeated no-shows who are temporarily blocked from booking, or null
+export const getBookingBlockError = (user, isAdmin = false) => {
+  if (isAdmin || !user?.booking_blocked_until || user.booking_blocked_until <= new Date()) return null;
+  return {
+    status: 403,
+    message: "You are temporarily blocked from booking due to repeated no-shows",
+    blocked_until: user.booking_blocked_until,
+  };
+};
+
+// The computer or laboratory of a booking, if it exists and can be reserved.
+// Returns { computer, laboratory, laboratoryId } or { error: { status, message } }.
+export const resolveBookingTarget = async ({ reservationType, computerId = null, laboratoryId = null }) => {
+  if (reservationType === "computer") {
+    const computer = await Computer.findOne({ _id: computerId, isDeleted: false }).populate('laboratory_id', 'name status');
+    if (!computer) {
+      return { error: { status: 404, message: "Computer not found or has been deleted" } };
+    }
+    if (computer.status === "out_of_order" || computer.status === "maintenance") {
+      return { error: { status: 400, message: `Computer is currently ${computer.status} and cannot be reserved` } };
+    }
+    return { computer, laboratory: null, laboratoryId: computer.laboratory_id?._id || null };
+  }
+
+  const laboratory = await Laboratory.findOne({ _id: laboratoryId, isDeleted: false });
+  if (!laboratory) {
+    return { error: { status: 404, message: "Laboratory not found or has been deleted" } };
+  }
+  if (laboratory.status === "inactive" || laboratory.status === "maintenance") {
+    return { error: { status: 400, message: `Laboratory is currently ${laboratory.status} and cannot be reserved` } };
+  }
+  return { computer: null, laboratory, laboratoryId: laboratory._id };
+};
+
+/**
+ * Booking policies (admins are exempt) and operation hours for one booking window.
+ * pendingBookings are bookings accepted earlier in the same request and walkIn skips the lead
+ * time rule, see BookingPolicy.evaluate.
+ * Returns { policyResult } or { error: { status, message, policy_violation? } }.
+ */
+export const checkBookingWindow = async ({
+  user,
+  isAdmin = false,
+  reservationType,
+  laboratoryId,
+  reservationDate,
+  startTime,
+  duration,
+  excludeReservationId = null,
+  pendingBookings = [],
+  walkIn = false,
+}) => {
+  let policyResult = { allowed: true, violation: null, autoApprove: null, autoApprovePolicy: null };
+  if (!isAdmin) {
+    policyResult = await BookingPolicy.evaluate({
+      user,
+      reservationType,
+      laboratoryId,
+      reservationDate,
+      startTime,
+      duration,
+      excludeReservationId,
+      pendingBookings,
+      walkIn,
+    });
+    if (!policyResult.allowed) {
+      return { error: { status: 403, message: policyResult.violation.message, policy_violation: policyResult.violation } };
+    }
+  }
+
+  const hoursError = await checkOperationHours(reservationDate, startTime, duration, laboratoryId);
+  if (hoursError) return { error: { status: 400, message: hoursError } };
+
+  return { policyResult };
+};
+
+/**
+ * Everything a booking has to pass before it is saved, apart from reservation conflicts: the
+ * user's no-show block, a bookable computer or laboratory, booking policies and operation hours.
+ * Returns { computer, laboratory, laboratoryId, policyResult } or { error }.
+ */
+export const validateBooking = async ({ user, isAdmin = false, reservationType, computerId = null, laboratoryId = null, ...window }) => {
+  const blockError = getBookingBlockError(user, isAdmin);
+  if (blockError) return { error: blockError };
+
+  const target = await resolveBookingTarget({ reservationType, computerId, laboratoryId });
+  if (target.error) return target;
+
+  const { policyResult, error } = await checkBookingWindow({
+    user,
+    isAdmin,
+    reservationType,
+    laboratoryId: target.laboratoryId,
+    ...window,
+  });
+  if (error) return { error };
+
+  return { ...target, policyResult };
+};
+
+const invalidWindowError = () =>
+  Object.assign(new Error("Reservation window must have a valid start and a positive duration"), { httpStatus: 400 });
+
+// Check for reservation conflicts. The requested window starts at startTime on
+// reservationDate and lasts duration minutes, so it may run past midnight.
+// Throws an error with httpStatus 400 when the window has no valid start or no positive duration.
+export const checkReservationConflicts = async (reservationDate, startTime, duration, reservationType, excludeReservationId = null, laboratoryId = null, computerId = null) => {
+  const requestedDate = new Date(reservationDate);
+  if (Number.isNaN(requestedDate.getTime()) || !(duration > 0)) {
+    throw invalidWindowError();
+  }
+
+  let requestedStart;
+  if (typeof startTime === 'string' && startTime.includes(':')) {
+    // Military time format
+    requestedStart = combineTZDateAndTime(requestedDate, startTime);
+  } else {
+    // Legacy DateTime format
+    requestedStart = new Date(startTime);
+  }
+  if (Number.isNaN(requestedStart.getTime())) {
+    throw invalidWindowError();
+  }
+  const requestedEnd = new Date(requestedStart.getTime() + (duration * 60 * 1000));
+  const requestedDays = splitByTZDay(requestedStart, requestedEnd);
+
+  // Build query to find reservations whose window overlaps the requested one
+  const conflictQuery = {
+    reservation_type: reservationType,
+    status: { $in: ['approved', 'active'] },
+    isDeleted: false,
+    ...Reservation.overlapCondition(requestedStart, requestedEnd)
+  };
+  
+  // Exclude current reservation if updating
+  if (excludeReservationId) {
+    conflictQuery._id = { $ne: excludeReservationId };
+  }
+  // Add laboratory or computer filter if provided
+  if (reservationType === 'laboratory' && laboratoryId) {
+    conflictQuery.laboratory_id = laboratoryId;
+  }
+  if (reservationType === 'computer' && computerId) {
+    conflictQuery.computer_id = computerId;
+  }
+  
+  const existingReservations = await Reservation.find(conflictQuery)
+    .populate('user_id', 'firstname lastname email id_number')
+    .sort({ start_at: 1, reservation_date: 1, start_time: 1 });
+  
+  // Check for time conflicts: (start1 < end2) && (start2 < end1)
+  const conflictingReservations = existingReservations.filter(existing =>
+    existing.start_time && existing.overlapsWindow(requestedStart, requestedEnd)
+  );
+  
+  // Check for subject schedule conflicts (for laboratory or computer)
+  const scheduleRange = {
+    $gte: requestedDays[0].date,
+    $lte: getStartEndOfDay(requestedDays[requestedDays.length - 1].date).endOfDay
+  };
+  let subjectConflicts = [];
+  if (reservationType === 'laboratory' && laboratoryId) {
+    subjectConflicts = await SubjectScheduler.find({
+      laboratory_id: laboratoryId,
+      isDeleted: false,
+      date: scheduleRange
+    });
+  } else if (reservationType === 'computer' && computerId) {
+    subjectConflicts = await SubjectScheduler.find({
+      computer_id: computerId,
+      isDeleted: false,
+      date: scheduleRange
+    });
+  }
+
+  // Filter subject conflicts by time overlap on their day
+  const overlappingSubjects = subjectConflicts.filter(subject => {
+    if (subject.start_time && subject.end_time) {
+      const day = requestedDays.find(segment => segment.dateString === getTZDateString(subject.date));
+      return Boolean(day) && (day.startMinutes < timeToMinutes(subject.end_time)) && (timeToMinutes(subject.start_time) < day.endMinutes);
+    }
+    return false;
+  });
+
+  // Closures and blackout dates of the laboratory (or of the computer's laboratory)
+  let closureLaboratoryId = reservationType === 'laboratory' ? laboratoryId : null;
+  if (reservationType === 'computer' && computerId) {
+    const computer = await Computer.findById(computerId).select('laboratory_id');
+    closureLaboratoryId = computer?.laboratory_id || null;
+  }
+  const closureConflicts = [];
+  for (const day of requestedDays) {
+    const closures = await Closure.findOverlapping(day.date, day.startMinutes, day.endMinutes, closureLaboratoryId);
+    for (const closure of closures) {
+      if (!closureConflicts.some(existing => existing._id.equals(closure._id))) closureConflicts.push(closure);
+    }
+  }
+
+  // Return reservation, subject and closure conflicts
+  return { reservationConflicts: conflictingReservations, subjectConflicts: overlappingSubjects, closureConflicts };
+};
+
+// Whether a checkReservationConflicts result blocks the requested slot
+export const hasConflicts = (conflictResult) =>
+  conflictResult.reservationConflicts.length > 0 ||
+  conflictResult.subjectConflicts.length > 0 ||
+  conflictResult.closureConflicts.length > 0;
+
+// Message describing the first kind of conflict found
+export const conflictMessage = (conflictResult) => {
+  if (conflictResult.closureConflicts.length > 0) {
+    return `Laboratory is closed at the requested time (${conflictResult.closureConflicts[0].title})`;
+  }
+  return conflictResult.reservationConflicts.length > 0
+    ? "Reservation conflict detected"
+    : "Subject schedule conflict detected";
+};
+
+// Shape a checkReservationConflicts result for API responses
+export const formatConflicts = (conflictResult) => ({
+  reservation_conflicts: conflictResult.reservationConflicts.map(conflict => ({
+    reservation_number: conflict.reservation_number,
+    user: `${conflict.user_id.firstname} ${conflict.user_id.lastname}`,
+    reservation_date: conflict.reservation_date,
+    start_time: conflict.start_time,
+    end_time: conflict.end_time,
+    start_at: conflict.start_at,
+    end_at: conflict.end_at,
+    duration: conflict.duration,
+    status: conflict.status
+  })),
+  subject_conflicts: conflictResult.subjectConflicts.map(subject => ({
+    subject_code: subject.subject_code,
+    subject_name: subject.subject_name,
+    instructor: subject.instructor_name,
+    date: subject.date,
+    start_time: subject.start_time,
+    end_time: subject.end_time
+  })),
+  closure_conflicts: formatClosureConflicts(conflictResult.closureConflicts)
+});
+
+export const formatClosureConflicts = (closures) => closures.map(closure => ({
+  id: closure.id,
+  title: closure.title,
+  closure_type: closure.closure_type,
+  laboratory_id: closure.laboratory_id,
+  start_date: closure.start_date,
+  end_date: closure.end_date,
+  start_time: closure.start_time,
+  end_time: closure.end_time,
+  recurring_yearly: closure.recurring_yearly
+}));
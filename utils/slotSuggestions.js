@@ -0,0 +1,189 @@
+import Computer from "../models/Computer.js";
+import Laboratory from "../models/Laboratory.js";
+import { checkOperationHours, getOperatingHours } from "./operationHours.js";
+import { checkReservationConflicts, hasConflicts } from "./reservations.js";
+import { combineTZDateAndTime, getStartEndOfDay, getTZCurrentTimeString, getTZDateString } from "./timezone.js";
+
+// Candidate start times are aligned to this step from opening time
+const SLOT_STEP_MINUTES = 30;
+// Days searched for free windows on the same resource, starting with the requested day
+const SEARCH_DAYS = 3;
+// Upper bound on windows checked per kind of suggestion
+const MAX_CHECKS = 48;
+// Opening hours assumed when none are configured, as in the availability routes
+const DEFAULT_HOURS = {
+  computer: { open: 8 * 60, close: 19 * 60 },
+  laboratory: { open: 8 * 60, close: 17 * 60 },
+};
+const UNBOOKABLE_COMPUTER_STATUSES = ["maintenance", "out_of_order"];
+const DAY_MINUTES = 24 * 60;
+
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+};
+
+const formatSuggestion = (startAt, duration, extra = {}) => {
+  const endAt = new Date(startAt.getTime() + duration * 60 * 1000);
+  return {
+    reservation_date: getTZDateString(startAt),
+    start_time: getTZCurrentTimeString(startAt),
+    end_date: getTZDateString(endAt),
+    end_time: getTZCurrentTimeString(endAt),
+    start_at: startAt,
+    end_at: endAt,
+    duration,
+    ...extra,
+  };
+};
+
+// Whether a window would be accepted on creation: within operation hours and free of
+// reservation, subject schedule and closure conflicts
+const isWindowFree = async ({ reservationType, startAt, duration, laboratoryId, computerId, excludeReservationId }) => {
+  const date = getStartEndOfDay(startAt).startOfDay;
+  const startTime = getTZCurrentTimeString(startAt);
+  if (await checkOperationHours(date, startTime, duration, laboratoryId)) return false;
+
+  const conflicts = await checkReservationConflicts(
+    date,
+    startTime,
+    duration,
+    reservationType,
+    excludeReservationId,
+    reservationType === "laboratory" ? laboratoryId : null,
+    reservationType === "computer" ? computerId : null
+  );
+  return !hasConflicts(conflicts);
+};
+
+// Future start times within opening hours on the requested and following days,
+// nearest to the requested start first
+const getCandidateStarts = async (requestedStart, duration, reservationType, laboratoryId, now) => {
+  const candidates = [];
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    const day = getStartEndOfDay(new Date(requestedStart.getTime() + offset * DAY_MINUTES * 60 * 1000)).startOfDay;
+    const hours = await getOperatingHours(day, laboratoryId);
+    if (hours.closed) continue;
+
+    const { open, close } = hours.configured ? hours : DEFAULT_HOURS[reservationType];
+    // Closing at 23:59 means open until midnight
+    const closeMinutes = close >= DAY_MINUTES - 1 ? DAY_MINUTES : close;
+    for (let minutes = open; minutes + duration <= closeMinutes; minutes += SLOT_STEP_MINUTES) {
+      const startAt = combineTZDateAndTime(day, minutesToTime(minutes));
+      if (startAt <= now || startAt.getTime() === requestedStart.getTime()) continue;
+      candidates.push(startAt);
+    }
+  }
+
+  return candidates
+    .sort((a, b) => Math.abs(a - requestedStart) - Math.abs(b - requestedStart))
+    .slice(0, MAX_CHECKS);
+};
+
+/**
+ * Alternatives for a requested window that is not available, all with the same duration:
+ * - same_resource: nearest free windows on the same computer or laboratory
+ * - same_laboratory: other computers in the same laboratory at the requested time
+ * - other_laboratories: other laboratories (or a computer in them) at the requested time
+ */
+export const suggestAlternativeSlots = async ({
+  reservationType,
+  reservationDate,
+  startTime,
+  duration,
+  laboratoryId = null,
+  computerId = null,
+  excludeReservationId = null,
+  limit = 3,
+}) => {
+  const suggestions = { same_resource: [], same_laboratory: [], other_laboratories: [] };
+  // Nothing to suggest for a window that cannot be checked
+  if (Number.isNaN(new Date(reservationDate).getTime()) || !(duration > 0)) return suggestions;
+  const requestedStart = combineTZDateAndTime(reservationDate, startTime);
+  const now = new Date();
+
+  let homeLaboratoryId = laboratoryId;
+  if (reservationType === "computer") {
+    const computer = await Computer.findOne({ _id: computerId, isDeleted: false }).select("laboratory_id");
+    if (!computer) return suggestions;
+    homeLaboratoryId = computer.laboratory_id;
+  }
+  if (!homeLaboratoryId) return suggestions;
+
+  const isFree = (startAt, ids) => isWindowFree({ reservationType, startAt, duration, excludeReservationId, ...ids });
+
+  // Nearest free windows on the same computer or laboratory
+  const candidates = await getCandidateStarts(requestedStart, duration, reservationType, homeLaboratoryId, now);
+  for (const startAt of candidates) {
+    if (suggestions.same_resource.length >= limit) break;
+    if (await isFree(startAt, { laboratoryId: homeLaboratoryId, computerId })) {
+      suggestions.same_resource.push(formatSuggestion(startAt, duration));
+    }
+  }
+
+  // Other resources are only suggested for the requested time, which must still be ahead
+  if (requestedStart <= now) return suggestions;
+
+  if (reservationType === "computer") {
+    const computers = await Computer.find({
+      laboratory_id: homeLaboratoryId,
+      _id: { $ne: computerId },
+      isDeleted: false,
+      status: { $nin: UNBOOKABLE_COMPUTER_STATUSES },
+    }).select("pc_number").sort({ pc_number: 1 }).limit(MAX_CHECKS);
+
+    for (const computer of computers) {
+      if (suggestions.same_laboratory.length >= limit) break;
+      if (await isFree(requestedStart, { laboratoryId: homeLaboratoryId, computerId: computer._id })) {
+        suggestions.same_laboratory.push(formatSuggestion(requestedStart, duration, {
+          computer_id: computer._id,
+          pc_number: computer.pc_number,
+        }));
+      }
+    }
+  }
+
+  const laboratories = await Laboratory.find({ _id: { $ne: homeLaboratoryId }, isDeleted: false, status: "active" })
+    .select("name")
+    .sort({ name: 1 });
+
+  let checks = 0;
+  for (const laboratory of laboratories) {
+    if (suggestions.other_laboratories.length >= limit || checks >= MAX_CHECKS) break;
+
+    if (reservationType === "laboratory") {
+      checks += 1;
+      if (await isFree(requestedStart, { laboratoryId: laboratory._id })) {
+        suggestions.other_laboratories.push(formatSuggestion(requestedStart, duration, {
+          laboratory_id: laboratory._id,
+          laboratory_name: laboratory.name,
+        }));
+      }
+      continue;
+    }
+
+    // First free computer in the laboratory
+    const computers = await Computer.find({
+      laboratory_id: laboratory._id,
+      isDeleted: false,
+      status: { $nin: UNBOOKABLE_COMPUTER_STATUSES },
+    }).select("pc_number").sort({ pc_number: 1 });
+
+    for (const computer of computers) {
+      if (checks >= MAX_CHECKS) break;
+      checks += 1;
+      if (await isFree(requestedStart, { laboratoryId: laboratory._id, computerId: computer._id })) {
+        suggestions.other_laboratories.push(formatSuggestion(requestedStart, duration, {
+          laboratory_id: laboratory._id,
+          laboratory_name: laboratory.name,
+          computer_id: computer._id,
+          pc_number: computer.pc_number,
+        }));
+        break;
+      }
+    }
+  }
+
+  return suggestions;
+};
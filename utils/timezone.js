@@ -66,3 +66,36 @@ export function getTZMinutesSinceMidnight(date = new Date(), timeZone = APP_TIME
   const { hour, minute } = getTZParts(date, timeZone);
   return hour * 60 + minute;
 }
+
+export function getTZWeekday(date = new Date(), timeZone = APP_TIMEZONE) {
+  const { year, month, day } = getTZParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+export function combineTZDateAndTime(date, timeString, timeZone = APP_TIMEZONE) {
+  const { startOfDay } = getStartEndOfDay(new Date(date), timeZone);
+  const [hours, minutes] = timeString.split(":").map(Number);
+  return new Date(startOfDay.getTime() + (hours * 60 + minutes) * 60 * 1000);
+}
+
+// Split an absolute window into one segment per calendar day in the timezone.
+// Each segment has the day (start of day), its date string and the minutes since
+// midnight it covers; a segment running to midnight ends at 1440.
+export function splitByTZDay(startAt, endAt, timeZone = APP_TIMEZONE) {
+  const segments = [];
+  const end = new Date(endAt);
+  let cursor = new Date(startAt);
+  while (cursor < end) {
+    const { startOfDay, endOfDay, tzDateString } = getStartEndOfDay(cursor, timeZone);
+    const nextDay = new Date(endOfDay.getTime() + 1);
+    const segmentEnd = end < nextDay ? end : nextDay;
+    segments.push({
+      date: startOfDay,
+      dateString: tzDateString,
+      startMinutes: Math.round((cursor.getTime() - startOfDay.getTime()) / 60000),
+      endMinutes: Math.round((segmentEnd.getTime() - startOfDay.getTime()) / 60000),
+    });
+    cursor = segmentEnd;
+  }
+  return segments;
+}